@@ -0,0 +1,175 @@
+import { createHash, createHmac, randomBytes, timingSafeEqual } from 'crypto';
+
+// Login, sessions, CSRF protection and flash messages for the dashboard, all kept in cookies so
+// any number of containers can serve the same user.
+//
+//   cc_session  <payload>.<signature>  who is signed in and until when (at most SESSION_TTL_SECONDS)
+//   cc_csrf     random token           echoed back by every form as _csrf (double-submit cookie)
+//   cc_flash    <payload>.<signature>  one message shown on the next page, then cleared
+
+const SESSION_TTL_SECONDS = 8 * 60 * 60;
+
+const sign = (payload, secret) => createHmac('sha256', secret).update(payload).digest('base64url');
+
+const safeEqual = (a, b) => {
+  const expected = Buffer.from(a);
+  const actual = Buffer.from(b);
+  return expected.length === actual.length && timingSafeEqual(expected, actual);
+};
+
+// Hashing first makes the comparison constant-time whatever the lengths
+const sameSecret = (a, b) => {
+  const digest = (value) => createHash('sha256').update(String(value)).digest();
+  return timingSafeEqual(digest(a), digest(b));
+};
+
+const seal = (value, secret) => {
+  const payload = Buffer.from(JSON.stringify(value)).toString('base64url');
+  return `${payload}.${sign(payload, secret)}`;
+};
+
+// The value behind a sealed cookie, or null if it is missing or was tampered with
+const unseal = (cookie, secret) => {
+  const [payload, signature] = (cookie || '').split('.');
+  if (!payload || !signature || !safeEqual(sign(payload, secret), signature)) return null;
+  try {
+    return JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+  } catch {
+    return null;
+  }
+};
+
+export const parseCookies = (header = '') => Object.fromEntries(
+  header.split(';')
+    .map(part => part.trim().split('='))
+    .filter(([name, ...value]) => name && value.length > 0)
+    .map(([name, ...value]) => {
+      try {
+        return [name, decodeURIComponent(value.join('='))];
+      } catch {
+        return [name, ''];
+      }
+    })
+);
+
+// Dashboard users come from DASHBOARD_USERS, a JSON object of username to password kept in Secrets
+// Manager. With no users configured nobody can sign in, so a misconfigured container stays closed.
+export const parseUsers = (json) => {
+  if (!json) return {};
+  try {
+    const users = JSON.parse(json);
+    return users && typeof users === 'object' && !Array.isArray(users) ? users : {};
+  } catch {
+    return {};
+  }
+};
+
+export const createAuth = ({ users, sessionSecret }) => {
+  const cookieOptions = (req) => ({ httpOnly: true, sameSite: 'lax', secure: req.secure, path: '/' });
+
+  // Reads the session, CSRF token and flash message for every request
+  const load = (req, res, next) => {
+    const cookies = parseCookies(req.headers.cookie);
+
+    const session = unseal(cookies.cc_session, sessionSecret);
+    req.user = session && session.exp > Date.now() / 1000 ? session.sub : null;
+    res.locals.user = req.user;
+
+    req.csrfToken = cookies.cc_csrf;
+    if (!req.csrfToken) {
+      req.csrfToken = randomBytes(32).toString('base64url');
+      res.cookie('cc_csrf', req.csrfToken, cookieOptions(req));
+    }
+    res.locals.csrfToken = req.csrfToken;
+
+    res.locals.flash = unseal(cookies.cc_flash, sessionSecret);
+    if (cookies.cc_flash) res.clearCookie('cc_flash', cookieOptions(req));
+
+    next();
+  };
+
+  // Rejects state-changing requests that don't carry the token from the caller's own CSRF cookie.
+  // Forms send it as _csrf, scripts as an x-csrf-token header.
+  const verifyCsrf = (req, res, next) => {
+    if (['GET', 'HEAD', 'OPTIONS'].includes(req.method)) return next();
+    const token = req.body?._csrf || req.get('x-csrf-token');
+    if (!token || !safeEqual(req.csrfToken, String(token))) {
+      return res.status(403).render('error', { title: 'Error', error: 'Your session expired; reload the page and try again' });
+    }
+    next();
+  };
+
+  const requireLogin = (req, res, next) => {
+    if (req.user) return next();
+    if (req.method !== 'GET') return res.status(401).render('error', { title: 'Error', error: 'Sign in again to continue' });
+    res.redirect(`/login?${new URLSearchParams({ next: req.originalUrl })}`);
+  };
+
+  const checkPassword = (username, password) => {
+    const expected = Object.hasOwn(users, username) ? users[username] : null;
+    // Compare against something even for unknown users so the timing doesn't reveal which exist
+    const matches = sameSecret(expected ?? randomBytes(16).toString('hex'), password ?? '');
+    return Boolean(expected) && matches;
+  };
+
+  const startSession = (req, res, username) => {
+    const exp = Math.floor(Date.now() / 1000) + SESSION_TTL_SECONDS;
+    // A browser-session cookie: closing the browser signs out, and the signed exp caps it either way
+    res.cookie('cc_session', seal({ sub: username, exp }, sessionSecret), cookieOptions(req));
+    // A fresh CSRF token per session, so one seen before sign-in can't be reused
+    res.cookie('cc_csrf', randomBytes(32).toString('base64url'), cookieOptions(req));
+  };
+
+  const endSession = (req, res) => {
+    res.clearCookie('cc_session', cookieOptions(req));
+    res.clearCookie('cc_csrf', cookieOptions(req));
+  };
+
+  // Shown once on the next page; type is "error" or "notice"
+  const flash = (req, res, type, message) => {
+    res.cookie('cc_flash', seal({ type, message: String(message).slice(0, 500) }, sessionSecret), cookieOptions(req));
+  };
+
+  return { load, verifyCsrf, requireLogin, checkPassword, startSession, endSession, flash };
+};
+
+// Failed sign-ins are counted per client address; after `maxFailures` within `windowSeconds` the
+// address is refused until its window ends, successful or not. Counts live in the container, so with
+// several tasks an address gets that many tries per task; enough to stop password guessing through
+// the form. Entries are dropped as their windows end, and the oldest first past `maxTracked`.
+export const createLoginThrottle = ({ maxFailures = 10, windowSeconds = 15 * 60, maxTracked = 10000, now = Date.now } = {}) => {
+  const failures = new Map();
+
+  const current = (address) => {
+    const entry = failures.get(address);
+    if (entry && entry.resetAt <= now()) {
+      failures.delete(address);
+      return null;
+    }
+    return entry;
+  };
+
+  // Seconds until `address` may try again; 0 when it may now
+  const retryAfter = (address) => {
+    const entry = current(address);
+    return entry && entry.count >= maxFailures ? Math.ceil((entry.resetAt - now()) / 1000) : 0;
+  };
+
+  const failed = (address) => {
+    const entry = current(address) || { count: 0, resetAt: now() + windowSeconds * 1000 };
+    entry.count++;
+    failures.set(address, entry);
+    if (failures.size > maxTracked) {
+      for (const [key, { resetAt }] of failures) {
+        if (resetAt <= now()) failures.delete(key);
+      }
+      while (failures.size > maxTracked) failures.delete(failures.keys().next().value);
+    }
+  };
+
+  const succeeded = (address) => {
+    failures.delete(address);
+  };
+
+  return { retryAfter, failed, succeeded };
+};
@@ -0,0 +1,121 @@
+import { GetMetricDataCommand } from '@aws-sdk/client-cloudwatch';
+
+// Time series of the CloudCart custom metrics for the Metrics page and /api/metrics.
+//
+// The services publish these as Embedded Metric Format log lines (services/lib/metrics.js), each
+// once without dimensions; that overall series is what is read here. Results are cached per range
+// so page views and polling don't turn into one GetMetricData call each.
+
+export const NAMESPACE = 'CloudCart';
+
+// Sum metrics are counts (a missing period means zero); Average metrics have gaps where nothing ran
+export const METRICS = [
+  { name: 'OrderPlaced', label: 'Orders placed', stat: 'Sum' },
+  { name: 'OrderTotal', label: 'Revenue', stat: 'Sum', unit: '$' },
+  { name: 'CheckoutLatency', label: 'Checkout latency', stat: 'Average', unit: 'ms' },
+  { name: 'CheckoutError', label: 'Checkout errors', stat: 'Sum' },
+  { name: 'CartItemAdded', label: 'Cart items added', stat: 'Sum' },
+  { name: 'CartItemRemoved', label: 'Cart items removed', stat: 'Sum' },
+  { name: 'ProductListViewed', label: 'Product list views', stat: 'Sum' },
+  { name: 'OrdersProcessed', label: 'Orders processed', stat: 'Sum' },
+  { name: 'OrderProcessingErrors', label: 'Order processing errors', stat: 'Sum' },
+  { name: 'OrderPoisonMessages', label: 'Poison messages', stat: 'Sum' },
+  { name: 'OrderProcessingTime', label: 'Worker batch time', stat: 'Average', unit: 'ms' }
+];
+
+// Period per range keeps every series around 60-170 points
+export const RANGES = {
+  '1h': { label: 'Last hour', seconds: 60 * 60, period: 60 },
+  '6h': { label: 'Last 6 hours', seconds: 6 * 60 * 60, period: 300 },
+  '24h': { label: 'Last 24 hours', seconds: 24 * 60 * 60, period: 900 },
+  '7d': { label: 'Last 7 days', seconds: 7 * 24 * 60 * 60, period: 3600 }
+};
+export const DEFAULT_RANGE = '6h';
+
+const CACHE_TTL_MS = 60 * 1000;
+
+// [start, end) aligned to whole periods, which is what CloudWatch aggregates by
+export const timeWindow = (range, now) => {
+  const { seconds, period } = RANGES[range];
+  const endSeconds = Math.ceil(now / 1000 / period) * period;
+  return { start: new Date((endSeconds - seconds) * 1000), end: new Date(endSeconds * 1000), period };
+};
+
+// One point per period; Sum metrics without data in a period read 0, Average metrics are left out
+const toSeries = (metric, result, { start, end, period }) => {
+  const values = new Map((result?.Timestamps || []).map((t, i) => [new Date(t).getTime(), result.Values[i]]));
+  const points = [];
+  for (let t = start.getTime(); t < end.getTime(); t += period * 1000) {
+    const value = values.get(t);
+    if (value !== undefined) points.push({ t, v: value });
+    else if (metric.stat === 'Sum') points.push({ t, v: 0 });
+  }
+
+  const sum = points.reduce((total, { v }) => total + v, 0);
+  const summary = metric.stat === 'Sum'
+    ? sum
+    : points.length > 0 ? sum / points.length : null;
+  return { ...metric, points, summary };
+};
+
+// `cloudwatch` is anything with the SDK client's send(command), so tests can pass a stub instead of a
+// real CloudWatchClient
+export const createMetricsSource = ({ cloudwatch, ttlMs = CACHE_TTL_MS, now = () => Date.now() }) => {
+  // range -> { expires, promise }; concurrent requests for a range share one GetMetricData call
+  const cache = new Map();
+
+  const fetchRange = async (range) => {
+    const span = timeWindow(range, now());
+    const results = new Map();
+    let nextToken;
+    do {
+      const res = await cloudwatch.send(new GetMetricDataCommand({
+        StartTime: span.start,
+        EndTime: span.end,
+        ScanBy: 'TimestampAscending',
+        NextToken: nextToken,
+        MetricDataQueries: METRICS.map((metric, i) => ({
+          Id: `m${i}`,
+          MetricStat: {
+            Metric: { Namespace: NAMESPACE, MetricName: metric.name },
+            Period: span.period,
+            Stat: metric.stat
+          }
+        }))
+      }));
+      for (const result of res.MetricDataResults || []) {
+        const existing = results.get(result.Id);
+        results.set(result.Id, existing
+          ? { ...existing, Timestamps: [...existing.Timestamps, ...result.Timestamps], Values: [...existing.Values, ...result.Values] }
+          : result);
+      }
+      nextToken = res.NextToken;
+    } while (nextToken);
+
+    return {
+      range,
+      period: span.period,
+      start: span.start.toISOString(),
+      end: span.end.toISOString(),
+      fetchedAt: new Date(now()).toISOString(),
+      metrics: METRICS.map((metric, i) => toSeries(metric, results.get(`m${i}`), span))
+    };
+  };
+
+  // The series for a range ('1h', '6h', '24h' or '7d'); unknown ranges fall back to DEFAULT_RANGE
+  const getMetrics = (range) => {
+    const key = Object.hasOwn(RANGES, range) ? range : DEFAULT_RANGE;
+    const cached = cache.get(key);
+    if (cached && cached.expires > now()) return cached.promise;
+
+    const promise = fetchRange(key);
+    cache.set(key, { expires: now() + ttlMs, promise });
+    // A failed fetch is not cached, so the next request tries again
+    promise.catch(() => {
+      if (cache.get(key)?.promise === promise) cache.delete(key);
+    });
+    return promise;
+  };
+
+  return { getMetrics };
+};
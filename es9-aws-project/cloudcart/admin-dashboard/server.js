@@ -1,16 +1,140 @@
 import express from 'express';
-import { DynamoDBClient, ScanCommand, QueryCommand } from '@aws-sdk/client-dynamodb';
+import { createHmac, randomBytes } from 'crypto';
+import { DynamoDBClient, QueryCommand } from '@aws-sdk/client-dynamodb';
 import { unmarshall } from '@aws-sdk/util-dynamodb';
+import { CloudWatchClient } from '@aws-sdk/client-cloudwatch';
+import { createAuth, createLoginThrottle, parseUsers } from './auth.js';
+import { createMetricsSource, RANGES, DEFAULT_RANGE } from './metrics.js';
+import { orderFilters, lineItems, writeOrdersCsv } from './orders.js';
 
 const app = express();
 const port = process.env.PORT || 3000;
 
 const ddb = new DynamoDBClient({ region: process.env.AWS_REGION || 'us-east-1' });
+const metricsSource = createMetricsSource({
+  cloudwatch: new CloudWatchClient({ region: process.env.AWS_REGION || 'us-east-1' })
+});
 
 const PRODUCTS_TABLE = process.env.PRODUCTS_TABLE;
 const ORDERS_TABLE = process.env.ORDERS_TABLE;
+const ANALYTICS_TABLE = process.env.ANALYTICS_TABLE;
 const API_URL = process.env.API_URL;
+const JWT_SECRET = process.env.JWT_SECRET;
+// Set ADMIN_API_TOKEN instead when the API trusts an external identity provider (RS256)
+const ADMIN_API_TOKEN = process.env.ADMIN_API_TOKEN;
+
+const DASHBOARD_USERS = parseUsers(process.env.DASHBOARD_USERS);
+// Without a configured secret, sessions are signed with a per-process key and end on restart
+const SESSION_SECRET = process.env.SESSION_SECRET || randomBytes(32).toString('hex');
+
+const auth = createAuth({ users: DASHBOARD_USERS, sessionSecret: SESSION_SECRET });
+const loginThrottle = createLoginThrottle();
+
+// Short-lived HS256 admin token for calls to the admin API, issued in the signed-in user's name
+// so the API's audit log shows who made each change
+const adminToken = (user = 'admin-dashboard') => {
+  if (ADMIN_API_TOKEN) return ADMIN_API_TOKEN;
+  const now = Math.floor(Date.now() / 1000);
+  const encode = (obj) => Buffer.from(JSON.stringify(obj)).toString('base64url');
+  const header = encode({ alg: 'HS256', typ: 'JWT' });
+  const payload = encode({ sub: user, roles: ['admin'], iat: now, exp: now + 300 });
+  const signature = createHmac('sha256', JWT_SECRET).update(`${header}.${payload}`).digest('base64url');
+  return `${header}.${payload}.${signature}`;
+};
+
+// Listing pages go through the API so paging uses the same signed cursors as every other client
+const PAGE_SIZE = 25;
+const EXPORT_PAGE_SIZE = 100;
+
+const apiList = async (path, cursor, headers = {}, query = {}) => {
+  const params = new URLSearchParams({ limit: String(PAGE_SIZE) });
+  if (cursor) params.set('cursor', cursor);
+  for (const [name, value] of Object.entries(query)) {
+    if (value) params.set(name, value);
+  }
+  const response = await fetch(`${API_URL}${path}?${params}`, { headers });
+  if (!response.ok) {
+    const error = new Error(`GET ${path} failed with ${response.status}`);
+    // The API's error envelope, so callers can show e.g. which filter was invalid
+    error.status = response.status;
+    error.body = await response.json().catch(() => ({}));
+    throw error;
+  }
+  return response.json();
+};
+
+// Changes go through the admin API as the signed-in user, so validation, version checks and
+// the audit log apply exactly as they do for any other client. Resolves to { status, body, headers }.
+const adminApi = async (req, method, path, { body, headers = {} } = {}) => {
+  const response = await fetch(`${API_URL}${path}`, {
+    method,
+    headers: {
+      ...(body !== undefined && { 'content-type': 'application/json' }),
+      authorization: `Bearer ${adminToken(req.user)}`,
+      ...headers
+    },
+    body: body !== undefined ? JSON.stringify(body) : undefined
+  });
+  return {
+    status: response.status,
+    body: await response.json().catch(() => ({})),
+    headers: response.headers
+  };
+};
 
+// Mirrors the lifecycle enforced by PATCH /admin/orders/{id}/status; the API has the final say
+const ORDER_TRANSITIONS = {
+  pending: ['processing', 'cancelled'],
+  processing: ['paid', 'cancelled'],
+  paid: ['shipped', 'cancelled', 'refunded'],
+  shipped: ['delivered', 'refunded'],
+  delivered: ['refunded'],
+  cancelled: [],
+  refunded: []
+};
+const ORDER_STATUSES = Object.keys(ORDER_TRANSITIONS);
+
+// Order and product totals, kept up to date from the orders and products streams in the analytics
+// table (pk TOTALS), so the counts cost one small Query however large the tables grow
+const readStats = async () => {
+  const result = await ddb.send(new QueryCommand({
+    TableName: ANALYTICS_TABLE,
+    KeyConditionExpression: 'pk = :pk',
+    ExpressionAttributeValues: { ':pk': { S: 'TOTALS' } }
+  }));
+  const totals = Object.fromEntries((result.Items || []).map(unmarshall).map(item => [item.sk, item]));
+  return {
+    totalProducts: totals.products?.productCount || 0,
+    totalOrders: totals.orders?.orderCount || 0,
+    ordersByStatus: Object.fromEntries(ORDER_STATUSES.map(status => [status, totals.orders?.[`${status}Count`] || 0]))
+  };
+};
+
+const PRODUCT_FIELDS = ['id', 'name', 'price', 'category', 'stock', 'description'];
+
+// Form fields as an API request body: blanks are left out and numbers are sent as numbers, while
+// anything that isn't a number is passed on as typed so the API's validation message names it
+const productBody = (form, fields) => {
+  const body = {};
+  for (const field of fields) {
+    const value = typeof form[field] === 'string' ? form[field].trim() : '';
+    if (value === '') continue;
+    const number = Number(value);
+    body[field] = ['price', 'stock'].includes(field) && Number.isFinite(number) ? number : value;
+  }
+  return body;
+};
+
+// { field: message } from an API error envelope's details
+const fieldErrors = (error) => Object.fromEntries(
+  (Array.isArray(error.details) ? error.details : []).map(({ field, message }) => [field, message])
+);
+
+// Only same-site paths are followed after sign-in
+const localPath = (path) => (typeof path === 'string' && /^\/(?![/\\])/.test(path) ? path : '/');
+
+// Behind the ALB, req.secure reflects the client's protocol so cookies are marked Secure over HTTPS
+app.set('trust proxy', 1);
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 app.use(express.static('public'));
@@ -24,6 +148,45 @@ app.get('/health', (req, res) => {
   res.status(200).json({ status: 'healthy' });
 });
 
+app.use(auth.load, auth.verifyCsrf);
+
+app.get('/login', (req, res) => {
+  if (req.user) return res.redirect(localPath(req.query.next));
+  res.render('login', { title: 'Sign in', next: localPath(req.query.next), username: '', error: null });
+});
+
+app.post('/login', (req, res) => {
+  const username = String(req.body.username ?? '');
+  const password = String(req.body.password ?? '');
+  const next = localPath(req.body.next);
+
+  // req.ip is the client's address: the load balancer's X-Forwarded-For is trusted above
+  const wait = loginThrottle.retryAfter(req.ip);
+  if (wait > 0) {
+    res.set('Retry-After', String(wait));
+    const error = `Too many failed sign-ins; try again in ${Math.ceil(wait / 60)} minute(s)`;
+    return res.status(429).render('login', { title: 'Sign in', next, username, error });
+  }
+
+  if (!auth.checkPassword(username, password)) {
+    loginThrottle.failed(req.ip);
+    console.warn(`Failed dashboard sign-in for "${username.slice(0, 64)}"`);
+    return res.status(401).render('login', { title: 'Sign in', next, username, error: 'Invalid username or password' });
+  }
+
+  loginThrottle.succeeded(req.ip);
+  auth.startSession(req, res, username);
+  res.redirect(next);
+});
+
+app.post('/logout', (req, res) => {
+  auth.endSession(req, res);
+  res.redirect('/login');
+});
+
+// Everything below needs a signed-in dashboard user
+app.use(auth.requireLogin);
+
 // Home page
 app.get('/', (req, res) => {
   res.render('index', {
@@ -35,16 +198,13 @@ app.get('/', (req, res) => {
 // Products page
 app.get('/products', async (req, res) => {
   try {
-    const result = await ddb.send(new ScanCommand({
-      TableName: PRODUCTS_TABLE,
-      Limit: 100
-    }));
-
-    const products = (result.Items || []).map(unmarshall);
+    const { products, nextCursor } = await apiList('/products', req.query.cursor);
 
     res.render('products', {
       title: 'Products',
       products,
+      nextCursor,
+      cursor: req.query.cursor,
       apiUrl: API_URL
     });
   } catch (error) {
@@ -56,23 +216,183 @@ app.get('/products', async (req, res) => {
   }
 });
 
-// Orders page
-app.get('/orders', async (req, res) => {
+const renderProductForm = (res, { product = {}, version, errors = {}, error = null, status = 200 }) => {
+  res.status(status).render('product-form', {
+    title: version === undefined ? 'New Product' : `Edit ${product.name || product.id}`,
+    product,
+    version,
+    errors,
+    error
+  });
+};
+
+app.get('/products/new', (req, res) => {
+  renderProductForm(res, {});
+});
+
+app.post('/products', async (req, res) => {
+  try {
+    const result = await adminApi(req, 'POST', '/admin/products', { body: productBody(req.body, PRODUCT_FIELDS) });
+
+    if (result.status !== 201) {
+      return renderProductForm(res, {
+        product: req.body,
+        errors: fieldErrors(result.body),
+        error: result.body.message || `Create failed (${result.status})`,
+        status: result.status === 409 ? 409 : 400
+      });
+    }
+
+    auth.flash(req, res, 'notice', `Created product ${result.body.product.id}`);
+    res.redirect(`/products/${encodeURIComponent(result.body.product.id)}/edit`);
+  } catch (error) {
+    console.error('Error creating product:', error);
+    res.status(500).render('error', {
+      title: 'Error',
+      error: 'Failed to create product'
+    });
+  }
+});
+
+app.get('/products/:id/edit', async (req, res) => {
   try {
-    const result = await ddb.send(new ScanCommand({
-      TableName: ORDERS_TABLE,
-      Limit: 50
-    }));
+    const response = await fetch(`${API_URL}/products/${encodeURIComponent(req.params.id)}`);
+    if (response.status === 404) {
+      auth.flash(req, res, 'error', `Product ${req.params.id} not found`);
+      return res.redirect('/products');
+    }
+    if (!response.ok) throw new Error(`GET /products/${req.params.id} failed with ${response.status}`);
+
+    const product = await response.json();
+    renderProductForm(res, { product, version: product.version ?? 0 });
+  } catch (error) {
+    console.error('Error fetching product:', error);
+    res.status(500).render('error', {
+      title: 'Error',
+      error: 'Failed to fetch product'
+    });
+  }
+});
+
+// Updates carry the version the form was loaded with, so a change someone else made in the
+// meantime is never silently overwritten
+app.post('/products/:id', async (req, res) => {
+  const { id } = req.params;
+  const editPage = `/products/${encodeURIComponent(id)}/edit`;
+  try {
+    const result = await adminApi(req, 'PATCH', `/admin/products/${encodeURIComponent(id)}`, {
+      body: productBody(req.body, PRODUCT_FIELDS.filter(field => field !== 'id')),
+      headers: { 'if-match': `"${req.body.version}"` }
+    });
+
+    if (result.status === 412) {
+      auth.flash(req, res, 'error', 'Someone else changed this product while you were editing it. Review the latest values and apply your changes again.');
+      return res.redirect(editPage);
+    }
+    if (result.status === 404) {
+      auth.flash(req, res, 'error', `Product ${id} no longer exists`);
+      return res.redirect('/products');
+    }
+    if (result.status !== 200) {
+      return renderProductForm(res, {
+        product: { ...req.body, id },
+        version: req.body.version,
+        errors: fieldErrors(result.body),
+        error: result.body.message || `Update failed (${result.status})`,
+        status: 400
+      });
+    }
+
+    auth.flash(req, res, 'notice', `Saved product ${id}`);
+    res.redirect(editPage);
+  } catch (error) {
+    console.error('Error updating product:', error);
+    res.status(500).render('error', {
+      title: 'Error',
+      error: 'Failed to update product'
+    });
+  }
+});
+
+app.post('/products/:id/delete', async (req, res) => {
+  const { id } = req.params;
+  try {
+    const result = await adminApi(req, 'DELETE', `/admin/products/${encodeURIComponent(id)}`, {
+      headers: req.body.version !== undefined ? { 'if-match': `"${req.body.version}"` } : {}
+    });
+
+    if (result.status === 200) {
+      auth.flash(req, res, 'notice', `Deleted product ${id}; it can be restored from the audit log`);
+    } else if (result.status === 412) {
+      auth.flash(req, res, 'error', `Product ${id} was changed by someone else; check it before deleting`);
+    } else {
+      auth.flash(req, res, 'error', result.body.message || `Delete failed (${result.status})`);
+    }
+    res.redirect(req.body.cursor ? `/products?${new URLSearchParams({ cursor: req.body.cursor })}` : '/products');
+  } catch (error) {
+    console.error('Error deleting product:', error);
+    res.status(500).render('error', {
+      title: 'Error',
+      error: 'Failed to delete product'
+    });
+  }
+});
 
-    const orders = (result.Items || []).map(unmarshall).sort((a, b) => {
-      return new Date(b.timestamp) - new Date(a.timestamp);
+// The edit page's upload script asks for a presigned POST here, then sends the file straight to S3
+app.post('/products/:id/upload-url', async (req, res) => {
+  try {
+    const result = await adminApi(req, 'POST', `/products/${encodeURIComponent(req.params.id)}/upload-url`, {
+      body: { contentType: req.body.contentType }
     });
+    res.status(result.status).json(result.body);
+  } catch (error) {
+    console.error('Error requesting upload URL:', error);
+    res.status(500).json({ message: 'Failed to prepare the upload' });
+  }
+});
+
+// Orders page, filtered by any of ?status=, ?from= / ?to= (YYYY-MM-DD), ?userId= and ?minTotal=
+app.get('/orders', async (req, res) => {
+  const filters = orderFilters(req.query);
+  const view = {
+    title: 'Orders',
+    filters,
+    filterQuery: new URLSearchParams(filters).toString(),
+    statuses: ORDER_STATUSES,
+    transitions: ORDER_TRANSITIONS,
+    cursor: req.query.cursor,
+    returnTo: req.originalUrl
+  };
+
+  try {
+    const [page, stats] = await Promise.all([
+      apiList('/admin/orders', req.query.cursor, {
+        authorization: `Bearer ${adminToken(req.user)}`
+      }, filters),
+      // The counts beside each status are a nicety; the page works without them
+      readStats().catch((error) => {
+        console.error('Error fetching stats:', error);
+        return null;
+      })
+    ]);
 
     res.render('orders', {
-      title: 'Orders',
-      orders
+      ...view,
+      orders: page.orders,
+      nextCursor: page.nextCursor,
+      stats,
+      error: null
     });
   } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).render('orders', {
+        ...view,
+        orders: [],
+        nextCursor: null,
+        stats: null,
+        error: error.body?.message || 'Invalid filters'
+      });
+    }
     console.error('Error fetching orders:', error);
     res.status(500).render('error', {
       title: 'Error',
@@ -81,30 +401,179 @@ app.get('/orders', async (req, res) => {
   }
 });
 
-// Metrics page (CloudWatch embedded)
-app.get('/metrics', (req, res) => {
+// Every order matching the Orders page filters as CSV, streamed to the browser one API page at a time
+app.get('/orders/export.csv', async (req, res) => {
+  const filters = orderFilters(req.query);
+  // A fresh admin token per page, since a large export can outlast one
+  const fetchPage = (cursor) => apiList('/admin/orders', cursor, {
+    authorization: `Bearer ${adminToken(req.user)}`
+  }, { ...filters, limit: String(EXPORT_PAGE_SIZE) });
+
+  // The first page is read before anything is sent, so a bad filter still gets a normal error
+  let page;
+  try {
+    page = await fetchPage();
+  } catch (error) {
+    console.error('Error exporting orders:', error);
+    auth.flash(req, res, 'error', error.body?.message || 'Failed to export orders');
+    return res.redirect(`/orders?${new URLSearchParams(filters)}`);
+  }
+
+  res.set({
+    'content-type': 'text/csv; charset=utf-8',
+    'content-disposition': `attachment; filename="orders-${new Date().toISOString().slice(0, 10)}.csv"`,
+    'cache-control': 'no-store'
+  });
+  try {
+    const count = await writeOrdersCsv(res, page, fetchPage);
+    res.end();
+    console.log(`Exported ${count} orders for ${req.user}`);
+  } catch (error) {
+    console.error('Error exporting orders:', error);
+    // The headers are gone; cutting the response off makes the download fail instead of look complete
+    res.destroy(error);
+  }
+});
+
+// One order with its line items and status history
+app.get('/orders/:orderId', async (req, res) => {
+  const { orderId } = req.params;
+  try {
+    const result = await adminApi(req, 'GET', `/admin/orders/${encodeURIComponent(orderId)}`);
+    if (result.status === 404) {
+      auth.flash(req, res, 'error', `Order ${orderId} not found`);
+      return res.redirect('/orders');
+    }
+    if (result.status !== 200) throw new Error(`GET /admin/orders/${orderId} failed with ${result.status}`);
+
+    const order = result.body;
+    res.render('order', {
+      title: `Order ${order.orderId}`,
+      order,
+      items: lineItems(order),
+      transitions: ORDER_TRANSITIONS,
+      returnTo: req.originalUrl
+    });
+  } catch (error) {
+    console.error('Error fetching order:', error);
+    res.status(500).render('error', {
+      title: 'Error',
+      error: 'Failed to fetch order'
+    });
+  }
+});
+
+// Change order status through the admin API so the lifecycle rules are enforced in one place
+app.post('/orders/:orderId/status', async (req, res) => {
+  try {
+    const result = await adminApi(req, 'PATCH', `/admin/orders/${encodeURIComponent(req.params.orderId)}/status`, {
+      body: { status: req.body.status, reason: req.body.reason || undefined }
+    });
+
+    if (result.status === 200) {
+      auth.flash(req, res, 'notice', `Order ${req.params.orderId} is now ${result.body.order.status}`);
+    } else {
+      auth.flash(req, res, 'error', result.body.message || `Status update failed (${result.status})`);
+    }
+
+    // Return to the page (and filters) the change was made from
+    res.redirect(req.body.returnTo ? localPath(req.body.returnTo) : '/orders');
+  } catch (error) {
+    console.error('Error updating order status:', error);
+    res.status(500).render('error', {
+      title: 'Error',
+      error: 'Failed to update order status'
+    });
+  }
+});
+
+// Audit log of product changes, for the whole catalogue or one product
+app.get('/audit', async (req, res) => {
+  const productId = req.query.productId || '';
+  try {
+    const page = await apiList('/admin/audit', req.query.cursor, {
+      authorization: `Bearer ${adminToken(req.user)}`
+    }, { productId });
+
+    res.render('audit', {
+      title: 'Audit Log',
+      entries: page.entries,
+      productId,
+      cursor: req.query.cursor,
+      nextCursor: page.nextCursor
+    });
+  } catch (error) {
+    console.error('Error fetching audit log:', error);
+    res.status(500).render('error', {
+      title: 'Error',
+      error: 'Failed to fetch audit log'
+    });
+  }
+});
+
+// Restore a soft-deleted product, then show its history
+app.post('/products/:id/restore', async (req, res) => {
+  try {
+    const result = await adminApi(req, 'POST', `/admin/products/${encodeURIComponent(req.params.id)}/restore`);
+
+    if (result.status === 200) {
+      auth.flash(req, res, 'notice', 'Product restored');
+    } else {
+      auth.flash(req, res, 'error', result.body.message || `Restore failed (${result.status})`);
+    }
+    res.redirect(`/audit?${new URLSearchParams({ productId: req.params.id })}`);
+  } catch (error) {
+    console.error('Error restoring product:', error);
+    res.status(500).render('error', {
+      title: 'Error',
+      error: 'Failed to restore product'
+    });
+  }
+});
+
+const metricsRange = (req) => (Object.hasOwn(RANGES, req.query.range) ? req.query.range : DEFAULT_RANGE);
+
+// Metrics page: charts of the CloudCart custom metrics, with the full CloudWatch dashboard a click away
+app.get('/metrics', async (req, res) => {
   const region = process.env.AWS_REGION || 'us-east-1';
   const dashboardUrl = `https://console.aws.amazon.com/cloudwatch/home?region=${region}#dashboards:name=CloudCart-Metrics`;
+  const range = metricsRange(req);
+
+  let data = null;
+  let error = null;
+  try {
+    data = await metricsSource.getMetrics(range);
+  } catch (err) {
+    console.error('Error fetching metrics:', err);
+    error = 'Failed to fetch metrics from CloudWatch';
+  }
 
   res.render('metrics', {
     title: 'Metrics & Monitoring',
     dashboardUrl,
-    region
+    region,
+    range,
+    ranges: RANGES,
+    data,
+    error
   });
 });
 
+// The same series as JSON (?range=1h|6h|24h|7d), cached for a minute
+app.get('/api/metrics', async (req, res) => {
+  try {
+    res.set('cache-control', 'private, max-age=60');
+    res.json(await metricsSource.getMetrics(metricsRange(req)));
+  } catch (error) {
+    console.error('Error fetching metrics:', error);
+    res.status(500).json({ error: 'Failed to fetch metrics' });
+  }
+});
+
 // API endpoint to get stats
 app.get('/api/stats', async (req, res) => {
   try {
-    const [productsResult, ordersResult] = await Promise.all([
-      ddb.send(new ScanCommand({ TableName: PRODUCTS_TABLE, Select: 'COUNT' })),
-      ddb.send(new ScanCommand({ TableName: ORDERS_TABLE, Select: 'COUNT' }))
-    ]);
-
-    res.json({
-      totalProducts: productsResult.Count || 0,
-      totalOrders: ordersResult.Count || 0
-    });
+    res.json(await readStats());
   } catch (error) {
     console.error('Error fetching stats:', error);
     res.status(500).json({ error: 'Failed to fetch stats' });
@@ -116,6 +585,14 @@ app.listen(port, () => {
   console.log(`Environment:`);
   console.log(`  PRODUCTS_TABLE: ${PRODUCTS_TABLE}`);
   console.log(`  ORDERS_TABLE: ${ORDERS_TABLE}`);
+  console.log(`  ANALYTICS_TABLE: ${ANALYTICS_TABLE}`);
   console.log(`  API_URL: ${API_URL}`);
   console.log(`  AWS_REGION: ${process.env.AWS_REGION || 'us-east-1'}`);
+  console.log(`  Dashboard users: ${Object.keys(DASHBOARD_USERS).length}`);
+  if (Object.keys(DASHBOARD_USERS).length === 0) {
+    console.warn('No DASHBOARD_USERS configured; nobody can sign in');
+  }
+  if (!process.env.SESSION_SECRET) {
+    console.warn('SESSION_SECRET is not set; sessions end when the dashboard restarts');
+  }
 });
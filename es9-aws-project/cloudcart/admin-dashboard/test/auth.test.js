@@ -0,0 +1,42 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createLoginThrottle } from '../auth.js';
+
+// A throttle on a clock the test moves by hand
+const throttleAt = (options) => {
+  const clock = { now: Date.UTC(2026, 0, 1, 12) };
+  return { clock, throttle: createLoginThrottle({ maxFailures: 3, windowSeconds: 600, now: () => clock.now, ...options }) };
+};
+
+test('an address is refused once it fails too often, until its window ends', () => {
+  const { clock, throttle } = throttleAt();
+  for (let i = 0; i < 3; i++) {
+    assert.equal(throttle.retryAfter('10.0.0.1'), 0);
+    throttle.failed('10.0.0.1');
+    clock.now += 60 * 1000;
+  }
+  assert.equal(throttle.retryAfter('10.0.0.1'), 420);
+  // Other addresses are unaffected
+  assert.equal(throttle.retryAfter('10.0.0.2'), 0);
+
+  clock.now += 420 * 1000;
+  assert.equal(throttle.retryAfter('10.0.0.1'), 0);
+});
+
+test('a successful sign-in clears the address\'s failures', () => {
+  const { throttle } = throttleAt();
+  throttle.failed('10.0.0.1');
+  throttle.failed('10.0.0.1');
+  throttle.succeeded('10.0.0.1');
+  throttle.failed('10.0.0.1');
+  throttle.failed('10.0.0.1');
+  assert.equal(throttle.retryAfter('10.0.0.1'), 0);
+});
+
+test('past maxTracked addresses, the oldest are forgotten first', () => {
+  const { throttle } = throttleAt({ maxFailures: 1, maxTracked: 2 });
+  for (const address of ['10.0.0.1', '10.0.0.2', '10.0.0.3']) throttle.failed(address);
+  assert.equal(throttle.retryAfter('10.0.0.1'), 0);
+  assert.equal(throttle.retryAfter('10.0.0.2'), 600);
+  assert.equal(throttle.retryAfter('10.0.0.3'), 600);
+});
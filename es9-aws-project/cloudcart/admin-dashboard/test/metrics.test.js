@@ -0,0 +1,111 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createMetricsSource, timeWindow, METRICS } from '../metrics.js';
+
+// 2026-01-01T12:34:56Z; the 1h range then ends at 12:35 and starts at 11:35
+const NOW = Date.UTC(2026, 0, 1, 12, 34, 56);
+const minute = (m) => Date.UTC(2026, 0, 1, 11, 35 + m);
+
+// Stands in for CloudWatchClient: records every command and answers with `pages` in turn
+const stubCloudWatch = (pages) => {
+  const calls = [];
+  return {
+    calls,
+    send: async (command) => {
+      calls.push(command.input);
+      const page = pages[Math.min(calls.length - 1, pages.length - 1)];
+      if (page instanceof Error) throw page;
+      return page;
+    }
+  };
+};
+
+const idOf = (name) => `m${METRICS.findIndex(metric => metric.name === name)}`;
+const result = (name, points) => ({
+  Id: idOf(name),
+  Timestamps: points.map(([t]) => new Date(t)),
+  Values: points.map(([, v]) => v)
+});
+
+test('ranges are aligned to whole periods', () => {
+  const { start, end, period } = timeWindow('1h', NOW);
+  assert.equal(period, 60);
+  assert.equal(end.toISOString(), '2026-01-01T12:35:00.000Z');
+  assert.equal(start.toISOString(), '2026-01-01T11:35:00.000Z');
+});
+
+test('every metric is queried without dimensions in one GetMetricData call', async () => {
+  const cloudwatch = stubCloudWatch([{ MetricDataResults: [] }]);
+  await createMetricsSource({ cloudwatch, now: () => NOW }).getMetrics('6h');
+
+  const [input] = cloudwatch.calls;
+  assert.equal(input.ScanBy, 'TimestampAscending');
+  assert.equal(input.MetricDataQueries.length, METRICS.length);
+  const orders = input.MetricDataQueries.find(q => q.MetricStat.Metric.MetricName === 'OrderPlaced');
+  assert.deepEqual(orders.MetricStat, {
+    Metric: { Namespace: 'CloudCart', MetricName: 'OrderPlaced' },
+    Period: 300,
+    Stat: 'Sum'
+  });
+});
+
+test('counts read zero where nothing happened while averages leave a gap', async () => {
+  const cloudwatch = stubCloudWatch([{
+    MetricDataResults: [
+      result('OrderPlaced', [[minute(1), 2], [minute(3), 1]]),
+      result('CheckoutLatency', [[minute(1), 120], [minute(3), 80]])
+    ]
+  }]);
+  const data = await createMetricsSource({ cloudwatch, now: () => NOW }).getMetrics('1h');
+  const series = (name) => data.metrics.find(metric => metric.name === name);
+
+  const orders = series('OrderPlaced');
+  assert.equal(orders.points.length, 60);
+  assert.deepEqual(orders.points.slice(0, 4).map(p => p.v), [0, 2, 0, 1]);
+  assert.equal(orders.summary, 3);
+
+  const latency = series('CheckoutLatency');
+  assert.deepEqual(latency.points, [{ t: minute(1), v: 120 }, { t: minute(3), v: 80 }]);
+  assert.equal(latency.summary, 100);
+
+  assert.equal(series('OrderProcessingTime').summary, null);
+});
+
+test('paged results are joined', async () => {
+  const cloudwatch = stubCloudWatch([
+    { MetricDataResults: [result('CartItemAdded', [[minute(0), 1]])], NextToken: 'more' },
+    { MetricDataResults: [result('CartItemAdded', [[minute(1), 4]])] }
+  ]);
+  const data = await createMetricsSource({ cloudwatch, now: () => NOW }).getMetrics('1h');
+
+  assert.equal(cloudwatch.calls[1].NextToken, 'more');
+  assert.equal(data.metrics.find(metric => metric.name === 'CartItemAdded').summary, 5);
+});
+
+test('results are cached per range until the TTL passes', async () => {
+  let now = NOW;
+  const cloudwatch = stubCloudWatch([{ MetricDataResults: [] }]);
+  const source = createMetricsSource({ cloudwatch, ttlMs: 60000, now: () => now });
+
+  await Promise.all([source.getMetrics('1h'), source.getMetrics('1h')]);
+  assert.equal(cloudwatch.calls.length, 1, 'concurrent requests share one call');
+
+  await source.getMetrics('7d');
+  assert.equal(cloudwatch.calls.length, 2, 'each range is cached on its own');
+
+  now += 61000;
+  await source.getMetrics('1h');
+  assert.equal(cloudwatch.calls.length, 3);
+});
+
+test('failures are not cached and unknown ranges fall back to the default', async () => {
+  const cloudwatch = stubCloudWatch([new Error('throttled'), { MetricDataResults: [] }]);
+  const source = createMetricsSource({ cloudwatch, now: () => NOW });
+
+  await assert.rejects(source.getMetrics('1h'), /throttled/);
+  const data = await source.getMetrics('1h');
+  assert.equal(data.range, '1h');
+  assert.equal(cloudwatch.calls.length, 2);
+
+  assert.equal((await source.getMetrics('1y')).range, '6h');
+});
@@ -0,0 +1,189 @@
+import { Duration, Stack } from 'aws-cdk-lib';
+import { Construct } from 'constructs';
+import * as iam from 'aws-cdk-lib/aws-iam';
+import * as ec2 from 'aws-cdk-lib/aws-ec2';
+import * as ecs from 'aws-cdk-lib/aws-ecs';
+import * as elbv2 from 'aws-cdk-lib/aws-elasticloadbalancingv2';
+import * as ecr from 'aws-cdk-lib/aws-ecr';
+import * as secretsmanager from 'aws-cdk-lib/aws-secretsmanager';
+import { removalPolicyOf, emptyOnDelete } from './config.js';
+
+// The admin dashboard (admin-dashboard/) on ECS Fargate behind a public load balancer, with its VPC,
+// ECR repository and sign-in secrets. It reads products, orders and analytics directly and goes
+// through the admin API for changes.
+//
+// Props: `config` (see config.js), `api` (the HTTP API), `catalog` (a CatalogService), `orders` (an
+// OrderPipeline), `analytics` (the analytics table) and `jwtSecret` (signs the admin API tokens).
+export class AdminDashboardService extends Construct {
+  constructor(scope, id, { config, api, catalog, orders, analytics, jwtSecret }) {
+    super(scope, id);
+
+    const removalPolicy = removalPolicyOf(config);
+
+    // VPC for ECS/Fargate. Without NAT gateways (the cheap default) there are only public subnets and
+    // the tasks get public IPs; with them, the tasks run in private subnets behind the load balancer.
+    const privateTasks = config.network.natGateways > 0;
+    const vpc = new ec2.Vpc(this, 'CloudCartVpc', {
+      maxAzs: config.network.maxAzs,
+      natGateways: config.network.natGateways,
+      subnetConfiguration: [
+        {
+          cidrMask: 24,
+          name: 'Public',
+          subnetType: ec2.SubnetType.PUBLIC
+        },
+        ...(privateTasks ? [{ cidrMask: 24, name: 'Private', subnetType: ec2.SubnetType.PRIVATE_WITH_EGRESS }] : [])
+      ]
+    });
+
+    // ECS Cluster
+    const cluster = this.cluster = new ecs.Cluster(this, 'AdminCluster', {
+      vpc,
+      clusterName: 'cloudcart-admin-cluster'
+    });
+
+    // Task Definition
+    const taskDefinition = new ecs.FargateTaskDefinition(this, 'AdminTaskDef', {
+      memoryLimitMiB: config.dashboard.memoryLimitMiB,
+      cpu: config.dashboard.cpu
+    });
+    this.taskRole = taskDefinition.taskRole;
+
+    // Grant DynamoDB read permissions to task
+    catalog.grantReadProducts(taskDefinition.taskRole);
+    orders.grantReadOrders(taskDefinition.taskRole);
+    // Home page stats come from the order and product totals
+    analytics.grantReadData(taskDefinition.taskRole);
+    // The Metrics page charts the CloudCart custom metrics; GetMetricData has no resource-level permissions
+    taskDefinition.taskRole.addToPrincipalPolicy(new iam.PolicyStatement({
+      actions: ['cloudwatch:GetMetricData'],
+      resources: ['*']
+    }));
+
+    // Dashboard sign-in: a JSON object of username to password, starting with a generated password for
+    // "admin". Add users by editing the secret and restarting the service.
+    const users = this.usersSecret = new secretsmanager.Secret(this, 'DashboardUsersSecret', {
+      description: 'CloudCart admin dashboard users ({"<username>": "<password>"})',
+      generateSecretString: {
+        secretStringTemplate: JSON.stringify({}),
+        generateStringKey: 'admin',
+        passwordLength: 24,
+        excludePunctuation: true
+      },
+      removalPolicy
+    });
+
+    // Signs dashboard session, CSRF and flash cookies
+    const sessionSecret = new secretsmanager.Secret(this, 'DashboardSessionSecret', {
+      generateSecretString: { passwordLength: 64, excludePunctuation: true },
+      removalPolicy
+    });
+
+    // ECR Repository for admin dashboard (optional, students can push their image here)
+    const repository = this.repository = new ecr.Repository(this, 'AdminDashboardRepo', {
+      repositoryName: 'cloudcart-admin-dashboard',
+      removalPolicy,
+      emptyOnDelete: emptyOnDelete(config)
+    });
+
+    // Container: config.dashboard.image is 'placeholder' (an idle Node.js image until students build
+    // and push their own), 'ecr' (the image pushed to the repository above) or any registry image
+    const placeholderImage = config.dashboard.image === 'placeholder';
+    const image = placeholderImage
+      ? ecs.ContainerImage.fromRegistry('public.ecr.aws/docker/library/node:22-alpine')
+      : config.dashboard.image === 'ecr'
+        ? ecs.ContainerImage.fromEcrRepository(repository, 'latest')
+        : ecs.ContainerImage.fromRegistry(config.dashboard.image);
+    const container = taskDefinition.addContainer('AdminDashboard', {
+      image,
+      logging: ecs.LogDrivers.awsLogs({
+        streamPrefix: 'admin-dashboard',
+        logRetention: config.logRetentionDays
+      }),
+      environment: {
+        PORT: '3000',
+        PRODUCTS_TABLE: catalog.productsTable.tableName,
+        ORDERS_TABLE: orders.ordersTable.tableName,
+        ANALYTICS_TABLE: analytics.tableName,
+        API_URL: api.apiEndpoint,
+        AWS_REGION: Stack.of(this).region
+      },
+      // JWT_SECRET mints short-lived admin tokens for the admin API in the signed-in user's name
+      secrets: {
+        JWT_SECRET: ecs.Secret.fromSecretsManager(jwtSecret),
+        DASHBOARD_USERS: ecs.Secret.fromSecretsManager(users),
+        SESSION_SECRET: ecs.Secret.fromSecretsManager(sessionSecret)
+      },
+      ...(placeholderImage && {
+        command: [
+          'sh', '-c',
+          'echo "Container started - Replace with admin dashboard image" && while true; do sleep 30; done'
+        ]
+      })
+    });
+
+    container.addPortMappings({
+      containerPort: 3000,
+      protocol: ecs.Protocol.TCP
+    });
+
+    // Application Load Balancer
+    const alb = new elbv2.ApplicationLoadBalancer(this, 'AdminALB', {
+      vpc,
+      internetFacing: true,
+      loadBalancerName: 'cloudcart-admin-alb'
+    });
+
+    // With a certificate the dashboard is served over HTTPS and port 80 only redirects to it. Without
+    // one, sign-in passwords and session cookies cross the internet in the clear, which is only
+    // acceptable for a throwaway dev stack (prod refuses to synth without a certificate). `url` is the
+    // load balancer's own name, which the certificate won't cover: point a name it does cover at it.
+    const certificateArn = config.dashboard.certificateArn;
+    let listener;
+    if (certificateArn) {
+      this.url = `https://${alb.loadBalancerDnsName}`;
+      listener = alb.addListener('HttpsListener', {
+        port: 443,
+        certificates: [elbv2.ListenerCertificate.fromArn(certificateArn)],
+        sslPolicy: elbv2.SslPolicy.RECOMMENDED_TLS,
+        open: true
+      });
+      alb.addListener('HttpListener', {
+        port: 80,
+        open: true,
+        defaultAction: elbv2.ListenerAction.redirect({ protocol: 'HTTPS', port: '443', permanent: true })
+      });
+    } else {
+      this.url = `http://${alb.loadBalancerDnsName}`;
+      listener = alb.addListener('HttpListener', {
+        port: 80,
+        open: true
+      });
+    }
+
+    // Fargate Service
+    const service = this.service = new ecs.FargateService(this, 'AdminService', {
+      cluster,
+      taskDefinition,
+      desiredCount: config.dashboard.desiredCount,
+      // Tasks in public subnets need a public IP to pull images and reach AWS APIs
+      assignPublicIp: !privateTasks,
+      ...(privateTasks && { vpcSubnets: { subnetType: ec2.SubnetType.PRIVATE_WITH_EGRESS } }),
+      serviceName: 'admin-dashboard-service'
+    });
+
+    // Target Group
+    listener.addTargets('AdminTarget', {
+      port: 3000,
+      protocol: elbv2.ApplicationProtocol.HTTP,
+      targets: [service],
+      healthCheck: {
+        path: '/health',
+        interval: Duration.seconds(60),
+        timeout: Duration.seconds(5),
+        healthyThresholdCount: 2,
+        unhealthyThresholdCount: 3
+      }
+    });
+  }
+}
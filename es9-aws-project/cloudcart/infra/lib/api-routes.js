@@ -0,0 +1,40 @@
+// Every route of the HTTP API and the handler behind it (`entry`, relative to services/).
+// The stack creates the API from this table and the local runner (services/local) serves the same
+// routes, so a route added here exists in both.
+//
+// `auth` says which Lambda authorizer guards the route:
+//   'required' - a valid token is needed; routes under /admin/ also need the admin role
+//   'optional' - callers without a token get through as anonymous
+//   (none)     - public
+export const API_ROUTES = [
+  { method: 'GET', path: '/products', entry: 'products/getProducts.js' },
+  { method: 'GET', path: '/products/search', entry: 'products/searchProducts.js' },
+  { method: 'GET', path: '/products/{id}', entry: 'products/getProductById.js' },
+  // Needs a signed-in caller; the handler checks for the admin role
+  { method: 'POST', path: '/products/{id}/upload-url', entry: 'products/generateUploadUrl.js', auth: 'required' },
+  { method: 'GET', path: '/categories/{name}', entry: 'products/listByCategory.js' },
+
+  // Customer routes read the caller from the authorizer context, or their cart token if anonymous
+  { method: 'GET', path: '/cart', entry: 'cart/handler.js', auth: 'optional' },
+  { method: 'POST', path: '/cart', entry: 'cart/handler.js', auth: 'optional' },
+  { method: 'DELETE', path: '/cart', entry: 'cart/handler.js', auth: 'optional' },
+  // Anonymous carts are merged into the signed-in caller's cart at checkout
+  { method: 'POST', path: '/checkout', entry: 'orders/checkout.js', auth: 'required' },
+  { method: 'GET', path: '/orders', entry: 'orders/getOrders.js', auth: 'required' },
+  { method: 'GET', path: '/orders/{id}', entry: 'orders/getOrderById.js', auth: 'required' },
+  { method: 'POST', path: '/orders/{id}/cancel', entry: 'orders/cancelOrder.js', auth: 'required' },
+
+  { method: 'POST', path: '/admin/products', entry: 'admin/createProduct.js', auth: 'required' },
+  { method: 'PATCH', path: '/admin/products/{id}', entry: 'admin/updateProduct.js', auth: 'required' },
+  { method: 'DELETE', path: '/admin/products/{id}', entry: 'admin/deleteProduct.js', auth: 'required' },
+  { method: 'POST', path: '/admin/products/{id}/stock', entry: 'admin/adjustStock.js', auth: 'required' },
+  { method: 'POST', path: '/admin/products/{id}/restore', entry: 'admin/restoreProduct.js', auth: 'required' },
+  { method: 'POST', path: '/admin/products/import', entry: 'admin/startProductImport.js', auth: 'required' },
+  { method: 'GET', path: '/admin/products/import/{jobId}', entry: 'admin/getImportJob.js', auth: 'required' },
+  { method: 'GET', path: '/admin/products/export', entry: 'admin/exportProducts.js', auth: 'required' },
+  { method: 'GET', path: '/admin/audit', entry: 'admin/listProductAudit.js', auth: 'required' },
+  { method: 'GET', path: '/admin/orders', entry: 'admin/listOrders.js', auth: 'required' },
+  { method: 'GET', path: '/admin/orders/{id}', entry: 'admin/getOrder.js', auth: 'required' },
+  { method: 'PATCH', path: '/admin/orders/{id}/status', entry: 'admin/updateOrderStatus.js', auth: 'required' },
+  { method: 'GET', path: '/admin/analytics', entry: 'admin/getAnalytics.js', auth: 'required' }
+];
@@ -0,0 +1,327 @@
+import { Duration } from 'aws-cdk-lib';
+import { Construct } from 'constructs';
+import * as dynamodb from 'aws-cdk-lib/aws-dynamodb';
+import * as s3 from 'aws-cdk-lib/aws-s3';
+import * as s3n from 'aws-cdk-lib/aws-s3-notifications';
+import * as lambda from 'aws-cdk-lib/aws-lambda';
+import * as lambdaEventSources from 'aws-cdk-lib/aws-lambda-event-sources';
+import { readFileSync } from 'fs';
+import { ServiceFunction, servicePath } from './service-function.js';
+import { removalPolicyOf, emptyOnDelete } from './config.js';
+
+const SHARP_VERSION = JSON.parse(readFileSync(servicePath('package.json'), 'utf8')).dependencies.sharp;
+
+// Products and everything built on them: the products table and its search index and audit trail,
+// product images, bulk imports and exports, and the public and admin product routes.
+//
+// Props: `config` (see config.js), `analytics` (the table the search indexer keeps product totals in)
+// and `cursorSecret` (signs pagination cursors).
+export class CatalogService extends Construct {
+  constructor(scope, id, { config, analytics, cursorSecret }) {
+    super(scope, id);
+
+    const removalPolicy = removalPolicyOf(config);
+    const fn = (fnId, props) => new ServiceFunction(this, fnId, { config, ...props });
+    const cursorSecrets = { CURSOR_SECRET: cursorSecret };
+
+    // S3 Bucket for Product Images (private; product reads hand out signed GET URLs)
+    // Browsers POST uploads and fetch images cross-origin, so CORS lists the shop and dashboard
+    // origins (config.corsOrigins)
+    const imagesBucket = this.imagesBucket = new s3.Bucket(this, 'ProductImagesBucket', {
+      removalPolicy,
+      autoDeleteObjects: emptyOnDelete(config),
+      versioned: true,
+      blockPublicAccess: s3.BlockPublicAccess.BLOCK_ALL,
+      enforceSSL: true,
+      cors: [{
+        allowedOrigins: config.corsOrigins,
+        allowedMethods: [s3.HttpMethods.GET, s3.HttpMethods.POST],
+        allowedHeaders: ['*'],
+        exposedHeaders: ['ETag']
+      }]
+    });
+
+    // S3 Bucket for bulk product import files and catalogue exports (private, short-lived)
+    const importsBucket = this.importsBucket = new s3.Bucket(this, 'ProductImportsBucket', {
+      removalPolicy,
+      autoDeleteObjects: emptyOnDelete(config),
+      blockPublicAccess: s3.BlockPublicAccess.BLOCK_ALL,
+      enforceSSL: true,
+      // Lets browser tools PUT import files to presigned upload URLs
+      cors: [{
+        allowedOrigins: config.corsOrigins,
+        allowedMethods: [s3.HttpMethods.PUT],
+        allowedHeaders: ['*']
+      }],
+      lifecycleRules: [{ expiration: Duration.days(7) }]
+    });
+
+    // DynamoDB Products
+    const products = this.productsTable = new dynamodb.Table(this, 'ProductsTableName', {
+      partitionKey: { name: 'id', type: dynamodb.AttributeType.STRING },
+      billingMode: dynamodb.BillingMode.PAY_PER_REQUEST,
+      // Feeds the search indexer; old images let it remove entries a product no longer matches
+      stream: dynamodb.StreamViewType.NEW_AND_OLD_IMAGES,
+      pointInTimeRecoverySpecification: { pointInTimeRecoveryEnabled: config.pointInTimeRecovery },
+      removalPolicy
+    });
+    products.addGlobalSecondaryIndex({
+      indexName: 'gsi_category',
+      partitionKey: { name: 'category', type: dynamodb.AttributeType.STRING }
+    });
+
+    // DynamoDB Search Index (product entries per search term, category and #all, fed by the products stream)
+    const searchIndex = this.searchIndexTable = new dynamodb.Table(this, 'SearchIndexTable', {
+      partitionKey: { name: 'term', type: dynamodb.AttributeType.STRING },
+      sortKey: { name: 'productId', type: dynamodb.AttributeType.STRING },
+      billingMode: dynamodb.BillingMode.PAY_PER_REQUEST,
+      removalPolicy
+    });
+    searchIndex.addLocalSecondaryIndex({
+      indexName: 'lsi_price',
+      sortKey: { name: 'price', type: dynamodb.AttributeType.NUMBER }
+    });
+    searchIndex.addLocalSecondaryIndex({
+      indexName: 'lsi_createdAt',
+      sortKey: { name: 'createdAt', type: dynamodb.AttributeType.STRING }
+    });
+
+    // DynamoDB Import Jobs (status and per-row error report of bulk product imports)
+    const importJobs = new dynamodb.Table(this, 'ImportJobsTable', {
+      partitionKey: { name: 'jobId', type: dynamodb.AttributeType.STRING },
+      billingMode: dynamodb.BillingMode.PAY_PER_REQUEST,
+      timeToLiveAttribute: 'expiresAt',
+      removalPolicy
+    });
+
+    // DynamoDB Product audit trail (one entry per versioned product change, written from the products stream)
+    const productAudit = this.productAuditTable = new dynamodb.Table(this, 'ProductAuditTable', {
+      partitionKey: { name: 'productId', type: dynamodb.AttributeType.STRING },
+      sortKey: { name: 'sk', type: dynamodb.AttributeType.STRING },
+      billingMode: dynamodb.BillingMode.PAY_PER_REQUEST,
+      pointInTimeRecoverySpecification: { pointInTimeRecoveryEnabled: config.pointInTimeRecovery },
+      removalPolicy
+    });
+    // Recent changes across every product, newest first
+    productAudit.addGlobalSecondaryIndex({
+      indexName: 'gsi_recent',
+      partitionKey: { name: 'entity', type: dynamodb.AttributeType.STRING },
+      sortKey: { name: 'sk', type: dynamodb.AttributeType.STRING }
+    });
+
+    // Lambdas
+    const getProducts = this.getProducts = fn('GetProductsFn', {
+      entry: 'products/getProducts.js',
+      environment: { PRODUCTS_TABLE: products.tableName, IMAGES_BUCKET: imagesBucket.bucketName },
+      secrets: cursorSecrets
+    });
+    products.grantReadData(getProducts);
+
+    const searchProducts = fn('SearchProductsFn', {
+      entry: 'products/searchProducts.js',
+      environment: {
+        PRODUCTS_TABLE: products.tableName,
+        SEARCH_TABLE: searchIndex.tableName,
+        IMAGES_BUCKET: imagesBucket.bucketName
+      },
+      secrets: cursorSecrets
+    });
+    searchIndex.grant(searchProducts, 'dynamodb:Query');
+    products.grant(searchProducts, 'dynamodb:BatchGetItem');
+
+    const searchIndexer = fn('SearchIndexerFn', {
+      entry: 'products/searchIndexer.js',
+      environment: { SEARCH_TABLE: searchIndex.tableName, ANALYTICS_TABLE: analytics.tableName },
+      timeout: Duration.seconds(30)
+    });
+    searchIndexer.addEventSource(new lambdaEventSources.DynamoEventSource(products, {
+      startingPosition: lambda.StartingPosition.TRIM_HORIZON,
+      batchSize: 10,
+      retryAttempts: 2,
+      reportBatchItemFailures: true
+    }));
+    searchIndex.grant(searchIndexer, 'dynamodb:BatchWriteItem');
+    analytics.grant(searchIndexer, 'dynamodb:UpdateItem');
+
+    const recordProductAudit = fn('RecordProductAuditFn', {
+      entry: 'products/recordProductAudit.js',
+      environment: { AUDIT_TABLE: productAudit.tableName },
+      timeout: Duration.seconds(30)
+    });
+    recordProductAudit.addEventSource(new lambdaEventSources.DynamoEventSource(products, {
+      startingPosition: lambda.StartingPosition.TRIM_HORIZON,
+      batchSize: 25,
+      retryAttempts: 5
+    }));
+    productAudit.grant(recordProductAudit, 'dynamodb:BatchWriteItem');
+
+    const getProductById = fn('GetProductByIdFn', {
+      entry: 'products/getProductById.js',
+      environment: { PRODUCTS_TABLE: products.tableName, IMAGES_BUCKET: imagesBucket.bucketName }
+    });
+    products.grantReadData(getProductById);
+
+    const generateUploadUrl = fn('GenerateUploadUrlFn', {
+      entry: 'products/generateUploadUrl.js',
+      environment: { IMAGES_BUCKET: imagesBucket.bucketName, PRODUCTS_TABLE: products.tableName }
+    });
+    products.grantReadData(generateUploadUrl);
+    imagesBucket.grantPut(generateUploadUrl, 'uploads/*');
+
+    // Validates uploaded images and writes resized WebP variants back onto the product
+    const processImage = fn('ProcessImageFn', {
+      entry: 'products/processImage.js',
+      environment: { IMAGES_BUCKET: imagesBucket.bucketName, PRODUCTS_TABLE: products.tableName },
+      architecture: lambda.Architecture.X86_64,
+      memorySize: 1536,
+      timeout: Duration.seconds(60),
+      bundling: {
+        // sharp ships native binaries, so it is installed next to the bundle rather than bundled,
+        // and always as the Linux x64 build whatever machine runs the synth
+        externalModules: ['@aws-sdk/*', 'sharp'],
+        commandHooks: {
+          beforeBundling: () => [],
+          beforeInstall: () => [],
+          afterBundling: (inputDir, outputDir) => [
+            `cd "${outputDir}" && npm install --no-save --no-package-lock --os=linux --cpu=x64 --libc=glibc sharp@${SHARP_VERSION}`
+          ]
+        }
+      }
+    });
+    products.grant(processImage, 'dynamodb:UpdateItem');
+    imagesBucket.grantReadWrite(processImage, 'uploads/*');
+    imagesBucket.grantDelete(processImage, 'uploads/*');
+    imagesBucket.grantReadWrite(processImage, 'products/*');
+    imagesBucket.grantDelete(processImage, 'products/*');
+    imagesBucket.addEventNotification(
+      s3.EventType.OBJECT_CREATED,
+      new s3n.LambdaDestination(processImage),
+      { prefix: 'uploads/' }
+    );
+
+    const listByCategory = fn('ListByCategoryFn', {
+      entry: 'products/listByCategory.js',
+      environment: { PRODUCTS_TABLE: products.tableName, IMAGES_BUCKET: imagesBucket.bucketName },
+      secrets: cursorSecrets
+    });
+    products.grantReadData(listByCategory);
+
+    // Product reads sign image URLs with their own role, so it needs read access to the variants
+    for (const reader of [getProducts, searchProducts, getProductById, listByCategory]) {
+      imagesBucket.grantRead(reader, 'products/*');
+    }
+
+    // Admin Lambda Functions
+    const createProduct = fn('CreateProductFn', {
+      entry: 'admin/createProduct.js',
+      environment: { PRODUCTS_TABLE: products.tableName }
+    });
+    products.grantWriteData(createProduct);
+
+    const updateProduct = fn('UpdateProductFn', {
+      entry: 'admin/updateProduct.js',
+      environment: { PRODUCTS_TABLE: products.tableName }
+    });
+    products.grantReadWriteData(updateProduct);
+
+    const deleteProduct = fn('DeleteProductFn', {
+      entry: 'admin/deleteProduct.js',
+      environment: { PRODUCTS_TABLE: products.tableName }
+    });
+    products.grantReadWriteData(deleteProduct);
+
+    const restoreProduct = fn('RestoreProductFn', {
+      entry: 'admin/restoreProduct.js',
+      environment: { PRODUCTS_TABLE: products.tableName }
+    });
+    products.grant(restoreProduct, 'dynamodb:UpdateItem');
+
+    const listProductAudit = fn('ListProductAuditFn', {
+      entry: 'admin/listProductAudit.js',
+      environment: { AUDIT_TABLE: productAudit.tableName },
+      secrets: cursorSecrets
+    });
+    productAudit.grantReadData(listProductAudit);
+
+    const adjustStock = fn('AdjustStockFn', {
+      entry: 'admin/adjustStock.js',
+      environment: { PRODUCTS_TABLE: products.tableName }
+    });
+    this.grantStockUpdates(adjustStock);
+
+    const startProductImport = fn('StartProductImportFn', {
+      entry: 'admin/startProductImport.js',
+      environment: { IMPORT_JOBS_TABLE: importJobs.tableName, IMPORTS_BUCKET: importsBucket.bucketName }
+    });
+    importJobs.grant(startProductImport, 'dynamodb:PutItem');
+    importsBucket.grantPut(startProductImport, 'imports/*');
+
+    const processProductImport = fn('ProcessProductImportFn', {
+      entry: 'admin/processProductImport.js',
+      environment: { IMPORT_JOBS_TABLE: importJobs.tableName, PRODUCTS_TABLE: products.tableName },
+      memorySize: 1024,
+      timeout: Duration.minutes(10)
+    });
+    importJobs.grant(processProductImport, 'dynamodb:UpdateItem');
+    products.grant(processProductImport, 'dynamodb:PutItem');
+    importsBucket.grantRead(processProductImport, 'imports/*');
+    importsBucket.addEventNotification(
+      s3.EventType.OBJECT_CREATED,
+      new s3n.LambdaDestination(processProductImport),
+      { prefix: 'imports/' }
+    );
+
+    const getImportJob = fn('GetImportJobFn', {
+      entry: 'admin/getImportJob.js',
+      environment: { IMPORT_JOBS_TABLE: importJobs.tableName }
+    });
+    importJobs.grant(getImportJob, 'dynamodb:GetItem');
+
+    const exportProducts = fn('ExportProductsFn', {
+      entry: 'admin/exportProducts.js',
+      environment: { PRODUCTS_TABLE: products.tableName, IMPORTS_BUCKET: importsBucket.bucketName },
+      // HTTP API integrations time out after 30 seconds
+      timeout: Duration.seconds(29)
+    });
+    products.grant(exportProducts, 'dynamodb:Scan');
+    importsBucket.grantReadWrite(exportProducts, 'exports/*');
+
+    // The functions serving the routes in api-routes.js, by entry
+    this.handlers = {
+      'products/getProducts.js': getProducts,
+      'products/searchProducts.js': searchProducts,
+      'products/getProductById.js': getProductById,
+      'products/generateUploadUrl.js': generateUploadUrl,
+      'products/listByCategory.js': listByCategory,
+      'admin/createProduct.js': createProduct,
+      'admin/updateProduct.js': updateProduct,
+      'admin/deleteProduct.js': deleteProduct,
+      'admin/adjustStock.js': adjustStock,
+      'admin/restoreProduct.js': restoreProduct,
+      'admin/startProductImport.js': startProductImport,
+      'admin/getImportJob.js': getImportJob,
+      'admin/exportProducts.js': exportProducts,
+      'admin/listProductAudit.js': listProductAudit
+    };
+  }
+
+  // Read products and query them by category
+  grantReadProducts(grantee) {
+    return this.productsTable.grantReadData(grantee);
+  }
+
+  // Change stock levels with conditional updates of single products
+  grantStockUpdates(grantee) {
+    return this.productsTable.grant(grantee, 'dynamodb:UpdateItem');
+  }
+
+  // Look up a batch of products and reserve their stock, as checkout does for a whole cart
+  grantStockReservations(grantee) {
+    return this.productsTable.grant(grantee, 'dynamodb:BatchGetItem', 'dynamodb:UpdateItem');
+  }
+
+  // Errors of the product list, the busiest public read
+  metricReadErrors(props) {
+    return this.getProducts.metricErrors(props);
+  }
+}
@@ -0,0 +1,178 @@
+import { readFileSync } from 'fs';
+import path from 'path';
+import { RemovalPolicy } from 'aws-cdk-lib';
+import { RetentionDays } from 'aws-cdk-lib/aws-logs';
+
+// Per-environment settings of the stack. Pick the environment with `-c env=dev|staging|prod`
+// (default dev). Each environment starts from its profile below; values under
+// `context.cloudcart.<env>` in cdk.json override it, and a JSON file passed with
+// `-c configFile=<path>` overrides both, e.g.
+//   { "corsOrigins": ["https://shop.example.com"], "alarms": { "workerErrors": 1 } }
+// The result is checked before anything is built, and prod refuses to synth with settings that
+// would delete data when the stack or a resource is removed.
+
+/**
+ * @typedef {object} CloudCartConfig
+ * @property {'dev' | 'staging' | 'prod'} env
+ * @property {'destroy' | 'retain'} removalPolicy Tables, buckets, secrets and the ECR repository.
+ *   'destroy' also empties buckets and the repository so the stack can be deleted.
+ * @property {boolean} pointInTimeRecovery Continuous backups of the products, orders and product audit tables
+ * @property {string[]} corsOrigins Browser origins allowed by the HTTP API and the buckets ('*' for any)
+ * @property {number} logRetentionDays Lambda and container logs; one of the CloudWatch Logs retention periods
+ * @property {'debug' | 'info' | 'warn' | 'error'} logLevel
+ * @property {{ memorySize: number, timeoutSeconds: number }} lambda Defaults for functions without their own
+ * @property {{ apiServerErrors: number, queueDepth: number, workerErrors: number }} alarms Alarm thresholds
+ * @property {{ image: string, desiredCount: number, cpu: number, memoryLimitMiB: number, certificateArn: string | null }} dashboard
+ *   Admin dashboard service. `image` is 'placeholder' (an idle Node.js container), 'ecr' (the
+ *   stack's ECR repository, tag latest) or any registry image. With an ACM `certificateArn` the load
+ *   balancer serves HTTPS and redirects HTTP to it; without one it serves plain HTTP.
+ * @property {{ maxAzs: number, natGateways: number }} network With NAT gateways, the dashboard
+ *   tasks run in private subnets instead of public ones.
+ */
+
+/** @type {Record<string, Omit<CloudCartConfig, 'env'>>} */
+export const PROFILES = {
+  dev: {
+    removalPolicy: 'destroy',
+    pointInTimeRecovery: false,
+    corsOrigins: ['*'],
+    logRetentionDays: 7,
+    logLevel: 'info',
+    lambda: { memorySize: 512, timeoutSeconds: 15 },
+    alarms: { apiServerErrors: 10, queueDepth: 100, workerErrors: 5 },
+    dashboard: { image: 'placeholder', desiredCount: 1, cpu: 256, memoryLimitMiB: 512, certificateArn: null },
+    network: { maxAzs: 2, natGateways: 0 }
+  },
+  staging: {
+    removalPolicy: 'destroy',
+    pointInTimeRecovery: true,
+    corsOrigins: ['*'],
+    logRetentionDays: 30,
+    logLevel: 'info',
+    lambda: { memorySize: 512, timeoutSeconds: 15 },
+    alarms: { apiServerErrors: 10, queueDepth: 100, workerErrors: 5 },
+    dashboard: { image: 'ecr', desiredCount: 1, cpu: 256, memoryLimitMiB: 512, certificateArn: null },
+    network: { maxAzs: 2, natGateways: 0 }
+  },
+  // corsOrigins and dashboard.certificateArn have no default: set them in cdk.json or the config file
+  prod: {
+    removalPolicy: 'retain',
+    pointInTimeRecovery: true,
+    corsOrigins: [],
+    logRetentionDays: 90,
+    logLevel: 'info',
+    lambda: { memorySize: 1024, timeoutSeconds: 15 },
+    alarms: { apiServerErrors: 5, queueDepth: 50, workerErrors: 1 },
+    dashboard: { image: 'ecr', desiredCount: 2, cpu: 512, memoryLimitMiB: 1024, certificateArn: null },
+    network: { maxAzs: 2, natGateways: 1 }
+  }
+};
+
+const RETENTION_DAYS = Object.values(RetentionDays).filter(days => typeof days === 'number' && days > 0);
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Nested objects merge key by key; anything else is replaced
+const merge = (base, override) => {
+  if (!isObject(override)) return base;
+  const merged = { ...base };
+  for (const [key, value] of Object.entries(override)) {
+    merged[key] = isObject(value) && isObject(base[key]) ? merge(base[key], value) : value;
+  }
+  return merged;
+};
+
+const integerIn = (min, max) => (value) => Number.isInteger(value) && value >= min && value <= max;
+
+// Every setting and what it accepts; anything else in an override is a typo
+const RULES = {
+  removalPolicy: [(value) => ['destroy', 'retain'].includes(value), "'destroy' or 'retain'"],
+  pointInTimeRecovery: [(value) => typeof value === 'boolean', 'true or false'],
+  corsOrigins: [
+    (value) => Array.isArray(value) && value.length > 0 && value.every(origin => typeof origin === 'string' && origin.length > 0),
+    "a non-empty list of origins, e.g. [\"https://shop.example.com\"] or [\"*\"]"
+  ],
+  logRetentionDays: [(value) => RETENTION_DAYS.includes(value), `one of ${RETENTION_DAYS.join(', ')}`],
+  logLevel: [(value) => ['debug', 'info', 'warn', 'error'].includes(value), "'debug', 'info', 'warn' or 'error'"],
+  'lambda.memorySize': [integerIn(128, 10240), 'an integer from 128 to 10240'],
+  'lambda.timeoutSeconds': [integerIn(1, 900), 'an integer from 1 to 900'],
+  'alarms.apiServerErrors': [integerIn(1, Infinity), 'a positive integer'],
+  'alarms.queueDepth': [integerIn(1, Infinity), 'a positive integer'],
+  'alarms.workerErrors': [integerIn(1, Infinity), 'a positive integer'],
+  'dashboard.image': [(value) => typeof value === 'string' && value.length > 0, "'placeholder', 'ecr' or an image name"],
+  'dashboard.desiredCount': [integerIn(0, 100), 'an integer from 0 to 100'],
+  'dashboard.cpu': [(value) => [256, 512, 1024, 2048, 4096].includes(value), '256, 512, 1024, 2048 or 4096'],
+  'dashboard.memoryLimitMiB': [integerIn(512, 30720), 'an integer from 512 to 30720'],
+  'dashboard.certificateArn': [
+    (value) => value === null || (typeof value === 'string' && /^arn:aws[\w-]*:acm:/.test(value)),
+    'null or an ACM certificate ARN'
+  ],
+  'network.maxAzs': [integerIn(1, 6), 'an integer from 1 to 6'],
+  'network.natGateways': [integerIn(0, 6), 'an integer from 0 to 6']
+};
+
+const valueAt = (config, key) => key.split('.').reduce((value, part) => value?.[part], config);
+
+const keysOf = (value, prefix = '') => Object.entries(value).flatMap(([key, inner]) =>
+  (isObject(inner) ? keysOf(inner, `${prefix}${key}.`) : [`${prefix}${key}`]));
+
+// Problems with a configuration, as messages; empty when it can be deployed
+export const validateConfig = (config) => {
+  const errors = [];
+  for (const key of keysOf(config)) {
+    if (key !== 'env' && !RULES[key]) errors.push(`${key} is not a setting`);
+  }
+  for (const [key, [valid, expected]] of Object.entries(RULES)) {
+    if (!valid(valueAt(config, key))) errors.push(`${key} must be ${expected}`);
+  }
+  if (config.network?.natGateways > config.network?.maxAzs) {
+    errors.push('network.natGateways cannot be more than network.maxAzs');
+  }
+
+  if (config.env === 'prod') {
+    if (config.removalPolicy !== 'retain') {
+      errors.push("removalPolicy must be 'retain' in prod, so removing the stack or a resource keeps its data");
+    }
+    if (!config.pointInTimeRecovery) errors.push('pointInTimeRecovery must be on in prod');
+    if (config.corsOrigins?.includes?.('*')) errors.push('corsOrigins must list the allowed origins in prod, not *');
+    if (config.dashboard?.image === 'placeholder') errors.push('dashboard.image cannot be the placeholder in prod');
+    if (!config.dashboard?.certificateArn) {
+      errors.push('dashboard.certificateArn must be set in prod, so dashboard sign-ins and sessions go over HTTPS');
+    }
+  }
+  return errors;
+};
+
+// The configuration for the environment selected in the construct's context; throws if it is invalid
+export const loadConfig = (node) => {
+  const env = node.tryGetContext('env') || 'dev';
+  if (!PROFILES[env]) {
+    throw new Error(`Unknown environment "${env}"; use -c env=${Object.keys(PROFILES).join('|')}`);
+  }
+
+  let config = merge(PROFILES[env], node.tryGetContext('cloudcart')?.[env]);
+  const configFile = node.tryGetContext('configFile');
+  if (configFile) {
+    config = merge(config, JSON.parse(readFileSync(path.resolve(configFile), 'utf8')));
+  }
+  // Single settings from earlier versions of the stack: -c imageCorsOrigins=a,b -c logLevel=debug
+  const corsOrigins = node.tryGetContext('imageCorsOrigins');
+  if (corsOrigins) {
+    config.corsOrigins = Array.isArray(corsOrigins)
+      ? corsOrigins
+      : corsOrigins.split(',').map(origin => origin.trim()).filter(Boolean);
+  }
+  config.logLevel = node.tryGetContext('logLevel') || config.logLevel;
+
+  config = { env, ...config };
+  const errors = validateConfig(config);
+  if (errors.length > 0) {
+    throw new Error(`Invalid CloudCart configuration for ${env}:\n  - ${errors.join('\n  - ')}`);
+  }
+  return config;
+};
+
+// The CDK removal policy for stateful resources, and whether buckets and repositories are emptied so
+// they can be deleted with the stack
+export const removalPolicyOf = (config) => (config.removalPolicy === 'retain' ? RemovalPolicy.RETAIN : RemovalPolicy.DESTROY);
+export const emptyOnDelete = (config) => config.removalPolicy === 'destroy';
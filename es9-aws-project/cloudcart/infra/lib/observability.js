@@ -0,0 +1,115 @@
+import { Duration } from 'aws-cdk-lib';
+import { Construct } from 'constructs';
+import * as sns from 'aws-cdk-lib/aws-sns';
+import * as cloudwatch from 'aws-cdk-lib/aws-cloudwatch';
+import * as actions from 'aws-cdk-lib/aws-cloudwatch-actions';
+import * as logs from 'aws-cdk-lib/aws-logs';
+
+// The CloudWatch dashboard, the alarms and the topic they notify, and the saved Logs Insights query
+// that follows an order through the pipeline. Built from the metrics the services expose.
+//
+// Props: `config` (see config.js, for the alarm thresholds), `api` (the HTTP API), `catalog` (a
+// CatalogService) and `orders` (an OrderPipeline).
+export class Observability extends Construct {
+  constructor(scope, id, { config, api, catalog, orders }) {
+    super(scope, id);
+
+    // SNS Topic for Alarms
+    this.alarmTopic = new sns.Topic(this, 'AlarmTopic', {
+      displayName: 'CloudCart Alarms'
+    });
+    // Subscribe to it (e.g. by email) through the AlarmTopicArn stack output
+
+    // CloudWatch Dashboard
+    this.dashboard = new cloudwatch.Dashboard(this, 'CloudCartDashboard', {
+      dashboardName: 'CloudCart-Metrics'
+    });
+
+    // Add widgets to dashboard
+    this.dashboard.addWidgets(
+      new cloudwatch.GraphWidget({
+        title: 'API Gateway Requests',
+        left: [
+          api.metricCount(),
+          api.metricClientError(),
+          api.metricServerError()
+        ],
+        width: 12
+      }),
+      new cloudwatch.GraphWidget({
+        title: 'Lambda Errors',
+        left: [orders.checkout.metricErrors(), orders.metricWorkerErrors(), catalog.metricReadErrors()],
+        width: 12
+      })
+    );
+
+    this.dashboard.addWidgets(
+      new cloudwatch.GraphWidget({
+        title: 'Lambda Duration',
+        left: [orders.checkout.metricDuration(), orders.worker.metricDuration()],
+        width: 12
+      }),
+      new cloudwatch.GraphWidget({
+        title: 'SQS Queue Depth',
+        left: [orders.metricQueueDepth()],
+        width: 12
+      })
+    );
+
+    this.dashboard.addWidgets(
+      new cloudwatch.GraphWidget({
+        title: 'Lambda Invocations',
+        left: [orders.checkout.metricInvocations(), orders.worker.metricInvocations(), orders.cart.metricInvocations()],
+        width: 12
+      }),
+      new cloudwatch.GraphWidget({
+        title: 'DLQ Messages',
+        left: [orders.metricDeadLetters()],
+        width: 12
+      })
+    );
+
+    // CloudWatch Alarms
+    this.addAlarm('ApiErrorAlarm', {
+      metric: api.metricServerError({ statistic: 'sum', period: Duration.minutes(5) }),
+      threshold: config.alarms.apiServerErrors,
+      evaluationPeriods: 1,
+      alarmDescription: 'Alert when API 5xx errors exceed threshold'
+    });
+
+    this.addAlarm('QueueDepthAlarm', {
+      metric: orders.metricQueueDepth({ period: Duration.minutes(5) }),
+      threshold: config.alarms.queueDepth,
+      evaluationPeriods: 2,
+      alarmDescription: 'Alert when queue depth is too high'
+    });
+
+    this.addAlarm('WorkerErrorAlarm', {
+      metric: orders.metricWorkerErrors({ statistic: 'sum', period: Duration.minutes(5) }),
+      threshold: config.alarms.workerErrors,
+      evaluationPeriods: 1,
+      alarmDescription: 'Alert when worker function has too many errors'
+    });
+
+    // Follows one order across checkout, the worker and the stream processor by its correlation id
+    new logs.QueryDefinition(this, 'OrderTraceQuery', {
+      queryDefinitionName: 'CloudCart/OrderTrace',
+      queryString: new logs.QueryString({
+        fields: ['@timestamp', 'function', 'level', 'message', 'orderId', 'correlationId'],
+        filterStatements: ['correlationId = "<correlation id>"'],
+        sort: '@timestamp asc'
+      }),
+      logGroups: orders.orderFunctions.map(fn => fn.logGroup)
+    });
+  }
+
+  // An alarm that notifies the alarm topic; no data counts as OK
+  addAlarm(id, props) {
+    const alarm = new cloudwatch.Alarm(this, id, {
+      treatMissingData: cloudwatch.TreatMissingData.NOT_BREACHING,
+      ...props
+    });
+    alarm.addAlarmAction(new actions.SnsAction(this.alarmTopic));
+    return alarm;
+  }
+}
@@ -0,0 +1,229 @@
+import { Duration } from 'aws-cdk-lib';
+import { Construct } from 'constructs';
+import * as dynamodb from 'aws-cdk-lib/aws-dynamodb';
+import * as sqs from 'aws-cdk-lib/aws-sqs';
+import * as lambda from 'aws-cdk-lib/aws-lambda';
+import * as lambdaEventSources from 'aws-cdk-lib/aws-lambda-event-sources';
+import * as secretsmanager from 'aws-cdk-lib/aws-secretsmanager';
+import { ServiceFunction } from './service-function.js';
+import { removalPolicyOf } from './config.js';
+
+// Carts, checkout and orders: checkout reserves stock and queues the order, the worker writes it and
+// the orders stream keeps the analytics counters, plus the customer and admin order routes.
+//
+// Props: `config` (see config.js), `catalog` (the CatalogService whose stock orders reserve),
+// `analytics` (the table the counters and totals are kept in) and `cursorSecret` (signs pagination
+// cursors).
+export class OrderPipeline extends Construct {
+  constructor(scope, id, { config, catalog, analytics, cursorSecret }) {
+    super(scope, id);
+
+    const removalPolicy = removalPolicyOf(config);
+    const fn = (fnId, props) => new ServiceFunction(this, fnId, { config, ...props });
+    const cursorSecrets = { CURSOR_SECRET: cursorSecret };
+    const products = catalog.productsTable;
+
+    // DynamoDB Orders with Streams
+    const orders = this.ordersTable = new dynamodb.Table(this, 'OrdersTable', {
+      partitionKey: { name: 'userId', type: dynamodb.AttributeType.STRING },
+      sortKey: { name: 'orderId', type: dynamodb.AttributeType.STRING },
+      billingMode: dynamodb.BillingMode.PAY_PER_REQUEST,
+      // Old images let the stream processor reverse cancelled or deleted orders
+      stream: dynamodb.StreamViewType.NEW_AND_OLD_IMAGES,
+      pointInTimeRecoverySpecification: { pointInTimeRecoveryEnabled: config.pointInTimeRecovery },
+      removalPolicy
+    });
+    // Lets admin routes find an order without knowing which user placed it
+    orders.addGlobalSecondaryIndex({
+      indexName: 'gsi_orderId',
+      partitionKey: { name: 'orderId', type: dynamodb.AttributeType.STRING }
+    });
+    // Every order newest first (entity is always "order"), for filtered admin listings and exports
+    orders.addGlobalSecondaryIndex({
+      indexName: 'gsi_recent',
+      partitionKey: { name: 'entity', type: dynamodb.AttributeType.STRING },
+      sortKey: { name: 'timestamp', type: dynamodb.AttributeType.STRING }
+    });
+
+    // DynamoDB Carts (one item per user or anonymous cart token, expired via TTL)
+    const carts = this.cartsTable = new dynamodb.Table(this, 'CartsTable', {
+      partitionKey: { name: 'cartId', type: dynamodb.AttributeType.STRING },
+      billingMode: dynamodb.BillingMode.PAY_PER_REQUEST,
+      timeToLiveAttribute: 'expiresAt',
+      removalPolicy
+    });
+
+    // DynamoDB Idempotency keys for checkout (first response kept until TTL expiry)
+    const idempotency = new dynamodb.Table(this, 'IdempotencyTable', {
+      partitionKey: { name: 'idempotencyKey', type: dynamodb.AttributeType.STRING },
+      billingMode: dynamodb.BillingMode.PAY_PER_REQUEST,
+      timeToLiveAttribute: 'expiresAt',
+      removalPolicy
+    });
+
+    // Secret used to sign anonymous cart tokens
+    const cartTokenSecret = new secretsmanager.Secret(this, 'CartTokenSecret', {
+      generateSecretString: { passwordLength: 48, excludePunctuation: true },
+      removalPolicy
+    });
+
+    // SQS Queue for checkout (+ DLQ)
+    const maxReceiveCount = 3;
+    const dlq = this.deadLetterQueue = new sqs.Queue(this, 'CheckoutDLQ', { retentionPeriod: Duration.days(14) });
+    const checkoutQueue = this.checkoutQueue = new sqs.Queue(this, 'CheckoutQueue', {
+      visibilityTimeout: Duration.seconds(60),
+      deadLetterQueue: { queue: dlq, maxReceiveCount }
+    });
+
+    // Shared by every function that reads or writes carts
+    const cartEnv = { CARTS_TABLE: carts.tableName, CART_TTL_DAYS: '7' };
+    const cartSecrets = { CART_TOKEN_SECRET: cartTokenSecret };
+
+    const cart = this.cart = fn('CartFn', {
+      entry: 'cart/handler.js',
+      environment: cartEnv,
+      secrets: cartSecrets
+    });
+    carts.grant(cart, 'dynamodb:GetItem', 'dynamodb:PutItem', 'dynamodb:DeleteItem');
+
+    const checkout = this.checkout = fn('CheckoutFn', {
+      entry: 'orders/checkout.js',
+      environment: {
+        CHECKOUT_QUEUE_URL: checkoutQueue.queueUrl,
+        PRODUCTS_TABLE: products.tableName,
+        IDEMPOTENCY_TABLE: idempotency.tableName,
+        IDEMPOTENCY_TTL_HOURS: '24',
+        // A stale claim is taken over only once the checkout that made it can no longer be running
+        IDEMPOTENCY_LEASE_SECONDS: String(config.lambda.timeoutSeconds + 15),
+        ...cartEnv
+      },
+      secrets: cartSecrets
+    });
+    checkoutQueue.grantSendMessages(checkout);
+    // UpdateItem covers the conditional stock decrements in the reservation transaction
+    catalog.grantStockReservations(checkout);
+    carts.grant(checkout, 'dynamodb:GetItem', 'dynamodb:PutItem', 'dynamodb:DeleteItem');
+    idempotency.grant(checkout, 'dynamodb:GetItem', 'dynamodb:PutItem', 'dynamodb:UpdateItem', 'dynamodb:DeleteItem');
+
+    const worker = this.worker = fn('WorkerFn', {
+      entry: 'orders/worker.js',
+      environment: {
+        ORDERS_TABLE: orders.tableName,
+        PRODUCTS_TABLE: products.tableName,
+        DLQ_URL: dlq.queueUrl,
+        // On the last receive the worker dead-letters a failing order itself and releases its stock
+        MAX_RECEIVE_COUNT: String(maxReceiveCount)
+      },
+      timeout: Duration.seconds(60),
+      memorySize: 1024
+    });
+    checkoutQueue.grantConsumeMessages(worker);
+    // Only the records listed in batchItemFailures are retried; the rest are deleted
+    worker.addEventSource(new lambdaEventSources.SqsEventSource(checkoutQueue, {
+      batchSize: 10,
+      reportBatchItemFailures: true
+    }));
+    orders.grantWriteData(worker);
+    // Poison messages and orders out of retries are moved to the DLQ directly and their reserved stock released
+    dlq.grantSendMessages(worker);
+    catalog.grantStockUpdates(worker);
+
+    const streamProcessor = this.streamProcessor = fn('StreamProcessorFn', {
+      entry: 'orders/streamProcessor.js',
+      environment: { ANALYTICS_TABLE: analytics.tableName },
+      timeout: Duration.seconds(30)
+    });
+    streamProcessor.addEventSource(new lambdaEventSources.DynamoEventSource(orders, {
+      startingPosition: lambda.StartingPosition.LATEST,
+      batchSize: 10,
+      retryAttempts: 2,
+      reportBatchItemFailures: true
+    }));
+    analytics.grant(streamProcessor, 'dynamodb:UpdateItem');
+
+    const getOrders = fn('GetOrdersFn', {
+      entry: 'orders/getOrders.js',
+      environment: { ORDERS_TABLE: orders.tableName },
+      secrets: cursorSecrets
+    });
+    orders.grantReadData(getOrders);
+
+    const getOrderById = fn('GetOrderByIdFn', {
+      entry: 'orders/getOrderById.js',
+      environment: { ORDERS_TABLE: orders.tableName }
+    });
+    orders.grantReadData(getOrderById);
+
+    const cancelOrder = fn('CancelOrderFn', {
+      entry: 'orders/cancelOrder.js',
+      environment: { ORDERS_TABLE: orders.tableName, PRODUCTS_TABLE: products.tableName }
+    });
+    orders.grant(cancelOrder, 'dynamodb:GetItem', 'dynamodb:UpdateItem');
+    catalog.grantStockUpdates(cancelOrder);
+
+    // Admin Lambda Functions
+    const updateOrderStatus = fn('UpdateOrderStatusFn', {
+      entry: 'admin/updateOrderStatus.js',
+      environment: { ORDERS_TABLE: orders.tableName, PRODUCTS_TABLE: products.tableName }
+    });
+    orders.grant(updateOrderStatus, 'dynamodb:Query', 'dynamodb:UpdateItem');
+    catalog.grantStockUpdates(updateOrderStatus);
+
+    const listOrders = fn('ListOrdersFn', {
+      entry: 'admin/listOrders.js',
+      environment: { ORDERS_TABLE: orders.tableName },
+      secrets: cursorSecrets
+    });
+    orders.grantReadData(listOrders);
+
+    const getAdminOrder = fn('GetAdminOrderFn', {
+      entry: 'admin/getOrder.js',
+      environment: { ORDERS_TABLE: orders.tableName }
+    });
+    orders.grant(getAdminOrder, 'dynamodb:Query');
+
+    const getAnalytics = fn('GetAnalyticsFn', {
+      entry: 'admin/getAnalytics.js',
+      environment: { ANALYTICS_TABLE: analytics.tableName }
+    });
+    analytics.grant(getAnalytics, 'dynamodb:Query');
+
+    // The functions serving the routes in api-routes.js, by entry
+    this.handlers = {
+      'cart/handler.js': cart,
+      'orders/checkout.js': checkout,
+      'orders/getOrders.js': getOrders,
+      'orders/getOrderById.js': getOrderById,
+      'orders/cancelOrder.js': cancelOrder,
+      'admin/listOrders.js': listOrders,
+      'admin/getOrder.js': getAdminOrder,
+      'admin/updateOrderStatus.js': updateOrderStatus,
+      'admin/getAnalytics.js': getAnalytics
+    };
+  }
+
+  // Read orders and query them by order id or recency
+  grantReadOrders(grantee) {
+    return this.ordersTable.grantReadData(grantee);
+  }
+
+  // Checkouts waiting for the worker
+  metricQueueDepth(props) {
+    return this.checkoutQueue.metricApproximateNumberOfMessagesVisible(props);
+  }
+
+  // Checkouts the worker gave up on
+  metricDeadLetters(props) {
+    return this.deadLetterQueue.metricApproximateNumberOfMessagesVisible(props);
+  }
+
+  // Failed worker invocations, i.e. batches that could not be processed at all
+  metricWorkerErrors(props) {
+    return this.worker.metricErrors(props);
+  }
+
+  // Functions an order passes through, which all log its correlation id
+  get orderFunctions() {
+    return [this.checkout, this.worker, this.streamProcessor];
+  }
+}
@@ -0,0 +1,46 @@
+import { Duration } from 'aws-cdk-lib';
+import * as lambda from 'aws-cdk-lib/aws-lambda';
+import * as node from 'aws-cdk-lib/aws-lambda-nodejs';
+import { fileURLToPath } from 'url';
+import path from 'path';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Absolute path of a file under services/, e.g. servicePath('orders/worker.js')
+export const servicePath = (p) => path.join(__dirname, '../../services', p);
+
+// A function for one handler under services/ with the settings every CloudCart function shares:
+// Node.js 22, X-Ray tracing, minified ESM bundles, and the environment's memory, timeout, log
+// retention and log level (see config.js). `entry` is relative to services/; any other prop
+// overrides the default, and `bundling` is merged into the default bundling options.
+// `secrets` maps a variable name to a Secrets Manager secret the function may read. The function
+// gets <name>_ARN and reads the value at cold start (services/lib/secrets.js), so it never appears
+// in the template.
+//
+//   const fn = new ServiceFunction(this, 'GetOrdersFn', {
+//     config,
+//     entry: 'orders/getOrders.js',
+//     environment: { ORDERS_TABLE: orders.tableName },
+//     secrets: { CURSOR_SECRET: cursorSecret }
+//   });
+export class ServiceFunction extends node.NodejsFunction {
+  constructor(scope, id, { config, entry, bundling, secrets = {}, ...props }) {
+    super(scope, id, {
+      entry: servicePath(entry),
+      runtime: lambda.Runtime.NODEJS_22_X,
+      memorySize: config.lambda.memorySize,
+      timeout: Duration.seconds(config.lambda.timeoutSeconds),
+      logRetention: config.logRetentionDays,
+      // X-Ray traces follow a request through API Gateway, SQS and the functions it reaches
+      tracing: lambda.Tracing.ACTIVE,
+      ...props,
+      bundling: { minify: true, format: node.OutputFormat.ESM, ...bundling }
+    });
+    // Every function logs JSON at the same level; deploy with -c logLevel=debug for more detail
+    this.addEnvironment('LOG_LEVEL', config.logLevel);
+    for (const [name, secret] of Object.entries(secrets)) {
+      this.addEnvironment(`${name}_ARN`, secret.secretArn);
+      secret.grantRead(this);
+    }
+  }
+}
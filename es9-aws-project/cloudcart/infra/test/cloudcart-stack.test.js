@@ -0,0 +1,272 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { App } from 'aws-cdk-lib';
+import { Template, Match } from 'aws-cdk-lib/assertions';
+import { CloudCartStack } from '../lib/cloudcart-stack.js';
+import { API_ROUTES } from '../lib/api-routes.js';
+
+// Bundling the functions takes minutes and doesn't change the template, so it is skipped
+const app = new App({ context: { 'aws:cdk:bundling-stacks': [] } });
+// Named as bin/infra.js names it, so logical ids that embed the stack's name match a deployed stack
+const template = Template.fromStack(new CloudCartStack(app, 'CloudCartMvpStack'));
+const resources = template.toJSON().Resources;
+
+// Logical id of the one resource of `type` named `name`, e.g. 'WorkerFn', in the stack or one of its services
+const idOf = (type, name) => {
+  const pattern = new RegExp(`^(Catalog|Orders|AdminDashboard|Observability)?${name}[0-9A-F]{8}$`);
+  const ids = Object.keys(resources).filter(id => resources[id].Type === type && pattern.test(id));
+  assert.equal(ids.length, 1, `one ${type} named ${name}`);
+  return ids[0];
+};
+const fnId = (name) => idOf('AWS::Lambda::Function', name);
+const tableId = (name) => idOf('AWS::DynamoDB::Table', name);
+const queueId = (name) => idOf('AWS::SQS::Queue', name);
+const secretId = (name) => idOf('AWS::SecretsManager::Secret', name);
+
+// The resource a policy statement points at: a logical id ('/index/*' counts as the table), or '*'
+const resourceOf = (resource) => {
+  if (typeof resource === 'string') return resource;
+  if (resource['Fn::GetAtt']) return resource['Fn::GetAtt'][0];
+  if (resource.Ref) return resource.Ref;
+  const parts = resource['Fn::Join']?.[1] || [];
+  return parts.map(part => (typeof part === 'object' ? resourceOf(part) : '')).find(Boolean) || JSON.stringify(resource);
+};
+
+// Actions a function's role may perform, by resource: { OrdersTable315BB997: Set { 'dynamodb:PutItem', ... } }
+const permissionsOf = (name) => {
+  const role = resources[fnId(name)].Properties.Role['Fn::GetAtt'][0];
+  const permissions = {};
+  for (const policy of Object.values(resources)) {
+    if (policy.Type !== 'AWS::IAM::Policy' || !policy.Properties.Roles.some(ref => ref.Ref === role)) continue;
+    for (const statement of policy.Properties.PolicyDocument.Statement) {
+      if (statement.Effect !== 'Allow') continue;
+      for (const resource of [statement.Resource].flat()) {
+        const key = resourceOf(resource);
+        permissions[key] = new Set([...(permissions[key] || []), ...[statement.Action].flat()]);
+      }
+    }
+  }
+  return permissions;
+};
+
+const WRITES = ['dynamodb:PutItem', 'dynamodb:UpdateItem', 'dynamodb:DeleteItem', 'dynamodb:BatchWriteItem'];
+const writesTo = (permissions, table) => WRITES.filter(action => permissions[tableId(table)]?.has(action));
+
+const routes = Object.values(resources).filter(resource => resource.Type === 'AWS::ApiGatewayV2::Route');
+const routeFor = ({ method, path }) => routes.find(route => route.Properties.RouteKey === `${method} ${path}`);
+
+test('the HTTP API has exactly the routes listed in api-routes.js', () => {
+  assert.deepEqual(
+    routes.map(route => route.Properties.RouteKey).sort(),
+    API_ROUTES.map(({ method, path }) => `${method} ${path}`).sort()
+  );
+});
+
+// Functions are named after their handler file, e.g. products/getProducts.js -> GetProductsFn
+const FUNCTION_NAMES = { 'cart/handler.js': 'CartFn', 'admin/getOrder.js': 'GetAdminOrderFn' };
+const functionNameOf = (entry) => FUNCTION_NAMES[entry] ||
+  `${entry.replace(/^.*\//, '').replace(/\.js$/, '').replace(/^./, c => c.toUpperCase())}Fn`;
+
+test('each route invokes the function for its handler', () => {
+  for (const route of API_ROUTES) {
+    const integrationId = routeFor(route).Properties.Target['Fn::Join'][1][1].Ref;
+    assert.deepEqual(
+      resources[integrationId].Properties.IntegrationUri,
+      { 'Fn::GetAtt': [fnId(functionNameOf(route.entry)), 'Arn'] },
+      `${route.method} ${route.path}`
+    );
+  }
+});
+
+test('admin routes require the token authorizer, customer routes take the optional one, the rest are public', () => {
+  for (const route of API_ROUTES) {
+    const { AuthorizationType, AuthorizerId } = routeFor(route).Properties;
+    const key = `${route.method} ${route.path}`;
+    if (route.path.startsWith('/admin/')) assert.equal(route.auth, 'required', key);
+    if (!route.auth) {
+      assert.equal(AuthorizationType, 'NONE', key);
+      assert.equal(AuthorizerId, undefined, key);
+    } else {
+      assert.equal(AuthorizationType, 'CUSTOM', key);
+      assert.deepEqual(AuthorizerId, { Ref: route.auth === 'required' ? 'ApiAuthorizer' : 'OptionalApiAuthorizer' }, key);
+    }
+  }
+});
+
+test('the required authorizer caches per token and route; the optional one always runs', () => {
+  template.hasResourceProperties('AWS::ApiGatewayV2::Authorizer', {
+    Name: 'CloudCartAuthorizer',
+    AuthorizerType: 'REQUEST',
+    IdentitySource: ['$request.header.Authorization', '$context.routeKey'],
+    EnableSimpleResponses: false,
+    AuthorizerResultTtlInSeconds: 300
+  });
+  template.hasResourceProperties('AWS::ApiGatewayV2::Authorizer', {
+    Name: 'CloudCartOptionalAuthorizer',
+    IdentitySource: Match.absent(),
+    AuthorizerResultTtlInSeconds: 0
+  });
+  template.hasResourceProperties('AWS::Lambda::Permission', {
+    FunctionName: { 'Fn::GetAtt': [fnId('AuthorizerFn'), 'Arn'] },
+    Principal: 'apigateway.amazonaws.com'
+  });
+});
+
+test('read-only handlers cannot write to the tables they read', () => {
+  for (const [fn, table] of [
+    ['GetProductsFn', 'ProductsTableName'],
+    ['GetProductByIdFn', 'ProductsTableName'],
+    ['ListByCategoryFn', 'ProductsTableName'],
+    ['GetOrdersFn', 'OrdersTable'],
+    ['GetOrderByIdFn', 'OrdersTable'],
+    ['ListOrdersFn', 'OrdersTable'],
+    ['GetAnalyticsFn', 'AnalyticsTable']
+  ]) {
+    const permissions = permissionsOf(fn);
+    assert.ok(permissions[tableId(table)], `${fn} reads ${table}`);
+    assert.deepEqual(writesTo(permissions, table), [], fn);
+  }
+});
+
+test('checkout queues orders but only the worker writes them', () => {
+  const checkout = permissionsOf('CheckoutFn');
+  assert.ok(checkout[queueId('CheckoutQueue')].has('sqs:SendMessage'));
+  assert.equal(checkout[tableId('OrdersTable')], undefined);
+
+  const worker = permissionsOf('WorkerFn');
+  assert.ok(worker[queueId('CheckoutQueue')].has('sqs:ReceiveMessage'));
+  assert.ok(worker[queueId('CheckoutQueue')].has('sqs:DeleteMessage'));
+  assert.ok(worker[tableId('OrdersTable')].has('dynamodb:PutItem'));
+  // Poison messages are sent to the DLQ by the worker itself
+  assert.ok(worker[queueId('CheckoutDLQ')].has('sqs:SendMessage'));
+});
+
+test('admin product writes are limited to the products table', () => {
+  for (const fn of ['CreateProductFn', 'UpdateProductFn', 'DeleteProductFn', 'RestoreProductFn', 'AdjustStockFn']) {
+    const permissions = permissionsOf(fn);
+    assert.notDeepEqual(writesTo(permissions, 'ProductsTableName'), [], fn);
+    for (const table of ['OrdersTable', 'AnalyticsTable', 'CartsTable', 'ProductAuditTable']) {
+      assert.deepEqual(writesTo(permissions, table), [], `${fn} ${table}`);
+    }
+  }
+});
+
+test('the authorizer has no access to any table, queue or bucket, only to its signing secret', () => {
+  const permissions = permissionsOf('AuthorizerFn');
+  assert.deepEqual(Object.keys(permissions).sort(), ['*', secretId('JwtSigningSecret')].sort());
+  assert.deepEqual([...permissions['*']].sort(), ['xray:PutTelemetryRecords', 'xray:PutTraceSegments']);
+});
+
+test('signing secrets reach functions as ARNs they may read, never as values in the template', () => {
+  const functions = Object.values(resources).filter(resource => resource.Type === 'AWS::Lambda::Function');
+  for (const fn of functions) {
+    assert.doesNotMatch(JSON.stringify(fn.Properties.Environment || {}), /resolve:secretsmanager/);
+  }
+
+  const users = {
+    JWT_SECRET_ARN: ['JwtSigningSecret', ['AuthorizerFn']],
+    CURSOR_SECRET_ARN: ['CursorSigningSecret', ['GetProductsFn', 'SearchProductsFn', 'ListByCategoryFn', 'ListProductAuditFn', 'GetOrdersFn', 'ListOrdersFn']],
+    CART_TOKEN_SECRET_ARN: ['CartTokenSecret', ['CartFn', 'CheckoutFn']]
+  };
+  for (const [variable, [secret, names]] of Object.entries(users)) {
+    const holders = functions.filter(fn => fn.Properties.Environment?.Variables?.[variable]);
+    assert.equal(holders.length, names.length, variable);
+    for (const name of names) {
+      assert.deepEqual(resources[fnId(name)].Properties.Environment.Variables[variable], { Ref: secretId(secret) });
+      assert.ok(permissionsOf(name)[secretId(secret)]?.has('secretsmanager:GetSecretValue'), `${name} reads ${secret}`);
+    }
+  }
+});
+
+test('failed checkouts go to the DLQ after three receives and the worker reports partial failures', () => {
+  const dlq = queueId('CheckoutDLQ');
+  template.hasResourceProperties('AWS::SQS::Queue', {
+    VisibilityTimeout: 60,
+    RedrivePolicy: { deadLetterTargetArn: { 'Fn::GetAtt': [dlq, 'Arn'] }, maxReceiveCount: 3 }
+  });
+  template.hasResourceProperties('AWS::SQS::Queue', { MessageRetentionPeriod: 14 * 24 * 60 * 60 });
+  template.hasResourceProperties('AWS::Lambda::EventSourceMapping', {
+    FunctionName: { Ref: fnId('WorkerFn') },
+    EventSourceArn: { 'Fn::GetAtt': [queueId('CheckoutQueue'), 'Arn'] },
+    BatchSize: 10,
+    FunctionResponseTypes: ['ReportBatchItemFailures']
+  });
+  template.hasResourceProperties('AWS::Lambda::Function', {
+    Environment: { Variables: Match.objectLike({ DLQ_URL: { Ref: dlq } }) }
+  });
+});
+
+test('stream consumers read their table with bounded retries', () => {
+  const stream = (table) => ({ 'Fn::GetAtt': [tableId(table), 'StreamArn'] });
+  for (const [fn, table, props] of [
+    ['SearchIndexerFn', 'ProductsTableName', { StartingPosition: 'TRIM_HORIZON', MaximumRetryAttempts: 2, FunctionResponseTypes: ['ReportBatchItemFailures'] }],
+    ['RecordProductAuditFn', 'ProductsTableName', { StartingPosition: 'TRIM_HORIZON', MaximumRetryAttempts: 5 }],
+    ['StreamProcessorFn', 'OrdersTable', { StartingPosition: 'LATEST', MaximumRetryAttempts: 2, FunctionResponseTypes: ['ReportBatchItemFailures'] }]
+  ]) {
+    template.hasResourceProperties('AWS::Lambda::EventSourceMapping', {
+      FunctionName: { Ref: fnId(fn) },
+      EventSourceArn: stream(table),
+      ...props
+    });
+  }
+});
+
+test('alarms on API errors, queue depth and worker errors notify the alarm topic', () => {
+  template.resourceCountIs('AWS::CloudWatch::Alarm', 3);
+  const topic = { Ref: idOf('AWS::SNS::Topic', 'AlarmTopic') };
+
+  template.hasResourceProperties('AWS::CloudWatch::Alarm', {
+    Namespace: 'AWS/ApiGateway',
+    MetricName: '5xx',
+    Threshold: 10,
+    AlarmActions: [topic]
+  });
+  template.hasResourceProperties('AWS::CloudWatch::Alarm', {
+    Namespace: 'AWS/SQS',
+    MetricName: 'ApproximateNumberOfMessagesVisible',
+    Dimensions: [{ Name: 'QueueName', Value: { 'Fn::GetAtt': [queueId('CheckoutQueue'), 'QueueName'] } }],
+    Threshold: 100,
+    EvaluationPeriods: 2,
+    AlarmActions: [topic]
+  });
+  template.hasResourceProperties('AWS::CloudWatch::Alarm', {
+    Namespace: 'AWS/Lambda',
+    MetricName: 'Errors',
+    Dimensions: [{ Name: 'FunctionName', Value: { Ref: fnId('WorkerFn') } }],
+    Threshold: 5,
+    AlarmActions: [topic]
+  });
+});
+
+test('stateful and named resources inside the services keep the logical ids they had at the top of the stack', () => {
+  const legacy = {
+    'AWS::DynamoDB::Table': [
+      'ProductsTableName9C1E81D4', 'SearchIndexTable68A19C66', 'ImportJobsTable24C11E9C', 'ProductAuditTable774AB187',
+      'OrdersTable315BB997', 'CartsTableF57A4C06', 'IdempotencyTable22A5A209', 'AnalyticsTable3F84C304'
+    ],
+    'AWS::S3::Bucket': ['ProductImagesBucket03BDA4C8', 'ProductImportsBucket0F83A755'],
+    'AWS::SQS::Queue': ['CheckoutDLQ0736F9E9', 'CheckoutQueue1C3C2576'],
+    'AWS::SecretsManager::Secret': [
+      'JwtSigningSecret15C7B5EF', 'CursorSigningSecret1E2B9DED', 'CartTokenSecret473D6482',
+      'DashboardUsersSecret84C1403A', 'DashboardSessionSecret005B461E'
+    ],
+    'AWS::ECR::Repository': ['AdminDashboardRepo8813E38C'],
+    'AWS::EC2::VPC': ['CloudCartVpcA84A4DB4'],
+    'AWS::ECS::Cluster': ['AdminCluster8485B1F4'],
+    'AWS::ElasticLoadBalancingV2::LoadBalancer': ['AdminALB87EE4996'],
+    'AWS::ECS::Service': ['AdminService91E7C329'],
+    'AWS::SNS::Topic': ['AlarmTopicD01E77F9'],
+    'AWS::CloudWatch::Dashboard': ['CloudCartDashboard372CE128'],
+    // Their ids embed the id of their table or queue; a new mapping would replay the products stream
+    'AWS::Lambda::EventSourceMapping': [
+      'SearchIndexerFnDynamoDBEventSourceCloudCartMvpStackProductsTableName837365ABF9B2B994',
+      'RecordProductAuditFnDynamoDBEventSourceCloudCartMvpStackProductsTableName837365ABBF467688',
+      'StreamProcessorFnDynamoDBEventSourceCloudCartMvpStackOrdersTable7FF9DE8AE38CB88F',
+      'WorkerFnSqsEventSourceCloudCartMvpStackCheckoutQueue355E7FF3DBF99394'
+    ]
+  };
+  for (const [type, ids] of Object.entries(legacy)) {
+    const ofType = Object.keys(resources).filter(id => resources[id].Type === type);
+    assert.deepEqual(ofType.sort(), [...ids].sort(), type);
+  }
+});
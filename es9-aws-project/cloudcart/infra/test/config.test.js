@@ -0,0 +1,121 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import path from 'path';
+import { App } from 'aws-cdk-lib';
+import { Template, Match } from 'aws-cdk-lib/assertions';
+import { CloudCartStack } from '../lib/cloudcart-stack.js';
+import { PROFILES, loadConfig, validateConfig } from '../lib/config.js';
+
+const CERTIFICATE_ARN = 'arn:aws:acm:us-east-1:123456789012:certificate/0a1b2c3d-0000-4000-8000-000000000000';
+const PROD_SETTINGS = {
+  cloudcart: { prod: { corsOrigins: ['https://shop.example.com'], dashboard: { certificateArn: CERTIFICATE_ARN } } }
+};
+const load = (context) => loadConfig(new App({ context }).node);
+
+test('dev is the default environment', () => {
+  assert.deepEqual(load({}), { env: 'dev', ...PROFILES.dev });
+});
+
+test('cdk.json context overrides the profile key by key', () => {
+  const config = load({ env: 'staging', cloudcart: { staging: { alarms: { queueDepth: 20 } }, prod: { logLevel: 'debug' } } });
+  assert.deepEqual(config.alarms, { ...PROFILES.staging.alarms, queueDepth: 20 });
+  assert.equal(config.logLevel, 'info');
+});
+
+test('a config file overrides cdk.json context', () => {
+  const file = path.join(mkdtempSync(path.join(tmpdir(), 'cloudcart-config-')), 'prod.json');
+  writeFileSync(file, JSON.stringify({ corsOrigins: ['https://admin.example.com'], lambda: { memorySize: 2048 } }));
+  const config = load({ env: 'prod', configFile: file, ...PROD_SETTINGS });
+  assert.deepEqual(config.corsOrigins, ['https://admin.example.com']);
+  assert.deepEqual(config.lambda, { memorySize: 2048, timeoutSeconds: 15 });
+});
+
+test('the imageCorsOrigins and logLevel context values still apply', () => {
+  const config = load({ imageCorsOrigins: 'https://a.example.com, https://b.example.com', logLevel: 'debug' });
+  assert.deepEqual(config.corsOrigins, ['https://a.example.com', 'https://b.example.com']);
+  assert.equal(config.logLevel, 'debug');
+});
+
+test('unknown environments and settings are refused', () => {
+  assert.throws(() => load({ env: 'production' }), /Unknown environment "production"/);
+  assert.throws(() => load({ cloudcart: { dev: { alarm: { queueDepth: 1 } } } }), /alarm\.queueDepth is not a setting/);
+  assert.throws(() => load({ cloudcart: { dev: { logRetentionDays: 10 } } }), /logRetentionDays must be one of/);
+});
+
+test('prod refuses destructive removal policies, open CORS and a dashboard without HTTPS', () => {
+  const prod = {
+    env: 'prod',
+    ...PROFILES.prod,
+    corsOrigins: ['https://shop.example.com'],
+    dashboard: { ...PROFILES.prod.dashboard, certificateArn: CERTIFICATE_ARN }
+  };
+  assert.deepEqual(validateConfig(prod), []);
+  assert.deepEqual(validateConfig({ ...prod, removalPolicy: 'destroy' }), [
+    "removalPolicy must be 'retain' in prod, so removing the stack or a resource keeps its data"
+  ]);
+  assert.deepEqual(validateConfig({ ...prod, pointInTimeRecovery: false }), ['pointInTimeRecovery must be on in prod']);
+  assert.deepEqual(validateConfig({ ...prod, corsOrigins: ['*'] }), ['corsOrigins must list the allowed origins in prod, not *']);
+  assert.deepEqual(validateConfig({ ...prod, dashboard: PROFILES.prod.dashboard }), [
+    'dashboard.certificateArn must be set in prod, so dashboard sign-ins and sessions go over HTTPS'
+  ]);
+
+  // The prod profile leaves the origins to be set
+  assert.throws(() => load({ env: 'prod' }), /Invalid CloudCart configuration for prod:\n {2}- corsOrigins must be a non-empty list/);
+  assert.throws(
+    () => new CloudCartStack(new App({ context: { env: 'prod', cloudcart: { prod: { ...PROD_SETTINGS.cloudcart.prod, removalPolicy: 'destroy' } } } }), 'Prod'),
+    /removalPolicy must be 'retain' in prod/
+  );
+});
+
+test('the prod stack keeps its data, backs up tables and runs the dashboard in private subnets', () => {
+  const app = new App({ context: { 'aws:cdk:bundling-stacks': [], env: 'prod', ...PROD_SETTINGS } });
+  const template = Template.fromStack(new CloudCartStack(app, 'CloudCartProdStack'));
+  const resources = Object.values(template.toJSON().Resources);
+
+  for (const type of ['AWS::DynamoDB::Table', 'AWS::S3::Bucket', 'AWS::SecretsManager::Secret', 'AWS::ECR::Repository']) {
+    const ofType = resources.filter(resource => resource.Type === type);
+    assert.ok(ofType.length > 0, type);
+    for (const resource of ofType) assert.equal(resource.DeletionPolicy, 'Retain', type);
+  }
+  // Nothing empties the buckets or the repository on delete
+  assert.equal(resources.filter(resource => resource.Type === 'Custom::S3AutoDeleteObjects').length, 0);
+
+  template.resourcePropertiesCountIs('AWS::DynamoDB::Table', {
+    PointInTimeRecoverySpecification: { PointInTimeRecoveryEnabled: true }
+  }, 3);
+  template.hasResourceProperties('AWS::S3::Bucket', {
+    CorsConfiguration: { CorsRules: Match.arrayWith([Match.objectLike({ AllowedOrigins: ['https://shop.example.com'] })]) }
+  });
+  template.hasResourceProperties('AWS::CloudWatch::Alarm', { MetricName: 'Errors', Threshold: 1 });
+  template.hasResourceProperties('AWS::ECS::Service', {
+    DesiredCount: 2,
+    NetworkConfiguration: { AwsvpcConfiguration: Match.objectLike({ AssignPublicIp: 'DISABLED' }) }
+  });
+  template.resourceCountIs('AWS::EC2::NatGateway', 1);
+  template.hasResourceProperties('AWS::ECS::TaskDefinition', {
+    Cpu: '512',
+    Memory: '1024',
+    ContainerDefinitions: [Match.objectLike({ Command: Match.absent() })]
+  });
+});
+
+test('with a certificate the dashboard is served over HTTPS and HTTP redirects to it', () => {
+  const app = new App({ context: { 'aws:cdk:bundling-stacks': [], env: 'prod', ...PROD_SETTINGS } });
+  const template = Template.fromStack(new CloudCartStack(app, 'CloudCartProdStack'));
+
+  template.resourceCountIs('AWS::ElasticLoadBalancingV2::Listener', 2);
+  template.hasResourceProperties('AWS::ElasticLoadBalancingV2::Listener', {
+    Port: 443,
+    Protocol: 'HTTPS',
+    Certificates: [{ CertificateArn: CERTIFICATE_ARN }],
+    DefaultActions: [Match.objectLike({ Type: 'forward' })]
+  });
+  template.hasResourceProperties('AWS::ElasticLoadBalancingV2::Listener', {
+    Port: 80,
+    Protocol: 'HTTP',
+    DefaultActions: [{ Type: 'redirect', RedirectConfig: { Protocol: 'HTTPS', Port: '443', StatusCode: 'HTTP_301' } }]
+  });
+  template.hasOutput('AdminDashboardUrl', { Value: { 'Fn::Join': ['', ['https://', Match.anyValue()]] } });
+});
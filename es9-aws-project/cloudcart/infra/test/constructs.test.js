@@ -0,0 +1,105 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { App, Stack } from 'aws-cdk-lib';
+import { Template } from 'aws-cdk-lib/assertions';
+import * as dynamodb from 'aws-cdk-lib/aws-dynamodb';
+import * as secretsmanager from 'aws-cdk-lib/aws-secretsmanager';
+import * as apigwv2 from 'aws-cdk-lib/aws-apigatewayv2';
+import { PROFILES } from '../lib/config.js';
+import { ServiceFunction } from '../lib/service-function.js';
+import { CatalogService } from '../lib/catalog-service.js';
+import { OrderPipeline } from '../lib/order-pipeline.js';
+import { Observability } from '../lib/observability.js';
+
+const config = { env: 'dev', ...PROFILES.dev, logLevel: 'debug', lambda: { memorySize: 256, timeoutSeconds: 10 } };
+
+// A stack with nothing but what the services need from outside
+const newStack = () => {
+  const stack = new Stack(new App({ context: { 'aws:cdk:bundling-stacks': [] } }), 'ShopStack');
+  const analytics = new dynamodb.Table(stack, 'Analytics', {
+    partitionKey: { name: 'pk', type: dynamodb.AttributeType.STRING },
+    sortKey: { name: 'sk', type: dynamodb.AttributeType.STRING }
+  });
+  const cursorSecret = new secretsmanager.Secret(stack, 'CursorSecret');
+  return { stack, analytics, cursorSecret };
+};
+
+test('a service function gets the shared settings, which its props override', () => {
+  const { stack } = newStack();
+  new ServiceFunction(stack, 'DefaultsFn', { config, entry: 'orders/getOrders.js' });
+  new ServiceFunction(stack, 'TunedFn', {
+    config,
+    entry: 'orders/worker.js',
+    memorySize: 1024,
+    environment: { ORDERS_TABLE: 'orders' }
+  });
+
+  const template = Template.fromStack(stack);
+  template.hasResourceProperties('AWS::Lambda::Function', {
+    Runtime: 'nodejs22.x',
+    MemorySize: 256,
+    Timeout: 10,
+    TracingConfig: { Mode: 'Active' },
+    Environment: { Variables: { LOG_LEVEL: 'debug' } }
+  });
+  template.hasResourceProperties('AWS::Lambda::Function', {
+    MemorySize: 1024,
+    Timeout: 10,
+    Environment: { Variables: { ORDERS_TABLE: 'orders', LOG_LEVEL: 'debug' } }
+  });
+  template.hasResourceProperties('Custom::LogRetention', { RetentionInDays: 7 });
+});
+
+test('the catalog, order pipeline and observability compose into a stack without the dashboard', () => {
+  const { stack, analytics, cursorSecret } = newStack();
+  const catalog = new CatalogService(stack, 'Catalog', { config, analytics, cursorSecret });
+  const orders = new OrderPipeline(stack, 'Orders', { config, catalog, analytics, cursorSecret });
+  const api = new apigwv2.HttpApi(stack, 'Api');
+  new Observability(stack, 'Observability', { config, api, catalog, orders });
+
+  const template = Template.fromStack(stack);
+  // Products, search index, import jobs, audit; orders, carts, idempotency; analytics
+  template.resourceCountIs('AWS::DynamoDB::Table', 8);
+  template.resourceCountIs('AWS::CloudWatch::Alarm', 3);
+  template.resourceCountIs('AWS::ECS::Service', 0);
+  template.resourceCountIs('AWS::EC2::VPC', 0);
+
+  // Handlers for every route of both services; the stack wires them to the API
+  assert.ok(catalog.handlers['products/getProducts.js'] instanceof ServiceFunction);
+  assert.ok(orders.handlers['orders/checkout.js'] instanceof ServiceFunction);
+
+  // Outside the CloudCart stack the services get ordinary, path-based logical ids
+  const ids = Object.keys(template.toJSON().Resources);
+  assert.ok(ids.some(id => /^CatalogProductsTableName[0-9A-F]{8}$/.test(id)));
+  assert.ok(ids.some(id => /^OrdersWorkerFn[0-9A-F]{8}$/.test(id)));
+});
+
+test('services expose grants and metrics for new services to build on', () => {
+  const { stack, analytics, cursorSecret } = newStack();
+  const catalog = new CatalogService(stack, 'Catalog', { config, analytics, cursorSecret });
+  const orders = new OrderPipeline(stack, 'Orders', { config, catalog, analytics, cursorSecret });
+
+  const recommendations = new ServiceFunction(stack, 'RecommendationsFn', { config, entry: 'products/getProducts.js' });
+  catalog.grantReadProducts(recommendations);
+  orders.grantReadOrders(recommendations);
+
+  const template = Template.fromStack(stack);
+  const role = stack.getLogicalId(recommendations.role.node.defaultChild);
+  const policy = Object.values(template.findResources('AWS::IAM::Policy', {
+    Properties: { Roles: [{ Ref: role }] }
+  }))[0];
+  // Besides the X-Ray statement every function has
+  const statements = policy.Properties.PolicyDocument.Statement.filter(statement => statement.Resource !== '*');
+  assert.deepEqual(statements.map(statement => statement.Resource[0]['Fn::GetAtt'][0]), [
+    stack.getLogicalId(catalog.productsTable.node.defaultChild),
+    stack.getLogicalId(orders.ordersTable.node.defaultChild)
+  ]);
+  for (const statement of statements) {
+    assert.ok(statement.Action.every(action => !/Put|Update|Delete|Write/.test(action)), statement.Action.join());
+  }
+
+  const depth = stack.resolve(orders.metricQueueDepth().toMetricConfig().metricStat.dimensions);
+  assert.deepEqual(depth, [{ name: 'QueueName', value: { 'Fn::GetAtt': [stack.getLogicalId(orders.checkoutQueue.node.defaultChild), 'QueueName'] } }]);
+  assert.equal(orders.metricWorkerErrors().metricName, 'Errors');
+  assert.equal(catalog.metricReadErrors().metricName, 'Errors');
+});
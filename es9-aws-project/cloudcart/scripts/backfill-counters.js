@@ -0,0 +1,75 @@
+#!/usr/bin/env node
+// Brings the order listing index and the dashboard's totals up to date for data written before they
+// existed. Run it once after deploying them.
+//
+// Orders: tags every order that lacks entity = "order". The tag puts it in the gsi_recent index, and
+// the orders stream counts it in TOTALS/orders as it is tagged, so running this again (or while new
+// orders arrive) never counts an order twice.
+// Products: recounts live products into TOTALS/products. A product created or deleted while this
+// runs can be missed, so run it while nobody is editing the catalogue.
+import {DynamoDBClient, ScanCommand, UpdateItemCommand} from '@aws-sdk/client-dynamodb';
+import {ORDER_ENTITY} from '../services/lib/orders.js';
+import {TOTALS, PRODUCT_TOTALS} from '../services/lib/analytics.js';
+
+const region = process.env.AWS_REGION || process.env.AWS_DEFAULT_REGION || 'eu-west-1';
+const ordersTable = process.env.ORDERS_TABLE || process.argv[2];
+const productsTable = process.env.PRODUCTS_TABLE || process.argv[3];
+const analyticsTable = process.env.ANALYTICS_TABLE || process.argv[4];
+if (!ordersTable || !productsTable || !analyticsTable) {
+  console.error(
+      'Usage: ORDERS_TABLE=<orders-table> PRODUCTS_TABLE=<products-table> ANALYTICS_TABLE=<analytics-table> ' +
+      'node backfill-counters.js');
+  process.exit(1);
+}
+const ddb = new DynamoDBClient({region});
+
+let tagged = 0;
+let startKey;
+do {
+  const res = await ddb.send(new ScanCommand({
+    TableName: ordersTable,
+    ProjectionExpression: 'userId, orderId, #entity',
+    ExpressionAttributeNames: {'#entity': 'entity'},
+    ExclusiveStartKey: startKey
+  }));
+  for (const order of res.Items || []) {
+    if (order.entity) continue;
+    try {
+      await ddb.send(new UpdateItemCommand({
+        TableName: ordersTable,
+        Key: {userId: order.userId, orderId: order.orderId},
+        UpdateExpression: 'SET #entity = :entity',
+        // Skips orders deleted or tagged since the scan read them
+        ConditionExpression: 'attribute_exists(orderId) AND attribute_not_exists(#entity)',
+        ExpressionAttributeNames: {'#entity': 'entity'},
+        ExpressionAttributeValues: {':entity': {S: ORDER_ENTITY}}
+      }));
+      tagged++;
+    } catch (error) {
+      if (error.name !== 'ConditionalCheckFailedException') throw error;
+    }
+  }
+  startKey = res.LastEvaluatedKey;
+} while (startKey);
+console.log('Orders tagged:', tagged, '(the orders stream adds them to the totals)');
+
+let products = 0;
+startKey = undefined;
+do {
+  const res = await ddb.send(new ScanCommand({
+    TableName: productsTable,
+    Select: 'COUNT',
+    FilterExpression: 'attribute_not_exists(deletedAt)',  // soft-deleted products don't count
+    ExclusiveStartKey: startKey
+  }));
+  products += res.Count || 0;
+  startKey = res.LastEvaluatedKey;
+} while (startKey);
+
+await ddb.send(new UpdateItemCommand({
+  TableName: analyticsTable,
+  Key: {pk: {S: TOTALS}, sk: {S: PRODUCT_TOTALS}},
+  UpdateExpression: 'SET productCount = :count',
+  ExpressionAttributeValues: {':count': {N: String(products)}}
+}));
+console.log('Done. Live products:', products);
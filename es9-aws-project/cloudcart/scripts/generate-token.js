@@ -0,0 +1,24 @@
+#!/usr/bin/env node
+import {signJwt} from '../services/lib/jwt.js';
+
+// Issues an HS256 JWT for testing the API.
+// The secret is the JwtSigningSecret from the stack:
+//   export JWT_SECRET=$(aws secretsmanager get-secret-value --secret-id <JwtSecretArn> \
+//     --query SecretString --output text)
+
+const secret = process.env.JWT_SECRET;
+const [sub, roles = 'customer', ttl = '3600'] = process.argv.slice(2);
+
+if (!secret || !sub) {
+  console.error('Usage: JWT_SECRET=<secret> node generate-token.js <userId> [roles] [ttlSeconds]');
+  console.error('');
+  console.error('Examples:');
+  console.error('  node generate-token.js admin-user admin        # admin token');
+  console.error('  node generate-token.js alice customer          # customer token');
+  console.error('');
+  console.error('Use the token as:  -H "Authorization: Bearer <token>"');
+  process.exit(1);
+}
+
+// Only the token goes to stdout so it can be captured: TOKEN=$(node generate-token.js alice)
+console.log(signJwt({sub, roles: roles.split(',')}, secret, Number(ttl)));
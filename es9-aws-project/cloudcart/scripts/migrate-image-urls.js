@@ -0,0 +1,80 @@
+#!/usr/bin/env node
+// Moves products off public image URLs now that the images bucket is private.
+// Products whose imageUrl (or images.<variant>.url) points at the images bucket get the object key
+// stored instead, which product reads turn into signed URLs. Image URLs on other hosts are left alone.
+// Safe to run more than once; pass --dry-run to only list what would change.
+import {DynamoDBClient, ScanCommand} from '@aws-sdk/client-dynamodb';
+import {unmarshall} from '@aws-sdk/util-dynamodb';
+
+const region = process.env.AWS_REGION || process.env.AWS_DEFAULT_REGION || 'eu-west-1';
+const args = process.argv.slice(2).filter(arg => arg !== '--dry-run');
+const dryRun = process.argv.includes('--dry-run');
+const table = process.env.PRODUCTS_TABLE || args[0];
+const bucket = process.env.IMAGES_BUCKET || args[1];
+if (!table || !bucket) {
+  console.error(
+      'Usage: PRODUCTS_TABLE=<products-table> IMAGES_BUCKET=<images-bucket> node migrate-image-urls.js [--dry-run]');
+  process.exit(1);
+}
+process.env.AWS_REGION = region;
+process.env.PRODUCTS_TABLE = table;
+process.env.IMAGES_BUCKET = bucket;
+
+// Imported after the environment is set, which these modules read at load time
+const {imageKeyFromUrl} = await import('../services/lib/productImages.js');
+const {updateProductFields} = await import('../services/lib/products.js');
+const ddb = new DynamoDBClient({region});
+
+// The fields to change for one product, or null if it has nothing pointing at the bucket
+const migration = (product) => {
+  const changes = {};
+
+  const imageKey = product.imageUrl && imageKeyFromUrl(bucket, product.imageUrl);
+  if (imageKey) {
+    Object.assign(changes, {imageKey, imageUrl: null});
+  }
+
+  if (product.images) {
+    let changed = false;
+    const images = {};
+    for (const [variant, {url, ...rest}] of Object.entries(product.images)) {
+      const key = url && imageKeyFromUrl(bucket, url);
+      if (key) changed = true;
+      images[variant] = key ? {key, ...rest} : {url, ...rest};
+    }
+    if (changed) changes.images = images;
+  }
+
+  return Object.keys(changes).length > 0 ? changes : null;
+};
+
+let scanned = 0;
+let migrated = 0;
+let startKey;
+do {
+  const res = await ddb.send(new ScanCommand({TableName: table, ExclusiveStartKey: startKey}));
+  for (const product of (res.Items || []).map(unmarshall)) {
+    scanned++;
+    const changes = migration(product);
+    if (!changes) continue;
+
+    if (changes.imageKey && !changes.imageKey.startsWith('products/')) {
+      // Product reads can only sign keys under products/
+      console.warn('Skipping', product.id, `- image key ${changes.imageKey} is outside products/`);
+      continue;
+    }
+    console.log(dryRun ? 'Would migrate' : 'Migrating', product.id, JSON.stringify(changes));
+    if (!dryRun) {
+      // Deleted products are migrated too, so they come back with working images if restored
+      const {error} = await updateProductFields(product.id, changes,
+          {actor: 'migrate-image-urls', deleted: Boolean(product.deletedAt)});
+      if (error) {
+        console.warn('Skipping', product.id, `- ${error}`);
+        continue;
+      }
+    }
+    migrated++;
+  }
+  startKey = res.LastEvaluatedKey;
+} while (startKey);
+console.log(`Done. Products scanned: ${scanned}, ${dryRun ? 'to migrate' : 'migrated'}: ${migrated}`);
@@ -0,0 +1,35 @@
+#!/usr/bin/env node
+// Rebuilds the product search index from the Products table.
+// New writes are indexed from the Products stream; run this once for products that existed
+// before the search index was deployed, or to repair the index.
+import {DynamoDBClient, ScanCommand} from '@aws-sdk/client-dynamodb';
+import {unmarshall} from '@aws-sdk/util-dynamodb';
+
+const region = process.env.AWS_REGION || process.env.AWS_DEFAULT_REGION || 'eu-west-1';
+const table = process.env.PRODUCTS_TABLE || process.argv[2];
+const searchTable = process.env.SEARCH_TABLE || process.argv[3];
+if (!table || !searchTable) {
+  console.error(
+      'Usage: PRODUCTS_TABLE=<products-table> SEARCH_TABLE=<search-index-table> node reindex-products.js');
+  process.exit(1);
+}
+process.env.AWS_REGION = region;
+process.env.SEARCH_TABLE = searchTable;
+
+// Imported after SEARCH_TABLE is set, which the indexer reads at load time
+const {reindexProduct} = await import('../services/products/searchIndexer.js');
+const ddb = new DynamoDBClient({region});
+
+let count = 0;
+let startKey;
+do {
+  const res = await ddb.send(new ScanCommand({TableName: table, ExclusiveStartKey: startKey}));
+  for (const product of (res.Items || []).map(unmarshall)) {
+    if (product.deletedAt) continue;  // soft-deleted products stay out of search
+    const {written} = await reindexProduct(null, product);
+    console.log('Indexed', product.id, product.name, `(${written} entries)`);
+    count++;
+  }
+  startKey = res.LastEvaluatedKey;
+} while (startKey);
+console.log('Done. Products indexed:', count);
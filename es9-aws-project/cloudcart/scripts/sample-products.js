@@ -0,0 +1,22 @@
+// The sample catalogue written by seed-products.js and by the local runner (services/local)
+export const SAMPLE_PRODUCTS = [
+  {id: '1', name: 'Wireless Headphones', price: 99.99, category: 'electronics', stock: 25, imageUrl: 'https://placehold.co/400x400/4A90E2/white?text=Headphones'},
+  {id: '2', name: 'Coffee Beans', price: 14.99, category: 'grocery', stock: 100, imageUrl: 'https://placehold.co/400x400/8B4513/white?text=Coffee'},
+  {id: '3', name: 'Gaming Mouse', price: 49.99, category: 'electronics', stock: 0, imageUrl: 'https://placehold.co/400x400/FF6B6B/white?text=Mouse'}
+];
+
+// A sample product as a DynamoDB item
+export const sampleProductItem = (it, createdAt = new Date().toISOString()) => {
+  const item = {
+    id: {S: it.id},
+    name: {S: it.name},
+    price: {N: String(it.price)},
+    category: {S: it.category},
+    stock: {N: String(it.stock)},
+    createdAt: {S: createdAt}
+  };
+  if (it.imageUrl) {
+    item.imageUrl = {S: it.imageUrl};
+  }
+  return item;
+};
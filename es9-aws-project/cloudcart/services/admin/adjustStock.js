@@ -0,0 +1,41 @@
+import { updateProductFields, productWriteError } from '../lib/products.js';
+import { getCaller } from '../lib/identity.js';
+import { route, json, invalidField, ifMatchVersion, etag } from '../lib/http.js';
+
+// Adjusts stock by a relative amount, e.g. { "delta": 10 } after a delivery
+// or { "delta": -2 } for damaged goods. Stock can never go below zero.
+// Like PATCH it bumps the version, is recorded in the audit trail and honours If-Match.
+export const handler = route({
+  admin: true,
+  params: {
+    type: 'object',
+    required: ['id'],
+    properties: { id: { type: 'string', minLength: 1 } }
+  },
+  body: {
+    type: 'object',
+    required: ['delta'],
+    properties: { delta: { type: 'integer' } }
+  },
+  failure: 'Failed to adjust stock'
+}, async ({ params, body }, event) => {
+  const { id } = params;
+  const { delta } = body;
+  if (delta === 0) throw invalidField('delta', 'delta must be a non-zero integer');
+
+  const result = await updateProductFields(id, {}, {
+    actor: getCaller(event)?.userId,
+    expectedVersion: ifMatchVersion(event),
+    stockDelta: delta
+  });
+  if (result.error) throw productWriteError(result);
+
+  const { stock, version } = result.product;
+  return json(200, {
+    message: 'Stock adjusted successfully',
+    id,
+    stock,
+    outOfStock: stock === 0,
+    version
+  }, { etag: etag(version) });
+});
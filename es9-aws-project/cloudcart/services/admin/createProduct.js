@@ -1,59 +1,31 @@
 import { DynamoDBClient, PutItemCommand } from '@aws-sdk/client-dynamodb';
+import { productSchema, toProduct, productItem } from '../lib/productValidation.js';
+import { getCaller } from '../lib/identity.js';
+import { route, json, conflict, etag } from '../lib/http.js';
 
 const ddb = new DynamoDBClient({});
 const TABLE = process.env.PRODUCTS_TABLE;
 
-export const handler = async (event) => {
-  try {
-    const body = JSON.parse(event.body || '{}');
-    const { id, name, price, category, imageUrl, description } = body;
-
-    // Validation
-    if (!id || !name || !price || !category) {
-      return {
-        statusCode: 400,
-        headers: { 'content-type': 'application/json' },
-        body: JSON.stringify({ error: 'Missing required fields: id, name, price, category' })
-      };
-    }
-
-    if (typeof price !== 'number' || price <= 0) {
-      return {
-        statusCode: 400,
-        headers: { 'content-type': 'application/json' },
-        body: JSON.stringify({ error: 'Price must be a positive number' })
-      };
-    }
-
-    const item = {
-      id: { S: String(id) },
-      name: { S: name },
-      price: { N: String(price) },
-      category: { S: category }
-    };
-
-    if (imageUrl) item.imageUrl = { S: imageUrl };
-    if (description) item.description = { S: description };
+export const handler = route({ admin: true, body: productSchema, failure: 'Failed to create product' }, async ({ body }, event) => {
+  const product = toProduct(body);
+  const createdAt = new Date().toISOString();
+  const actor = getCaller(event)?.userId;
 
+  try {
+    // Never replaces an existing product, which would silently reset its version and history;
+    // use PATCH to change one, or restore a deleted one
     await ddb.send(new PutItemCommand({
       TableName: TABLE,
-      Item: item
+      Item: productItem(product, createdAt, actor),
+      ConditionExpression: 'attribute_not_exists(id)'
     }));
-
-    return {
-      statusCode: 201,
-      headers: { 'content-type': 'application/json' },
-      body: JSON.stringify({
-        message: 'Product created successfully',
-        product: { id, name, price, category, imageUrl, description }
-      })
-    };
   } catch (error) {
-    console.error('Error creating product:', error);
-    return {
-      statusCode: 500,
-      headers: { 'content-type': 'application/json' },
-      body: JSON.stringify({ error: 'Failed to create product' })
-    };
+    if (error.name !== 'ConditionalCheckFailedException') throw error;
+    throw conflict('PRODUCT_EXISTS', `A product with id ${product.id} already exists`);
   }
-};
+
+  return json(201, {
+    message: 'Product created successfully',
+    product: { ...product, createdAt, version: 1, outOfStock: product.stock === 0 }
+  }, { etag: etag(1) });
+});
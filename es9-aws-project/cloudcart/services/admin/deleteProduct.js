@@ -1,53 +1,31 @@
-import { DynamoDBClient, DeleteItemCommand, GetItemCommand } from '@aws-sdk/client-dynamodb';
+import { updateProductFields, productWriteError } from '../lib/products.js';
+import { getCaller } from '../lib/identity.js';
+import { route, json, ifMatchVersion, etag } from '../lib/http.js';
 
-const ddb = new DynamoDBClient({});
-const TABLE = process.env.PRODUCTS_TABLE;
+// DELETE /admin/products/{id}
+// Soft delete: the product disappears from every read but is kept, with its history, so
+// POST /admin/products/{id}/restore can bring it back. Honours If-Match like PATCH.
+export const handler = route({
+  admin: true,
+  params: {
+    type: 'object',
+    required: ['id'],
+    properties: { id: { type: 'string', minLength: 1 } }
+  },
+  failure: 'Failed to delete product'
+}, async ({ params }, event) => {
+  const { id } = params;
+  const actor = getCaller(event)?.userId;
 
-export const handler = async (event) => {
-  try {
-    const id = event.pathParameters?.id;
+  const result = await updateProductFields(id, {
+    deletedAt: new Date().toISOString(),
+    deletedBy: actor
+  }, { actor, expectedVersion: ifMatchVersion(event) });
+  if (result.error) throw productWriteError(result);
 
-    if (!id) {
-      return {
-        statusCode: 400,
-        headers: { 'content-type': 'application/json' },
-        body: JSON.stringify({ error: 'Missing product ID' })
-      };
-    }
-
-    // Check if product exists
-    const existing = await ddb.send(new GetItemCommand({
-      TableName: TABLE,
-      Key: { id: { S: id } }
-    }));
-
-    if (!existing.Item) {
-      return {
-        statusCode: 404,
-        headers: { 'content-type': 'application/json' },
-        body: JSON.stringify({ error: 'Product not found' })
-      };
-    }
-
-    await ddb.send(new DeleteItemCommand({
-      TableName: TABLE,
-      Key: { id: { S: id } }
-    }));
-
-    return {
-      statusCode: 200,
-      headers: { 'content-type': 'application/json' },
-      body: JSON.stringify({
-        message: 'Product deleted successfully',
-        id
-      })
-    };
-  } catch (error) {
-    console.error('Error deleting product:', error);
-    return {
-      statusCode: 500,
-      headers: { 'content-type': 'application/json' },
-      body: JSON.stringify({ error: 'Failed to delete product' })
-    };
-  }
-};
+  return json(200, {
+    message: 'Product deleted successfully',
+    id,
+    version: result.product.version
+  }, { etag: etag(result.product.version) });
+});
@@ -0,0 +1,70 @@
+import { DynamoDBClient, ScanCommand } from '@aws-sdk/client-dynamodb';
+import { unmarshall } from '@aws-sdk/util-dynamodb';
+import { S3Client, GetObjectCommand } from '@aws-sdk/client-s3';
+import { Upload } from '@aws-sdk/lib-storage';
+import { getSignedUrl } from '@aws-sdk/s3-request-presigner';
+import { PassThrough } from 'stream';
+import { once } from 'events';
+import { PRODUCT_FIELDS } from '../lib/productValidation.js';
+import { toCsvLine } from '../lib/csv.js';
+import { route, json } from '../lib/http.js';
+
+const ddb = new DynamoDBClient({});
+const s3 = new S3Client({});
+const TABLE = process.env.PRODUCTS_TABLE;
+const BUCKET = process.env.IMPORTS_BUCKET;
+const DOWNLOAD_URL_TTL_SECONDS = 900;
+
+// GET /admin/products/export
+// API Gateway buffers Lambda responses (6 MB max), so the catalogue is streamed page by page
+// into a multipart S3 upload and the caller is redirected to a short-lived download URL.
+// The columns match the CSV import format, so an export can be edited and imported again.
+export const handler = route({ admin: true, failure: 'Failed to export products' }, async ({ log }) => {
+  const key = `exports/products-${new Date().toISOString().replace(/[:.]/g, '-')}.csv`;
+  const body = new PassThrough();
+  const upload = new Upload({
+    client: s3,
+    params: { Bucket: BUCKET, Key: key, Body: body, ContentType: 'text/csv' }
+  });
+  const uploaded = upload.done();
+  // Failures surface at `await uploaded` below; this stops them counting as unhandled meanwhile
+  uploaded.catch(() => {});
+
+  let count = 0;
+  try {
+    body.write(toCsvLine(PRODUCT_FIELDS));
+    let ExclusiveStartKey;
+    do {
+      const res = await ddb.send(new ScanCommand({
+        TableName: TABLE,
+        FilterExpression: 'attribute_not_exists(deletedAt)',
+        ExclusiveStartKey
+      }));
+      for (const product of (res.Items || []).map(unmarshall)) {
+        // Respect backpressure so a large catalogue never sits in memory
+        if (!body.write(toCsvLine(PRODUCT_FIELDS.map(field => product[field])))) {
+          // A failed upload stops reading, so stop waiting for it to drain too
+          await Promise.race([once(body, 'drain'), uploaded]);
+        }
+        count++;
+      }
+      ExclusiveStartKey = res.LastEvaluatedKey;
+    } while (ExclusiveStartKey);
+    body.end();
+  } catch (error) {
+    await upload.abort().catch(() => {});
+    body.destroy();
+    await uploaded.catch(() => {});
+    throw error;
+  }
+  await uploaded;
+
+  const url = await getSignedUrl(s3, new GetObjectCommand({
+    Bucket: BUCKET,
+    Key: key,
+    ResponseContentDisposition: 'attachment; filename="products.csv"'
+  }), { expiresIn: DOWNLOAD_URL_TTL_SECONDS });
+
+  log.info('Exported products', { count, key });
+  return json(303, { url, count, expiresIn: DOWNLOAD_URL_TTL_SECONDS }, { location: url });
+});
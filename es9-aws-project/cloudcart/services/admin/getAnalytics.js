@@ -0,0 +1,83 @@
+import { DynamoDBClient, QueryCommand } from '@aws-sdk/client-dynamodb';
+import { unmarshall } from '@aws-sdk/util-dynamodb';
+import { DAILY, CATEGORY, PRODUCT, dateOf, isValidDate } from '../lib/analytics.js';
+import { route, json, invalidField } from '../lib/http.js';
+
+const ddb = new DynamoDBClient({});
+const TABLE = process.env.ANALYTICS_TABLE;
+const DEFAULT_DAYS = 30;
+const MAX_DAYS = 366;
+
+// Reads every aggregate in one partition between two dates (inclusive)
+const queryRange = async (pk, from, to) => {
+  const items = [];
+  let ExclusiveStartKey;
+  do {
+    const res = await ddb.send(new QueryCommand({
+      TableName: TABLE,
+      KeyConditionExpression: 'pk = :pk AND sk BETWEEN :from AND :to',
+      ExpressionAttributeValues: {
+        ':pk': { S: pk },
+        ':from': { S: from },
+        // Composite keys are "<date>#<name>", so extend the upper bound past any suffix
+        ':to': { S: `${to}#\uffff` }
+      },
+      ExclusiveStartKey
+    }));
+    items.push(...(res.Items || []).map(unmarshall));
+    ExclusiveStartKey = res.LastEvaluatedKey;
+  } while (ExclusiveStartKey);
+  return items;
+};
+
+const withAverage = (agg) => ({
+  ...agg,
+  averageOrderValue: agg.orderCount > 0 ? Math.round((agg.revenue / agg.orderCount) * 100) / 100 : 0
+});
+
+export const handler = route({
+  admin: true,
+  query: {
+    type: 'object',
+    properties: {
+      from: { type: 'string' },
+      to: { type: 'string' }
+    }
+  },
+  failure: 'Failed to retrieve analytics'
+}, async ({ query }) => {
+  const to = query.to || dateOf(Date.now());
+  const from = query.from || dateOf(Date.parse(to) - (DEFAULT_DAYS - 1) * 24 * 60 * 60 * 1000);
+
+  if (!isValidDate(from) || !isValidDate(to)) {
+    throw invalidField(isValidDate(from) ? 'to' : 'from', 'from and to must be dates in YYYY-MM-DD format');
+  }
+
+  const days = (Date.parse(to) - Date.parse(from)) / (24 * 60 * 60 * 1000) + 1;
+  if (days < 1 || days > MAX_DAYS) {
+    throw invalidField('from', `from must not be after to, and the range can be at most ${MAX_DAYS} days`);
+  }
+
+  const [daily, categories, products] = await Promise.all([
+    queryRange(DAILY, from, to),
+    queryRange(CATEGORY, from, to),
+    queryRange(PRODUCT, from, to)
+  ]);
+
+  const totals = withAverage(daily.reduce((sum, day) => ({
+    orderCount: sum.orderCount + (day.orderCount || 0),
+    revenue: Math.round((sum.revenue + (day.revenue || 0)) * 100) / 100,
+    unitsSold: sum.unitsSold + (day.unitsSold || 0)
+  }), { orderCount: 0, revenue: 0, unitsSold: 0 }));
+
+  const strip = ({ pk, sk, ...rest }) => rest;
+
+  return json(200, {
+    from,
+    to,
+    totals,
+    daily: daily.map(strip).map(withAverage),
+    categories: categories.map(strip).map(withAverage),
+    products: products.map(strip)
+  });
+});
@@ -0,0 +1,19 @@
+import { getJob } from '../lib/importJobs.js';
+import { route, json, notFound } from '../lib/http.js';
+
+// GET /admin/products/import/{jobId} - status and per-row error report of a bulk import
+export const handler = route({
+  admin: true,
+  params: {
+    type: 'object',
+    required: ['jobId'],
+    properties: { jobId: { type: 'string', minLength: 1 } }
+  },
+  failure: 'Failed to get import job'
+}, async ({ params }) => {
+  const job = await getJob(params.jobId);
+  if (!job) throw notFound('Import job not found');
+
+  const { expiresAt, ...report } = job;
+  return json(200, report);
+});
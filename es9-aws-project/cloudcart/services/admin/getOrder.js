@@ -0,0 +1,18 @@
+import { findOrderById } from '../lib/orders.js';
+import { route, json, notFound } from '../lib/http.js';
+
+// Any customer's order by id, for the dashboard's order page
+export const handler = route({
+  admin: true,
+  params: {
+    type: 'object',
+    required: ['id'],
+    properties: { id: { type: 'string', minLength: 1 } }
+  },
+  failure: 'Failed to retrieve order'
+}, async ({ params }) => {
+  const order = await findOrderById(params.id);
+  if (!order) throw notFound('Order not found');
+
+  return json(200, order);
+});
@@ -0,0 +1,120 @@
+import { DynamoDBClient, QueryCommand } from '@aws-sdk/client-dynamodb';
+import { marshall, unmarshall } from '@aws-sdk/util-dynamodb';
+import { readPage, encodeCursor, pageQuery } from '../lib/cursor.js';
+import { ORDER_ENTITY, RECENT_INDEX } from '../lib/orders.js';
+import { ORDER_STATUSES } from '../lib/orderStatus.js';
+import { isValidDate } from '../lib/analytics.js';
+import { route, json, badRequest, invalidField } from '../lib/http.js';
+
+const ddb = new DynamoDBClient({});
+const TABLE = process.env.ORDERS_TABLE;
+// Selective filters can leave most of what a read evaluates out of the page; stop after this many
+// reads and hand back a cursor rather than keep a request waiting
+const MAX_READS_PER_PAGE = 5;
+
+// Key attributes of the table and of gsi_recent, which a cursor into either must carry
+const TABLE_KEY = ['userId', 'orderId'];
+const RECENT_KEY = ['entity', 'timestamp', ...TABLE_KEY];
+
+// The Query for a filtered listing. One customer's orders come from their own partition; otherwise
+// gsi_recent lists every order newest first, and a date range narrows the key condition itself.
+const listingQuery = ({ userId, status, from, to, minTotal }) => {
+  const names = {};
+  const values = {};
+  const filters = [];
+
+  // Dates are whole UTC days; "T" sorts after the date itself, so `to` covers every time on that day
+  let range;
+  if (from && to) range = '#timestamp BETWEEN :from AND :to';
+  else if (from) range = '#timestamp >= :from';
+  else if (to) range = '#timestamp <= :to';
+  if (range) names['#timestamp'] = 'timestamp';
+  if (from) values[':from'] = from;
+  if (to) values[':to'] = `${to}T\uffff`;
+
+  if (status) {
+    names['#status'] = 'status';
+    values[':status'] = status;
+    filters.push('#status = :status');
+  }
+  if (minTotal !== undefined) {
+    names['#total'] = 'total';
+    values[':minTotal'] = minTotal;
+    filters.push('#total >= :minTotal');
+  }
+
+  let keyCondition;
+  if (userId) {
+    values[':uid'] = userId;
+    keyCondition = 'userId = :uid';
+    if (range) filters.push(range);
+  } else {
+    values[':entity'] = ORDER_ENTITY;
+    keyCondition = range ? `entity = :entity AND ${range}` : 'entity = :entity';
+  }
+
+  return {
+    TableName: TABLE,
+    // Order ids start with the time the order was placed, so a customer's partition is newest first too
+    ...(!userId && { IndexName: RECENT_INDEX }),
+    ScanIndexForward: false,
+    KeyConditionExpression: keyCondition,
+    ...(filters.length > 0 && { FilterExpression: filters.join(' AND ') }),
+    ...(Object.keys(names).length > 0 && { ExpressionAttributeNames: names }),
+    ExpressionAttributeValues: marshall(values)
+  };
+};
+
+// Lists orders across all customers, newest first, or for one customer with ?userId=.
+// ?status=, ?from= / ?to= (YYYY-MM-DD, inclusive) and ?minTotal= narrow either listing.
+export const handler = route({
+  admin: true,
+  query: {
+    type: 'object',
+    properties: {
+      userId: { type: 'string', minLength: 1 },
+      status: { enum: ORDER_STATUSES },
+      from: { type: 'string' },
+      to: { type: 'string' },
+      minTotal: { type: 'number', minimum: 0 },
+      ...pageQuery(100)
+    }
+  },
+  failure: 'Failed to retrieve orders'
+}, async ({ query }) => {
+  const { userId, status, from, to, minTotal } = query;
+  for (const [field, value] of Object.entries({ from, to })) {
+    if (value !== undefined && !isValidDate(value)) throw invalidField(field, `${field} must be a date in YYYY-MM-DD format`);
+  }
+  if (from && to && from > to) throw invalidField('from', 'from must not be after to');
+
+  // A cursor only continues the listing with the same filters
+  const scope = `admin-orders#${JSON.stringify([userId, status, from, to, minTotal])}`;
+  const page = readPage(query, scope, { defaultLimit: 50 });
+  if (page.error) throw badRequest(page.error, undefined, 'INVALID_CURSOR');
+
+  const request = listingQuery({ userId, status, from, to, minTotal });
+  const keyAttributes = userId ? TABLE_KEY : RECENT_KEY;
+
+  // Filters apply after each read's Limit, so keep reading until the page is full
+  const orders = [];
+  let lastKey = page.startKey;
+  for (let reads = 0; reads < MAX_READS_PER_PAGE && orders.length < page.limit; reads++) {
+    const result = await ddb.send(new QueryCommand({ ...request, Limit: page.limit, ExclusiveStartKey: lastKey }));
+    const items = (result.Items || []).map(unmarshall);
+    const room = page.limit - orders.length;
+    orders.push(...items.slice(0, room));
+
+    // A read that returned more than fits continues after the last order kept, not where the read stopped
+    lastKey = items.length > room
+      ? marshall(Object.fromEntries(keyAttributes.map(name => [name, orders.at(-1)[name]])))
+      : result.LastEvaluatedKey;
+    if (!lastKey) break;
+  }
+
+  return json(200, {
+    orders,
+    count: orders.length,
+    nextCursor: encodeCursor(lastKey, scope)
+  });
+});
@@ -0,0 +1,30 @@
+import { listAudit } from '../lib/productAudit.js';
+import { readPage, encodeCursor, pageQuery } from '../lib/cursor.js';
+import { route, json, badRequest } from '../lib/http.js';
+
+// GET /admin/audit lists product changes newest first, across the catalogue or for one
+// product with ?productId=
+export const handler = route({
+  admin: true,
+  query: {
+    type: 'object',
+    properties: {
+      productId: { type: 'string', minLength: 1 },
+      ...pageQuery(100)
+    }
+  },
+  failure: 'Failed to retrieve audit log'
+}, async ({ query }) => {
+  const { productId } = query;
+  const scope = productId ? `audit#${productId}` : 'audit';
+  const page = readPage(query, scope, { defaultLimit: 50 });
+  if (page.error) throw badRequest(page.error, undefined, 'INVALID_CURSOR');
+
+  const { entries, lastKey } = await listAudit({ productId, limit: page.limit, startKey: page.startKey });
+
+  return json(200, {
+    entries,
+    count: entries.length,
+    nextCursor: encodeCursor(lastKey, scope)
+  });
+});
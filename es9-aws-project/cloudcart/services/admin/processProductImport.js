@@ -0,0 +1,214 @@
+import { S3Client, GetObjectCommand } from '@aws-sdk/client-s3';
+import { DynamoDBClient, PutItemCommand } from '@aws-sdk/client-dynamodb';
+import { startJob, finishJob } from '../lib/importJobs.js';
+import { validateProduct, productItem } from '../lib/productValidation.js';
+import { createCsvParser } from '../lib/csv.js';
+import { logger } from '../lib/logger.js';
+
+const s3 = new S3Client({});
+const ddb = new DynamoDBClient({});
+const TABLE = process.env.PRODUCTS_TABLE;
+const MAX_IMPORT_BYTES = 50 * 1024 * 1024;
+const MAX_REPORTED_ERRORS = 1000;
+const WRITE_BATCH = 25; // Conditional puts sent together
+const REQUIRED_COLUMNS = ['id', 'name', 'price', 'category'];
+
+// Thrown when the file as a whole can't be imported (as opposed to individual bad rows)
+class ImportFileError extends Error {}
+
+// Decodes the S3 body as UTF-8 text, chunk by chunk
+async function* textChunks(body) {
+  const decoder = new TextDecoder('utf-8');
+  for await (const chunk of body) {
+    yield decoder.decode(chunk, { stream: true });
+  }
+  yield decoder.decode();
+}
+
+const csvValue = (column, raw) => {
+  const value = raw.trim();
+  if (value === '') return undefined;
+  if (column !== 'price' && column !== 'stock') return value;
+  // Leave non-numbers as text so validation reports them as the wrong type, not as missing
+  const number = Number(value);
+  return Number.isNaN(number) ? value : number;
+};
+
+// Yields { row, input } per data record; row 1 is the header
+async function* csvRows(body) {
+  const parser = createCsvParser();
+  let columns;
+  let row = 0;
+
+  const toRows = function* (records) {
+    for (const record of records) {
+      row++;
+      if (!columns) {
+        columns = record.map(name => name.trim());
+        const missing = REQUIRED_COLUMNS.filter(name => !columns.includes(name));
+        if (missing.length > 0) {
+          throw new ImportFileError(`CSV header is missing required columns: ${missing.join(', ')}`);
+        }
+        continue;
+      }
+      if (record.every(value => value.trim() === '')) continue;
+
+      const input = {};
+      columns.forEach((column, i) => {
+        if (record[i] !== undefined) input[column] = csvValue(column, record[i]);
+      });
+      yield { row, input };
+    }
+  };
+
+  for await (const text of textChunks(body)) {
+    yield* toRows(parser.push(text));
+  }
+  try {
+    yield* toRows(parser.end());
+  } catch (error) {
+    if (error instanceof ImportFileError) throw error;
+    throw new ImportFileError(`CSV could not be parsed: ${error.message}`);
+  }
+  if (!columns) throw new ImportFileError('CSV file has no header row');
+}
+
+// Yields { row, input } per non-blank line, or { row, error } for lines that aren't JSON objects
+async function* ndjsonRows(body) {
+  let buffered = '';
+  let row = 0;
+
+  const toRows = function* (lines) {
+    for (const line of lines) {
+      row++;
+      if (line.trim() === '') continue;
+      try {
+        const input = JSON.parse(line);
+        if (!input || typeof input !== 'object' || Array.isArray(input)) {
+          yield { row, error: 'Each line must be a JSON object' };
+        } else {
+          yield { row, input };
+        }
+      } catch {
+        yield { row, error: 'Invalid JSON' };
+      }
+    }
+  };
+
+  for await (const text of textChunks(body)) {
+    const lines = (buffered + text).split('\n');
+    buffered = lines.pop();
+    yield* toRows(lines);
+  }
+  yield* toRows([buffered]);
+}
+
+// Validates every row and, unless it's a dry run, writes the valid ones as they are read.
+// Progress goes into `report` so a job that fails part way still records what was imported.
+const runImport = async (job, bucket, key, report) => {
+  const object = await s3.send(new GetObjectCommand({ Bucket: bucket, Key: key }));
+  const rows = job.format === 'csv' ? csvRows(object.Body) : ndjsonRows(object.Body);
+
+  const { counts, errors } = report;
+  const seen = new Set();
+  let batch = [];
+
+  const reject = (row, id, error) => {
+    counts.failed++;
+    if (errors.length < MAX_REPORTED_ERRORS) {
+      errors.push({ row, ...(id !== undefined && { id: String(id) }), error });
+    }
+  };
+
+  // Like POST /admin/products, an import never replaces an existing product (deleted ones included),
+  // which would reset its version, images and stock; those rows are reported and left as they are
+  const write = async ({ row, product }, createdAt, actor) => {
+    try {
+      await ddb.send(new PutItemCommand({
+        TableName: TABLE,
+        Item: productItem(product, createdAt, actor),
+        ConditionExpression: 'attribute_not_exists(id)'
+      }));
+      counts.imported++;
+    } catch (error) {
+      if (error.name !== 'ConditionalCheckFailedException') throw error;
+      counts.valid--;
+      reject(row, product.id, `A product with id ${product.id} already exists`);
+    }
+  };
+
+  const flush = async () => {
+    if (batch.length === 0) return;
+    const createdAt = new Date().toISOString();
+    // The audit trail names the job; the job records which admin started it
+    const actor = `import:${job.jobId}`;
+    await Promise.all(batch.map(entry => write(entry, createdAt, actor)));
+    batch = [];
+  };
+
+  for await (const { row, input, error: parseError } of rows) {
+    counts.rows++;
+    if (parseError) {
+      reject(row, undefined, parseError);
+      continue;
+    }
+
+    const { product, error } = validateProduct(input);
+    if (error) {
+      reject(row, input.id, error);
+      continue;
+    }
+    // A file can't write the same product twice; the later row would silently win
+    if (seen.has(product.id)) {
+      reject(row, product.id, `Duplicate id ${product.id} in file`);
+      continue;
+    }
+    seen.add(product.id);
+    counts.valid++;
+
+    if (!job.dryRun) {
+      batch.push({ row, product });
+      if (batch.length === WRITE_BATCH) await flush();
+    }
+  }
+  await flush();
+};
+
+// Triggered by S3 when an import file is uploaded to imports/<jobId>
+export const handler = async (event) => {
+  for (const record of event.Records) {
+    const bucket = record.s3.bucket.name;
+    const key = decodeURIComponent(record.s3.object.key.replace(/\+/g, ' '));
+    const jobId = key.split('/').pop();
+
+    const log = logger.child({ jobId });
+
+    const job = await startJob(jobId);
+    if (!job) {
+      log.info('Skipping upload, no job awaiting it', { key });
+      continue;
+    }
+    log.info('Importing products', { format: job.format, dryRun: job.dryRun });
+
+    const report = { counts: { rows: 0, valid: 0, imported: 0, failed: 0 }, errors: [] };
+    const summary = () => ({ ...report, errorsTruncated: report.counts.failed > report.errors.length });
+
+    try {
+      if (record.s3.object.size > MAX_IMPORT_BYTES) {
+        throw new ImportFileError(`Import files are limited to ${MAX_IMPORT_BYTES / 1024 / 1024} MB`);
+      }
+
+      await runImport(job, bucket, key, report);
+      await finishJob(jobId, { status: 'completed', ...summary() });
+      log.info('Import completed', report.counts);
+    } catch (error) {
+      // The job is already claimed, so S3 retrying the event wouldn't help; record why it failed
+      log.error('Import failed', error);
+      await finishJob(jobId, {
+        status: 'failed',
+        ...summary(),
+        reason: error instanceof ImportFileError ? error.message : 'Import failed unexpectedly'
+      });
+    }
+  }
+};
@@ -0,0 +1,28 @@
+import { updateProductFields, productWriteError } from '../lib/products.js';
+import { getCaller } from '../lib/identity.js';
+import { route, json, ifMatchVersion, etag } from '../lib/http.js';
+
+// POST /admin/products/{id}/restore
+// Undoes a soft delete. Restoring a product that isn't deleted is a 409 PRODUCT_NOT_DELETED.
+export const handler = route({
+  admin: true,
+  params: {
+    type: 'object',
+    required: ['id'],
+    properties: { id: { type: 'string', minLength: 1 } }
+  },
+  failure: 'Failed to restore product'
+}, async ({ params }, event) => {
+  const result = await updateProductFields(params.id, { deletedAt: null, deletedBy: null }, {
+    actor: getCaller(event)?.userId,
+    expectedVersion: ifMatchVersion(event),
+    deleted: true
+  });
+  if (result.error) throw productWriteError(result);
+
+  return json(200, {
+    message: 'Product restored successfully',
+    id: params.id,
+    version: result.product.version
+  }, { etag: etag(result.product.version) });
+});
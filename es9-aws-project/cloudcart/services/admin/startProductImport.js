@@ -0,0 +1,87 @@
+import { S3Client, PutObjectCommand } from '@aws-sdk/client-s3';
+import { getSignedUrl } from '@aws-sdk/s3-request-presigner';
+import { randomUUID } from 'crypto';
+import { createJob, importKey, IMPORT_FORMATS } from '../lib/importJobs.js';
+import { getCaller } from '../lib/identity.js';
+import { compile } from '../lib/validation.js';
+import { route, json, badRequest, readBody, validated } from '../lib/http.js';
+
+const s3 = new S3Client({});
+const BUCKET = process.env.IMPORTS_BUCKET;
+const UPLOAD_URL_TTL_SECONDS = 900;
+
+const CONTENT_TYPES = {
+  csv: 'text/csv',
+  ndjson: 'application/x-ndjson'
+};
+const FORMAT_BY_CONTENT_TYPE = {
+  'text/csv': 'csv',
+  'application/x-ndjson': 'ndjson',
+  'application/ndjson': 'ndjson'
+};
+
+// POST /admin/products/import
+//   Small files: send the file itself as text/csv or application/x-ndjson (?dryRun=true to only validate).
+//   Large files: send {"format": "csv"|"ndjson", "dryRun": bool} and PUT the file to the returned uploadUrl.
+// Either way the import runs asynchronously; poll GET /admin/products/import/{jobId} for the report.
+const validateRequest = compile({
+  type: 'object',
+  required: ['format'],
+  properties: {
+    format: { enum: IMPORT_FORMATS },
+    dryRun: { type: 'boolean', default: false }
+  }
+});
+
+export const handler = route({
+  admin: true,
+  query: {
+    type: 'object',
+    properties: { dryRun: { type: 'boolean', default: false } }
+  },
+  failure: 'Failed to start product import'
+}, async ({ query }, event) => {
+  const contentType = (event.headers?.['content-type'] || '').split(';')[0].trim().toLowerCase();
+  const inlineFormat = FORMAT_BY_CONTENT_TYPE[contentType];
+  const jobId = randomUUID();
+  const createdBy = getCaller(event)?.userId;
+
+  if (inlineFormat) {
+    const file = event.isBase64Encoded ? Buffer.from(event.body || '', 'base64') : event.body;
+    if (!file || file.length === 0) throw badRequest('Import file is empty', undefined, 'EMPTY_IMPORT_FILE');
+
+    const { dryRun } = query;
+    const job = await createJob({ jobId, format: inlineFormat, dryRun, createdBy });
+
+    // Uploading the file starts processing, exactly as a presigned upload would
+    await s3.send(new PutObjectCommand({
+      Bucket: BUCKET,
+      Key: importKey(jobId),
+      Body: file,
+      ContentType: CONTENT_TYPES[inlineFormat]
+    }));
+
+    return json(202, { jobId, status: job.status, format: job.format, dryRun });
+  }
+
+  // Anything else is a JSON request for an upload URL
+  const { format, dryRun } = validated(validateRequest, readBody(event), 'request body');
+
+  const job = await createJob({ jobId, format, dryRun, createdBy });
+  const uploadUrl = await getSignedUrl(s3, new PutObjectCommand({
+    Bucket: BUCKET,
+    Key: importKey(jobId),
+    ContentType: CONTENT_TYPES[format]
+  }), { expiresIn: UPLOAD_URL_TTL_SECONDS });
+
+  return json(202, {
+    jobId,
+    status: job.status,
+    format,
+    dryRun,
+    uploadUrl,
+    // The upload must send the same content-type the URL was signed with
+    uploadHeaders: { 'content-type': CONTENT_TYPES[format] },
+    expiresIn: UPLOAD_URL_TTL_SECONDS
+  });
+});
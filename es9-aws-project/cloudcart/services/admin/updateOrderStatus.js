@@ -0,0 +1,42 @@
+import { findOrderById, transitionOrder } from '../lib/orders.js';
+import { ORDER_STATUSES, nextStatuses } from '../lib/orderStatus.js';
+import { getCaller } from '../lib/identity.js';
+import { route, json, notFound, conflict } from '../lib/http.js';
+
+export const handler = route({
+  admin: true,
+  params: {
+    type: 'object',
+    required: ['id'],
+    properties: { id: { type: 'string', minLength: 1 } }
+  },
+  body: {
+    type: 'object',
+    required: ['status'],
+    properties: {
+      status: { enum: ORDER_STATUSES },
+      reason: { type: 'string' }
+    }
+  },
+  failure: 'Failed to update order status'
+}, async ({ params, body }, event) => {
+  const order = await findOrderById(params.id);
+  if (!order) throw notFound('Order not found');
+
+  const result = await transitionOrder(order, body.status, {
+    actor: getCaller(event)?.userId,
+    reason: body.reason
+  });
+
+  if (result.error) {
+    const details = { status: order.status, allowed: nextStatuses(order.status) };
+    throw result.error === 'CONFLICT'
+      ? conflict('CONCURRENT_UPDATE', 'Order status changed concurrently, reload and try again', details)
+      : conflict('INVALID_TRANSITION', `Cannot change status from ${order.status} to ${body.status}`, details);
+  }
+
+  return json(200, {
+    message: 'Order status updated successfully',
+    order: result.order
+  });
+});
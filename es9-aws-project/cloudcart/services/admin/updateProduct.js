@@ -1,108 +1,45 @@
-import { DynamoDBClient, UpdateItemCommand, GetItemCommand } from '@aws-sdk/client-dynamodb';
-
-const ddb = new DynamoDBClient({});
-const TABLE = process.env.PRODUCTS_TABLE;
-
-export const handler = async (event) => {
-  try {
-    const id = event.pathParameters?.id;
-    const body = JSON.parse(event.body || '{}');
-
-    if (!id) {
-      return {
-        statusCode: 400,
-        headers: { 'content-type': 'application/json' },
-        body: JSON.stringify({ error: 'Missing product ID' })
-      };
-    }
-
-    // Check if product exists
-    const existing = await ddb.send(new GetItemCommand({
-      TableName: TABLE,
-      Key: { id: { S: id } }
-    }));
-
-    if (!existing.Item) {
-      return {
-        statusCode: 404,
-        headers: { 'content-type': 'application/json' },
-        body: JSON.stringify({ error: 'Product not found' })
-      };
-    }
-
-    // Build update expression
-    const updates = [];
-    const attrNames = {};
-    const attrValues = {};
-
-    if (body.name !== undefined) {
-      updates.push('#name = :name');
-      attrNames['#name'] = 'name';
-      attrValues[':name'] = { S: body.name };
-    }
-
-    if (body.price !== undefined) {
-      if (typeof body.price !== 'number' || body.price <= 0) {
-        return {
-          statusCode: 400,
-          headers: { 'content-type': 'application/json' },
-          body: JSON.stringify({ error: 'Price must be a positive number' })
-        };
-      }
-      updates.push('#price = :price');
-      attrNames['#price'] = 'price';
-      attrValues[':price'] = { N: String(body.price) };
-    }
-
-    if (body.category !== undefined) {
-      updates.push('#category = :category');
-      attrNames['#category'] = 'category';
-      attrValues[':category'] = { S: body.category };
-    }
-
-    if (body.imageUrl !== undefined) {
-      updates.push('#imageUrl = :imageUrl');
-      attrNames['#imageUrl'] = 'imageUrl';
-      attrValues[':imageUrl'] = { S: body.imageUrl };
-    }
-
-    if (body.description !== undefined) {
-      updates.push('#description = :description');
-      attrNames['#description'] = 'description';
-      attrValues[':description'] = { S: body.description };
-    }
-
-    if (updates.length === 0) {
-      return {
-        statusCode: 400,
-        headers: { 'content-type': 'application/json' },
-        body: JSON.stringify({ error: 'No fields to update' })
-      };
-    }
-
-    await ddb.send(new UpdateItemCommand({
-      TableName: TABLE,
-      Key: { id: { S: id } },
-      UpdateExpression: `SET ${updates.join(', ')}`,
-      ExpressionAttributeNames: attrNames,
-      ExpressionAttributeValues: attrValues
-    }));
-
-    return {
-      statusCode: 200,
-      headers: { 'content-type': 'application/json' },
-      body: JSON.stringify({
-        message: 'Product updated successfully',
-        id,
-        updates: body
-      })
-    };
-  } catch (error) {
-    console.error('Error updating product:', error);
-    return {
-      statusCode: 500,
-      headers: { 'content-type': 'application/json' },
-      body: JSON.stringify({ error: 'Failed to update product' })
-    };
-  }
+import { productSchema } from '../lib/productValidation.js';
+import { updateProductFields, productWriteError } from '../lib/products.js';
+import { getCaller } from '../lib/identity.js';
+import { route, json, badRequest, ifMatchVersion, etag } from '../lib/http.js';
+
+// Same rules as creating a product, but every field is optional and the id can't change
+const { name, price, category, stock, imageUrl, description } = productSchema.properties;
+const updateSchema = {
+  type: 'object',
+  properties: { name, price, category, stock: { type: stock.type, minimum: stock.minimum }, imageUrl, description }
 };
+
+// PATCH /admin/products/{id}
+// Send the ETag from a previous read as If-Match to only apply the change if nobody else changed
+// the product since; a mismatch is a 412 carrying the current version.
+export const handler = route({
+  admin: true,
+  params: {
+    type: 'object',
+    required: ['id'],
+    properties: { id: { type: 'string', minLength: 1 } }
+  },
+  body: updateSchema,
+  failure: 'Failed to update product'
+}, async ({ params, body }, event) => {
+  const { id } = params;
+  const expectedVersion = ifMatchVersion(event);
+
+  // Sets an absolute stock level; use POST /admin/products/{id}/stock for relative adjustments
+  const { name, price, category, stock, imageUrl, description } = body;
+  const updates = { name, price, category, stock, imageUrl, description };
+  if (Object.values(updates).every(value => value === undefined)) throw badRequest('No fields to update');
+  // An explicit imageUrl replaces any uploaded image
+  if (imageUrl !== undefined) Object.assign(updates, { imageKey: null, images: null });
+
+  const result = await updateProductFields(id, updates, { actor: getCaller(event)?.userId, expectedVersion });
+  if (result.error) throw productWriteError(result);
+
+  return json(200, {
+    message: 'Product updated successfully',
+    id,
+    version: result.product.version,
+    updates: body
+  }, { etag: etag(result.product.version) });
+});
@@ -1,47 +1,71 @@
-// Simple API key-based authorizer
-// In production, use JWT, OAuth, or Cognito
-
-const API_KEYS = {
-  'admin-key-cloudcart-2024': {
-    role: 'admin',
-    userId: 'admin-user'
-  },
-  'customer-key-cloudcart-2024': {
-    role: 'customer',
-    userId: 'customer-user'
-  }
+// JWT-based authorizer
+// Accepts `Authorization: Bearer <token>` signed with HS256 (JWT_SECRET, see lib/secrets.js) or RS256
+// (JWKS_FILE / JWKS_URL), and passes the caller's `sub` and roles to the Lambda through the authorizer context.
+
+import { verifyJwt, rolesFromClaims } from '../lib/jwt.js';
+import { logger } from '../lib/logger.js';
+import { loadSecret } from '../lib/secrets.js';
+
+const JWT_OPTIONS = {
+  secret: await loadSecret('JWT_SECRET'),
+  jwksFile: process.env.JWKS_FILE,
+  jwksUrl: process.env.JWKS_URL,
+  issuer: process.env.JWT_ISSUER,
+  audience: process.env.JWT_AUDIENCE
 };
 
 export const handler = async (event) => {
-  console.log('Authorizer event:', JSON.stringify(event, null, 2));
+  // Never log the raw event: it carries the bearer token
+  const log = logger.child({ requestId: event.requestContext?.requestId, route: event.routeKey });
 
-  const apiKey = event.headers?.['x-api-key'] || event.headers?.['X-Api-Key'];
+  const authHeader = event.headers?.authorization || event.headers?.Authorization;
+  const token = authHeader?.match(/^Bearer\s+(.+)$/i)?.[1];
+
+  // Check if admin role is required for this route
+  const isAdminRoute = event.routeKey?.includes('/admin/');
 
-  if (!apiKey) {
-    console.log('No API key provided');
+  if (!token) {
+    // Customer routes (cart, checkout) use an optional authorizer, so callers without a token
+    // are let through as anonymous and identified by their cart token instead. Only a request with no
+    // Authorization header at all is anonymous: the required authorizer is invoked whenever there is
+    // one, so any other scheme ("Basic ...", a bare token) must not get through it as anonymous.
+    if (!authHeader && !isAdminRoute) {
+      log.debug('No token provided, continuing as anonymous');
+      return generatePolicy('anonymous', 'Allow', event.routeArn, { role: 'anonymous', roles: '' });
+    }
+    log.info(authHeader ? 'Denied: Authorization is not a bearer token' : 'Denied: no token provided');
     return generatePolicy(null, 'Deny', event.routeArn);
   }
 
-  const user = API_KEYS[apiKey];
+  let claims;
+  try {
+    claims = await verifyJwt(token, JWT_OPTIONS);
+  } catch (error) {
+    log.info('Denied: invalid token', { reason: error.message });
+    return generatePolicy(null, 'Deny', event.routeArn);
+  }
 
-  if (!user) {
-    console.log('Invalid API key');
+  // 'anonymous' is the principal callers without a token get; no token may claim it
+  if (!claims.sub || claims.sub === 'anonymous') {
+    log.info('Denied: token has no usable subject', { sub: claims.sub });
     return generatePolicy(null, 'Deny', event.routeArn);
   }
 
-  console.log('Valid API key for user:', user.userId, 'role:', user.role);
+  const roles = rolesFromClaims(claims);
+  const role = roles.includes('admin') ? 'admin' : (roles[0] || 'customer');
 
-  // Check if admin role is required for this route
-  const isAdminRoute = event.routeKey?.includes('/admin/');
+  log.debug('Valid token', { userId: claims.sub, roles });
 
-  if (isAdminRoute && user.role !== 'admin') {
-    console.log('Admin role required but user is:', user.role);
-    return generatePolicy(user.userId, 'Deny', event.routeArn);
+  if (isAdminRoute && !roles.includes('admin')) {
+    log.info('Denied: admin role required', { userId: claims.sub, roles });
+    return generatePolicy(claims.sub, 'Deny', event.routeArn);
   }
 
-  return generatePolicy(user.userId, 'Allow', event.routeArn, {
-    role: user.role,
-    userId: user.userId
+  // Context values must be strings, numbers or booleans, so roles are comma separated
+  return generatePolicy(claims.sub, 'Allow', event.routeArn, {
+    role,
+    roles: roles.join(','),
+    userId: claims.sub
   });
 };
 
@@ -1,70 +1,59 @@
-import { CloudWatchClient, PutMetricDataCommand } from '@aws-sdk/client-cloudwatch';
-
-const carts = {}; // in-memory (per warm container)
-const cloudwatch = new CloudWatchClient({});
-
-export const handler = async (event) => {
-  const user = event.requestContext?.http?.sourceIp || 'anon';
-  carts[user] ||= [];
+import { resolveCartOwner, loadOwnedCart, saveCart, mergeItems } from '../lib/carts.js';
+import { route, HttpError, invalidField } from '../lib/http.js';
+import { putMetrics } from '../lib/metrics.js';
+import { callerRole } from '../lib/identity.js';
+
+export const handler = route({
+  body: {
+    type: 'object',
+    properties: {
+      id: { type: ['string', 'integer'], minLength: 1 },
+      qty: { type: 'integer', minimum: 1 }
+    }
+  },
+  failure: 'Failed to update cart'
+}, async ({body}, event) => {
+  const owner = resolveCartOwner(event);
+  const items = await loadOwnedCart(owner);
 
   const method = event.requestContext?.http?.method || 'GET';
+  const dimensions = { Route: event.routeKey || `${method} /cart`, Role: callerRole(event) };
   if (method === 'GET') {
-    return json(200, {items: carts[user]});
+    return json(200, {items}, owner);
   }
 
-  const body = JSON.parse(event.body || '{}');
   if (method === 'POST') {
-    if (!body.id || !body.qty) {
-      return text(400, 'id & qty required');
-    }
-    const idx = carts[user].findIndex(i => i.id === body.id);
-    if (idx >= 0) {
-      carts[user][idx].qty += body.qty;
-    } else {
-      carts[user].push({id: body.id, qty: body.qty});
-    }
+    if (body.id === undefined) throw invalidField('id', 'id is required');
+    if (body.qty === undefined) throw invalidField('qty', 'qty is required');
+    // Numeric ids are accepted but stored as strings, so 1 and "1" add to the same line
+    const updated = mergeItems(items, [{id: body.id, qty: body.qty}]);
+    await saveCart(owner.cartId, updated);
 
-    // Emit custom metric for cart additions
-    await cloudwatch.send(new PutMetricDataCommand({
-      Namespace: 'CloudCart',
-      MetricData: [{
-        MetricName: 'CartItemAdded',
-        Value: 1,
-        Unit: 'Count',
-        Timestamp: new Date()
-      }]
-    }));
+    putMetrics([['CartItemAdded', 1]], dimensions);
 
-    return json(200, {items: carts[user]});
+    return json(200, {items: updated}, owner);
   }
   if (method === 'DELETE') {
-    if (!body.id) {
-      return text(400, 'id required');
-    }
-    const idx = carts[user].findIndex(i => i.id === body.id);
+    if (body.id === undefined) throw invalidField('id', 'id is required');
+    const idx = items.findIndex(i => i.id === String(body.id));
     if (idx >= 0) {
-      carts[user].splice(idx, 1);
+      items.splice(idx, 1);
+      await saveCart(owner.cartId, items);
     }
 
-    // Emit custom metric for cart removals
-    await cloudwatch.send(new PutMetricDataCommand({
-      Namespace: 'CloudCart',
-      MetricData: [{
-        MetricName: 'CartItemRemoved',
-        Value: 1,
-        Unit: 'Count',
-        Timestamp: new Date()
-      }]
-    }));
+    putMetrics([['CartItemRemoved', 1]], dimensions);
 
-    return json(200, {items: carts[user]});
+    return json(200, {items}, owner);
   }
-  return text(405, 'Method not allowed');
-};
+  throw new HttpError(405, 'METHOD_NOT_ALLOWED', 'Method not allowed');
+});
 
-const json = (code, obj) => ({
+// Anonymous callers get their cart token back so they can keep using the cart
+const json = (code, obj, owner = {}) => ({
   statusCode: code,
-  headers: {'content-type': 'application/json'},
-  body: JSON.stringify(obj)
+  headers: {
+    'content-type': 'application/json',
+    ...(owner.cartToken && {'x-cart-token': owner.cartToken})
+  },
+  body: JSON.stringify(owner.cartToken ? {...obj, cartToken: owner.cartToken} : obj)
 });
-const text = (code, msg) => ({statusCode: code, body: msg});
@@ -0,0 +1,84 @@
+import { ORDER_ENTITY } from './orders.js';
+
+// Layout of the analytics table (pk / sk):
+//   DAILY    / <date>                 orders, revenue and units for the day
+//   CATEGORY / <date>#<category>      the same, per product category
+//   PRODUCT  / <date>#<productId>     units and revenue per product
+//   TOTALS   / orders                 orderCount and <status>Count over all orders, whatever their status
+//   TOTALS   / products               productCount of products that aren't soft-deleted
+//   COUNTED  / <eventID>#<part>       marks a stream record as counted (expires via TTL)
+// Dates are YYYY-MM-DD (UTC), so lexical order is date order and ranges are a single Query.
+
+export const DAILY = 'DAILY';
+export const CATEGORY = 'CATEGORY';
+export const PRODUCT = 'PRODUCT';
+export const TOTALS = 'TOTALS';
+export const ORDER_TOTALS = 'orders';
+export const PRODUCT_TOTALS = 'products';
+export const COUNTED = 'COUNTED';
+
+export const dateOf = (timestamp) => new Date(timestamp).toISOString().slice(0, 10);
+
+export const isValidDate = (value) =>
+  /^\d{4}-\d{2}-\d{2}$/.test(value || '') && !Number.isNaN(Date.parse(value));
+
+// Atomic counters: ADD creates the attribute at zero the first time it is used. `labels` are plain
+// attributes set alongside them.
+export const counterUpdate = (table, pk, sk, counters, labels = {}) => {
+  const names = {};
+  const values = {};
+  const adds = Object.entries(counters).map(([name, value], i) => {
+    names[`#c${i}`] = name;
+    values[`:c${i}`] = { N: String(value) };
+    return `#c${i} :c${i}`;
+  });
+  const sets = Object.entries(labels).map(([name, value], i) => {
+    names[`#l${i}`] = name;
+    values[`:l${i}`] = { S: String(value) };
+    return `#l${i} = :l${i}`;
+  });
+
+  return {
+    TableName: table,
+    Key: { pk: { S: pk }, sk: { S: sk } },
+    UpdateExpression: `ADD ${adds.join(', ')}${sets.length > 0 ? ` SET ${sets.join(', ')}` : ''}`,
+    ExpressionAttributeNames: names,
+    ExpressionAttributeValues: values
+  };
+};
+
+// Records that the updates it is written with were applied, and fails (cancelling their transaction)
+// if they already were
+export const countedMarker = (table, id, expiresAt) => ({
+  TableName: table,
+  Key: { pk: { S: COUNTED }, sk: { S: id } },
+  UpdateExpression: 'SET expiresAt = :expiresAt',
+  ConditionExpression: 'attribute_not_exists(pk)',
+  ExpressionAttributeValues: { ':expiresAt': { N: String(expiresAt) } }
+});
+
+// Stream records are kept for 24 hours, so no retry of one comes later than this
+export const MARKER_TTL_SECONDS = 2 * 24 * 60 * 60;
+
+// A transaction ending with a countedMarker was cancelled only because the marker, which is always
+// the last item, failed its condition
+export const alreadyCounted = (error) => {
+  const reasons = error.name === 'TransactionCanceledException' ? error.CancellationReasons || [] : [];
+  return reasons.at(-1)?.Code === 'ConditionalCheckFailed' && reasons.slice(0, -1).every(reason => reason.Code === 'None');
+};
+
+// What an order changing from `before` to `after` (either missing when it was created or deleted)
+// adds to the TOTALS/orders counters; an empty object when nothing changes. Only orders tagged with
+// ORDER_ENTITY count; tagging an older order (scripts/backfill-counters.js) is what counts it.
+export const orderTotalsDelta = (before, after) => {
+  const delta = {};
+  const count = (order, sign) => {
+    if (order?.entity !== ORDER_ENTITY) return;
+    for (const counter of ['orderCount', `${order.status}Count`]) {
+      delta[counter] = (delta[counter] || 0) + sign;
+    }
+  };
+  count(before, -1);
+  count(after, 1);
+  return Object.fromEntries(Object.entries(delta).filter(([, value]) => value !== 0));
+};
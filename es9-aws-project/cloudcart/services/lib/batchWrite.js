@@ -0,0 +1,19 @@
+import { DynamoDBClient, BatchWriteItemCommand } from '@aws-sdk/client-dynamodb';
+
+const ddb = new DynamoDBClient({});
+const BATCH_LIMIT = 25; // BatchWriteItem limit
+const MAX_ATTEMPTS = 6;
+
+// Writes put/delete requests to one table in batches of 25, retrying whatever DynamoDB
+// reports as unprocessed (throttling) with exponential backoff
+export const batchWriteAll = async (table, requests) => {
+  for (let i = 0; i < requests.length; i += BATCH_LIMIT) {
+    let pending = { [table]: requests.slice(i, i + BATCH_LIMIT) };
+    for (let attempt = 0; pending[table]?.length; attempt++) {
+      if (attempt >= MAX_ATTEMPTS) throw new Error(`Writes to ${table} still unprocessed after retries`);
+      if (attempt > 0) await new Promise(resolve => setTimeout(resolve, 50 * 2 ** attempt));
+      const res = await ddb.send(new BatchWriteItemCommand({ RequestItems: pending }));
+      pending = res.UnprocessedItems || {};
+    }
+  }
+};
@@ -0,0 +1,27 @@
+import { createHmac, randomUUID, timingSafeEqual } from 'crypto';
+
+// Anonymous carts are identified by a signed token of the form `<cartId>.<signature>`.
+// The signature stops clients from guessing or forging someone else's cart id.
+
+const sign = (cartId, secret) =>
+  createHmac('sha256', secret).update(cartId).digest('base64url');
+
+export const issueCartToken = (secret) => {
+  const cartId = randomUUID();
+  return { cartId, token: `${cartId}.${sign(cartId, secret)}` };
+};
+
+// Returns the cart id for a valid token, or null if it is missing or tampered with
+export const verifyCartToken = (token, secret) => {
+  if (!token || typeof token !== 'string') return null;
+
+  const [cartId, signature] = token.split('.');
+  if (!cartId || !signature) return null;
+
+  const expected = Buffer.from(sign(cartId, secret));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !timingSafeEqual(expected, actual)) {
+    return null;
+  }
+  return cartId;
+};
@@ -0,0 +1,126 @@
+import { DynamoDBClient, GetItemCommand, PutItemCommand, DeleteItemCommand, TransactWriteItemsCommand } from '@aws-sdk/client-dynamodb';
+import { marshall, unmarshall } from '@aws-sdk/util-dynamodb';
+import { issueCartToken, verifyCartToken } from './cartToken.js';
+import { getCaller } from './identity.js';
+import { loadSecret } from './secrets.js';
+import { logger } from './logger.js';
+
+const ddb = new DynamoDBClient({});
+const TABLE = process.env.CARTS_TABLE;
+const TOKEN_SECRET = await loadSecret('CART_TOKEN_SECRET');
+const TTL_DAYS = Number(process.env.CART_TTL_DAYS || 7);
+
+// Works out whose cart a request belongs to.
+// Authenticated callers (authorizer context) own `user#<userId>`; everyone else
+// owns `anon#<id>` from the signed x-cart-token header, or gets a fresh token.
+export const resolveCartOwner = (event) => {
+  const userId = getCaller(event)?.userId;
+  const presented = event.headers?.['x-cart-token'];
+  const anonId = verifyCartToken(presented, TOKEN_SECRET);
+
+  if (userId) {
+    return {
+      userId,
+      cartId: `user#${userId}`,
+      // Anonymous cart to fold into the user's cart after login
+      mergeFromCartId: anonId ? `anon#${anonId}` : null
+    };
+  }
+
+  if (anonId) {
+    return { cartId: `anon#${anonId}`, cartToken: presented };
+  }
+
+  const issued = issueCartToken(TOKEN_SECRET);
+  return { cartId: `anon#${issued.cartId}`, cartToken: issued.token, isNew: true };
+};
+
+// The stored cart, or null
+const getCart = async (cartId) => {
+  const res = await ddb.send(new GetItemCommand({
+    TableName: TABLE,
+    Key: { cartId: { S: cartId } },
+    ConsistentRead: true
+  }));
+  return res.Item ? unmarshall(res.Item) : null;
+};
+
+// Carts saved before ids were normalised may hold the same product as a number and a string
+const itemsOf = (cart) => mergeItems([], cart?.items || []);
+
+export const loadCart = async (cartId) => itemsOf(await getCart(cartId));
+
+const cartItem = (cartId, items) => marshall({
+  cartId,
+  items,
+  updatedAt: new Date().toISOString(),
+  expiresAt: Math.floor(Date.now() / 1000) + TTL_DAYS * 24 * 60 * 60
+});
+
+export const saveCart = async (cartId, items) => {
+  await ddb.send(new PutItemCommand({
+    TableName: TABLE,
+    Item: cartItem(cartId, items)
+  }));
+};
+
+export const deleteCart = async (cartId) => {
+  await ddb.send(new DeleteItemCommand({
+    TableName: TABLE,
+    Key: { cartId: { S: cartId } }
+  }));
+};
+
+// Sums quantities of lines present in both carts. Product ids are compared and kept as strings, the
+// way products are stored, so 1 and "1" are one line.
+export const mergeItems = (target, source) => {
+  const merged = target.map(i => ({ ...i, id: String(i.id) }));
+  for (const item of source) {
+    const existing = merged.find(i => i.id === String(item.id));
+    if (existing) {
+      existing.qty += item.qty;
+    } else {
+      merged.push({ ...item, id: String(item.id) });
+    }
+  }
+  return merged;
+};
+
+// Condition that `cart` (as read, or null if there was none) is still what is stored
+const unchanged = (cart) => {
+  if (!cart) return { ConditionExpression: 'attribute_not_exists(cartId)' };
+  if (!cart.updatedAt) return { ConditionExpression: 'attribute_exists(cartId) AND attribute_not_exists(updatedAt)' };
+  return { ConditionExpression: 'updatedAt = :seen', ExpressionAttributeValues: { ':seen': { S: cart.updatedAt } } };
+};
+
+const MERGE_ATTEMPTS = 3;
+
+// Loads the caller's cart, merging in (and deleting) any anonymous cart they
+// were using before they logged in. The merge saves one cart and deletes the other in a single
+// transaction conditional on neither having changed since it was read, so concurrent requests
+// right after login merge the anonymous cart once; the ones that lose just read the result again.
+export const loadOwnedCart = async (owner) => {
+  if (owner.isNew) return [];
+  if (!owner.mergeFromCartId) return loadCart(owner.cartId);
+
+  for (let attempt = 1; ; attempt++) {
+    const [cart, anonCart] = await Promise.all([getCart(owner.cartId), getCart(owner.mergeFromCartId)]);
+    const anonItems = itemsOf(anonCart);
+    if (anonItems.length === 0) return itemsOf(cart);
+
+    const items = mergeItems(itemsOf(cart), anonItems);
+    try {
+      await ddb.send(new TransactWriteItemsCommand({
+        TransactItems: [
+          { Put: { TableName: TABLE, Item: cartItem(owner.cartId, items), ...unchanged(cart) } },
+          { Delete: { TableName: TABLE, Key: { cartId: { S: owner.mergeFromCartId } }, ...unchanged(anonCart) } }
+        ]
+      }));
+    } catch (error) {
+      if (error.name !== 'TransactionCanceledException' || attempt === MERGE_ATTEMPTS) throw error;
+      continue;
+    }
+    logger.info('Merged anonymous cart', { cartId: owner.cartId, lines: anonItems.length });
+    return items;
+  }
+};
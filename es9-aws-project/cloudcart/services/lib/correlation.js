@@ -0,0 +1,22 @@
+import { randomUUID } from 'crypto';
+
+// A correlation id follows one order end to end: checkout starts it (or takes the caller's
+// x-correlation-id), it travels to the worker as an SQS message attribute, the worker stores it on
+// the order, and the stream processor reads it back from the order item. Every log line about the
+// order carries it, so one Logs Insights query finds the order in all three functions.
+
+export const CORRELATION_HEADER = 'x-correlation-id';
+const VALID_ID = /^[\w.-]{1,128}$/;
+
+// The caller's correlation id if it looks sane, otherwise a new one
+export const correlationIdFor = (event) => {
+  const presented = event.headers?.[CORRELATION_HEADER];
+  return presented && VALID_ID.test(presented) ? presented : randomUUID();
+};
+
+export const correlationAttribute = (correlationId) => ({
+  correlationId: { DataType: 'String', StringValue: correlationId }
+});
+
+// Lambda delivers SQS message attributes with lower-camel-case keys
+export const correlationIdOf = (sqsRecord) => sqsRecord.messageAttributes?.correlationId?.stringValue;
@@ -0,0 +1,67 @@
+// Minimal RFC 4180 CSV support for product import/export.
+
+// Incremental parser: feed text with push() as it arrives and collect complete records;
+// call end() once the input is exhausted. Quoted fields may contain commas, quotes ("") and newlines.
+export const createCsvParser = () => {
+  let field = '';
+  let record = [];
+  let inQuotes = false;
+  let quotePending = false; // saw a quote inside a quoted field; next char decides escape vs close
+  let fieldStarted = false;
+
+  const endField = () => {
+    record.push(field);
+    field = '';
+    fieldStarted = false;
+  };
+
+  const push = (text) => {
+    const records = [];
+    for (const char of text) {
+      if (quotePending) {
+        quotePending = false;
+        if (char === '"') {
+          field += '"';
+          continue;
+        }
+        inQuotes = false;
+      }
+
+      if (inQuotes) {
+        if (char === '"') quotePending = true;
+        else field += char;
+      } else if (char === '"' && !fieldStarted) {
+        inQuotes = true;
+        fieldStarted = true;
+      } else if (char === ',') {
+        endField();
+      } else if (char === '\n') {
+        endField();
+        records.push(record);
+        record = [];
+      } else if (char !== '\r') {
+        field += char;
+        fieldStarted = true;
+      }
+    }
+    return records;
+  };
+
+  const end = () => {
+    if (inQuotes && !quotePending) throw new Error('Unterminated quoted field');
+    if (!fieldStarted && record.length === 0 && field === '') return [];
+    endField();
+    const last = record;
+    record = [];
+    return [last];
+  };
+
+  return { push, end };
+};
+
+const escapeField = (value) => {
+  const text = value === undefined || value === null ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export const toCsvLine = (values) => `${values.map(escapeField).join(',')}\n`;
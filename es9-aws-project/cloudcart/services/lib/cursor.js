@@ -0,0 +1,57 @@
+import { createHmac, timingSafeEqual } from 'crypto';
+import { loadSecret } from './secrets.js';
+
+// Listing endpoints page with an opaque `cursor` of the form `<payload>.<signature>`.
+// The payload is DynamoDB's LastEvaluatedKey plus the listing it belongs to (its scope), so a
+// cursor can neither be edited to start somewhere else nor replayed against another listing or user.
+
+const SECRET = await loadSecret('CURSOR_SECRET');
+
+const sign = (payload) =>
+  createHmac('sha256', SECRET).update(payload).digest('base64url');
+
+// Returns null when there are no more pages
+export const encodeCursor = (lastEvaluatedKey, scope) => {
+  if (!lastEvaluatedKey) return null;
+  const payload = Buffer.from(JSON.stringify({ s: scope, k: lastEvaluatedKey })).toString('base64url');
+  return `${payload}.${sign(payload)}`;
+};
+
+// Returns the ExclusiveStartKey for a valid cursor, or null if it is malformed, tampered with
+// or was issued for a different listing
+export const decodeCursor = (cursor, scope) => {
+  if (!cursor || typeof cursor !== 'string') return null;
+
+  const [payload, signature] = cursor.split('.');
+  if (!payload || !signature) return null;
+
+  const expected = Buffer.from(sign(payload));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !timingSafeEqual(expected, actual)) {
+    return null;
+  }
+
+  try {
+    const { s, k } = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    return s === scope && k && typeof k === 'object' ? k : null;
+  } catch {
+    return null;
+  }
+};
+
+// Query string schema properties shared by every paged listing
+export const pageQuery = (maxLimit = 100) => ({
+  limit: { type: 'integer', minimum: 1, maximum: maxLimit },
+  cursor: { type: 'string', minLength: 1 }
+});
+
+// Reads `limit` and `cursor` from the (validated) query string.
+// Returns { limit, startKey } or { error } when the cursor is not valid for this listing.
+export const readPage = (query, scope, { defaultLimit = 20 } = {}) => {
+  let startKey;
+  if (query.cursor !== undefined) {
+    startKey = decodeCursor(query.cursor, scope);
+    if (!startKey) return { error: 'Invalid cursor' };
+  }
+  return { limit: query.limit ?? defaultLimit, startKey };
+};
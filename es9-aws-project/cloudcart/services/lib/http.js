@@ -0,0 +1,119 @@
+import { compile } from './validation.js';
+import { getCaller } from './identity.js';
+import { logger } from './logger.js';
+
+// Shared request/response handling for the API Lambdas.
+//
+// Every error response uses the same envelope:
+//   { "code": "NOT_FOUND", "message": "Product not found", "details": ..., "requestId": "..." }
+// `code` is stable and meant for programs, `message` is for people, `details` is optional
+// structured context (invalid fields, cart lines, ...), and `requestId` ties it to the logs.
+
+export class HttpError extends Error {
+  constructor(statusCode, code, message, details) {
+    super(message);
+    this.name = 'HttpError';
+    this.statusCode = statusCode;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+export const badRequest = (message, details, code = 'BAD_REQUEST') => new HttpError(400, code, message, details);
+// A validation failure the schema can't express (e.g. one field compared against another)
+export const invalidField = (field, message) =>
+  badRequest(message, [{ field, message }], 'VALIDATION_FAILED');
+export const unauthorized = (message) => new HttpError(401, 'UNAUTHORIZED', message);
+export const forbidden = (message) => new HttpError(403, 'FORBIDDEN', message);
+export const notFound = (message) => new HttpError(404, 'NOT_FOUND', message);
+export const conflict = (code, message, details) => new HttpError(409, code, message, details);
+export const preconditionFailed = (message, details) => new HttpError(412, 'PRECONDITION_FAILED', message, details);
+
+// The version number in an If-Match header such as "3" or W/"3". Undefined when the header is
+// absent or '*' (any version); anything else is rejected.
+export const ifMatchVersion = (event) => {
+  const header = event.headers?.['if-match']?.trim();
+  if (!header || header === '*') return undefined;
+  const tag = header.replace(/^W\//, '').replace(/^"(.*)"$/, '$1');
+  if (!/^\d+$/.test(tag)) throw invalidField('If-Match', 'If-Match must be an ETag from a previous response, such as "3"');
+  return Number(tag);
+};
+
+export const etag = (version) => `"${version}"`;
+
+export const json = (statusCode, body, headers = {}) => ({
+  statusCode,
+  headers: { 'content-type': 'application/json', ...headers },
+  body: JSON.stringify(body)
+});
+
+export const requestIdOf = (event, context) =>
+  event?.requestContext?.requestId || context?.awsRequestId;
+
+export const errorResponse = (error, requestId) => json(error.statusCode, {
+  code: error.code,
+  message: error.message,
+  ...(error.details !== undefined && { details: error.details }),
+  requestId
+});
+
+// Parses a JSON request body; an empty body reads as {}
+export const readBody = (event) => {
+  if (!event.body) return {};
+  const text = event.isBase64Encoded ? Buffer.from(event.body, 'base64').toString('utf8') : event.body;
+  try {
+    return JSON.parse(text);
+  } catch {
+    throw badRequest('Request body is not valid JSON', undefined, 'INVALID_JSON');
+  }
+};
+
+// Returns the validated value or throws a 400 listing every invalid field
+export const validated = (validate, data, what) => {
+  const { value, errors } = validate(data);
+  if (errors) {
+    throw badRequest(`Invalid ${what}: ${errors.map(e => e.message).join('; ')}`, errors, 'VALIDATION_FAILED');
+  }
+  return value;
+};
+
+// Wraps an API handler:
+//   export const handler = route({ admin, body, query, params, failure }, async ({ body, query, params }, event) => ...)
+// `admin: true` answers 403 to callers without the admin role. The authorizer already refuses them
+// on /admin routes; this keeps an admin handler closed if it is ever wired to another route.
+// `body`, `query` and `params` are JSON schemas for the request body, query string and path
+// parameters; the handler receives the parsed, validated (and defaulted) values, plus `log`, a
+// logger that tags every line with the request id. Handlers return a response or throw an
+// HttpError. Anything else thrown is logged and becomes a 500 whose message is `failure`.
+export const route = (options, fn) => {
+  const validateBody = options.body && compile(options.body);
+  const validateQuery = options.query && compile(options.query, { coerce: true });
+  const validateParams = options.params && compile(options.params, { coerce: true });
+  const failure = options.failure || 'Internal server error';
+
+  return async (event = {}, context) => {
+    const requestId = requestIdOf(event, context);
+    const log = logger.child({ requestId, route: event.routeKey });
+    try {
+      if (options.admin && !getCaller(event)?.isAdmin) throw forbidden('Admin role required');
+      const request = {
+        log,
+        body: validateBody ? validated(validateBody, readBody(event), 'request body') : undefined,
+        query: validateQuery
+          ? validated(validateQuery, event.queryStringParameters || {}, 'query parameters')
+          : event.queryStringParameters || {},
+        params: validateParams
+          ? validated(validateParams, event.pathParameters || {}, 'path parameters')
+          : event.pathParameters || {}
+      };
+      return await fn(request, event, context);
+    } catch (error) {
+      if (error instanceof HttpError) {
+        log.info('Request rejected', { statusCode: error.statusCode, code: error.code });
+        return errorResponse(error, requestId);
+      }
+      log.error(failure, error);
+      return errorResponse(new HttpError(500, 'INTERNAL_ERROR', failure), requestId);
+    }
+  };
+};
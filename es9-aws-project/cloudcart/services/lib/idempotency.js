@@ -0,0 +1,69 @@
+import { DynamoDBClient, PutItemCommand, GetItemCommand, UpdateItemCommand, DeleteItemCommand } from '@aws-sdk/client-dynamodb';
+
+const ddb = new DynamoDBClient({});
+const TABLE = process.env.IDEMPOTENCY_TABLE;
+const TTL_HOURS = Number(process.env.IDEMPOTENCY_TTL_HOURS || 24);
+// Longer than the function can run, so a claim is only ever taken over from a request that is gone
+const LEASE_SECONDS = Number(process.env.IDEMPOTENCY_LEASE_SECONDS || 60);
+
+// Records for a key move IN_PROGRESS -> COMPLETED. Only successful responses are
+// stored; failed attempts release the key so the client can fix the problem and retry.
+// A claim that was never completed or released (the function timed out or crashed) lapses once its
+// lease runs out, and records past expiresAt count as gone even before TTL deletion gets to them.
+
+const recordKey = (scope, key) => ({ idempotencyKey: { S: `${scope}#${key}` } });
+
+// Claims the key for this request.
+// Returns { state: 'NEW' } when the caller should do the work, { state: 'COMPLETED', response }
+// when an earlier request already finished, or { state: 'IN_PROGRESS' } while one is running.
+export const claimKey = async (scope, key) => {
+  const now = Math.floor(Date.now() / 1000);
+  try {
+    await ddb.send(new PutItemCommand({
+      TableName: TABLE,
+      Item: {
+        ...recordKey(scope, key),
+        status: { S: 'IN_PROGRESS' },
+        createdAt: { S: new Date().toISOString() },
+        leaseUntil: { N: String(now + LEASE_SECONDS) },
+        expiresAt: { N: String(now + TTL_HOURS * 60 * 60) }
+      },
+      ConditionExpression: 'attribute_not_exists(idempotencyKey) OR expiresAt < :now OR (#status = :inProgress AND leaseUntil < :now)',
+      ExpressionAttributeNames: { '#status': 'status' },
+      ExpressionAttributeValues: { ':now': { N: String(now) }, ':inProgress': { S: 'IN_PROGRESS' } }
+    }));
+    return { state: 'NEW' };
+  } catch (error) {
+    if (error.name !== 'ConditionalCheckFailedException') throw error;
+  }
+
+  const existing = await ddb.send(new GetItemCommand({
+    TableName: TABLE,
+    Key: recordKey(scope, key),
+    ConsistentRead: true
+  }));
+  if (existing.Item?.status?.S === 'COMPLETED') {
+    return { state: 'COMPLETED', response: JSON.parse(existing.Item.response.S) };
+  }
+  return { state: 'IN_PROGRESS' };
+};
+
+export const completeKey = async (scope, key, response) => {
+  await ddb.send(new UpdateItemCommand({
+    TableName: TABLE,
+    Key: recordKey(scope, key),
+    UpdateExpression: 'SET #status = :completed, #response = :response REMOVE leaseUntil',
+    ExpressionAttributeNames: { '#status': 'status', '#response': 'response' },
+    ExpressionAttributeValues: {
+      ':completed': { S: 'COMPLETED' },
+      ':response': { S: JSON.stringify(response) }
+    }
+  }));
+};
+
+export const releaseKey = async (scope, key) => {
+  await ddb.send(new DeleteItemCommand({
+    TableName: TABLE,
+    Key: recordKey(scope, key)
+  }));
+};
@@ -0,0 +1,20 @@
+// Reads the caller identity the Lambda authorizer placed in the request context.
+// Returns null for anonymous callers (no token on a route with the optional authorizer).
+export const getCaller = (event) => {
+  const context = event.requestContext?.authorizer?.lambda;
+  if (!context?.userId) return null;
+
+  const roles = (context.roles || context.role || '').split(',').filter(Boolean);
+  return {
+    userId: context.userId,
+    roles,
+    isAdmin: roles.includes('admin')
+  };
+};
+
+// 'admin', 'customer' or 'anonymous'; used to break metrics down by who is calling
+export const callerRole = (event) => {
+  const caller = getCaller(event);
+  if (!caller) return 'anonymous';
+  return caller.isAdmin ? 'admin' : 'customer';
+};
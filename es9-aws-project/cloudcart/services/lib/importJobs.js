@@ -0,0 +1,84 @@
+import { DynamoDBClient, GetItemCommand, PutItemCommand, UpdateItemCommand } from '@aws-sdk/client-dynamodb';
+import { marshall, unmarshall } from '@aws-sdk/util-dynamodb';
+
+// Bulk product import jobs: created by POST /admin/products/import, processed when the file
+// lands in the imports bucket under `imports/<jobId>`, and read back by GET /admin/products/import/{jobId}.
+//   awaiting_upload -> processing -> completed | failed
+
+const ddb = new DynamoDBClient({});
+const TABLE = process.env.IMPORT_JOBS_TABLE;
+const TTL_DAYS = 30;
+
+export const IMPORT_FORMATS = ['csv', 'ndjson'];
+export const importKey = (jobId) => `imports/${jobId}`;
+
+export const createJob = async ({ jobId, format, dryRun, createdBy }) => {
+  const now = new Date();
+  const job = {
+    jobId,
+    status: 'awaiting_upload',
+    format,
+    dryRun,
+    createdBy,
+    createdAt: now.toISOString(),
+    updatedAt: now.toISOString(),
+    expiresAt: Math.floor(now.getTime() / 1000) + TTL_DAYS * 24 * 60 * 60
+  };
+  await ddb.send(new PutItemCommand({
+    TableName: TABLE,
+    Item: marshall(job, { removeUndefinedValues: true }),
+    ConditionExpression: 'attribute_not_exists(jobId)'
+  }));
+  return job;
+};
+
+export const getJob = async (jobId) => {
+  const res = await ddb.send(new GetItemCommand({
+    TableName: TABLE,
+    Key: { jobId: { S: jobId } }
+  }));
+  return res.Item ? unmarshall(res.Item) : null;
+};
+
+// Claims an uploaded job for processing. Returns the job, or null if it doesn't exist or was
+// already claimed (S3 can deliver the same notification more than once).
+export const startJob = async (jobId) => {
+  try {
+    const res = await ddb.send(new UpdateItemCommand({
+      TableName: TABLE,
+      Key: { jobId: { S: jobId } },
+      UpdateExpression: 'SET #status = :processing, updatedAt = :now',
+      ConditionExpression: '#status = :awaiting',
+      ExpressionAttributeNames: { '#status': 'status' },
+      ExpressionAttributeValues: marshall({
+        ':processing': 'processing',
+        ':awaiting': 'awaiting_upload',
+        ':now': new Date().toISOString()
+      }),
+      ReturnValues: 'ALL_NEW'
+    }));
+    return unmarshall(res.Attributes);
+  } catch (error) {
+    if (error.name === 'ConditionalCheckFailedException') return null;
+    throw error;
+  }
+};
+
+// Records the outcome: counts, per-row errors and, for failures, the reason the file was rejected
+export const finishJob = async (jobId, { status, counts, errors = [], errorsTruncated = false, reason }) => {
+  await ddb.send(new UpdateItemCommand({
+    TableName: TABLE,
+    Key: { jobId: { S: jobId } },
+    UpdateExpression: 'SET #status = :status, counts = :counts, #errors = :errors, ' +
+      'errorsTruncated = :truncated, updatedAt = :now' + (reason ? ', reason = :reason' : ''),
+    ExpressionAttributeNames: { '#status': 'status', '#errors': 'errors' },
+    ExpressionAttributeValues: marshall({
+      ':status': status,
+      ':counts': counts,
+      ':errors': errors,
+      ':truncated': errorsTruncated,
+      ':now': new Date().toISOString(),
+      ...(reason && { ':reason': reason })
+    }, { removeUndefinedValues: true })
+  }));
+};
@@ -0,0 +1,60 @@
+import { DynamoDBClient, TransactWriteItemsCommand } from '@aws-sdk/client-dynamodb';
+import { logger } from './logger.js';
+
+const ddb = new DynamoDBClient({});
+const TABLE = process.env.PRODUCTS_TABLE;
+
+// Maximum number of lines reserved in one go. TransactWriteItems takes 100 items and returning the
+// stock shares a transaction with the order's status change, so one is left for that.
+export const MAX_RESERVATION_LINES = 99;
+
+// Atomically takes stock for every line, or for none of them.
+// Each decrement is conditional on enough stock remaining, so concurrent checkouts
+// can never drive stock below zero. Returns the ids of lines that could not be reserved.
+export const reserveStock = async (items) => {
+  try {
+    await ddb.send(new TransactWriteItemsCommand({
+      TransactItems: items.map(item => ({
+        Update: {
+          TableName: TABLE,
+          Key: { id: { S: String(item.id) } },
+          UpdateExpression: 'SET #stock = #stock - :qty',
+          ConditionExpression: 'attribute_exists(id) AND #stock >= :qty',
+          ExpressionAttributeNames: { '#stock': 'stock' },
+          ExpressionAttributeValues: { ':qty': { N: String(item.qty) } }
+        }
+      }))
+    }));
+    return { reserved: true, failedIds: [] };
+  } catch (error) {
+    if (error.name !== 'TransactionCanceledException') throw error;
+
+    // CancellationReasons line up with TransactItems; only condition failures mean "out of stock"
+    const reasons = error.CancellationReasons || [];
+    const failedIds = items
+      .filter((item, i) => reasons[i]?.Code === 'ConditionalCheckFailed')
+      .map(item => item.id);
+    if (failedIds.length === 0) throw error;
+    return { reserved: false, failedIds };
+  }
+};
+
+// TransactItems that put reserved stock back, for callers that must return it atomically with
+// another write
+export const stockReturns = (items) => (items || []).map(item => ({
+  Update: {
+    TableName: TABLE,
+    Key: { id: { S: String(item.id) } },
+    UpdateExpression: 'ADD #stock :qty',
+    ConditionExpression: 'attribute_exists(id)',
+    ExpressionAttributeNames: { '#stock': 'stock' },
+    ExpressionAttributeValues: { ':qty': { N: String(item.qty) } }
+  }
+}));
+
+// Puts reserved stock back, e.g. when an order fails or is cancelled
+export const releaseStock = async (items) => {
+  if (!items || items.length === 0) return;
+  await ddb.send(new TransactWriteItemsCommand({ TransactItems: stockReturns(items) }));
+  logger.info('Released stock', { lines: items.length });
+};
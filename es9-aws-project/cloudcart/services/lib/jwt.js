@@ -0,0 +1,113 @@
+import { createHmac, createPublicKey, timingSafeEqual, verify } from 'crypto';
+import { readFileSync } from 'fs';
+
+// Minimal JWT support for the authorizer:
+//   HS256 with a shared secret (JWT_SECRET) for local use and the course setup
+//   RS256 with keys from a JWKS file or URL (JWKS_FILE / JWKS_URL) for production identity providers
+
+const CLOCK_SKEW_SECONDS = 60;
+const JWKS_CACHE_MS = 10 * 60 * 1000;
+
+export class JwtError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'JwtError';
+  }
+}
+
+const decodeSegment = (segment) => {
+  try {
+    return JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+  } catch {
+    throw new JwtError('Malformed token');
+  }
+};
+
+let jwksCache = { keys: null, loadedAt: 0 };
+
+const loadJwks = async ({ jwksFile, jwksUrl }) => {
+  if (jwksCache.keys && Date.now() - jwksCache.loadedAt < JWKS_CACHE_MS) {
+    return jwksCache.keys;
+  }
+  let jwks;
+  if (jwksFile) {
+    jwks = JSON.parse(readFileSync(jwksFile, 'utf8'));
+  } else {
+    const res = await fetch(jwksUrl);
+    if (!res.ok) throw new Error(`Failed to fetch JWKS: HTTP ${res.status}`);
+    jwks = await res.json();
+  }
+  jwksCache = { keys: jwks.keys || [], loadedAt: Date.now() };
+  return jwksCache.keys;
+};
+
+const verifyHs256 = (signingInput, signature, secret) => {
+  const expected = Buffer.from(createHmac('sha256', secret).update(signingInput).digest('base64url'));
+  const actual = Buffer.from(signature);
+  return expected.length === actual.length && timingSafeEqual(expected, actual);
+};
+
+const verifyRs256 = async (signingInput, signature, kid, options) => {
+  const keys = await loadJwks(options);
+  const jwk = keys.find(k => k.kid === kid && (!k.use || k.use === 'sig'));
+  if (!jwk) throw new JwtError('Unknown signing key');
+  const key = createPublicKey({ key: jwk, format: 'jwk' });
+  return verify('RSA-SHA256', Buffer.from(signingInput), key, Buffer.from(signature, 'base64url'));
+};
+
+// Verifies the signature and standard claims, returning the payload.
+// options: { secret, jwksFile, jwksUrl, issuer, audience }
+export const verifyJwt = async (token, options) => {
+  const parts = (token || '').split('.');
+  if (parts.length !== 3) throw new JwtError('Malformed token');
+
+  const [headerSegment, payloadSegment, signature] = parts;
+  const header = decodeSegment(headerSegment);
+  const payload = decodeSegment(payloadSegment);
+  const signingInput = `${headerSegment}.${payloadSegment}`;
+
+  // The algorithm is only accepted if it is configured; never trust "none" or an unexpected alg
+  let valid;
+  if (header.alg === 'HS256' && options.secret) {
+    valid = verifyHs256(signingInput, signature, options.secret);
+  } else if (header.alg === 'RS256' && (options.jwksFile || options.jwksUrl)) {
+    valid = await verifyRs256(signingInput, signature, header.kid, options);
+  } else {
+    throw new JwtError(`Unsupported algorithm: ${header.alg}`);
+  }
+  if (!valid) throw new JwtError('Invalid signature');
+
+  const now = Math.floor(Date.now() / 1000);
+  if (typeof payload.exp !== 'number' || payload.exp + CLOCK_SKEW_SECONDS < now) {
+    throw new JwtError('Token expired');
+  }
+  if (typeof payload.nbf === 'number' && payload.nbf - CLOCK_SKEW_SECONDS > now) {
+    throw new JwtError('Token not yet valid');
+  }
+  if (options.issuer && payload.iss !== options.issuer) {
+    throw new JwtError('Unexpected issuer');
+  }
+  if (options.audience) {
+    const audiences = Array.isArray(payload.aud) ? payload.aud : [payload.aud];
+    if (!audiences.includes(options.audience)) throw new JwtError('Unexpected audience');
+  }
+  if (!payload.sub) throw new JwtError('Token has no subject');
+
+  return payload;
+};
+
+// Roles may be an array, a space/comma separated string, or a single `role` claim
+export const rolesFromClaims = (claims) => {
+  const raw = claims.roles ?? claims.role ?? [];
+  const roles = Array.isArray(raw) ? raw : String(raw).split(/[\s,]+/);
+  return roles.filter(Boolean);
+};
+
+// Issues an HS256 token; used by scripts/generate-token.js and local tooling
+export const signJwt = (claims, secret, expiresInSeconds = 3600) => {
+  const now = Math.floor(Date.now() / 1000);
+  const header = Buffer.from(JSON.stringify({ alg: 'HS256', typ: 'JWT' })).toString('base64url');
+  const payload = Buffer.from(JSON.stringify({ iat: now, exp: now + expiresInSeconds, ...claims })).toString('base64url');
+  const signature = createHmac('sha256', secret).update(`${header}.${payload}`).digest('base64url');
+  return `${header}.${payload}.${signature}`;
+};
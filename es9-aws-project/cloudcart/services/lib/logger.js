@@ -0,0 +1,67 @@
+// Structured JSON logging for every Lambda.
+//
+// Each call writes one JSON line, e.g.
+//   {"level":"info","time":"...","message":"Order persisted","function":"WorkerFn","correlationId":"...","orderId":"..."}
+// so CloudWatch Logs Insights can filter on any field. Loggers made with child() add fields to every
+// line they write; that is how requestId and correlationId end up on everything a request logs.
+// Values under sensitive keys (authorization headers, tokens, secrets, passwords) are replaced
+// with [REDACTED] before they are written.
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const MIN_LEVEL = LEVELS[(process.env.LOG_LEVEL || 'info').toLowerCase()] ?? LEVELS.info;
+
+const REDACTED = '[REDACTED]';
+const SENSITIVE_KEY = /authorization|cookie|password|secret|token|api-?key|signature/i;
+const BEARER = /\bBearer\s+[\w.~+/-]+=*/gi;
+const MAX_DEPTH = 8;
+
+// Deep copy of `value` with sensitive fields masked and errors turned into plain objects
+export const redact = (value, depth = 0) => {
+  if (value instanceof Error) {
+    return {
+      name: value.name,
+      message: value.message,
+      ...(value.code && { code: value.code }),
+      stack: value.stack
+    };
+  }
+  if (typeof value === 'string') return value.replace(BEARER, `Bearer ${REDACTED}`);
+  if (!value || typeof value !== 'object') return value;
+  if (depth >= MAX_DEPTH) return '[Truncated]';
+  if (Array.isArray(value)) return value.map(item => redact(item, depth + 1));
+
+  const copy = {};
+  for (const [key, item] of Object.entries(value)) {
+    copy[key] = SENSITIVE_KEY.test(key) && item !== undefined && item !== null ? REDACTED : redact(item, depth + 1);
+  }
+  return copy;
+};
+
+const write = (level, fields, message, data) => {
+  if (LEVELS[level] < MIN_LEVEL) return;
+
+  // A lone error is logged under `error`; anything else is merged into the line
+  const extra = data instanceof Error ? { error: data } : data;
+  const traceId = process.env._X_AMZN_TRACE_ID;
+  const entry = {
+    level,
+    time: new Date().toISOString(),
+    message,
+    ...fields,
+    ...(traceId && { traceId }),
+    ...redact(extra || {})
+  };
+  (level === 'error' ? console.error : level === 'warn' ? console.warn : console.log)(JSON.stringify(entry));
+};
+
+export const createLogger = (fields = {}) => ({
+  debug: (message, data) => write('debug', fields, message, data),
+  info: (message, data) => write('info', fields, message, data),
+  warn: (message, data) => write('warn', fields, message, data),
+  error: (message, data) => write('error', fields, message, data),
+  child: (extra) => createLogger({ ...fields, ...redact(extra) })
+});
+
+export const logger = createLogger({
+  ...(process.env.AWS_LAMBDA_FUNCTION_NAME && { function: process.env.AWS_LAMBDA_FUNCTION_NAME })
+});
@@ -0,0 +1,56 @@
+// Custom CloudWatch metrics written as Embedded Metric Format (EMF) log lines.
+//
+// CloudWatch Logs extracts the metrics from the function's log stream, so recording one costs no
+// API call, adds no latency and can't fail the request the way PutMetricData could. Each metric is
+// published once without dimensions (what the alarms and dashboards read) and once per dimension,
+// e.g. OrderPlaced overall, by Role, and by Route.
+// https://docs.aws.amazon.com/AmazonCloudWatch/latest/monitoring/CloudWatch_Embedded_Metric_Format_Specification.html
+
+export const NAMESPACE = 'CloudCart';
+
+// Collects metrics for one unit of work; flush() writes them all as a single log line.
+//   const metrics = createMetrics({ Route: 'POST /cart', Role: 'customer' });
+//   metrics.add('CartItemAdded', 1);
+//   metrics.flush();
+// `properties` are written alongside (e.g. a correlation id) so the line can be found in the logs,
+// but are not dimensions.
+export const createMetrics = (dimensions = {}, properties = {}) => {
+  const values = new Map();
+
+  return {
+    add(name, value, unit = 'Count') {
+      const metric = values.get(name) || { unit, values: [] };
+      metric.values.push(value);
+      values.set(name, metric);
+    },
+
+    flush() {
+      if (values.size === 0) return;
+      const names = Object.keys(dimensions).filter(name => dimensions[name] !== undefined);
+
+      const line = {
+        _aws: {
+          Timestamp: Date.now(),
+          CloudWatchMetrics: [{
+            Namespace: NAMESPACE,
+            Dimensions: [[], ...names.map(name => [name])],
+            Metrics: [...values].map(([name, { unit }]) => ({ Name: name, Unit: unit }))
+          }]
+        },
+        ...properties,
+        ...Object.fromEntries(names.map(name => [name, String(dimensions[name])])),
+        ...Object.fromEntries([...values].map(([name, metric]) =>
+          [name, metric.values.length === 1 ? metric.values[0] : metric.values]))
+      };
+      values.clear();
+      console.log(JSON.stringify(line));
+    }
+  };
+};
+
+// Records a single set of metrics straight away
+export const putMetrics = (metrics, dimensions, properties) => {
+  const batch = createMetrics(dimensions, properties);
+  for (const [name, value, unit] of metrics) batch.add(name, value, unit);
+  batch.flush();
+};
@@ -0,0 +1,27 @@
+// Order lifecycle:
+//   pending -> processing -> paid -> shipped -> delivered
+// Orders can be cancelled until they ship, and refunded once they have been paid for.
+
+export const ORDER_STATUSES = ['pending', 'processing', 'paid', 'shipped', 'delivered', 'cancelled', 'refunded'];
+
+const TRANSITIONS = {
+  pending: ['processing', 'cancelled'],
+  processing: ['paid', 'cancelled'],
+  paid: ['shipped', 'cancelled', 'refunded'],
+  shipped: ['delivered', 'refunded'],
+  delivered: ['refunded'],
+  cancelled: [],
+  refunded: []
+};
+
+export const nextStatuses = (status) => TRANSITIONS[status] || [];
+
+export const canTransition = (from, to) => nextStatuses(from).includes(to);
+
+// Stock stays reserved for an order until it ships, so cancelling it or refunding it before then
+// gives the stock back
+export const releasesStock = (from, to) =>
+  ['cancelled', 'refunded'].includes(to) && ['pending', 'processing', 'paid'].includes(from);
+
+// Customers may cancel their own orders only while nothing has shipped
+export const canCustomerCancel = (status) => canTransition(status, 'cancelled');
@@ -0,0 +1,110 @@
+import { randomUUID } from 'crypto';
+import { DynamoDBClient, QueryCommand, GetItemCommand, TransactWriteItemsCommand } from '@aws-sdk/client-dynamodb';
+import { marshall, unmarshall } from '@aws-sdk/util-dynamodb';
+import { canTransition, releasesStock } from './orderStatus.js';
+import { stockReturns } from './inventory.js';
+import { logger } from './logger.js';
+
+const ddb = new DynamoDBClient({});
+const TABLE = process.env.ORDERS_TABLE;
+const ORDER_ID_INDEX = 'gsi_orderId';
+
+// Every order carries entity = "order", the partition key of the gsi_recent index that lists all
+// orders newest first (sort key: timestamp). Orders written before the index existed are tagged by
+// scripts/backfill-counters.js.
+export const ORDER_ENTITY = 'order';
+export const RECENT_INDEX = 'gsi_recent';
+
+// Order ids are the orders table's sort key, so they start with the time the order was placed and a
+// customer's orders come back newest first. The millisecond prefix keeps the ids from before this
+// (plain Date.now() strings) in order with the new ones; the UUID keeps them unique.
+export const newOrderId = (now = Date.now()) => `${now}-${randomUUID()}`;
+
+export const getOrder = async (userId, orderId) => {
+  const res = await ddb.send(new GetItemCommand({
+    TableName: TABLE,
+    Key: { userId: { S: userId }, orderId: { S: orderId } }
+  }));
+  return res.Item ? unmarshall(res.Item) : null;
+};
+
+// Admins only know the order id, so look the order up through the orderId index
+export const findOrderById = async (orderId) => {
+  const res = await ddb.send(new QueryCommand({
+    TableName: TABLE,
+    IndexName: ORDER_ID_INDEX,
+    KeyConditionExpression: 'orderId = :oid',
+    ExpressionAttributeValues: { ':oid': { S: orderId } },
+    Limit: 1
+  }));
+  return res.Items?.[0] ? unmarshall(res.Items[0]) : null;
+};
+
+// Moves an order to a new status and appends the change to its history.
+// Returns { order } on success or { error: 'ILLEGAL_TRANSITION' | 'CONFLICT' }.
+export const transitionOrder = async (order, status, { actor, reason } = {}) => {
+  if (!canTransition(order.status, status)) {
+    return { error: 'ILLEGAL_TRANSITION' };
+  }
+
+  const now = new Date().toISOString();
+  const entry = { status, at: now, actor: actor || 'system' };
+  if (reason) entry.reason = reason;
+
+  // Stock is reserved at checkout, so an order cancelled or refunded before it shipped gives it back.
+  // The stock goes back in the same transaction as the status change, so it is returned exactly once:
+  // either both happen, or neither does and the request can be retried.
+  const returned = releasesStock(order.status, status) ? parseItems(order.items) : [];
+
+  try {
+    await ddb.send(new TransactWriteItemsCommand({
+      TransactItems: [
+        {
+          // Conditional on the status we validated against, so concurrent changes can't skip a step
+          Update: {
+            TableName: TABLE,
+            Key: { userId: { S: order.userId }, orderId: { S: order.orderId } },
+            UpdateExpression: 'SET #status = :to, updatedAt = :now, statusHistory = list_append(if_not_exists(statusHistory, :empty), :entry)',
+            ConditionExpression: '#status = :from',
+            ExpressionAttributeNames: { '#status': 'status' },
+            ExpressionAttributeValues: marshall({
+              ':to': status,
+              ':from': order.status,
+              ':now': now,
+              ':empty': [],
+              ':entry': [entry]
+            })
+          }
+        },
+        ...stockReturns(returned)
+      ]
+    }));
+  } catch (error) {
+    // CancellationReasons line up with TransactItems; the first is the status change
+    if (error.name === 'TransactionCanceledException' && error.CancellationReasons?.[0]?.Code === 'ConditionalCheckFailed') {
+      return { error: 'CONFLICT' };
+    }
+    throw error;
+  }
+  if (returned.length > 0) logger.info('Released stock', { orderId: order.orderId, lines: returned.length });
+
+  // A transaction returns no attributes, so apply the change to the order as read
+  return {
+    order: {
+      ...order,
+      status,
+      updatedAt: now,
+      statusHistory: [...(order.statusHistory || []), entry]
+    }
+  };
+};
+
+// Items are stored as a JSON string on the order
+export const parseItems = (items) => {
+  if (Array.isArray(items)) return items;
+  try {
+    return JSON.parse(items || '[]');
+  } catch {
+    return [];
+  }
+};
@@ -0,0 +1,84 @@
+import { DynamoDBClient, QueryCommand } from '@aws-sdk/client-dynamodb';
+import { unmarshall } from '@aws-sdk/util-dynamodb';
+import { productVersion } from './products.js';
+
+// Audit trail of product changes, one entry per versioned write:
+//   { productId, sk: "<changedAt>#v<version>", entity: "product", action, actor, changedAt, version,
+//     name, changes: { <field>: { before, after } } }
+// action is create, update, delete (soft), restore or purge (the item itself was removed).
+// Entries are built from the products stream, so every writer is covered without writing twice.
+
+const ddb = new DynamoDBClient({});
+const TABLE = process.env.AUDIT_TABLE;
+export const RECENT_INDEX = 'gsi_recent';
+
+// Tracked through the entry's own action, actor and version rather than as field changes
+const BOOKKEEPING_FIELDS = ['version', 'updatedAt', 'updatedBy', 'deletedAt', 'deletedBy'];
+
+const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+// Fields that differ between two product images; null stands for "not set"
+export const diffProducts = (before = {}, after = {}) => {
+  const changes = {};
+  const fields = new Set([...Object.keys(before), ...Object.keys(after)]);
+  for (const field of fields) {
+    if (BOOKKEEPING_FIELDS.includes(field) || same(before[field], after[field])) continue;
+    changes[field] = { before: before[field] ?? null, after: after[field] ?? null };
+  }
+  return changes;
+};
+
+const actionFor = (before, after) => {
+  if (!before) return 'create';
+  if (!after) return 'purge';
+  if (!before.deletedAt && after.deletedAt) return 'delete';
+  if (before.deletedAt && !after.deletedAt) return 'restore';
+  return 'update';
+};
+
+// The audit entry for a products stream record, or null for writes that leave the version and
+// updatedAt alone (stock reserved and released by orders).
+export const auditEntryFor = (record) => {
+  const before = record.dynamodb.OldImage && unmarshall(record.dynamodb.OldImage);
+  const after = record.dynamodb.NewImage && unmarshall(record.dynamodb.NewImage);
+  if (before && after && productVersion(before) === productVersion(after) && before.updatedAt === after.updatedAt) {
+    return null;
+  }
+
+  const product = after || before;
+  const version = productVersion(product);
+  const changedAt = after?.updatedAt || new Date(record.dynamodb.ApproximateCreationDateTime * 1000).toISOString();
+  return {
+    productId: String(product.id),
+    sk: `${changedAt}#v${version}`,
+    entity: 'product',
+    action: actionFor(before, after),
+    // Removing the item bypasses the API, so there is nobody to name
+    actor: after ? after.updatedBy || 'system' : 'system',
+    changedAt,
+    version,
+    name: product.name,
+    changes: diffProducts(before, after)
+  };
+};
+
+// Newest first, for one product or across all products
+export const listAudit = async ({ productId, limit, startKey }) => {
+  const res = await ddb.send(new QueryCommand({
+    TableName: TABLE,
+    ...(productId
+      ? {
+        KeyConditionExpression: 'productId = :id',
+        ExpressionAttributeValues: { ':id': { S: productId } }
+      }
+      : {
+        IndexName: RECENT_INDEX,
+        KeyConditionExpression: 'entity = :entity',
+        ExpressionAttributeValues: { ':entity': { S: 'product' } }
+      }),
+    ScanIndexForward: false,
+    Limit: limit,
+    ExclusiveStartKey: startKey
+  }));
+  return { entries: (res.Items || []).map(unmarshall), lastKey: res.LastEvaluatedKey };
+};
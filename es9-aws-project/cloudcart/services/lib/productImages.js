@@ -0,0 +1,79 @@
+import { S3Client, GetObjectCommand } from '@aws-sdk/client-s3';
+import { getSignedUrl } from '@aws-sdk/s3-request-presigner';
+
+// Where product images live in the images bucket and which uploads are accepted.
+//
+//   uploads/<productId>/<imageId>                  original, as uploaded through the presigned POST
+//   products/<productId>/<imageId>/<variant>.webp  resized copies written by products/processImage.js
+//
+// The bucket is private. Products store the object keys (imageKey, images.<variant>.key) and
+// product reads swap them for short-lived signed GET URLs with withImageUrls(). URLs are signed
+// with the function's own temporary credentials and stop working early if those expire first.
+
+const s3 = new S3Client({});
+const BUCKET = process.env.IMAGES_BUCKET;
+
+export const IMAGE_CONTENT_TYPES = ['image/jpeg', 'image/png', 'image/webp'];
+export const MAX_IMAGE_BYTES = 10 * 1024 * 1024;
+export const UPLOAD_PREFIX = 'uploads/';
+
+// Longest edge in pixels; images are never enlarged
+export const IMAGE_VARIANTS = {
+  thumbnail: 200,
+  medium: 600,
+  large: 1200
+};
+
+// Signed URLs stay valid for at least IMAGE_URL_TTL_SECONDS - SIGNING_WINDOW. Signing with the start of
+// the current window gives every request in that window the same URL, so browsers and CDNs can cache it.
+export const IMAGE_URL_TTL_SECONDS = 60 * 60;
+const SIGNING_WINDOW_MS = 15 * 60 * 1000;
+
+export const uploadKey = (productId, imageId) => `${UPLOAD_PREFIX}${productId}/${imageId}`;
+
+// { productId, imageId } for an upload key, or null for anything else
+export const parseUploadKey = (key) => {
+  const match = /^uploads\/([^/]+)\/([^/]+)$/.exec(key);
+  return match ? { productId: match[1], imageId: match[2] } : null;
+};
+
+export const variantKey = (productId, imageId, variant) => `products/${productId}/${imageId}/${variant}.webp`;
+
+// The object key behind a public URL of `bucket` (any of the S3 URL styles), or null for other URLs
+export const imageKeyFromUrl = (bucket, url) => {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return null;
+  }
+  const path = decodeURIComponent(parsed.pathname.slice(1));
+  const virtualHosted = new RegExp(`^${bucket.replace(/\./g, '\\.')}\\.s3([.-][a-z0-9-]+)?\\.amazonaws\\.com$`);
+  if (virtualHosted.test(parsed.hostname)) return path || null;
+  if (/^s3([.-][a-z0-9-]+)?\.amazonaws\.com$/.test(parsed.hostname) && path.startsWith(`${bucket}/`)) {
+    return path.slice(bucket.length + 1) || null;
+  }
+  return null;
+};
+
+const signedUrl = (key, signingDate) => getSignedUrl(
+  s3,
+  new GetObjectCommand({ Bucket: BUCKET, Key: key }),
+  { expiresIn: IMAGE_URL_TTL_SECONDS, signingDate }
+);
+
+// The product as clients see it: stored image keys become signed URLs. An imageUrl without an
+// imageKey (an external image set through PATCH /admin/products/{id}) is returned as it is.
+export const withImageUrls = async (product) => {
+  const { imageKey, images, ...rest } = product;
+  const signingDate = new Date(Math.floor(Date.now() / SIGNING_WINDOW_MS) * SIGNING_WINDOW_MS);
+
+  if (imageKey) rest.imageUrl = await signedUrl(imageKey, signingDate);
+  if (images) {
+    rest.images = {};
+    for (const [variant, { key, ...image }] of Object.entries(images)) {
+      rest.images[variant] = key ? { url: await signedUrl(key, signingDate), ...image } : image;
+    }
+  }
+  return rest;
+};
@@ -0,0 +1,60 @@
+import { compile } from './validation.js';
+
+// Validation rules for new products, shared by POST /admin/products and bulk imports.
+
+export const PRODUCT_FIELDS = ['id', 'name', 'price', 'category', 'stock', 'description', 'imageUrl'];
+
+export const productSchema = {
+  type: 'object',
+  required: ['id', 'name', 'price', 'category'],
+  properties: {
+    id: { type: ['string', 'integer'], minLength: 1 },
+    name: { type: 'string', minLength: 1 },
+    price: { type: 'number', exclusiveMinimum: 0 },
+    category: { type: 'string', minLength: 1 },
+    stock: { type: 'integer', minimum: 0, default: 0 },
+    description: { type: 'string' },
+    imageUrl: { type: 'string' }
+  }
+};
+
+const validate = compile(productSchema);
+
+// The stored product for an input that matched productSchema; unknown fields are dropped
+export const toProduct = ({ id, name, price, category, stock, imageUrl, description }) => ({
+  id: String(id),
+  name,
+  price,
+  category,
+  stock,
+  ...(imageUrl && { imageUrl }),
+  ...(description && { description })
+});
+
+// Returns { product } with defaults applied, or { error } listing every problem found
+export const validateProduct = (input) => {
+  const { value, errors } = validate(input || {});
+  if (errors) {
+    return { error: errors.map(e => e.message).join('; ') };
+  }
+  return { product: toProduct(value) };
+};
+
+// DynamoDB item for a validated product, as version 1 written by `actor`
+export const productItem = (product, createdAt = new Date().toISOString(), actor = 'system') => {
+  const item = {
+    id: { S: product.id },
+    name: { S: String(product.name) },
+    price: { N: String(product.price) },
+    category: { S: String(product.category) },
+    stock: { N: String(product.stock) },
+    createdAt: { S: createdAt },
+    version: { N: '1' },
+    updatedAt: { S: createdAt },
+    updatedBy: { S: actor }
+  };
+
+  if (product.imageUrl) item.imageUrl = { S: String(product.imageUrl) };
+  if (product.description) item.description = { S: String(product.description) };
+  return item;
+};
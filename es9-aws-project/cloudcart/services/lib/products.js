@@ -0,0 +1,137 @@
+import { DynamoDBClient, BatchGetItemCommand, UpdateItemCommand } from '@aws-sdk/client-dynamodb';
+import { marshall, unmarshall } from '@aws-sdk/util-dynamodb';
+import { notFound, conflict, preconditionFailed } from './http.js';
+
+const ddb = new DynamoDBClient({});
+const TABLE = process.env.PRODUCTS_TABLE;
+const BATCH_SIZE = 100; // BatchGetItem limit
+
+// Looks up products by id and returns them keyed by id.
+// Ids that don't exist or were deleted are simply absent from the result.
+export const getProductsByIds = async (ids) => {
+  // BatchGetItem rejects duplicate keys, and 1 and "1" are the same key
+  const unique = [...new Set(ids.map(String))];
+  const found = {};
+
+  for (let i = 0; i < unique.length; i += BATCH_SIZE) {
+    let keys = unique.slice(i, i + BATCH_SIZE).map(id => ({ id: { S: id } }));
+
+    // Retry keys DynamoDB could not process (throttling) until all are read
+    while (keys && keys.length > 0) {
+      const res = await ddb.send(new BatchGetItemCommand({
+        RequestItems: { [TABLE]: { Keys: keys } }
+      }));
+      for (const item of res.Responses?.[TABLE] || []) {
+        const product = unmarshall(item);
+        if (!product.deletedAt) found[product.id] = product;
+      }
+      keys = res.UnprocessedKeys?.[TABLE]?.Keys;
+    }
+  }
+
+  return found;
+};
+
+// Products without a stock attribute predate stock tracking and count as unavailable
+export const withStockFlag = (product) => ({
+  ...product,
+  outOfStock: !(Number(product.stock) > 0)
+});
+
+// Products written before versioning was introduced count as version 0
+export const productVersion = (product) => Number(product.version) || 0;
+
+// Every change to an existing product goes through here: it applies `fields` (undefined fields are not
+// touched, null fields are removed), bumps the version and records who made the change. The audit
+// trail is written from the products stream (products/recordProductAudit.js) using those fields.
+//
+// `expectedVersion` makes the write conditional on the version the caller last read. `deleted`
+// is the state the product must be in: false for edits and deletes, true for restores. `stockDelta`
+// changes stock relative to what is on hand, which can't go below zero.
+// Returns { product, previous } or
+// { error: 'NOT_FOUND' | 'DELETED' | 'NOT_DELETED' | 'VERSION_MISMATCH' | 'INSUFFICIENT_STOCK', current }.
+export const updateProductFields = async (id, fields, { actor = 'system', expectedVersion, deleted = false, stockDelta } = {}) => {
+  const names = { '#version': 'version' };
+  const values = { ':one': 1, ':zero': 0, ':now': new Date().toISOString(), ':actor': actor };
+  const sets = ['#version = if_not_exists(#version, :zero) + :one', 'updatedAt = :now', 'updatedBy = :actor'];
+  const removes = [];
+  Object.entries(fields)
+    .filter(([, value]) => value !== undefined)
+    .forEach(([field, value], i) => {
+      names[`#f${i}`] = field;
+      if (value === null) {
+        removes.push(`#f${i}`);
+        return;
+      }
+      values[`:v${i}`] = value;
+      sets.push(`#f${i} = :v${i}`);
+    });
+
+  const conditions = ['attribute_exists(id)', deleted ? 'attribute_exists(deletedAt)' : 'attribute_not_exists(deletedAt)'];
+  if (stockDelta !== undefined) {
+    names['#stock'] = 'stock';
+    values[':delta'] = stockDelta;
+    sets.push('#stock = if_not_exists(#stock, :zero) + :delta');
+    // Removing stock requires at least that much on hand
+    if (stockDelta < 0) {
+      values[':required'] = -stockDelta;
+      conditions.push('#stock >= :required');
+    }
+  }
+  if (expectedVersion !== undefined) {
+    // Legacy products have no version attribute, which is what a caller that read version 0 expects
+    conditions.push(expectedVersion === 0 ? 'attribute_not_exists(#version)' : '#version = :expected');
+    if (expectedVersion !== 0) values[':expected'] = expectedVersion;
+  }
+
+  try {
+    const res = await ddb.send(new UpdateItemCommand({
+      TableName: TABLE,
+      Key: { id: { S: String(id) } },
+      UpdateExpression: `SET ${sets.join(', ')}${removes.length > 0 ? ` REMOVE ${removes.join(', ')}` : ''}`,
+      ConditionExpression: conditions.join(' AND '),
+      ExpressionAttributeNames: names,
+      ExpressionAttributeValues: marshall(values, { removeUndefinedValues: true }),
+      ReturnValues: 'ALL_OLD',
+      ReturnValuesOnConditionCheckFailure: 'ALL_OLD'
+    }));
+
+    const previous = unmarshall(res.Attributes);
+    const product = { ...previous };
+    for (const [field, value] of Object.entries(fields)) {
+      if (value === null) delete product[field];
+      else if (value !== undefined) product[field] = value;
+    }
+    if (stockDelta !== undefined) product.stock = (Number(previous.stock) || 0) + stockDelta;
+    Object.assign(product, { version: productVersion(previous) + 1, updatedAt: values[':now'], updatedBy: actor });
+    return { product, previous };
+  } catch (error) {
+    if (error.name !== 'ConditionalCheckFailedException') throw error;
+
+    // The failed check returns the current item only if the product exists
+    if (!error.Item) return { error: 'NOT_FOUND' };
+    const current = unmarshall(error.Item);
+    if (!deleted && current.deletedAt) return { error: 'DELETED', current };
+    if (deleted && !current.deletedAt) return { error: 'NOT_DELETED', current };
+    if (expectedVersion === undefined || productVersion(current) === expectedVersion) {
+      if (stockDelta < 0 && !(Number(current.stock) >= -stockDelta)) return { error: 'INSUFFICIENT_STOCK', current };
+    }
+    return { error: 'VERSION_MISMATCH', current };
+  }
+};
+
+// The HTTP error for a failed updateProductFields() result
+export const productWriteError = ({ error, current }) => {
+  switch (error) {
+    case 'VERSION_MISMATCH':
+      return preconditionFailed('Product was changed by someone else; reload it and try again', {
+        version: productVersion(current)
+      });
+    case 'NOT_DELETED':
+      return conflict('PRODUCT_NOT_DELETED', 'Product is not deleted');
+    case 'INSUFFICIENT_STOCK':
+      return conflict('INSUFFICIENT_STOCK', 'Insufficient stock', { stock: Number(current.stock) || 0 });
+    default:
+      return notFound('Product not found');
+  }
+};
@@ -0,0 +1,65 @@
+// Search index for products, kept in its own table and maintained from the Products stream.
+//
+// Every product is written to several partitions (`term`) of the index:
+//   #all              every product, for price / newest browsing without a query
+//   c#<category>      products in a category (case-insensitive)
+//   t#<word>          products whose name has a word starting with <word> (2+ chars),
+//                     or whose description contains <word> as a whole word
+// The sort key is the product id; local secondary indexes order each partition by price
+// and by creation time. Each entry carries `searchText` so further query words and the
+// category can be checked with a FilterExpression.
+
+export const ALL = '#all';
+export const BY_PRICE = 'lsi_price';
+export const BY_CREATED = 'lsi_createdAt';
+
+const MIN_PREFIX = 2;
+const MAX_WORD_LENGTH = 30;
+const MAX_DESCRIPTION_WORDS = 50;
+
+// Fields that affect the index; stock changes at checkout don't need reindexing
+export const INDEXED_FIELDS = ['name', 'description', 'category', 'price', 'createdAt'];
+
+export const normalize = (text) =>
+  String(text || '').toLowerCase().normalize('NFKD').replace(/[\u0300-\u036f]/g, '');
+
+export const tokenize = (text) =>
+  [...new Set(normalize(text).split(/[^a-z0-9]+/).filter(Boolean).map(w => w.slice(0, MAX_WORD_LENGTH)))];
+
+export const categoryTerm = (category) => `c#${normalize(category)}`;
+export const wordTerm = (word) => `t#${word}`;
+
+// Partitions a product is listed under
+export const termsFor = (product) => {
+  const terms = new Set([ALL, categoryTerm(product.category)]);
+
+  for (const word of tokenize(product.name)) {
+    for (let length = MIN_PREFIX; length <= word.length; length++) {
+      terms.add(wordTerm(word.slice(0, length)));
+    }
+  }
+  for (const word of tokenize(product.description).slice(0, MAX_DESCRIPTION_WORDS)) {
+    if (word.length >= MIN_PREFIX) terms.add(wordTerm(word));
+  }
+  return [...terms];
+};
+
+// Index entries for a product, one per partition
+export const entriesFor = (product) => {
+  const entry = {
+    productId: String(product.id),
+    name: product.name,
+    price: Number(product.price),
+    category: normalize(product.category),
+    // Products created before the index existed have no createdAt; sort them as oldest
+    createdAt: product.createdAt || '1970-01-01T00:00:00.000Z',
+    searchText: normalize(`${product.name} ${product.description || ''}`)
+  };
+  return termsFor(product).map(term => ({ term, ...entry }));
+};
+
+// Whether a change to a product needs its index entries rewritten
+export const indexChanged = (oldProduct, newProduct) =>
+  !oldProduct || !newProduct || INDEXED_FIELDS.some(field => oldProduct[field] !== newProduct[field]);
+
+export const isSearchableWord = (word) => word.length >= MIN_PREFIX;
@@ -0,0 +1,17 @@
+import { SecretsManagerClient, GetSecretValueCommand } from '@aws-sdk/client-secrets-manager';
+
+// Signing secrets reach a function as the ARN of their Secrets Manager secret (<NAME>_ARN), which
+// its role may read, rather than as the value itself, so the value never shows up in the function's
+// configuration. Modules await loadSecret() at the top level: once per cold start.
+// A plain <NAME> variable (tests, the local runner) is used as it is.
+
+const client = new SecretsManagerClient({});
+
+// The secret's value, or undefined when the function has neither variable
+export const loadSecret = async (name) => {
+  if (process.env[name] !== undefined) return process.env[name];
+  const arn = process.env[`${name}_ARN`];
+  if (!arn) return undefined;
+  const res = await client.send(new GetSecretValueCommand({ SecretId: arn }));
+  return res.SecretString;
+};
@@ -0,0 +1,43 @@
+import Ajv from 'ajv';
+
+// JSON Schema validation for request bodies, query strings and path parameters.
+// Bodies are validated as sent; query and path values always arrive as strings, so their
+// validator coerces them to the types the schema declares (e.g. "limit": "20" -> 20).
+
+// strictNumbers rejects NaN and Infinity, which can reach us from CSV imports but never from JSON
+const bodyAjv = new Ajv({ allErrors: true, useDefaults: true, strictNumbers: true, allowUnionTypes: true });
+const paramsAjv = new Ajv({ allErrors: true, useDefaults: true, strictNumbers: true, allowUnionTypes: true, coerceTypes: true });
+
+// Turns Ajv errors into [{ field, message }] with messages that read on their own,
+// e.g. { field: 'price', message: 'price must be > 0' }
+export const formatErrors = (errors = []) => errors.map(error => {
+  const path = error.instancePath.slice(1).replace(/\//g, '.');
+  if (error.keyword === 'required') {
+    const field = path ? `${path}.${error.params.missingProperty}` : error.params.missingProperty;
+    return { field, message: `${field} is required` };
+  }
+  if (error.keyword === 'additionalProperties') {
+    const field = path ? `${path}.${error.params.additionalProperty}` : error.params.additionalProperty;
+    return { field, message: `${field} is not allowed` };
+  }
+  if (error.keyword === 'type') {
+    return { field: path, message: `${path || 'value'} must be ${String(error.params.type).split(',').join(' or ')}` };
+  }
+  if (error.keyword === 'minLength' && error.params.limit === 1) {
+    return { field: path, message: `${path || 'value'} must not be empty` };
+  }
+  if (error.keyword === 'enum') {
+    return { field: path, message: `${path || 'value'} must be one of: ${error.params.allowedValues.join(', ')}` };
+  }
+  return { field: path, message: `${path || 'value'} ${error.message}` };
+});
+
+// Compiles a schema once and returns validate(data) -> { value } | { errors }.
+// Defaults declared in the schema are filled in on the returned value.
+export const compile = (schema, { coerce = false } = {}) => {
+  const validate = (coerce ? paramsAjv : bodyAjv).compile(schema);
+  return (data) => {
+    const value = structuredClone(data);
+    return validate(value) ? { value } : { errors: formatErrors(validate.errors) };
+  };
+};
@@ -0,0 +1,186 @@
+import { randomUUID } from 'crypto';
+import { invoke } from './eventSources.js';
+import { logger } from '../lib/logger.js';
+
+// The HTTP API in front of the handlers, as API Gateway runs it: picks the route, runs the Lambda
+// authorizer on guarded routes, builds the payload format 2.0 event, and turns the handler's result
+// (or failure) into the response, with the API's CORS settings.
+//
+//   const api = createApiGateway({ routes, authorizer });   // routes: API_ROUTES with fn: { name, handler }
+//   http.createServer((req, res) => api(req, res, body));
+
+const log = logger.child({ component: 'local-api' });
+
+const ACCOUNT_ID = '000000000000';
+const API_ID = 'local';
+
+// Bodies of these types reach the handler as text; anything else is base64-encoded
+const TEXT_TYPES = /^(text\/|application\/(json|xml|javascript|x-www-form-urlencoded|x-ndjson|ndjson)|[^;]*\+(json|xml))/i;
+
+const send = (res, statusCode, headers, body) => {
+  res.writeHead(statusCode, headers);
+  res.end(body);
+};
+
+const message = (res, statusCode, text, headers) =>
+  send(res, statusCode, { 'content-type': 'application/json', ...headers }, JSON.stringify({ message: text }));
+
+// Literal segments outrank {parameters}, so /products/search wins over /products/{id}
+const compile = (route) => {
+  const segments = route.path.split('/').slice(1);
+  return {
+    ...route,
+    routeKey: `${route.method} ${route.path}`,
+    segments,
+    rank: segments.map(segment => (segment.startsWith('{') ? '1' : '0')).join('')
+  };
+};
+
+const match = (route, parts) => {
+  if (route.segments.length !== parts.length) return undefined;
+  const params = {};
+  for (let i = 0; i < parts.length; i++) {
+    const segment = route.segments[i];
+    if (segment.startsWith('{')) {
+      if (parts[i] === '') return undefined;
+      params[segment.slice(1, -1)] = decodeURIComponent(parts[i]);
+    } else if (segment !== parts[i]) {
+      return undefined;
+    }
+  }
+  return params;
+};
+
+const groupValues = (entries) => {
+  const grouped = {};
+  for (const [name, value] of entries) grouped[name] = grouped[name] === undefined ? value : `${grouped[name]},${value}`;
+  return grouped;
+};
+
+export const createApiGateway = ({ routes, authorizer }) => {
+  const compiled = routes.map(compile).sort((a, b) => a.rank.localeCompare(b.rank));
+  const region = process.env.AWS_REGION;
+
+  const buildEvent = (req, url, route, params, body, requestId) => {
+    const headers = groupValues(Object.entries(req.headers)
+      .filter(([name]) => name !== 'cookie')
+      .map(([name, value]) => [name, Array.isArray(value) ? value.join(',') : value]));
+    const cookies = req.headers.cookie?.split(';').map(cookie => cookie.trim()).filter(Boolean);
+    const query = [...url.searchParams];
+    const text = !headers['content-type'] || TEXT_TYPES.test(headers['content-type']);
+    const now = new Date();
+
+    return {
+      version: '2.0',
+      routeKey: route.routeKey,
+      rawPath: url.pathname,
+      rawQueryString: url.search.slice(1),
+      ...(cookies?.length && { cookies }),
+      headers,
+      ...(query.length > 0 && { queryStringParameters: groupValues(query) }),
+      ...(Object.keys(params).length > 0 && { pathParameters: params }),
+      requestContext: {
+        accountId: ACCOUNT_ID,
+        apiId: API_ID,
+        domainName: headers.host,
+        domainPrefix: headers.host?.split('.')[0],
+        http: {
+          method: req.method,
+          path: url.pathname,
+          protocol: `HTTP/${req.httpVersion}`,
+          sourceIp: req.socket.remoteAddress,
+          userAgent: headers['user-agent']
+        },
+        requestId,
+        routeKey: route.routeKey,
+        stage: '$default',
+        time: now.toUTCString(),
+        timeEpoch: now.getTime()
+      },
+      ...(body.length > 0 && { body: text ? body.toString('utf8') : body.toString('base64') }),
+      isBase64Encoded: body.length > 0 && !text
+    };
+  };
+
+  // The authorizer's context, or the response API Gateway gives instead of calling the route
+  const authorize = async (route, event) => {
+    if (route.auth === 'required' && !event.headers.authorization) return { denied: [401, 'Unauthorized'] };
+    let result;
+    try {
+      result = await invoke(authorizer, {
+        ...event,
+        type: 'REQUEST',
+        routeArn: `arn:aws:execute-api:${region}:${ACCOUNT_ID}:${API_ID}/$default/${route.method}${route.path}`,
+        identitySource: route.auth === 'required' ? [event.headers.authorization, route.routeKey] : []
+      });
+    } catch (error) {
+      // A Lambda authorizer signals a missing or bad token by failing with "Unauthorized"
+      if (error.message === 'Unauthorized') return { denied: [401, 'Unauthorized'] };
+      log.error('Authorizer failed', { route: route.routeKey, error });
+      return { denied: [500, 'Internal Server Error'] };
+    }
+    const allowed = result?.policyDocument?.Statement?.some(statement => statement.Effect === 'Allow') &&
+      !result.policyDocument.Statement.some(statement => statement.Effect === 'Deny');
+    return allowed ? { context: result.context || {} } : { denied: [403, 'Forbidden'] };
+  };
+
+  const respond = (res, result, cors) => {
+    // A handler may return any JSON value instead of a full response
+    const response = result && typeof result === 'object' && 'statusCode' in result
+      ? result
+      : { statusCode: 200, headers: { 'content-type': 'application/json' }, body: JSON.stringify(result) };
+    const headers = { ...cors };
+    for (const [name, value] of Object.entries(response.headers || {})) headers[name.toLowerCase()] = String(value);
+    for (const [name, values] of Object.entries(response.multiValueHeaders || {})) headers[name.toLowerCase()] = values.map(String);
+    if (response.cookies?.length) headers['set-cookie'] = response.cookies;
+    const body = response.body === undefined || response.body === null ? ''
+      : response.isBase64Encoded ? Buffer.from(response.body, 'base64') : String(response.body);
+    send(res, response.statusCode, headers, body);
+  };
+
+  return async (req, res, body) => {
+    const started = Date.now();
+    const requestId = randomUUID();
+    const url = new URL(req.url, 'http://localhost');
+    const cors = req.headers.origin ? { 'access-control-allow-origin': '*', 'access-control-expose-headers': 'etag' } : {};
+    res.setHeader('apigw-requestid', requestId);
+    res.on('finish', () => log.info('Request', {
+      requestId, method: req.method, path: url.pathname, statusCode: res.statusCode, durationMs: Date.now() - started
+    }));
+
+    if (req.method === 'OPTIONS' && req.headers.origin && req.headers['access-control-request-method']) {
+      return send(res, 204, {
+        ...cors,
+        'access-control-allow-methods': '*',
+        'access-control-allow-headers': req.headers['access-control-request-headers'] || '*'
+      });
+    }
+
+    const parts = url.pathname.split('/').slice(1);
+    let route;
+    let params;
+    for (const candidate of compiled) {
+      if (candidate.method !== req.method) continue;
+      params = match(candidate, parts);
+      if (params) {
+        route = candidate;
+        break;
+      }
+    }
+    if (!route) return message(res, 404, 'Not Found', cors);
+
+    const event = buildEvent(req, url, route, params, body, requestId);
+    if (route.auth) {
+      const { context, denied } = await authorize(route, event);
+      if (denied) return message(res, denied[0], denied[1], cors);
+      event.requestContext.authorizer = { lambda: context };
+    }
+
+    try {
+      respond(res, await invoke(route.fn, event), cors);
+    } catch (error) {
+      log.error('Handler failed', { route: route.routeKey, function: route.fn.name, error });
+      message(res, 500, 'Internal Server Error', cors);
+    }
+  };
+};
@@ -0,0 +1,112 @@
+import { CreateTableCommand, DescribeTableCommand } from '@aws-sdk/client-dynamodb';
+import {
+  DynamoDBStreamsClient, DescribeStreamCommand, GetShardIteratorCommand, GetRecordsCommand
+} from '@aws-sdk/client-dynamodb-streams';
+import { keyType } from './tables.js';
+import { logger } from '../lib/logger.js';
+
+// DynamoDB Local (https://docs.aws.amazon.com/amazondynamodb/latest/developerguide/DynamoDBLocal.html)
+// as the local runner's database: creates the stack's tables there if they don't exist yet, and
+// polls their streams, as the Lambda event source mappings do.
+
+const log = logger.child({ component: 'local-dynamodb' });
+
+const POLL_INTERVAL_MS = 500;
+const SHARD_REFRESH_POLLS = 20;
+
+const keySchema = ([partitionKey, sortKey]) => [
+  { AttributeName: partitionKey, KeyType: 'HASH' },
+  ...(sortKey ? [{ AttributeName: sortKey, KeyType: 'RANGE' }] : [])
+];
+
+const createTableInput = (table) => {
+  const attributes = [...new Set([...table.key, ...table.indexes.flatMap(index => index.key)])];
+  const indexes = (local) => table.indexes
+    .filter(index => Boolean(index.local) === local)
+    .map(index => ({ IndexName: index.name, KeySchema: keySchema(index.key), Projection: { ProjectionType: 'ALL' } }));
+  const globalIndexes = indexes(false);
+  const localIndexes = indexes(true);
+
+  return {
+    TableName: table.tableName,
+    AttributeDefinitions: attributes.map(name => ({ AttributeName: name, AttributeType: keyType(table, name) })),
+    KeySchema: keySchema(table.key),
+    BillingMode: 'PAY_PER_REQUEST',
+    ...(globalIndexes.length > 0 && { GlobalSecondaryIndexes: globalIndexes }),
+    ...(localIndexes.length > 0 && { LocalSecondaryIndexes: localIndexes }),
+    ...(table.stream && { StreamSpecification: { StreamEnabled: true, StreamViewType: 'NEW_AND_OLD_IMAGES' } })
+  };
+};
+
+// GetRecords returns the creation time as a Date; Lambda delivers it in epoch seconds
+const lambdaRecord = (record, streamArn) => ({
+  ...record,
+  dynamodb: {
+    ...record.dynamodb,
+    ApproximateCreationDateTime: Math.floor(new Date(record.dynamodb.ApproximateCreationDateTime).getTime() / 1000)
+  },
+  eventSourceARN: streamArn
+});
+
+// Creates the tables that don't exist yet; returns the names of those it created
+export const createTables = async (ddb, tables) => {
+  const created = [];
+  for (const table of tables) {
+    try {
+      await ddb.send(new DescribeTableCommand({ TableName: table.tableName }));
+    } catch (error) {
+      if (error.name !== 'ResourceNotFoundException') throw error;
+      await ddb.send(new CreateTableCommand(createTableInput(table)));
+      created.push(table.tableName);
+    }
+  }
+  return created;
+};
+
+// Reads a table's stream from `startingPosition` (TRIM_HORIZON or LATEST) and passes each record to
+// onRecord, shard by shard, until stop() is called
+export const pollStream = async (ddb, endpoint, table, startingPosition, onRecord) => {
+  const streams = new DynamoDBStreamsClient({ endpoint });
+  const { Table } = await ddb.send(new DescribeTableCommand({ TableName: table.tableName }));
+  const streamArn = Table.LatestStreamArn;
+  const iterators = new Map();
+  const finished = new Set();
+  let stopped = false;
+
+  const refreshShards = async (position) => {
+    const { StreamDescription } = await streams.send(new DescribeStreamCommand({ StreamArn: streamArn }));
+    for (const { ShardId } of StreamDescription.Shards || []) {
+      if (iterators.has(ShardId) || finished.has(ShardId)) continue;
+      const { ShardIterator } = await streams.send(new GetShardIteratorCommand({
+        StreamArn: streamArn, ShardId, ShardIteratorType: position
+      }));
+      iterators.set(ShardId, ShardIterator);
+    }
+  };
+
+  const poll = async () => {
+    for (let polls = 0; !stopped; polls++) {
+      try {
+        // Shards that appear later are read from their start, so no record is missed
+        if (polls > 0 && polls % SHARD_REFRESH_POLLS === 0) await refreshShards('TRIM_HORIZON');
+        for (const [shardId, iterator] of iterators) {
+          const { Records = [], NextShardIterator } = await streams.send(new GetRecordsCommand({ ShardIterator: iterator }));
+          for (const record of Records) await onRecord(lambdaRecord(record, streamArn));
+          if (NextShardIterator) {
+            iterators.set(shardId, NextShardIterator);
+          } else {
+            iterators.delete(shardId);
+            finished.add(shardId);
+          }
+        }
+      } catch (error) {
+        log.error('Stream poll failed', { table: table.tableName, error });
+      }
+      await new Promise(resolve => setTimeout(resolve, POLL_INTERVAL_MS));
+    }
+  };
+
+  await refreshShards(startingPosition);
+  poll();
+  return { stop: () => { stopped = true; } };
+};
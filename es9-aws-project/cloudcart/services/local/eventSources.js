@@ -0,0 +1,128 @@
+import { randomUUID } from 'crypto';
+import { logger } from '../lib/logger.js';
+
+// Lambda invocation for the local runner: functions are called in this process with a Lambda-like
+// context, and the event sources (streams, queues, S3 notifications) deliver to them with Lambda's
+// batching and retry rules.
+
+const log = logger.child({ component: 'local-events' });
+
+// Matches defaultFnProps.timeout in the stack
+const TIMEOUT_MS = 15000;
+const STREAM_RETRY_DELAY_MS = 1000;
+const ASYNC_RETRY_DELAYS_MS = [1000, 2000];
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Tracks work queued or running in any event source, so callers can wait for everything a request
+// set off (the order written by the worker, the stream processing after it, ...) to finish
+export const createActivity = () => {
+  let active = 0;
+  let waiting = [];
+  return {
+    begin() {
+      active++;
+    },
+    end() {
+      active--;
+      if (active > 0) return;
+      waiting.forEach(resolve => resolve());
+      waiting = [];
+    },
+    idle: () => (active === 0 ? Promise.resolve() : new Promise(resolve => waiting.push(resolve)))
+  };
+};
+
+// fn is { name, handler }
+export const invoke = (fn, event) => {
+  const deadline = Date.now() + TIMEOUT_MS;
+  return fn.handler(event, {
+    functionName: fn.name,
+    awsRequestId: randomUUID(),
+    getRemainingTimeInMillis: () => Math.max(deadline - Date.now(), 0)
+  });
+};
+
+// Asynchronous invocation (S3 notifications): a failed event is retried twice, then dropped
+export const invokeAsync = (fn, event, activity) => {
+  activity.begin();
+  setImmediate(async () => {
+    try {
+      for (let attempt = 0; ; attempt++) {
+        try {
+          await invoke(fn, event);
+          return;
+        } catch (error) {
+          if (attempt >= ASYNC_RETRY_DELAYS_MS.length) {
+            log.error('Event dropped after retries', { function: fn.name, error });
+            return;
+          }
+          log.warn('Invocation failed, retrying', { function: fn.name, error });
+          await delay(ASYNC_RETRY_DELAYS_MS[attempt]);
+        }
+      }
+    } finally {
+      activity.end();
+    }
+  });
+};
+
+// A DynamoDB stream event source mapping. Records are delivered in order, in batches of up to
+// batchSize. A batch that throws is retried whole, and with reportBatchItemFailures it is retried
+// from the first failed record; after retryAttempts retries the rest of the batch is skipped.
+export const createStreamSource = (fn, { batchSize, retryAttempts, reportBatchItemFailures = false }, activity) => {
+  const pending = [];
+  let running = false;
+
+  // Index of the first record to retry, or -1 if the batch succeeded
+  const deliver = async (batch) => {
+    let result;
+    try {
+      result = await invoke(fn, { Records: batch });
+    } catch (error) {
+      log.error('Stream batch failed', { function: fn.name, records: batch.length, error });
+      return 0;
+    }
+    const failures = reportBatchItemFailures ? result?.batchItemFailures || [] : [];
+    if (failures.length === 0) return -1;
+    const sequenceNumbers = failures.map(failure => failure.itemIdentifier);
+    const first = batch.findIndex(record => sequenceNumbers.includes(record.dynamodb.SequenceNumber));
+    // An identifier that matches no record fails the whole batch, as on Lambda
+    return first === -1 ? 0 : first;
+  };
+
+  const run = async () => {
+    let attempts = 0;
+    while (pending.length > 0) {
+      const batch = pending.slice(0, batchSize);
+      const failedAt = await deliver(batch);
+      if (failedAt === -1) {
+        pending.splice(0, batch.length);
+        attempts = 0;
+        continue;
+      }
+      pending.splice(0, failedAt);
+      attempts++;
+      if (attempts > retryAttempts) {
+        log.error('Stream records skipped after retries', { function: fn.name, records: batch.length - failedAt });
+        pending.splice(0, batch.length - failedAt);
+        attempts = 0;
+      } else {
+        await delay(STREAM_RETRY_DELAY_MS);
+      }
+    }
+    running = false;
+    activity.end();
+  };
+
+  return {
+    push(record) {
+      pending.push(record);
+      if (running) return;
+      running = true;
+      activity.begin();
+      // Records written in the same tick (one transaction, one batch write) arrive in one batch
+      setImmediate(run);
+    }
+  };
+};
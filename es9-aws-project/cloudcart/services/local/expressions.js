@@ -0,0 +1,529 @@
+// DynamoDB expressions for the in-memory table adapter: conditions (also used for key conditions and
+// filters), update expressions and projections. Items stay in their AttributeValue form
+// ({ S: 'x' }, { N: '1' }, ...) throughout, as they are on the wire.
+// https://docs.aws.amazon.com/amazondynamodb/latest/developerguide/Expressions.html
+
+export const validationError = (message) => Object.assign(new Error(message), { name: 'ValidationException' });
+
+// Tokens
+
+const TOKEN = /\s*(?:(#\w+)|(:\w+)|([A-Za-z_]\w*)|(\d+)|(<>|<=|>=|[=<>()[\],.+-]))/y;
+
+const tokenize = (text) => {
+  const tokens = [];
+  TOKEN.lastIndex = 0;
+  while (TOKEN.lastIndex < text.length) {
+    const start = TOKEN.lastIndex;
+    const match = TOKEN.exec(text);
+    if (!match) {
+      if (/^\s*$/.test(text.slice(start))) break;
+      throw validationError(`Invalid expression: unexpected input at "${text.slice(start, start + 20)}"`);
+    }
+    const [, name, value, word, number, op] = match;
+    if (name) tokens.push({ type: 'name', text: name });
+    else if (value) tokens.push({ type: 'value', text: value });
+    else if (word) tokens.push({ type: 'word', text: word });
+    else if (number) tokens.push({ type: 'number', text: number });
+    else tokens.push({ type: 'op', text: op });
+  }
+  return tokens;
+};
+
+// Parser
+
+const COMPARATORS = ['=', '<>', '<', '<=', '>', '>='];
+const CONDITION_FUNCTIONS = ['attribute_exists', 'attribute_not_exists', 'attribute_type', 'begins_with', 'contains'];
+
+const createParser = (text, names = {}, values = {}) => {
+  const tokens = tokenize(text);
+  let pos = 0;
+
+  const peek = (offset = 0) => tokens[pos + offset];
+  const isWord = (word, token = peek()) => token?.type === 'word' && token.text.toUpperCase() === word;
+  const isOp = (op, token = peek()) => token?.type === 'op' && token.text === op;
+  const fail = (expected) => {
+    const found = peek() ? `"${peek().text}"` : 'the end of the expression';
+    throw validationError(`Invalid expression "${text}": expected ${expected}, found ${found}`);
+  };
+  const expectOp = (op) => (isOp(op) ? tokens[pos++] : fail(`"${op}"`));
+  const expectWord = (word) => (isWord(word) ? tokens[pos++] : fail(word));
+
+  const attributeName = () => {
+    const token = peek();
+    if (token?.type === 'name') {
+      pos++;
+      const name = names[token.text];
+      if (name === undefined) throw validationError(`An expression attribute name used in the expression is not defined: ${token.text}`);
+      return name;
+    }
+    if (token?.type === 'word') {
+      pos++;
+      return token.text;
+    }
+    return fail('an attribute name');
+  };
+
+  const path = () => {
+    const segments = [attributeName()];
+    for (;;) {
+      if (isOp('.')) {
+        pos++;
+        segments.push(attributeName());
+      } else if (isOp('[')) {
+        pos++;
+        const index = peek()?.type === 'number' ? Number(tokens[pos++].text) : fail('a list index');
+        expectOp(']');
+        segments.push(index);
+      } else {
+        return { path: segments };
+      }
+    }
+  };
+
+  const value = () => {
+    const token = tokens[pos++];
+    const attributeValue = values[token.text];
+    if (attributeValue === undefined) throw validationError(`An expression attribute value used in expression is not defined: ${token.text}`);
+    return { value: attributeValue };
+  };
+
+  // A path, a :value or size(path)
+  const operand = () => {
+    if (peek()?.type === 'value') return value();
+    if (isWord('SIZE') && isOp('(', peek(1))) {
+      pos += 2;
+      const node = { size: path() };
+      expectOp(')');
+      return node;
+    }
+    return path();
+  };
+
+  const functionCall = () => {
+    const name = tokens[pos].text.toLowerCase();
+    pos += 2;
+    const args = [operand()];
+    while (isOp(',')) {
+      pos++;
+      args.push(operand());
+    }
+    expectOp(')');
+    return { fn: name, args };
+  };
+
+  const primary = () => {
+    if (isOp('(')) {
+      pos++;
+      const node = condition();
+      expectOp(')');
+      return node;
+    }
+    if (peek()?.type === 'word' && CONDITION_FUNCTIONS.includes(peek().text.toLowerCase()) && isOp('(', peek(1))) {
+      return functionCall();
+    }
+    const left = operand();
+    if (peek()?.type === 'op' && COMPARATORS.includes(peek().text)) {
+      const comparator = tokens[pos++].text;
+      return { compare: comparator, left, right: operand() };
+    }
+    if (isWord('BETWEEN')) {
+      pos++;
+      const low = operand();
+      expectWord('AND');
+      return { between: left, low, high: operand() };
+    }
+    if (isWord('IN')) {
+      pos++;
+      expectOp('(');
+      const list = [operand()];
+      while (isOp(',')) {
+        pos++;
+        list.push(operand());
+      }
+      expectOp(')');
+      return { in: left, list };
+    }
+    return fail('a comparison');
+  };
+
+  const negation = () => {
+    if (isWord('NOT')) {
+      pos++;
+      return { not: negation() };
+    }
+    return primary();
+  };
+
+  const conjunction = () => {
+    let node = negation();
+    while (isWord('AND')) {
+      pos++;
+      node = { and: [node, negation()] };
+    }
+    return node;
+  };
+
+  const condition = () => {
+    let node = conjunction();
+    while (isWord('OR')) {
+      pos++;
+      node = { or: [node, conjunction()] };
+    }
+    return node;
+  };
+
+  // SET right-hand side: an operand, if_not_exists(), list_append(), or two of those added or subtracted
+  const setTerm = () => {
+    if ((isWord('IF_NOT_EXISTS') || isWord('LIST_APPEND')) && isOp('(', peek(1))) {
+      const name = tokens[pos].text.toLowerCase();
+      pos += 2;
+      const first = name === 'if_not_exists' ? path() : setTerm();
+      expectOp(',');
+      const second = setTerm();
+      expectOp(')');
+      return { fn: name, args: [first, second] };
+    }
+    return operand();
+  };
+
+  const setValue = () => {
+    const left = setTerm();
+    if (isOp('+') || isOp('-')) {
+      const op = tokens[pos++].text;
+      return { arithmetic: op, left, right: setTerm() };
+    }
+    return left;
+  };
+
+  const update = () => {
+    const actions = { SET: [], REMOVE: [], ADD: [], DELETE: [] };
+    const seen = new Set();
+    while (peek()) {
+      const clause = peek()?.type === 'word' && peek().text.toUpperCase();
+      if (!(clause in actions)) fail('SET, REMOVE, ADD or DELETE');
+      if (seen.has(clause)) throw validationError(`Invalid UpdateExpression: The "${clause}" section can only be used once in an update expression`);
+      seen.add(clause);
+      pos++;
+      for (;;) {
+        const target = path();
+        if (clause === 'SET') {
+          expectOp('=');
+          actions.SET.push({ target, value: setValue() });
+        } else if (clause === 'REMOVE') {
+          actions.REMOVE.push({ target });
+        } else {
+          actions[clause].push({ target, value: peek()?.type === 'value' ? value() : fail('an expression attribute value') });
+        }
+        if (!isOp(',')) break;
+        pos++;
+      }
+    }
+    return actions;
+  };
+
+  const projection = () => {
+    const paths = [path()];
+    while (isOp(',')) {
+      pos++;
+      paths.push(path());
+    }
+    return paths;
+  };
+
+  const parseAll = (parse) => {
+    const node = parse();
+    if (pos < tokens.length) fail('the end of the expression');
+    return node;
+  };
+
+  return {
+    condition: () => parseAll(condition),
+    update: () => parseAll(update),
+    projection: () => parseAll(projection)
+  };
+};
+
+export const parseCondition = (text, names, values) => createParser(text, names, values).condition();
+export const parseUpdate = (text, names, values) => createParser(text, names, values).update();
+export const parseProjection = (text, names) => createParser(text, names).projection();
+
+// Attribute values
+
+const typeOf = (attributeValue) => attributeValue && Object.keys(attributeValue)[0];
+const bytes = (value) => Buffer.from(value);
+
+// Exact decimal addition, as DynamoDB does it; binary floating point would turn 0.1 + 0.2 into
+// 0.30000000000000004 in running totals
+export const addNumbers = (a, b) => {
+  if (/e/i.test(a) || /e/i.test(b)) return String(Number(a) + Number(b));
+  const scale = Math.max(...[a, b].map(n => (n.split('.')[1] || '').length));
+  const scaled = (n) => {
+    const [whole, fraction = ''] = n.split('.');
+    return BigInt(whole + fraction.padEnd(scale, '0'));
+  };
+  const sum = scaled(a) + scaled(b);
+  const digits = (sum < 0n ? -sum : sum).toString().padStart(scale + 1, '0');
+  const whole = digits.slice(0, digits.length - scale);
+  const fraction = digits.slice(digits.length - scale).replace(/0+$/, '');
+  const text = fraction ? `${whole}.${fraction}` : whole;
+  return sum < 0n ? `-${text}` : text;
+};
+
+export const negate = (n) => (n.startsWith('-') ? n.slice(1) : n === '0' ? n : `-${n}`);
+
+// Ordering of two scalars of the same type (N, S or B); undefined when they can't be ordered
+export const compareValues = (a, b) => {
+  const type = typeOf(a);
+  if (!type || type !== typeOf(b)) return undefined;
+  if (type === 'N') return Math.sign(Number(a.N) - Number(b.N));
+  if (type === 'S') return Buffer.compare(bytes(a.S), bytes(b.S));
+  if (type === 'B') return Buffer.compare(bytes(a.B), bytes(b.B));
+  return undefined;
+};
+
+const setMembers = (attributeValue) => {
+  const type = typeOf(attributeValue);
+  const members = attributeValue[type];
+  if (type === 'NS') return members.map(n => String(Number(n)));
+  if (type === 'BS') return members.map(b => bytes(b).toString('base64'));
+  return members;
+};
+
+export const equalValues = (a, b) => {
+  const type = typeOf(a);
+  if (!type || type !== typeOf(b)) return false;
+  switch (type) {
+    case 'N':
+    case 'S':
+    case 'B':
+      return compareValues(a, b) === 0;
+    case 'SS':
+    case 'NS':
+    case 'BS': {
+      const left = new Set(setMembers(a));
+      const right = setMembers(b);
+      return left.size === new Set(right).size && right.every(member => left.has(member));
+    }
+    case 'L':
+      return a.L.length === b.L.length && a.L.every((item, i) => equalValues(item, b.L[i]));
+    case 'M': {
+      const keys = Object.keys(a.M);
+      return keys.length === Object.keys(b.M).length && keys.every(key => equalValues(a.M[key], b.M[key]));
+    }
+    default:
+      return a[type] === b[type];
+  }
+};
+
+export const equalItems = (a, b) => equalValues({ M: a }, { M: b });
+
+// Paths
+
+export const resolvePath = (item, segments) => {
+  let current = { M: item };
+  for (const segment of segments) {
+    current = typeof segment === 'number' ? current?.L?.[segment] : current?.M?.[segment];
+    if (current === undefined) return undefined;
+  }
+  return current;
+};
+
+const setPath = (item, segments, attributeValue) => {
+  const parent = segments.length === 1 ? { M: item } : resolvePath(item, segments.slice(0, -1));
+  const last = segments[segments.length - 1];
+  if (typeof last === 'number' && parent?.L) {
+    if (last >= parent.L.length) parent.L.push(attributeValue);
+    else parent.L[last] = attributeValue;
+  } else if (typeof last === 'string' && parent?.M) {
+    parent.M[last] = attributeValue;
+  } else {
+    throw validationError('The document path provided in the update expression is invalid for update');
+  }
+};
+
+const removePath = (item, segments) => {
+  const parent = segments.length === 1 ? { M: item } : resolvePath(item, segments.slice(0, -1));
+  const last = segments[segments.length - 1];
+  if (typeof last === 'number' && parent?.L) {
+    if (last < parent.L.length) parent.L.splice(last, 1);
+  } else if (typeof last === 'string' && parent?.M) {
+    delete parent.M[last];
+  }
+};
+
+// Conditions
+
+const sizeOf = (attributeValue) => {
+  const type = typeOf(attributeValue);
+  if (!type) return undefined;
+  if (type === 'S') return attributeValue.S.length;
+  if (type === 'B') return bytes(attributeValue.B).length;
+  if (type === 'M') return Object.keys(attributeValue.M).length;
+  if (['L', 'SS', 'NS', 'BS'].includes(type)) return attributeValue[type].length;
+  return undefined;
+};
+
+const operandValue = (node, item) => {
+  if (node.value) return node.value;
+  if (node.path) return resolvePath(item, node.path);
+  const size = sizeOf(resolvePath(item, node.size.path));
+  return size === undefined ? undefined : { N: String(size) };
+};
+
+const contains = (haystack, needle) => {
+  const type = typeOf(haystack);
+  if (!type || !needle) return false;
+  if (type === 'S') return typeOf(needle) === 'S' && haystack.S.includes(needle.S);
+  if (type === 'B') return typeOf(needle) === 'B' && bytes(haystack.B).includes(bytes(needle.B));
+  if (type === 'L') return haystack.L.some(item => equalValues(item, needle));
+  if (['SS', 'NS', 'BS'].includes(type)) {
+    return type === `${typeOf(needle)}S` && haystack[type].some(member => equalValues({ [typeOf(needle)]: member }, needle));
+  }
+  return false;
+};
+
+const callFunction = ({ fn, args }, item) => {
+  const [first, second] = args.map(arg => operandValue(arg, item));
+  switch (fn) {
+    case 'attribute_exists':
+      return first !== undefined;
+    case 'attribute_not_exists':
+      return first === undefined;
+    case 'attribute_type':
+      return typeOf(first) === second?.S;
+    case 'begins_with':
+      if (typeOf(first) === 'S' && typeOf(second) === 'S') return first.S.startsWith(second.S);
+      if (typeOf(first) === 'B' && typeOf(second) === 'B') return bytes(first.B).subarray(0, bytes(second.B).length).equals(bytes(second.B));
+      return false;
+    default:
+      return contains(first, second);
+  }
+};
+
+// Comparisons with a missing attribute are false, except <> which is true
+export const evaluate = (node, item) => {
+  if (node.and) return evaluate(node.and[0], item) && evaluate(node.and[1], item);
+  if (node.or) return evaluate(node.or[0], item) || evaluate(node.or[1], item);
+  if (node.not) return !evaluate(node.not, item);
+  if (node.fn) return callFunction(node, item);
+  if (node.between) {
+    const value = operandValue(node.between, item);
+    return compareValues(value, operandValue(node.low, item)) >= 0 && compareValues(value, operandValue(node.high, item)) <= 0;
+  }
+  if (node.in) {
+    const value = operandValue(node.in, item);
+    return node.list.some(candidate => equalValues(value, operandValue(candidate, item)));
+  }
+
+  const left = operandValue(node.left, item);
+  const right = operandValue(node.right, item);
+  if (node.compare === '=') return equalValues(left, right);
+  if (node.compare === '<>') return !equalValues(left, right);
+  const order = compareValues(left, right);
+  if (order === undefined) return false;
+  return { '<': order < 0, '<=': order <= 0, '>': order > 0, '>=': order >= 0 }[node.compare];
+};
+
+// The conditions joined by AND at the top of an expression, e.g. to find the key conditions
+export const conjuncts = (node) => (node.and ? node.and.flatMap(conjuncts) : [node]);
+
+// Updates
+
+const requireValue = (attributeValue) => {
+  if (attributeValue === undefined) {
+    throw validationError('The provided expression refers to an attribute that does not exist in the item');
+  }
+  return attributeValue;
+};
+
+const setValueOf = (node, item) => {
+  if (node.arithmetic) {
+    const left = requireValue(setValueOf(node.left, item));
+    const right = requireValue(setValueOf(node.right, item));
+    if (typeOf(left) !== 'N' || typeOf(right) !== 'N') {
+      throw validationError('An operand in the update expression has an incorrect data type');
+    }
+    return { N: addNumbers(left.N, node.arithmetic === '-' ? negate(right.N) : right.N) };
+  }
+  if (node.fn === 'if_not_exists') {
+    return resolvePath(item, node.args[0].path) ?? setValueOf(node.args[1], item);
+  }
+  if (node.fn === 'list_append') {
+    const [first, second] = node.args.map(arg => requireValue(setValueOf(arg, item)));
+    if (typeOf(first) !== 'L' || typeOf(second) !== 'L') {
+      throw validationError('An operand in the update expression has an incorrect data type');
+    }
+    return { L: [...first.L, ...second.L] };
+  }
+  return operandValue(node, item);
+};
+
+const addToValue = (current, added) => {
+  const type = typeOf(added);
+  if (current === undefined) return added;
+  if (type === 'N' && typeOf(current) === 'N') return { N: addNumbers(current.N, added.N) };
+  if (['SS', 'NS', 'BS'].includes(type) && typeOf(current) === type) {
+    const members = [...current[type]];
+    for (const member of added[type]) {
+      if (!members.some(existing => equalValues({ [type.slice(0, 1)]: existing }, { [type.slice(0, 1)]: member }))) members.push(member);
+    }
+    return { [type]: members };
+  }
+  throw validationError('An operand in the update expression has an incorrect data type');
+};
+
+const deleteFromValue = (current, removed) => {
+  const type = typeOf(removed);
+  if (current === undefined) return undefined;
+  if (!['SS', 'NS', 'BS'].includes(type) || typeOf(current) !== type) {
+    throw validationError('An operand in the update expression has an incorrect data type');
+  }
+  const scalar = type.slice(0, 1);
+  const members = current[type].filter(member =>
+    !removed[type].some(gone => equalValues({ [scalar]: member }, { [scalar]: gone })));
+  return members.length > 0 ? { [type]: members } : undefined;
+};
+
+// Applies a parsed update expression to a copy of `item`. Every value is read from the item as it
+// was before the update. Returns the updated item and the top-level attributes the update touched.
+export const applyUpdate = (item, actions) => {
+  const values = actions.SET.map(({ value }) => requireValue(setValueOf(value, item)));
+  const added = actions.ADD.map(({ target, value }) => addToValue(resolvePath(item, target.path), value.value));
+  const deleted = actions.DELETE.map(({ target, value }) => deleteFromValue(resolvePath(item, target.path), value.value));
+
+  const updated = structuredClone(item);
+  actions.SET.forEach(({ target }, i) => setPath(updated, target.path, structuredClone(values[i])));
+  actions.REMOVE.forEach(({ target }) => removePath(updated, target.path));
+  actions.ADD.forEach(({ target }, i) => setPath(updated, target.path, structuredClone(added[i])));
+  actions.DELETE.forEach(({ target }, i) => {
+    if (deleted[i] === undefined) removePath(updated, target.path);
+    else setPath(updated, target.path, deleted[i]);
+  });
+
+  const touched = new Set(Object.values(actions).flat().map(({ target }) => target.path[0]));
+  return { item: updated, touched };
+};
+
+// Projections
+
+export const project = (item, paths) => {
+  const projected = {};
+  for (const { path: segments } of paths) {
+    const attributeValue = resolvePath(item, segments);
+    if (attributeValue === undefined) continue;
+    let target = { M: projected };
+    segments.forEach((segment, i) => {
+      const last = i === segments.length - 1;
+      const next = segments[i + 1];
+      const container = typeof segment === 'number' ? target.L : target.M;
+      const key = typeof segment === 'number' ? container.length : segment;
+      if (last) {
+        container[key] = structuredClone(attributeValue);
+      } else {
+        container[key] ??= typeof next === 'number' ? { L: [] } : { M: {} };
+        target = container[key];
+      }
+    });
+  }
+  return projected;
+};
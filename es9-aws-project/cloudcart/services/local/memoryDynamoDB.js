@@ -0,0 +1,354 @@
+import {
+  ConditionalCheckFailedException,
+  ResourceNotFoundException,
+  TransactionCanceledException
+} from '@aws-sdk/client-dynamodb';
+import { keyType } from './tables.js';
+import {
+  parseCondition, parseUpdate, parseProjection, evaluate, conjuncts, applyUpdate, project,
+  compareValues, equalItems, validationError
+} from './expressions.js';
+
+// In-memory DynamoDB for the local runner. It answers the commands the handlers send with the same
+// responses and errors DynamoDB would, and reports every change to a streamed table through
+// onChange(table, record), with the record in the shape a DynamoDB stream delivers it to Lambda.
+//
+//   const ddb = createMemoryDynamoDB(TABLES, { onChange });
+//   await ddb.send(new GetItemCommand({ ... }));
+//
+// Not modelled: capacity and throttling, the 1 MB page limit, TTL expiry and the legacy
+// (non-expression) parameters.
+
+const MAX_BATCH_GET = 100;
+const MAX_BATCH_WRITE = 25;
+const MAX_TRANSACTION = 100;
+
+const conditionFailed = (item) => new ConditionalCheckFailedException({
+  message: 'The conditional request failed',
+  $metadata: { httpStatusCode: 400 },
+  ...(item && { Item: item })
+});
+
+export const createMemoryDynamoDB = (tables, { onChange = () => {} } = {}) => {
+  const byName = new Map(tables.map(table => [table.tableName, { ...table, rows: new Map() }]));
+  let sequence = 0;
+
+  const tableNamed = (name) => {
+    const table = byName.get(name);
+    if (!table) {
+      throw new ResourceNotFoundException({ message: `Requested resource not found: Table: ${name} not found`, $metadata: { httpStatusCode: 400 } });
+    }
+    return table;
+  };
+
+  // Items
+
+  const checkKeyAttribute = (table, attribute, attributeValue, required) => {
+    if (attributeValue === undefined) {
+      if (required) throw validationError(`One or more parameter values were invalid: Missing the key ${attribute} in the item`);
+      return;
+    }
+    const type = keyType(table, attribute);
+    if (!(type in attributeValue) || Object.keys(attributeValue).length !== 1) {
+      throw validationError(`One or more parameter values were invalid: Type mismatch for key ${attribute} expected: ${type}`);
+    }
+    if (attributeValue[type] === '') {
+      throw validationError(`One or more parameter values are not valid. The AttributeValue for a key attribute cannot contain an empty string value. Key: ${attribute}`);
+    }
+  };
+
+  // Table keys must be present; index keys are optional (the item is left out of the index) but
+  // must have the right type when present
+  const checkItem = (table, item) => {
+    for (const attribute of table.key) checkKeyAttribute(table, attribute, item[attribute], true);
+    for (const index of table.indexes) {
+      for (const attribute of index.key) checkKeyAttribute(table, attribute, item[attribute], false);
+    }
+  };
+
+  const checkKey = (table, key = {}) => {
+    if (Object.keys(key).length !== table.key.length || !table.key.every(attribute => key[attribute])) {
+      throw validationError('The provided key element does not match the schema');
+    }
+    for (const attribute of table.key) checkKeyAttribute(table, attribute, key[attribute], true);
+  };
+
+  const normalized = (attributeValue) => ('N' in attributeValue ? { N: String(Number(attributeValue.N)) } : attributeValue);
+  const rowKey = (table, item) => JSON.stringify(table.key.map(attribute => normalized(item[attribute])));
+  const keyOf = (attributes, item) => Object.fromEntries(attributes.filter(a => item[a]).map(a => [a, structuredClone(item[a])]));
+
+  // Writes (or with `item` undefined, deletes) one row and reports the change to the stream
+  const commit = ({ table, key, before, after }) => {
+    const id = rowKey(table, key);
+    if (after) table.rows.set(id, structuredClone(after));
+    else table.rows.delete(id);
+
+    // Like DynamoDB, writes that leave the item as it was produce no stream record
+    if (!table.stream || (!before && !after) || (before && after && equalItems(before, after))) return;
+    sequence++;
+    onChange(table, {
+      eventID: `${sequence}`,
+      eventName: !before ? 'INSERT' : !after ? 'REMOVE' : 'MODIFY',
+      eventVersion: '1.1',
+      eventSource: 'aws:dynamodb',
+      awsRegion: process.env.AWS_REGION,
+      dynamodb: {
+        ApproximateCreationDateTime: Math.floor(Date.now() / 1000),
+        Keys: keyOf(table.key, key),
+        ...(after && { NewImage: structuredClone(after) }),
+        ...(before && { OldImage: structuredClone(before) }),
+        SequenceNumber: String(sequence).padStart(21, '0'),
+        SizeBytes: JSON.stringify(after || before).length,
+        StreamViewType: 'NEW_AND_OLD_IMAGES'
+      },
+      eventSourceARN: `arn:aws:dynamodb:${process.env.AWS_REGION}:000000000000:table/${table.tableName}/stream/local`
+    });
+  };
+
+  const checkCondition = (input, existing) => {
+    if (!input.ConditionExpression) return;
+    const condition = parseCondition(input.ConditionExpression, input.ExpressionAttributeNames, input.ExpressionAttributeValues);
+    if (!evaluate(condition, existing || {})) {
+      throw conditionFailed(input.ReturnValuesOnConditionCheckFailure === 'ALL_OLD' ? structuredClone(existing) : undefined);
+    }
+  };
+
+  // Each write is planned first (checking its condition against the current item) and committed
+  // after, so a transaction can check every item before it changes any
+
+  const planPut = (input) => {
+    const table = tableNamed(input.TableName);
+    checkItem(table, input.Item);
+    const before = table.rows.get(rowKey(table, input.Item));
+    checkCondition(input, before);
+    return { table, key: input.Item, before, after: input.Item };
+  };
+
+  const planDelete = (input) => {
+    const table = tableNamed(input.TableName);
+    checkKey(table, input.Key);
+    const before = table.rows.get(rowKey(table, input.Key));
+    checkCondition(input, before);
+    return { table, key: input.Key, before, after: undefined };
+  };
+
+  const planUpdate = (input) => {
+    const table = tableNamed(input.TableName);
+    checkKey(table, input.Key);
+    const before = table.rows.get(rowKey(table, input.Key));
+    checkCondition(input, before);
+    if (!input.UpdateExpression) return { table, key: input.Key, before, after: before || input.Key, touched: new Set() };
+
+    const actions = parseUpdate(input.UpdateExpression, input.ExpressionAttributeNames, input.ExpressionAttributeValues);
+    const { item: after, touched } = applyUpdate(before || structuredClone(input.Key), actions);
+    const keyAttribute = table.key.find(attribute => touched.has(attribute));
+    if (keyAttribute) throw validationError(`Cannot update attribute ${keyAttribute}. This attribute is part of the key`);
+    checkItem(table, after);
+    return { table, key: input.Key, before, after, touched };
+  };
+
+  const planConditionCheck = (input) => {
+    const table = tableNamed(input.TableName);
+    checkKey(table, input.Key);
+    const before = table.rows.get(rowKey(table, input.Key));
+    checkCondition(input, before);
+    return { table, key: input.Key, before, after: before, check: true };
+  };
+
+  const updatedAttributes = (item, touched) => item &&
+    Object.fromEntries(Object.entries(item).filter(([name]) => touched.has(name)));
+
+  const returnValues = (input, plan) => {
+    const values = {
+      ALL_OLD: plan.before,
+      ALL_NEW: plan.after,
+      UPDATED_OLD: plan.touched && updatedAttributes(plan.before, plan.touched),
+      UPDATED_NEW: plan.touched && updatedAttributes(plan.after, plan.touched)
+    }[input.ReturnValues];
+    return values && Object.keys(values).length > 0 ? { Attributes: structuredClone(values) } : {};
+  };
+
+  // Reads
+
+  const projected = (input, item) => {
+    const copy = structuredClone(item);
+    if (!input.ProjectionExpression) return copy;
+    return project(copy, parseProjection(input.ProjectionExpression, input.ExpressionAttributeNames));
+  };
+
+  const compareBy = (attributes) => (a, b) => {
+    for (const attribute of attributes) {
+      const order = compareValues(a[attribute], b[attribute]);
+      if (order) return order;
+    }
+    return 0;
+  };
+
+  // One page of `rows` (already in read order) after ExclusiveStartKey, up to Limit rows, then filtered
+  const readPage = (input, rows, orderAttributes, forward) => {
+    if (input.Limit !== undefined && !(input.Limit > 0)) {
+      throw validationError('1 validation error detected: Value at \'limit\' failed to satisfy constraint: Member must have value greater than or equal to 1');
+    }
+    const compare = compareBy(orderAttributes);
+    let start = 0;
+    if (input.ExclusiveStartKey) {
+      const after = rows.findIndex(row => compare(row, input.ExclusiveStartKey) * (forward ? 1 : -1) > 0);
+      start = after === -1 ? rows.length : after;
+    }
+    const end = input.Limit ? Math.min(start + input.Limit, rows.length) : rows.length;
+    const scanned = rows.slice(start, end);
+
+    const filter = input.FilterExpression &&
+      parseCondition(input.FilterExpression, input.ExpressionAttributeNames, input.ExpressionAttributeValues);
+    const matched = filter ? scanned.filter(row => evaluate(filter, row)) : scanned;
+
+    return {
+      Count: matched.length,
+      ScannedCount: scanned.length,
+      ...(input.Select !== 'COUNT' && { Items: matched.map(row => projected(input, row)) }),
+      ...(end < rows.length && { LastEvaluatedKey: keyOf(orderAttributes, scanned[scanned.length - 1]) })
+    };
+  };
+
+  const query = (input) => {
+    const table = tableNamed(input.TableName);
+    const index = input.IndexName && table.indexes.find(candidate => candidate.name === input.IndexName);
+    if (input.IndexName && !index) {
+      throw validationError(`The table does not have the specified index: ${input.IndexName}`);
+    }
+    const [partitionKey, sortKey] = index ? index.key : table.key;
+    if (!input.KeyConditionExpression) throw validationError('Either the KeyConditions or KeyConditionExpression parameter must be specified in the request.');
+    const keyCondition = parseCondition(input.KeyConditionExpression, input.ExpressionAttributeNames, input.ExpressionAttributeValues);
+    const hasPartition = conjuncts(keyCondition).some(node =>
+      node.compare === '=' && node.left.path?.length === 1 && node.left.path[0] === partitionKey && node.right.value);
+    if (!hasPartition) throw validationError(`Query condition missed key schema element: ${partitionKey}`);
+
+    const orderAttributes = [...new Set([partitionKey, sortKey, ...table.key].filter(Boolean))];
+    const rows = [...table.rows.values()]
+      .filter(row => row[partitionKey] && (!sortKey || row[sortKey]) && evaluate(keyCondition, row))
+      .sort(compareBy(orderAttributes));
+    const forward = input.ScanIndexForward !== false;
+    if (!forward) rows.reverse();
+    return readPage(input, rows, orderAttributes, forward);
+  };
+
+  const scan = (input) => {
+    const table = tableNamed(input.TableName);
+    const rows = [...table.rows.values()].sort(compareBy(table.key));
+    return readPage(input, rows, table.key, true);
+  };
+
+  // Commands
+
+  const commands = {
+    GetItemCommand: (input) => {
+      const table = tableNamed(input.TableName);
+      checkKey(table, input.Key);
+      const item = table.rows.get(rowKey(table, input.Key));
+      return item ? { Item: projected(input, item) } : {};
+    },
+
+    PutItemCommand: (input) => {
+      const plan = planPut(input);
+      commit(plan);
+      return returnValues(input, plan);
+    },
+
+    UpdateItemCommand: (input) => {
+      const plan = planUpdate(input);
+      commit(plan);
+      return returnValues(input, plan);
+    },
+
+    DeleteItemCommand: (input) => {
+      const plan = planDelete(input);
+      commit(plan);
+      return returnValues(input, plan);
+    },
+
+    QueryCommand: query,
+    ScanCommand: scan,
+
+    BatchGetItemCommand: (input) => {
+      const requests = Object.entries(input.RequestItems || {});
+      if (requests.reduce((sum, [, request]) => sum + request.Keys.length, 0) > MAX_BATCH_GET) {
+        throw validationError(`Too many items requested for the BatchGetItem call (at most ${MAX_BATCH_GET})`);
+      }
+      const Responses = {};
+      for (const [name, request] of requests) {
+        const table = tableNamed(name);
+        Responses[name] = request.Keys
+          .map(key => {
+            checkKey(table, key);
+            return table.rows.get(rowKey(table, key));
+          })
+          .filter(Boolean)
+          .map(item => projected(request, item));
+      }
+      return { Responses, UnprocessedKeys: {} };
+    },
+
+    BatchWriteItemCommand: (input) => {
+      const requests = Object.entries(input.RequestItems || {});
+      if (requests.reduce((sum, [, writes]) => sum + writes.length, 0) > MAX_BATCH_WRITE) {
+        throw validationError(`Too many items in the BatchWriteItem call (at most ${MAX_BATCH_WRITE})`);
+      }
+      const plans = requests.flatMap(([TableName, writes]) => writes.map(write => (write.PutRequest
+        ? planPut({ TableName, Item: write.PutRequest.Item })
+        : planDelete({ TableName, Key: write.DeleteRequest.Key }))));
+      const ids = plans.map(plan => `${plan.table.tableName}|${rowKey(plan.table, plan.key)}`);
+      if (new Set(ids).size !== ids.length) throw validationError('Provided list of item keys contains duplicates');
+      plans.forEach(commit);
+      return { UnprocessedItems: {} };
+    },
+
+    TransactWriteItemsCommand: (input) => {
+      const items = input.TransactItems || [];
+      if (items.length === 0 || items.length > MAX_TRANSACTION) {
+        throw validationError(`TransactItems must have between 1 and ${MAX_TRANSACTION} items`);
+      }
+      const planners = { ConditionCheck: planConditionCheck, Put: planPut, Update: planUpdate, Delete: planDelete };
+
+      const plans = [];
+      const reasons = items.map(item => {
+        const [operation, request] = Object.entries(item)[0];
+        try {
+          plans.push(planners[operation](request));
+          return { Code: 'None' };
+        } catch (error) {
+          if (error.name === 'ConditionalCheckFailedException') {
+            return { Code: 'ConditionalCheckFailed', Message: error.message, ...(error.Item && { Item: error.Item }) };
+          }
+          if (error.name === 'ValidationException') return { Code: 'ValidationError', Message: error.message };
+          throw error;
+        }
+      });
+
+      if (reasons.some(reason => reason.Code !== 'None')) {
+        throw new TransactionCanceledException({
+          message: `Transaction cancelled, please refer cancellation reasons for specific reasons [${reasons.map(reason => reason.Code).join(', ')}]`,
+          $metadata: { httpStatusCode: 400 },
+          CancellationReasons: reasons
+        });
+      }
+      const ids = plans.map(plan => `${plan.table.tableName}|${rowKey(plan.table, plan.key)}`);
+      if (new Set(ids).size !== ids.length) {
+        throw validationError('Transaction request cannot include multiple operations on one item');
+      }
+      plans.filter(plan => !plan.check).forEach(commit);
+      return {};
+    }
+  };
+
+  return {
+    // Same signature as DynamoDBClient.prototype.send, so it can stand in for it
+    async send(command) {
+      const run = commands[command.constructor.name];
+      if (!run) throw new Error(`${command.constructor.name} is not supported by the in-memory DynamoDB`);
+      return run(command.input);
+    },
+
+    // Every item in a table, in key order
+    items: (name) => [...tableNamed(name).rows.values()].sort(compareBy(tableNamed(name).key)).map(item => structuredClone(item))
+  };
+};
@@ -0,0 +1,255 @@
+import { createHash, randomUUID } from 'crypto';
+import { Readable } from 'stream';
+import { NoSuchBucket, NoSuchKey, NoSuchUpload, NotFound } from '@aws-sdk/client-s3';
+import { invokeAsync } from './eventSources.js';
+
+// In-memory S3 for the local runner. Handlers reach it through S3Client.prototype.send; browsers and
+// scripts reach it through presigned URLs, which point at http://<bucket>.localhost:<port>/ when
+// AWS_ENDPOINT_URL_S3 is set to the runner (see serve()). Signatures, policies and expiry times in
+// presigned requests are not checked.
+//
+// Creating an object invokes the functions subscribed to the bucket, like an S3 event notification:
+//   const s3 = createMemoryS3(activity);
+//   s3.createBucket('images', { notifications: [{ prefix: 'uploads/', fn: processImage }] });
+
+const etagOf = (data) => `"${createHash('md5').update(data).digest('hex')}"`;
+
+const toBuffer = async (body) => {
+  if (body === undefined || body === null) return Buffer.alloc(0);
+  if (typeof body === 'string' || body instanceof Uint8Array) return Buffer.from(body);
+  if (typeof body.arrayBuffer === 'function') return Buffer.from(await body.arrayBuffer());
+  const chunks = [];
+  for await (const chunk of body) chunks.push(Buffer.from(chunk));
+  return Buffer.concat(chunks);
+};
+
+// GetObject bodies are Node streams with the SDK's transform helpers
+const bodyOf = (data) => Object.assign(Readable.from([data]), {
+  transformToByteArray: async () => new Uint8Array(data),
+  transformToString: async (encoding = 'utf-8') => data.toString(encoding),
+  transformToWebStream: () => Readable.toWeb(Readable.from([data]))
+});
+
+// Object keys in S3 event records are URL-encoded, with spaces as '+'
+const eventKey = (key) => encodeURIComponent(key).replace(/%2F/g, '/').replace(/%20/g, '+');
+
+const metadata = { httpStatusCode: 404 };
+
+export const createMemoryS3 = (activity) => {
+  const buckets = new Map();
+  const uploads = new Map();
+  let sequencer = 0;
+
+  const createBucket = (name, { notifications = [] } = {}) => {
+    buckets.set(name, { name, objects: new Map(), notifications });
+  };
+
+  const bucketNamed = (name) => {
+    const bucket = buckets.get(name);
+    if (!bucket) throw new NoSuchBucket({ message: 'The specified bucket does not exist', $metadata: metadata });
+    return bucket;
+  };
+
+  const objectAt = (bucketName, key) => {
+    const object = bucketNamed(bucketName).objects.get(key);
+    if (!object) throw new NoSuchKey({ message: 'The specified key does not exist.', $metadata: metadata });
+    return object;
+  };
+
+  const putObject = (bucketName, key, data, { contentType, metadata: userMetadata = {}, eventName = 'ObjectCreated:Put' } = {}) => {
+    const bucket = bucketNamed(bucketName);
+    const object = {
+      data,
+      contentType: contentType || 'binary/octet-stream',
+      metadata: userMetadata,
+      etag: etagOf(data),
+      lastModified: new Date()
+    };
+    bucket.objects.set(key, object);
+
+    sequencer++;
+    for (const { prefix = '', suffix = '', fn } of bucket.notifications) {
+      if (!key.startsWith(prefix) || !key.endsWith(suffix)) continue;
+      invokeAsync(fn, {
+        Records: [{
+          eventVersion: '2.1',
+          eventSource: 'aws:s3',
+          awsRegion: process.env.AWS_REGION,
+          eventTime: object.lastModified.toISOString(),
+          eventName,
+          userIdentity: { principalId: 'local' },
+          requestParameters: { sourceIPAddress: '127.0.0.1' },
+          responseElements: {},
+          s3: {
+            s3SchemaVersion: '1.0',
+            configurationId: 'local',
+            bucket: { name: bucketName, ownerIdentity: { principalId: 'local' }, arn: `arn:aws:s3:::${bucketName}` },
+            object: { key: eventKey(key), size: data.length, eTag: object.etag.slice(1, -1), sequencer: sequencer.toString(16).padStart(16, '0') }
+          }
+        }]
+      }, activity);
+    }
+    return object;
+  };
+
+  const commands = {
+    PutObjectCommand: async (input) => {
+      const object = putObject(input.Bucket, input.Key, await toBuffer(input.Body), { contentType: input.ContentType, metadata: input.Metadata });
+      return { ETag: object.etag };
+    },
+
+    GetObjectCommand: (input) => {
+      const object = objectAt(input.Bucket, input.Key);
+      return {
+        Body: bodyOf(object.data),
+        ContentType: object.contentType,
+        ContentLength: object.data.length,
+        ETag: object.etag,
+        LastModified: object.lastModified,
+        Metadata: object.metadata
+      };
+    },
+
+    HeadObjectCommand: (input) => {
+      const object = bucketNamed(input.Bucket).objects.get(input.Key);
+      if (!object) throw new NotFound({ message: 'Not Found', $metadata: metadata });
+      return { ContentType: object.contentType, ContentLength: object.data.length, ETag: object.etag, LastModified: object.lastModified, Metadata: object.metadata };
+    },
+
+    DeleteObjectCommand: (input) => {
+      bucketNamed(input.Bucket).objects.delete(input.Key);
+      return {};
+    },
+
+    DeleteObjectsCommand: (input) => {
+      const bucket = bucketNamed(input.Bucket);
+      const objects = input.Delete?.Objects || [];
+      objects.forEach(({ Key }) => bucket.objects.delete(Key));
+      return { Deleted: objects.map(({ Key }) => ({ Key })) };
+    },
+
+    CreateMultipartUploadCommand: (input) => {
+      bucketNamed(input.Bucket);
+      const uploadId = randomUUID();
+      uploads.set(uploadId, { bucket: input.Bucket, key: input.Key, contentType: input.ContentType, metadata: input.Metadata, parts: new Map() });
+      return { Bucket: input.Bucket, Key: input.Key, UploadId: uploadId };
+    },
+
+    UploadPartCommand: async (input) => {
+      const upload = uploads.get(input.UploadId);
+      if (!upload) throw new NoSuchUpload({ message: 'The specified upload does not exist.', $metadata: metadata });
+      const data = await toBuffer(input.Body);
+      upload.parts.set(input.PartNumber, data);
+      return { ETag: etagOf(data) };
+    },
+
+    CompleteMultipartUploadCommand: (input) => {
+      const upload = uploads.get(input.UploadId);
+      if (!upload) throw new NoSuchUpload({ message: 'The specified upload does not exist.', $metadata: metadata });
+      uploads.delete(input.UploadId);
+      const numbers = (input.MultipartUpload?.Parts || []).map(part => part.PartNumber).sort((a, b) => a - b);
+      const data = Buffer.concat(numbers.map(number => upload.parts.get(number)));
+      const object = putObject(upload.bucket, upload.key, data, {
+        contentType: upload.contentType,
+        metadata: upload.metadata,
+        eventName: 'ObjectCreated:CompleteMultipartUpload'
+      });
+      return { Bucket: upload.bucket, Key: upload.key, ETag: object.etag, Location: `local://${upload.bucket}/${upload.key}` };
+    },
+
+    AbortMultipartUploadCommand: (input) => {
+      uploads.delete(input.UploadId);
+      return {};
+    }
+  };
+
+  // Requests to presigned URLs: GET and PUT on an object, and POST form uploads
+  // (createPresignedPost) to the bucket
+  const serve = async (req, res, bucketName, body) => {
+    const reply = (statusCode, headers = {}, data) => {
+      res.writeHead(statusCode, { 'access-control-allow-origin': '*', 'access-control-expose-headers': 'etag', ...headers });
+      res.end(data);
+    };
+    const error = (statusCode, code, message) => reply(statusCode, { 'content-type': 'application/xml' },
+      `<?xml version="1.0" encoding="UTF-8"?>\n<Error><Code>${code}</Code><Message>${message}</Message></Error>`);
+
+    if (!buckets.has(bucketName)) return error(404, 'NoSuchBucket', 'The specified bucket does not exist');
+    const url = new URL(req.url, 'http://localhost');
+    const key = decodeURIComponent(url.pathname.slice(1));
+
+    if (req.method === 'OPTIONS') {
+      return reply(200, {
+        'access-control-allow-methods': 'GET, PUT, POST, HEAD',
+        'access-control-allow-headers': req.headers['access-control-request-headers'] || '*'
+      });
+    }
+    if (req.method === 'GET' || req.method === 'HEAD') {
+      const object = buckets.get(bucketName).objects.get(key);
+      if (!object) return error(404, 'NoSuchKey', 'The specified key does not exist.');
+      return reply(200, {
+        'content-type': object.contentType,
+        'content-length': object.data.length,
+        etag: object.etag,
+        'last-modified': object.lastModified.toUTCString()
+      }, req.method === 'GET' ? object.data : undefined);
+    }
+    if (req.method === 'PUT' && key) {
+      const object = putObject(bucketName, key, body, { contentType: req.headers['content-type'] });
+      return reply(200, { etag: object.etag });
+    }
+    if (req.method === 'POST' && !key) {
+      const form = parseForm(req.headers['content-type'], body);
+      if (!form?.file || !form.fields.key) return error(400, 'InvalidArgument', 'POST requires a key field and a file');
+      const objectKey = form.fields.key.replace('${filename}', form.file.filename || '');
+      const contentType = form.fields['Content-Type'] || form.fields['content-type'] || form.file.contentType;
+      const object = putObject(bucketName, objectKey, form.file.data, { contentType });
+      const status = Number(form.fields.success_action_status) || 204;
+      return reply([200, 201, 204].includes(status) ? status : 204, { etag: object.etag, location: `/${encodeURIComponent(objectKey)}` });
+    }
+    return error(405, 'MethodNotAllowed', 'The specified method is not allowed against this resource.');
+  };
+
+  return {
+    createBucket,
+    serve,
+    // Same signature as S3Client.prototype.send, so it can stand in for it
+    async send(command) {
+      const run = commands[command.constructor.name];
+      if (!run) throw new Error(`${command.constructor.name} is not supported by the in-memory S3`);
+      return run(command.input);
+    },
+    // The object's content, or undefined
+    read: (bucketName, key) => bucketNamed(bucketName).objects.get(key)?.data
+  };
+};
+
+// multipart/form-data: the text fields, and the part named "file"
+const parseForm = (contentType = '', body) => {
+  const boundary = contentType.match(/boundary=(?:"([^"]+)"|([^;]+))/i);
+  if (!boundary) return undefined;
+  const delimiter = Buffer.from(`--${boundary[1] || boundary[2]}`);
+  const form = { fields: {} };
+
+  let start = body.indexOf(delimiter);
+  while (start !== -1) {
+    const partStart = start + delimiter.length;
+    const next = body.indexOf(delimiter, partStart);
+    if (next === -1) break;
+    // Each part is "\r\n<headers>\r\n\r\n<content>\r\n"
+    const part = body.subarray(partStart + 2, next - 2);
+    const headerEnd = part.indexOf('\r\n\r\n');
+    if (headerEnd !== -1) {
+      const headers = part.subarray(0, headerEnd).toString('utf8');
+      const content = part.subarray(headerEnd + 4);
+      const name = headers.match(/name="([^"]*)"/i)?.[1];
+      const filename = headers.match(/filename="([^"]*)"/i)?.[1];
+      if (name === 'file') {
+        form.file = { filename, contentType: headers.match(/content-type:\s*([^\r\n]+)/i)?.[1], data: Buffer.from(content) };
+      } else if (name) {
+        form.fields[name] = content.toString('utf8');
+      }
+    }
+    start = next;
+  }
+  return form;
+};
@@ -0,0 +1,147 @@
+import { createHash, randomUUID } from 'crypto';
+import { QueueDoesNotExist } from '@aws-sdk/client-sqs';
+import { invoke } from './eventSources.js';
+import { logger } from '../lib/logger.js';
+
+// In-memory SQS for the local runner. A queue with a consumer delivers to it the way an SQS event
+// source mapping does: batches of up to batchSize, failed messages (the whole batch if the function
+// throws, only those listed in batchItemFailures otherwise) come back after the visibility timeout,
+// and a message received maxReceiveCount times moves to the dead-letter queue. Queues without a
+// consumer (the DLQ) just keep their messages.
+//
+//   const sqs = createMemorySQS(activity);
+//   const dlq = sqs.createQueue('checkout-dlq');
+//   sqs.createQueue('checkout', { consumer: worker, batchSize: 10, visibilityTimeoutSeconds: 60, maxReceiveCount: 3, deadLetterQueue: dlq });
+
+const log = logger.child({ component: 'local-sqs' });
+
+export const queueUrl = (name) => `https://sqs.${process.env.AWS_REGION}.amazonaws.com/000000000000/${name}`;
+
+const md5 = (text) => createHash('md5').update(text).digest('hex');
+
+// SendMessage attributes as Lambda delivers them: lower-camel-case keys
+const recordAttributes = (attributes = {}) => Object.fromEntries(Object.entries(attributes).map(([name, value]) => [name, {
+  stringValue: value.StringValue,
+  ...(value.BinaryValue && { binaryValue: Buffer.from(value.BinaryValue).toString('base64') }),
+  stringListValues: [],
+  binaryListValues: [],
+  dataType: value.DataType
+}]));
+
+export const createMemorySQS = (activity) => {
+  const queues = new Map();
+
+  const createQueue = (name, { consumer, batchSize = 10, visibilityTimeoutSeconds = 30, maxReceiveCount, deadLetterQueue } = {}) => {
+    const region = process.env.AWS_REGION;
+    const queue = {
+      name,
+      url: queueUrl(name),
+      arn: `arn:aws:sqs:${region}:000000000000:${name}`,
+      messages: []
+    };
+    let running = false;
+
+    const toRecord = (message) => ({
+      messageId: message.messageId,
+      receiptHandle: randomUUID(),
+      body: message.body,
+      attributes: {
+        ApproximateReceiveCount: String(message.receiveCount),
+        SentTimestamp: String(message.sentAt),
+        SenderId: 'local',
+        ApproximateFirstReceiveTimestamp: String(message.firstReceivedAt)
+      },
+      messageAttributes: recordAttributes(message.attributes),
+      md5OfBody: md5(message.body),
+      eventSource: 'aws:sqs',
+      eventSourceARN: queue.arn,
+      awsRegion: region
+    });
+
+    // Ids of the messages to receive again
+    const deliver = async (batch) => {
+      let result;
+      try {
+        result = await invoke(consumer, { Records: batch.map(toRecord) });
+      } catch (error) {
+        log.error('Queue batch failed', { queue: name, function: consumer.name, messages: batch.length, error });
+        return batch.map(message => message.messageId);
+      }
+      const failed = (result?.batchItemFailures || []).map(failure => failure.itemIdentifier);
+      // An identifier that matches no message fails the whole batch, as on Lambda
+      return failed.every(id => batch.some(message => message.messageId === id))
+        ? failed
+        : batch.map(message => message.messageId);
+    };
+
+    const redrive = (message) => {
+      if (deadLetterQueue && message.receiveCount >= maxReceiveCount) {
+        log.warn('Message moved to the dead-letter queue', { queue: name, messageId: message.messageId, receiveCount: message.receiveCount });
+        deadLetterQueue.enqueue(message);
+        return;
+      }
+      setTimeout(() => queue.enqueue(message, { redelivery: true }), visibilityTimeoutSeconds * 1000).unref();
+    };
+
+    const run = async () => {
+      while (queue.messages.length > 0) {
+        const batch = queue.messages.splice(0, batchSize);
+        const now = Date.now();
+        for (const message of batch) {
+          message.receiveCount++;
+          message.firstReceivedAt ??= now;
+        }
+        const failed = await deliver(batch);
+        batch.filter(message => failed.includes(message.messageId)).forEach(redrive);
+      }
+      running = false;
+      activity.end();
+    };
+
+    queue.enqueue = (message, { redelivery = false } = {}) => {
+      queue.messages.push(redelivery ? message : { ...message, receiveCount: 0, firstReceivedAt: undefined });
+      if (!consumer || running) return;
+      running = true;
+      activity.begin();
+      setImmediate(run);
+    };
+
+    queues.set(queue.url, queue);
+    return queue;
+  };
+
+  const queueAt = (url) => {
+    const queue = queues.get(url);
+    if (!queue) {
+      throw new QueueDoesNotExist({ message: 'The specified queue does not exist.', $metadata: { httpStatusCode: 400 } });
+    }
+    return queue;
+  };
+
+  const send = (queue, { MessageBody, MessageAttributes }) => {
+    const messageId = randomUUID();
+    queue.enqueue({ messageId, body: MessageBody, attributes: MessageAttributes, sentAt: Date.now() });
+    return { MessageId: messageId, MD5OfMessageBody: md5(MessageBody) };
+  };
+
+  const commands = {
+    SendMessageCommand: (input) => send(queueAt(input.QueueUrl), input),
+    SendMessageBatchCommand: (input) => {
+      const queue = queueAt(input.QueueUrl);
+      return {
+        Successful: input.Entries.map(entry => ({ Id: entry.Id, ...send(queue, entry) })),
+        Failed: []
+      };
+    }
+  };
+
+  return {
+    createQueue,
+    // Same signature as SQSClient.prototype.send, so it can stand in for it
+    async send(command) {
+      const run = commands[command.constructor.name];
+      if (!run) throw new Error(`${command.constructor.name} is not supported by the in-memory SQS`);
+      return run(command.input);
+    }
+  };
+};
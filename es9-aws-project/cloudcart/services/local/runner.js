@@ -0,0 +1,176 @@
+import http from 'http';
+import { DynamoDBClient, ScanCommand, PutItemCommand } from '@aws-sdk/client-dynamodb';
+import { SQSClient } from '@aws-sdk/client-sqs';
+import { S3Client } from '@aws-sdk/client-s3';
+import { API_ROUTES } from '../../infra/lib/api-routes.js';
+import { SAMPLE_PRODUCTS, sampleProductItem } from '../../scripts/sample-products.js';
+import { TABLES } from './tables.js';
+import { createActivity, createStreamSource } from './eventSources.js';
+import { createMemoryDynamoDB } from './memoryDynamoDB.js';
+import { createMemorySQS, queueUrl } from './memorySQS.js';
+import { createMemoryS3 } from './memoryS3.js';
+import { createTables, pollStream } from './dynamoDBLocal.js';
+import { createApiGateway } from './apiGateway.js';
+
+// Starts the whole API in this process: every route of the HTTP API with its handler and the
+// authorizer, the checkout queue feeding the worker, the table streams feeding their consumers and
+// the bucket notifications feeding the import and image processors. Nothing talks to AWS: tables
+// are kept in memory (or in DynamoDB Local with `dynamodbEndpoint`), queues and buckets in memory.
+//
+//   const local = await startLocal({ port: 3000 });
+//   ...
+//   await local.idle();   // everything the requests so far set off has finished
+//   await local.close();
+
+// The stack's event source mappings and bucket notifications
+const STREAM_CONSUMERS = [
+  { table: 'PRODUCTS_TABLE', entry: 'products/searchIndexer.js', startingPosition: 'TRIM_HORIZON', batchSize: 10, retryAttempts: 2, reportBatchItemFailures: true },
+  { table: 'PRODUCTS_TABLE', entry: 'products/recordProductAudit.js', startingPosition: 'TRIM_HORIZON', batchSize: 25, retryAttempts: 5 },
+  { table: 'ORDERS_TABLE', entry: 'orders/streamProcessor.js', startingPosition: 'LATEST', batchSize: 10, retryAttempts: 2, reportBatchItemFailures: true }
+];
+const CHECKOUT_QUEUE = {
+  name: 'cloudcart-local-checkout',
+  deadLetterQueue: 'cloudcart-local-checkout-dlq',
+  entry: 'orders/worker.js',
+  batchSize: 10,
+  visibilityTimeoutSeconds: 60,
+  maxReceiveCount: 3
+};
+const BUCKETS = [
+  { env: 'IMAGES_BUCKET', name: 'images', notifications: [{ prefix: 'uploads/', entry: 'products/processImage.js' }] },
+  { env: 'IMPORTS_BUCKET', name: 'imports', notifications: [{ prefix: 'imports/', entry: 'admin/processProductImport.js' }] }
+];
+const AUTHORIZER = 'auth/authorizer.js';
+
+export const LOCAL_JWT_SECRET = 'local-jwt-secret';
+
+// Handlers read their configuration when they load, so this runs before any is imported
+const configure = (port, dynamodbEndpoint) => {
+  const env = process.env;
+  env.AWS_REGION ??= 'us-east-1';
+  // Only used to sign presigned URLs; nothing is sent to AWS
+  if (!env.AWS_ACCESS_KEY_ID) {
+    env.AWS_ACCESS_KEY_ID = 'local';
+    env.AWS_SECRET_ACCESS_KEY = 'local';
+  }
+  // Presigned URLs point back at this server as http://<bucket>.localhost:<port>/
+  env.AWS_ENDPOINT_URL_S3 = `http://localhost:${port}`;
+  if (dynamodbEndpoint) env.AWS_ENDPOINT_URL_DYNAMODB = dynamodbEndpoint;
+
+  for (const table of TABLES) env[table.env] = table.tableName;
+  for (const bucket of BUCKETS) env[bucket.env] = `cloudcart-local-${bucket.name}`;
+  env.CHECKOUT_QUEUE_URL = queueUrl(CHECKOUT_QUEUE.name);
+  env.DLQ_URL = queueUrl(CHECKOUT_QUEUE.deadLetterQueue);
+  env.MAX_RECEIVE_COUNT = String(CHECKOUT_QUEUE.maxReceiveCount);
+  env.JWT_SECRET ??= LOCAL_JWT_SECRET;
+  env.CURSOR_SECRET ??= 'local-cursor-secret';
+  env.CART_TOKEN_SECRET ??= 'local-cart-token-secret';
+  env.CART_TTL_DAYS ??= '7';
+  env.IDEMPOTENCY_TTL_HOURS ??= '24';
+};
+
+const loadFunction = async (entry) => ({ name: entry, handler: (await import(`../${entry}`)).handler });
+
+export const startLocal = async ({ port = 3000, dynamodbEndpoint, seed = true } = {}) => {
+  let handle = (req, res) => {
+    res.writeHead(503);
+    res.end();
+  };
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => handle(req, res, Buffer.concat(chunks)));
+  });
+  await new Promise((resolve, reject) => server.once('error', reject).listen(port, resolve));
+  const { port: boundPort } = server.address();
+  configure(boundPort, dynamodbEndpoint);
+
+  const activity = createActivity();
+  const functions = new Map();
+  const fn = async (entry) => {
+    if (!functions.has(entry)) functions.set(entry, await loadFunction(entry));
+    return functions.get(entry);
+  };
+
+  // Streams
+  const consumers = new Map();
+  for (const { table, entry, ...options } of STREAM_CONSUMERS) {
+    const source = createStreamSource(await fn(entry), options, activity);
+    consumers.set(table, [...(consumers.get(table) || []), { source, startingPosition: options.startingPosition }]);
+  }
+
+  // Tables
+  const pollers = [];
+  const ddb = new DynamoDBClient({});
+  if (dynamodbEndpoint) {
+    await createTables(ddb, TABLES);
+    for (const table of TABLES) {
+      for (const { source, startingPosition } of consumers.get(table.env) || []) {
+        pollers.push(await pollStream(ddb, dynamodbEndpoint, table, startingPosition, record => source.push(record)));
+      }
+    }
+  } else {
+    const memory = createMemoryDynamoDB(TABLES, {
+      onChange: (table, record) => (consumers.get(table.env) || []).forEach(({ source }) => source.push(record))
+    });
+    DynamoDBClient.prototype.send = function send(command) {
+      return memory.send(command);
+    };
+  }
+
+  // Queues
+  const sqs = createMemorySQS(activity);
+  const { name, deadLetterQueue, entry: workerEntry, ...queueOptions } = CHECKOUT_QUEUE;
+  const dlq = sqs.createQueue(deadLetterQueue);
+  sqs.createQueue(name, { ...queueOptions, consumer: await fn(workerEntry), deadLetterQueue: dlq });
+  SQSClient.prototype.send = function send(command) {
+    return sqs.send(command);
+  };
+
+  // Buckets
+  const s3 = createMemoryS3(activity);
+  for (const bucket of BUCKETS) {
+    const notifications = [];
+    for (const { entry, ...filter } of bucket.notifications) notifications.push({ ...filter, fn: await fn(entry) });
+    s3.createBucket(process.env[bucket.env], { notifications });
+  }
+  S3Client.prototype.send = function send(command) {
+    return s3.send(command);
+  };
+
+  // API
+  const routes = [];
+  for (const route of API_ROUTES) routes.push({ ...route, fn: await fn(route.entry) });
+  const api = createApiGateway({ routes, authorizer: await fn(AUTHORIZER) });
+
+  if (seed) {
+    const { Count } = await ddb.send(new ScanCommand({ TableName: process.env.PRODUCTS_TABLE, Select: 'COUNT', Limit: 1 }));
+    if (Count === 0) {
+      for (const product of SAMPLE_PRODUCTS) {
+        await ddb.send(new PutItemCommand({ TableName: process.env.PRODUCTS_TABLE, Item: sampleProductItem(product) }));
+      }
+    }
+  }
+
+  // Requests to <bucket>.localhost are presigned S3 requests
+  const buckets = new Set(BUCKETS.map(bucket => process.env[bucket.env]));
+  handle = (req, res, body) => {
+    const bucket = req.headers.host?.match(/^([a-z0-9-]+)\.localhost(:\d+)?$/i)?.[1];
+    if (bucket && buckets.has(bucket)) return s3.serve(req, res, bucket, body);
+    return api(req, res, body);
+  };
+
+  return {
+    url: `http://localhost:${boundPort}`,
+    port: boundPort,
+    idle: activity.idle,
+    // Messages the worker gave up on, newest last
+    deadLetters: () => dlq.messages,
+    close: () => {
+      pollers.forEach(poller => poller.stop());
+      const closed = new Promise(resolve => server.close(resolve));
+      server.closeAllConnections();
+      return closed;
+    }
+  };
+};
@@ -0,0 +1,35 @@
+#!/usr/bin/env node
+// Runs the CloudCart API on this machine, with no AWS account (see runner.js):
+//   npm run local                                                # in-memory tables
+//   npm run local -- --dynamodb-endpoint http://localhost:8000   # tables in DynamoDB Local
+// then, from cloudcart/:
+//   JWT_SECRET=local-jwt-secret ./test-api.sh http://localhost:3000
+import { parseArgs } from 'util';
+import { startLocal, LOCAL_JWT_SECRET } from './runner.js';
+
+const { values: options } = parseArgs({
+  options: {
+    port: { type: 'string', default: process.env.PORT || '3000' },
+    'dynamodb-endpoint': { type: 'string' },
+    'no-seed': { type: 'boolean', default: false }
+  }
+});
+
+const local = await startLocal({
+  port: Number(options.port),
+  dynamodbEndpoint: options['dynamodb-endpoint'],
+  seed: !options['no-seed']
+});
+
+console.log(`CloudCart API running at ${local.url}`);
+console.log(`Tables: ${options['dynamodb-endpoint'] ? `DynamoDB Local at ${options['dynamodb-endpoint']}` : 'in memory (lost on exit)'}`);
+if (process.env.JWT_SECRET === LOCAL_JWT_SECRET) {
+  console.log(`Tokens: JWT_SECRET=${LOCAL_JWT_SECRET} node ../scripts/generate-token.js <userId> [roles]`);
+}
+
+for (const signal of ['SIGINT', 'SIGTERM']) {
+  process.on(signal, async () => {
+    await local.close();
+    process.exit(0);
+  });
+}
@@ -0,0 +1,49 @@
+// The DynamoDB tables of the stack (infra/lib/cloudcart-stack.js) as the local runner creates them:
+// key attributes, secondary indexes and whether the table has a stream. Keep in step with the stack.
+//
+// `key` and index keys are [partitionKey, sortKey?]; key attributes are strings unless listed in
+// `numbers`. Local indexes share the table's partition key.
+
+export const TABLE_PREFIX = 'cloudcart-local-';
+
+export const TABLES = [
+  {
+    env: 'PRODUCTS_TABLE',
+    name: 'products',
+    key: ['id'],
+    indexes: [{ name: 'gsi_category', key: ['category'] }],
+    stream: true
+  },
+  {
+    env: 'ORDERS_TABLE',
+    name: 'orders',
+    key: ['userId', 'orderId'],
+    indexes: [
+      { name: 'gsi_orderId', key: ['orderId'] },
+      { name: 'gsi_recent', key: ['entity', 'timestamp'] }
+    ],
+    stream: true
+  },
+  { env: 'ANALYTICS_TABLE', name: 'analytics', key: ['pk', 'sk'] },
+  {
+    env: 'SEARCH_TABLE',
+    name: 'search-index',
+    key: ['term', 'productId'],
+    indexes: [
+      { name: 'lsi_price', key: ['term', 'price'], local: true },
+      { name: 'lsi_createdAt', key: ['term', 'createdAt'], local: true }
+    ],
+    numbers: ['price']
+  },
+  { env: 'IMPORT_JOBS_TABLE', name: 'import-jobs', key: ['jobId'] },
+  {
+    env: 'AUDIT_TABLE',
+    name: 'product-audit',
+    key: ['productId', 'sk'],
+    indexes: [{ name: 'gsi_recent', key: ['entity', 'sk'] }]
+  },
+  { env: 'CARTS_TABLE', name: 'carts', key: ['cartId'] },
+  { env: 'IDEMPOTENCY_TABLE', name: 'idempotency', key: ['idempotencyKey'] }
+].map(table => ({ ...table, tableName: `${TABLE_PREFIX}${table.name}`, indexes: table.indexes || [], numbers: table.numbers || [] }));
+
+export const keyType = (table, attribute) => (table.numbers.includes(attribute) ? 'N' : 'S');
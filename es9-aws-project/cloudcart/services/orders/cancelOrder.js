@@ -0,0 +1,34 @@
+import { getOrder, transitionOrder } from '../lib/orders.js';
+import { canCustomerCancel } from '../lib/orderStatus.js';
+import { getCaller } from '../lib/identity.js';
+import { route, json, unauthorized, notFound, conflict } from '../lib/http.js';
+
+export const handler = route({
+  params: {
+    type: 'object',
+    required: ['id'],
+    properties: { id: { type: 'string', minLength: 1 } }
+  },
+  failure: 'Failed to cancel order'
+}, async ({ params }, event) => {
+  const userId = getCaller(event)?.userId;
+  if (!userId) throw unauthorized('Sign in to cancel an order');
+
+  // Looked up under the caller's own partition, so other customers' orders are never found
+  const order = await getOrder(userId, params.id);
+  if (!order) throw notFound('Order not found');
+
+  if (!canCustomerCancel(order.status)) {
+    throw conflict('ORDER_NOT_CANCELLABLE', `Orders that are ${order.status} can no longer be cancelled`, { status: order.status });
+  }
+
+  const result = await transitionOrder(order, 'cancelled', { actor: userId, reason: 'Cancelled by customer' });
+  if (result.error) {
+    throw conflict('CONCURRENT_UPDATE', 'Order status changed, please try again');
+  }
+
+  return json(200, {
+    message: 'Order cancelled successfully',
+    order: result.order
+  });
+});
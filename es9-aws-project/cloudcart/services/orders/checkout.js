@@ -1,61 +1,173 @@
 import { SendMessageCommand, SQSClient } from '@aws-sdk/client-sqs';
-import { CloudWatchClient, PutMetricDataCommand } from '@aws-sdk/client-cloudwatch';
+import { resolveCartOwner, loadOwnedCart, deleteCart } from '../lib/carts.js';
+import { getProductsByIds } from '../lib/products.js';
+import { newOrderId } from '../lib/orders.js';
+import { claimKey, completeKey, releaseKey } from '../lib/idempotency.js';
+import { reserveStock, releaseStock, MAX_RESERVATION_LINES } from '../lib/inventory.js';
+import { route, json, HttpError, badRequest, unauthorized, conflict, invalidField } from '../lib/http.js';
+import { CORRELATION_HEADER, correlationIdFor, correlationAttribute } from '../lib/correlation.js';
+import { createMetrics, putMetrics } from '../lib/metrics.js';
+import { callerRole } from '../lib/identity.js';
 
 const sqs = new SQSClient({});
-const cloudwatch = new CloudWatchClient({});
 const QUEUE_URL = process.env.CHECKOUT_QUEUE_URL;
 
-export const handler = async (event) => {
+export const handler = route({ failure: 'Checkout failed' }, async (request, event) => {
   const startTime = Date.now();
+  const owner = resolveCartOwner(event);
+  // Orders belong to the user who placed them and are read and cancelled through their token, so a
+  // guest signs in first; their anonymous cart is merged into their own as the order is placed
+  if (!owner.userId) throw unauthorized('Sign in to check out');
+  const idempotencyKey = event.headers?.['idempotency-key'];
+  // Follows the order through the queue, the worker and the orders stream
+  const correlationId = correlationIdFor(event);
+  const log = request.log.child({ correlationId });
+  const metrics = createMetrics({ Role: callerRole(event) }, { correlationId });
+  const order = { owner, startTime, correlationId, log, metrics };
+
+  if (idempotencyKey === undefined) {
+    return placeOrder(order);
+  }
+  if (!idempotencyKey || idempotencyKey.length > 255) {
+    throw invalidField('Idempotency-Key', 'Idempotency-Key must be between 1 and 255 characters');
+  }
+
+  // Keys are scoped to the cart owner so two callers can't collide on the same key
+  const claim = await claimKey(owner.cartId, idempotencyKey);
+  if (claim.state === 'COMPLETED') {
+    log.info('Replaying checkout response', { idempotencyKey });
+    return json(claim.response.statusCode, claim.response.body, { 'idempotent-replayed': 'true' });
+  }
+  if (claim.state === 'IN_PROGRESS') {
+    throw conflict('IDEMPOTENCY_KEY_IN_USE', 'A checkout with this Idempotency-Key is already in progress');
+  }
+
+  let response;
+  try {
+    response = await placeOrder(order);
+  } finally {
+    // The order (or the checkout's own error) stands either way; a key that can't be completed or
+    // released lapses with its lease
+    const settle = response?.statusCode === 202
+      ? completeKey(owner.cartId, idempotencyKey, { statusCode: 202, body: JSON.parse(response.body) })
+      : releaseKey(owner.cartId, idempotencyKey);
+    await settle.catch(error => log.warn('Could not settle Idempotency-Key', { idempotencyKey, reason: error.message }));
+  }
+  return response;
+});
+
+const placeOrder = async ({ owner, startTime, correlationId, log, metrics }) => {
   try {
-    const body = JSON.parse(event.body || '{}');
-    const id = body.id || String(Date.now());
-    const total = body.total || 0;
-
-    await sqs.send(new SendMessageCommand(
-        {QueueUrl: QUEUE_URL, MessageBody: JSON.stringify({...body, id})}));
-
-    // Emit custom metrics
-    await cloudwatch.send(new PutMetricDataCommand({
-      Namespace: 'CloudCart',
-      MetricData: [
-        {
-          MetricName: 'OrderPlaced',
-          Value: 1,
-          Unit: 'Count',
-          Timestamp: new Date()
-        },
-        {
-          MetricName: 'OrderTotal',
-          Value: total,
-          Unit: 'None',
-          Timestamp: new Date()
-        },
-        {
-          MetricName: 'CheckoutLatency',
-          Value: Date.now() - startTime,
-          Unit: 'Milliseconds',
-          Timestamp: new Date()
-        }
-      ]
+    const id = newOrderId();
+
+    // The order is built from the caller's stored cart, never from client-sent items or totals
+    const cartItems = await loadOwnedCart(owner);
+
+    if (cartItems.length === 0) {
+      throw badRequest('Cart is empty', { lines: [] }, 'CART_EMPTY');
+    }
+    if (cartItems.length > MAX_RESERVATION_LINES) {
+      throw badRequest(`Cart cannot contain more than ${MAX_RESERVATION_LINES} lines`, { lines: [] }, 'CART_TOO_LARGE');
+    }
+
+    const invalidLines = cartItems
+      .filter(line => !Number.isInteger(line.qty) || line.qty <= 0)
+      .map(line => ({ id: line.id, qty: line.qty, reason: 'INVALID_QUANTITY' }));
+    if (invalidLines.length > 0) {
+      throw badRequest('Cart contains invalid quantities', { lines: invalidLines }, 'INVALID_QUANTITY');
+    }
+
+    const products = await getProductsByIds(cartItems.map(line => line.id));
+    const unknownLines = cartItems
+      .filter(line => !products[line.id])
+      .map(line => ({ id: line.id, qty: line.qty, reason: 'PRODUCT_NOT_FOUND' }));
+    if (unknownLines.length > 0) {
+      throw conflict('PRODUCT_NOT_FOUND', 'Cart contains products that are no longer available', { lines: unknownLines });
+    }
+
+    const outOfStockLines = (failedIds) => cartItems
+      .filter(line => failedIds.includes(line.id))
+      .map(line => ({ id: line.id, qty: line.qty, available: Number(products[line.id].stock) || 0, reason: 'OUT_OF_STOCK' }));
+
+    // Cheap pre-check against the stock we just read; the reservation below is the real guard
+    const shortIds = cartItems
+      .filter(line => !(Number(products[line.id].stock) >= line.qty))
+      .map(line => line.id);
+    if (shortIds.length > 0) {
+      throw conflict('OUT_OF_STOCK', 'Not enough stock for some items', { lines: outOfStockLines(shortIds) });
+    }
+
+    const reservation = await reserveStock(cartItems);
+    if (!reservation.reserved) {
+      throw conflict('OUT_OF_STOCK', 'Not enough stock for some items', { lines: outOfStockLines(reservation.failedIds) });
+    }
+
+    const { items, total } = priceLines(cartItems, products);
+    const { userId } = owner;
+
+    try {
+      await sqs.send(new SendMessageCommand({
+        QueueUrl: QUEUE_URL,
+        MessageBody: JSON.stringify({id, userId, items, total, acceptedAt: new Date().toISOString()}),
+        MessageAttributes: correlationAttribute(correlationId)
+      }));
+    } catch (error) {
+      // The order never reached the queue, so give the reserved stock back
+      await releaseStock(cartItems);
+      throw error;
+    }
+
+    // The order is queued, so it stands: failing here would release the Idempotency-Key and let a
+    // retry order the same cart again
+    await deleteCart(owner.cartId).catch(error => log.warn('Could not empty the cart after checkout', {
+      orderId: id, cartId: owner.cartId, reason: error.message
     }));
 
-    return {
-      statusCode: 202,
-      headers: {'content-type': 'application/json'},
-      body: JSON.stringify({queued: true, id})
-    };
+    metrics.add('OrderPlaced', 1);
+    metrics.add('OrderTotal', total, 'None');
+    metrics.add('CheckoutLatency', Date.now() - startTime, 'Milliseconds');
+    metrics.flush();
+    for (const [category, units] of Object.entries(unitsByCategory(items))) {
+      putMetrics([['ItemsOrdered', units]], { Category: category }, { correlationId });
+    }
+
+    log.info('Order accepted', { orderId: id, userId, total, lines: items.length });
+    return json(202, {queued: true, id, total}, { [CORRELATION_HEADER]: correlationId });
   } catch (error) {
-    console.error('Checkout error:', error);
-    await cloudwatch.send(new PutMetricDataCommand({
-      Namespace: 'CloudCart',
-      MetricData: [{
-        MetricName: 'CheckoutError',
-        Value: 1,
-        Unit: 'Count',
-        Timestamp: new Date()
-      }]
-    }));
+    // Rejected carts are answered with a 4xx; only unexpected failures count as checkout errors
+    if (error instanceof HttpError) throw error;
+    metrics.add('CheckoutError', 1);
+    metrics.flush();
     throw error;
   }
 };
+
+const unitsByCategory = (items) => {
+  const units = {};
+  for (const item of items) {
+    const category = item.category || 'uncategorized';
+    units[category] = (units[category] || 0) + item.qty;
+  }
+  return units;
+};
+
+// Recomputes line and order totals from catalogue prices.
+// Works in cents so totals like 3 x 14.99 don't pick up floating point noise.
+const priceLines = (cartItems, products) => {
+  let totalCents = 0;
+  const items = cartItems.map(line => {
+    const product = products[line.id];
+    const unitCents = Math.round(Number(product.price) * 100);
+    const lineCents = unitCents * line.qty;
+    totalCents += lineCents;
+    return {
+      id: product.id,
+      name: product.name,
+      category: product.category,
+      qty: line.qty,
+      unitPrice: unitCents / 100,
+      lineTotal: lineCents / 100
+    };
+  });
+  return { items, total: totalCents / 100 };
+};
@@ -1,51 +1,32 @@
 import { DynamoDBClient, GetItemCommand } from '@aws-sdk/client-dynamodb';
 import { unmarshall } from '@aws-sdk/util-dynamodb';
+import { getCaller } from '../lib/identity.js';
+import { route, json, unauthorized, notFound } from '../lib/http.js';
 
 const ddb = new DynamoDBClient({});
 const TABLE = process.env.ORDERS_TABLE;
 
-export const handler = async (event) => {
-  try {
-    const orderId = event.pathParameters?.id;
-    // In production, extract userId from authenticated context
-    const userId = event.queryStringParameters?.userId || 'anonymous';
+export const handler = route({
+  params: {
+    type: 'object',
+    required: ['id'],
+    properties: { id: { type: 'string', minLength: 1 } }
+  },
+  failure: 'Failed to retrieve order'
+}, async ({ params }, event) => {
+  const caller = getCaller(event);
+  if (!caller) throw unauthorized('Sign in to view your orders');
 
-    if (!orderId) {
-      return {
-        statusCode: 400,
-        body: JSON.stringify({ error: 'Missing order ID' })
-      };
+  // Keyed by the caller's own userId, so another customer's order id is simply not found
+  const result = await ddb.send(new GetItemCommand({
+    TableName: TABLE,
+    Key: {
+      userId: { S: caller.userId },
+      orderId: { S: params.id }
     }
+  }));
 
-    const result = await ddb.send(new GetItemCommand({
-      TableName: TABLE,
-      Key: {
-        userId: { S: userId },
-        orderId: { S: orderId }
-      }
-    }));
+  if (!result.Item) throw notFound('Order not found');
 
-    if (!result.Item) {
-      return {
-        statusCode: 404,
-        headers: { 'content-type': 'application/json' },
-        body: JSON.stringify({ error: 'Order not found' })
-      };
-    }
-
-    const order = unmarshall(result.Item);
-
-    return {
-      statusCode: 200,
-      headers: { 'content-type': 'application/json' },
-      body: JSON.stringify(order)
-    };
-  } catch (error) {
-    console.error('Error getting order:', error);
-    return {
-      statusCode: 500,
-      headers: { 'content-type': 'application/json' },
-      body: JSON.stringify({ error: 'Failed to retrieve order' })
-    };
-  }
-};
+  return json(200, unmarshall(result.Item));
+});
@@ -1,47 +1,41 @@
-import { DynamoDBClient, QueryCommand, ScanCommand } from '@aws-sdk/client-dynamodb';
+import { DynamoDBClient, QueryCommand } from '@aws-sdk/client-dynamodb';
 import { unmarshall } from '@aws-sdk/util-dynamodb';
+import { getCaller } from '../lib/identity.js';
+import { readPage, encodeCursor, pageQuery } from '../lib/cursor.js';
+import { route, json, badRequest, unauthorized } from '../lib/http.js';
 
 const ddb = new DynamoDBClient({});
 const TABLE = process.env.ORDERS_TABLE;
 
-export const handler = async (event) => {
-  try {
-    // Get userId from query parameters or headers (in production, use proper auth)
-    const userId = event.queryStringParameters?.userId || 'anonymous';
+export const handler = route({
+  query: { type: 'object', properties: pageQuery(100) },
+  failure: 'Failed to retrieve orders'
+}, async ({ query }, event) => {
+  const caller = getCaller(event);
+  if (!caller) throw unauthorized('Sign in to view your orders');
 
-    let result;
-    if (userId === 'all') {
-      // Admin query: get all orders
-      result = await ddb.send(new ScanCommand({
-        TableName: TABLE,
-        Limit: 50
-      }));
-    } else {
-      // User query: get orders for specific user
-      result = await ddb.send(new QueryCommand({
-        TableName: TABLE,
-        KeyConditionExpression: 'userId = :uid',
-        ExpressionAttributeValues: {
-          ':uid': { S: userId }
-        },
-        ScanIndexForward: false, // Most recent first
-        Limit: 20
-      }));
-    }
+  // Cursors are bound to the caller so they cannot be replayed against another customer's orders
+  const scope = `orders#${caller.userId}`;
+  const page = readPage(query, scope, { defaultLimit: 20 });
+  if (page.error) throw badRequest(page.error, undefined, 'INVALID_CURSOR');
 
-    const orders = (result.Items || []).map(unmarshall);
+  // Always the caller's own partition; admins list everyone's orders via GET /admin/orders
+  const result = await ddb.send(new QueryCommand({
+    TableName: TABLE,
+    KeyConditionExpression: 'userId = :uid',
+    ExpressionAttributeValues: {
+      ':uid': { S: caller.userId }
+    },
+    ScanIndexForward: false, // Most recent first (order ids start with the time they were placed)
+    Limit: page.limit,
+    ExclusiveStartKey: page.startKey
+  }));
 
-    return {
-      statusCode: 200,
-      headers: { 'content-type': 'application/json' },
-      body: JSON.stringify({ orders, count: orders.length })
-    };
-  } catch (error) {
-    console.error('Error getting orders:', error);
-    return {
-      statusCode: 500,
-      headers: { 'content-type': 'application/json' },
-      body: JSON.stringify({ error: 'Failed to retrieve orders' })
-    };
-  }
-};
+  const orders = (result.Items || []).map(unmarshall);
+
+  return json(200, {
+    orders,
+    count: orders.length,
+    nextCursor: encodeCursor(result.LastEvaluatedKey, scope)
+  });
+});
@@ -1,36 +1,121 @@
-import { DynamoDBClient, PutItemCommand } from '@aws-sdk/client-dynamodb';
+import { DynamoDBClient, TransactWriteItemsCommand } from '@aws-sdk/client-dynamodb';
 import { unmarshall } from '@aws-sdk/util-dynamodb';
+import {
+  DAILY, CATEGORY, PRODUCT, TOTALS, ORDER_TOTALS, MARKER_TTL_SECONDS,
+  dateOf, counterUpdate, countedMarker, alreadyCounted, orderTotalsDelta
+} from '../lib/analytics.js';
+import { parseItems } from '../lib/orders.js';
+import { logger } from '../lib/logger.js';
 
 const ddb = new DynamoDBClient({});
 const ANALYTICS_TABLE = process.env.ANALYTICS_TABLE;
+// Counter updates per transaction, leaving room for the record's counted marker
+const UPDATES_PER_TRANSACTION = 99;
+
+const money = (amount) => Math.round(amount * 100) / 100;
+
+// Cancelled and refunded orders don't count towards sales
+const countsAsSale = (order) => order && !['cancelled', 'refunded'].includes(order.status);
+
+// Updates that add (sign = 1) or subtract (sign = -1) an order's sales to every aggregate it touches
+const salesUpdates = (order, sign, extraDailyCounter) => {
+  const date = dateOf(order.timestamp);
+  const items = parseItems(order.items);
+
+  const byCategory = {};
+  for (const item of items) {
+    const category = item.category || 'uncategorized';
+    byCategory[category] ||= { revenue: 0, units: 0 };
+    byCategory[category].revenue += Number(item.lineTotal) || 0;
+    byCategory[category].units += item.qty;
+  }
+  const units = items.reduce((sum, item) => sum + item.qty, 0);
+
+  return [
+    counterUpdate(ANALYTICS_TABLE, DAILY, date, {
+      orderCount: sign,
+      revenue: money(sign * Number(order.total)),
+      unitsSold: sign * units,
+      ...(extraDailyCounter && { [extraDailyCounter]: 1 })
+    }, { date }),
+    ...Object.entries(byCategory).map(([category, agg]) =>
+      counterUpdate(ANALYTICS_TABLE, CATEGORY, `${date}#${category}`, {
+        orderCount: sign,
+        revenue: money(sign * agg.revenue),
+        unitsSold: sign * agg.units
+      }, { category, date })),
+    ...items.map(item =>
+      counterUpdate(ANALYTICS_TABLE, PRODUCT, `${date}#${item.id}`, {
+        unitsSold: sign * item.qty,
+        revenue: money(sign * (Number(item.lineTotal) || 0))
+      }, { productId: item.id, name: item.name || item.id, date }))
+  ];
+};
+
+// The worker stored the order's correlation id on the item, so stream logs join up with checkout's
+const orderLogger = (order) => logger.child({
+  ...(order.correlationId && { correlationId: order.correlationId }),
+  orderId: order.orderId
+});
+
+const processRecord = async (record) => {
+  const newOrder = record.dynamodb.NewImage && unmarshall(record.dynamodb.NewImage);
+  const oldOrder = record.dynamodb.OldImage && unmarshall(record.dynamodb.OldImage);
+  const log = orderLogger(newOrder || oldOrder);
+  const updates = [];
+
+  if (record.eventName === 'INSERT' && countsAsSale(newOrder)) {
+    log.info('New order created');
+    updates.push(...salesUpdates(newOrder, 1));
+  } else if (record.eventName === 'MODIFY' && countsAsSale(oldOrder) && !countsAsSale(newOrder)) {
+    // e.g. processing -> cancelled: take the sale back out of the day it was placed on
+    log.info('Order no longer counts as a sale', { status: newOrder.status });
+    updates.push(...salesUpdates(oldOrder, -1, `${newOrder.status}Count`));
+  } else if (record.eventName === 'REMOVE' && countsAsSale(oldOrder)) {
+    log.info('Order deleted');
+    updates.push(...salesUpdates(oldOrder, -1));
+  }
+
+  // Order counts by status, which the dashboard reads instead of scanning the orders table
+  const totals = orderTotalsDelta(oldOrder, newOrder);
+  if (Object.keys(totals).length > 0) {
+    updates.push(counterUpdate(ANALYTICS_TABLE, TOTALS, ORDER_TOTALS, totals));
+  }
+  if (updates.length === 0) return;
+
+  // Lambda retries whole batches (after a timeout, say), so each transaction also writes a marker for
+  // its part of the record and is skipped if that marker is already there; an order touching more than
+  // one transaction's worth of counters is counted part by part, each part exactly once
+  const expiresAt = Math.floor(Date.now() / 1000) + MARKER_TTL_SECONDS;
+  for (let part = 0; part * UPDATES_PER_TRANSACTION < updates.length; part++) {
+    const start = part * UPDATES_PER_TRANSACTION;
+    try {
+      await ddb.send(new TransactWriteItemsCommand({
+        TransactItems: [
+          ...updates.slice(start, start + UPDATES_PER_TRANSACTION).map(Update => ({ Update })),
+          { Update: countedMarker(ANALYTICS_TABLE, `${record.eventID}#${part}`, expiresAt) }
+        ]
+      }));
+    } catch (error) {
+      if (!alreadyCounted(error)) throw error;
+      log.info('Skipping updates already counted', { eventID: record.eventID, part });
+    }
+  }
+  log.info('Order counted', { event: record.eventName, status: newOrder?.status, updates: updates.length });
+};
 
 export const handler = async (event) => {
-  console.log('Processing DynamoDB Stream events:', event.Records.length);
+  logger.info('Processing order stream events', { records: event.Records.length });
 
   for (const record of event.Records) {
-    if (record.eventName === 'INSERT') {
-      const newOrder = unmarshall(record.dynamodb.NewImage);
-      console.log('New order created:', newOrder);
-
-      // Aggregate daily statistics
-      const date = new Date(newOrder.timestamp).toISOString().split('T')[0];
-      const aggregationKey = `daily-${date}`;
-
-      try {
-        // In a real implementation, this would use UpdateItem with atomic counters
-        // For simplicity, we're just logging the aggregation
-        console.log('Aggregating order for date:', date, 'Total:', newOrder.total);
-
-        // Could also trigger downstream events:
-        // - Send email confirmation
-        // - Update inventory
-        // - Notify warehouse system
-        // - Update analytics dashboard
-      } catch (error) {
-        console.error('Error processing stream record:', error);
-      }
+    try {
+      await processRecord(record);
+    } catch (error) {
+      logger.error('Error processing stream record', { sequenceNumber: record.dynamodb.SequenceNumber, error });
+      // Stream records must be processed in order: retry from this record onwards
+      return { batchItemFailures: [{ itemIdentifier: record.dynamodb.SequenceNumber }] };
     }
   }
 
-  return { statusCode: 200 };
+  return { batchItemFailures: [] };
 };
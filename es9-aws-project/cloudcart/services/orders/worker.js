@@ -1,75 +1,165 @@
-import { CloudWatchClient, PutMetricDataCommand } from '@aws-sdk/client-cloudwatch';
 import { DynamoDBClient, PutItemCommand } from '@aws-sdk/client-dynamodb';
+import { SendMessageCommand, SQSClient } from '@aws-sdk/client-sqs';
+import { marshall } from '@aws-sdk/util-dynamodb';
+import { releaseStock } from '../lib/inventory.js';
+import { ORDER_ENTITY } from '../lib/orders.js';
+import { logger } from '../lib/logger.js';
+import { putMetrics } from '../lib/metrics.js';
+import { correlationIdOf, correlationAttribute } from '../lib/correlation.js';
 
-const cloudwatch = new CloudWatchClient({});
 const ddb = new DynamoDBClient({});
+const sqs = new SQSClient({});
 const ORDERS_TABLE = process.env.ORDERS_TABLE;
+const DLQ_URL = process.env.DLQ_URL;
+// The checkout queue's maxReceiveCount: the receive on which a failed message is dead-lettered
+const MAX_RECEIVE_COUNT = Number(process.env.MAX_RECEIVE_COUNT || 3);
+
+// A message that can never be processed, no matter how often it is retried
+class PoisonMessageError extends Error {
+  constructor(message, order) {
+    super(message);
+    this.name = 'PoisonMessageError';
+    this.order = order;
+  }
+}
+
+const isValidLine = (line) => line && line.id && Number.isInteger(line.qty) && line.qty > 0;
+
+const parseOrderMessage = (body) => {
+  let msg;
+  try {
+    msg = JSON.parse(body);
+  } catch {
+    throw new PoisonMessageError('Message body is not valid JSON');
+  }
+
+  const missing = ['id', 'userId', 'items', 'total'].filter(field => msg?.[field] === undefined);
+  if (missing.length > 0) {
+    throw new PoisonMessageError(`Missing fields: ${missing.join(', ')}`, msg);
+  }
+  if (!Array.isArray(msg.items) || msg.items.length === 0 || !msg.items.every(isValidLine)) {
+    throw new PoisonMessageError('Order items are invalid', msg);
+  }
+  if (typeof msg.total !== 'number' || msg.total < 0) {
+    throw new PoisonMessageError('Order total is invalid', msg);
+  }
+  return msg;
+};
+
+// Poison messages skip the retries and go straight to the DLQ for inspection, and so do orders still
+// failing on their last receive (errorType RETRIES_EXHAUSTED) rather than being redriven there by SQS.
+// Any stock checkout reserved for them is given back, since the order will never exist; redriving one
+// from the DLQ would need its stock reserved again.
+const quarantine = async (rec, errorType, error, order, correlationId) => {
+  await sqs.send(new SendMessageCommand({
+    QueueUrl: DLQ_URL,
+    MessageBody: rec.body,
+    MessageAttributes: {
+      ...correlationAttribute(correlationId),
+      errorType: { DataType: 'String', StringValue: errorType },
+      errorMessage: { DataType: 'String', StringValue: error.message },
+      sourceMessageId: { DataType: 'String', StringValue: rec.messageId }
+    }
+  }));
+
+  const items = order?.items;
+  if (Array.isArray(items) && items.length > 0 && items.every(isValidLine)) {
+    await releaseStock(items);
+  }
+};
+
+const isLastReceive = (rec) => Number(rec.attributes?.ApproximateReceiveCount) >= MAX_RECEIVE_COUNT;
 
 export const handler = async (event) => {
   let successCount = 0;
   let errorCount = 0;
+  let poisonCount = 0;
+  const batchItemFailures = [];
   const startTime = Date.now();
 
   for (const rec of (event.Records || [])) {
+    // Messages queued before correlation ids existed fall back to their message id
+    const correlationId = correlationIdOf(rec) || rec.messageId;
+    const log = logger.child({ correlationId, messageId: rec.messageId });
+    let msg;
     try {
-      const msg = JSON.parse(rec.body);
-      console.log('Order received:', msg);
+      msg = parseOrderMessage(rec.body);
+      log.info('Order received', { orderId: msg.id, userId: msg.userId, total: msg.total, lines: msg.items.length });
 
       // Persist order to DynamoDB
-      const orderId = msg.id || `order-${Date.now()}`;
-      const userId = msg.userId || 'anonymous';
+      const orderId = msg.id;
+      const userId = msg.userId;
       const timestamp = new Date().toISOString();
 
-      await ddb.send(new PutItemCommand({
-        TableName: ORDERS_TABLE,
-        Item: {
-          userId: { S: userId },
-          orderId: { S: orderId },
-          timestamp: { S: timestamp },
-          items: { S: JSON.stringify(msg.items || []) },
-          total: { N: String(msg.total || 0) },
-          status: { S: 'processing' }
-        }
-      }));
+      // The order was pending from the moment checkout accepted it until now
+      const statusHistory = [
+        { status: 'pending', at: msg.acceptedAt || timestamp, actor: 'checkout' },
+        { status: 'processing', at: timestamp, actor: 'worker' }
+      ];
+
+      // Conditional put: a redelivered message must never overwrite or duplicate an order
+      try {
+        await ddb.send(new PutItemCommand({
+          TableName: ORDERS_TABLE,
+          Item: {
+            userId: { S: userId },
+            orderId: { S: orderId },
+            entity: { S: ORDER_ENTITY },
+            timestamp: { S: timestamp },
+            items: { S: JSON.stringify(msg.items) },
+            total: { N: String(msg.total) },
+            status: { S: 'processing' },
+            correlationId: { S: correlationId },
+            statusHistory: { L: statusHistory.map(entry => ({ M: marshall(entry) })) }
+          },
+          ConditionExpression: 'attribute_not_exists(orderId)'
+        }));
+      } catch (error) {
+        if (error.name !== 'ConditionalCheckFailedException') throw error;
+        log.info('Order already persisted, skipping duplicate message', { orderId });
+        successCount++;
+        continue;
+      }
 
-      console.log('Order persisted:', orderId);
+      log.info('Order persisted', { orderId });
 
       // Simulate additional processing
       await new Promise(resolve => setTimeout(resolve, 100));
 
       successCount++;
     } catch (error) {
-      console.error('Error processing order:', error);
-      errorCount++;
+      const poison = error instanceof PoisonMessageError;
+      if (poison) {
+        log.error('Poison message', { reason: error.message });
+        poisonCount++;
+      } else {
+        // Transient (e.g. DynamoDB throttling): let SQS retry just this message
+        log.error('Error processing order', error);
+        errorCount++;
+      }
+
+      if (poison || isLastReceive(rec)) {
+        try {
+          await quarantine(rec, poison ? 'POISON' : 'RETRIES_EXHAUSTED', error, poison ? error.order : msg, correlationId);
+          continue;
+        } catch (quarantineError) {
+          // Fall back to normal redrive; the message reaches the DLQ after maxReceiveCount
+          log.error('Failed to quarantine message', quarantineError);
+        }
+      }
+      batchItemFailures.push({ itemIdentifier: rec.messageId });
     }
   }
 
   const processingTime = Date.now() - startTime;
 
-  // Emit custom metrics
-  await cloudwatch.send(new PutMetricDataCommand({
-    Namespace: 'CloudCart',
-    MetricData: [
-      {
-        MetricName: 'OrdersProcessed',
-        Value: successCount,
-        Unit: 'Count',
-        Timestamp: new Date()
-      },
-      {
-        MetricName: 'OrderProcessingErrors',
-        Value: errorCount,
-        Unit: 'Count',
-        Timestamp: new Date()
-      },
-      {
-        MetricName: 'OrderProcessingTime',
-        Value: processingTime,
-        Unit: 'Milliseconds',
-        Timestamp: new Date()
-      }
-    ]
-  }));
+  putMetrics([
+    ['OrdersProcessed', successCount],
+    ['OrderProcessingErrors', errorCount],
+    ['OrderPoisonMessages', poisonCount],
+    ['OrderProcessingTime', processingTime, 'Milliseconds']
+  ]);
 
-  return {};
+  // SQS only deletes the messages that are not listed here
+  return { batchItemFailures };
 };
@@ -1,44 +1,55 @@
-import { S3Client, PutObjectCommand } from '@aws-sdk/client-s3';
-import { getSignedUrl } from '@aws-sdk/s3-request-presigner';
+import { randomUUID } from 'crypto';
+import { S3Client } from '@aws-sdk/client-s3';
+import { createPresignedPost } from '@aws-sdk/s3-presigned-post';
+import { getProductsByIds } from '../lib/products.js';
+import { IMAGE_CONTENT_TYPES, MAX_IMAGE_BYTES, uploadKey } from '../lib/productImages.js';
+import { route, json, notFound } from '../lib/http.js';
 
 const s3 = new S3Client({});
 const BUCKET = process.env.IMAGES_BUCKET;
+const UPLOAD_URL_TTL_SECONDS = 300;
 
-export const handler = async (event) => {
-  const productId = event?.pathParameters?.id;
-  if (!productId) {
-    return { statusCode: 400, body: 'Missing product id' };
-  }
+// POST /products/{id}/upload-url  {"contentType": "image/png"}
+// Returns a presigned POST: send `fields` plus the file (as the last form field) to `url`.
+// S3 itself rejects other content types and files over maxBytes. Once the upload lands,
+// products/processImage.js validates it and adds the resized variants to the product.
+export const handler = route({
+  admin: true,
+  params: {
+    type: 'object',
+    required: ['id'],
+    properties: { id: { type: 'string', minLength: 1 } }
+  },
+  body: {
+    type: 'object',
+    properties: { contentType: { enum: IMAGE_CONTENT_TYPES, default: 'image/jpeg' } }
+  },
+  failure: 'Failed to generate upload URL'
+}, async ({ params, body, log }) => {
+  const productId = params.id;
+  const products = await getProductsByIds([productId]);
+  if (!products[productId]) throw notFound('Product not found');
 
-  // Generate a unique key for the image
-  const key = `products/${productId}/${Date.now()}.jpg`;
-
-  // Create a presigned URL for PUT operation
-  const command = new PutObjectCommand({
+  const imageId = randomUUID();
+  const key = uploadKey(productId, imageId);
+  const { url, fields } = await createPresignedPost(s3, {
     Bucket: BUCKET,
     Key: key,
-    ContentType: 'image/jpeg'
+    Conditions: [
+      ['content-length-range', 1, MAX_IMAGE_BYTES],
+      ['eq', '$Content-Type', body.contentType]
+    ],
+    Fields: { 'Content-Type': body.contentType },
+    Expires: UPLOAD_URL_TTL_SECONDS
   });
 
-  try {
-    const uploadUrl = await getSignedUrl(s3, command, { expiresIn: 300 }); // 5 minutes
-    const imageUrl = `https://${BUCKET}.s3.amazonaws.com/${key}`;
-
-    return {
-      statusCode: 200,
-      headers: { 'content-type': 'application/json' },
-      body: JSON.stringify({
-        uploadUrl,
-        imageUrl,
-        key,
-        expiresIn: 300
-      })
-    };
-  } catch (error) {
-    console.error('Error generating presigned URL:', error);
-    return {
-      statusCode: 500,
-      body: JSON.stringify({ error: 'Failed to generate upload URL' })
-    };
-  }
-};
+  log.info('Image upload URL issued', { productId, imageId, contentType: body.contentType });
+  return json(200, {
+    url,
+    fields,
+    key,
+    imageId,
+    maxBytes: MAX_IMAGE_BYTES,
+    expiresIn: UPLOAD_URL_TTL_SECONDS
+  });
+});
@@ -1,23 +1,27 @@
 import {DynamoDBClient, GetItemCommand} from '@aws-sdk/client-dynamodb';
 import {unmarshall} from '@aws-sdk/util-dynamodb';
+import {withStockFlag, productVersion} from '../lib/products.js';
+import {withImageUrls} from '../lib/productImages.js';
+import {route, json, notFound, etag} from '../lib/http.js';
 
 const ddb = new DynamoDBClient({});
 const TABLE = process.env.PRODUCTS_TABLE;
 
-export const handler = async (event) => {
-  const id = event?.pathParameters?.id;
-  if (!id) {
-    return {statusCode: 400, body: 'Missing id'};
-  }
+export const handler = route({
+  params: {
+    type: 'object',
+    required: ['id'],
+    properties: {id: {type: 'string', minLength: 1}}
+  },
+  failure: 'Failed to get product'
+}, async ({params}) => {
   const res = await ddb.send(
-      new GetItemCommand({TableName: TABLE, Key: {id: {S: id}}}));
-  if (!res.Item) {
-    return {statusCode: 404, body: 'Not found'};
+      new GetItemCommand({TableName: TABLE, Key: {id: {S: params.id}}}));
+  const product = res.Item && unmarshall(res.Item);
+  if (!product || product.deletedAt) {
+    throw notFound('Product not found');
   }
-  const product = unmarshall(res.Item);
-  return {
-    statusCode: 200,
-    headers: {'content-type': 'application/json'},
-    body: JSON.stringify(product)
-  };
-};
+  // The ETag goes back as If-Match on PATCH /admin/products/{id}
+  const version = productVersion(product);
+  return json(200, await withImageUrls(withStockFlag({...product, version})), {etag: etag(version)});
+});
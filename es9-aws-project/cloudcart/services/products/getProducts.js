@@ -1,29 +1,36 @@
 import { DynamoDBClient, ScanCommand } from '@aws-sdk/client-dynamodb';
 import { unmarshall } from '@aws-sdk/util-dynamodb';
-import { CloudWatchClient, PutMetricDataCommand } from '@aws-sdk/client-cloudwatch';
+import { withStockFlag } from '../lib/products.js';
+import { withImageUrls } from '../lib/productImages.js';
+import { readPage, encodeCursor, pageQuery } from '../lib/cursor.js';
+import { route, json, badRequest } from '../lib/http.js';
+import { putMetrics } from '../lib/metrics.js';
+import { callerRole } from '../lib/identity.js';
 
 const ddb = new DynamoDBClient({});
-const cloudwatch = new CloudWatchClient({});
 const TABLE = process.env.PRODUCTS_TABLE;
 
-export const handler = async () => {
-  const out = await ddb.send(new ScanCommand({TableName: TABLE, Limit: 100}));
-  const items = (out.Items || []).map(unmarshall);
+export const handler = route({
+  query: { type: 'object', properties: pageQuery() },
+  failure: 'Failed to list products'
+}, async ({ query }, event) => {
+  const page = readPage(query, 'products', { defaultLimit: 50 });
+  if (page.error) throw badRequest(page.error, undefined, 'INVALID_CURSOR');
 
-  // Emit custom metric for product views
-  await cloudwatch.send(new PutMetricDataCommand({
-    Namespace: 'CloudCart',
-    MetricData: [{
-      MetricName: 'ProductListViewed',
-      Value: 1,
-      Unit: 'Count',
-      Timestamp: new Date()
-    }]
+  // Soft-deleted products are skipped, so a page can hold fewer than `limit` products
+  const out = await ddb.send(new ScanCommand({
+    TableName: TABLE,
+    FilterExpression: 'attribute_not_exists(deletedAt)',
+    Limit: page.limit,
+    ExclusiveStartKey: page.startKey
   }));
+  const items = await Promise.all((out.Items || []).map(unmarshall).map(withStockFlag).map(withImageUrls));
 
-  return {
-    statusCode: 200,
-    headers: {'content-type': 'application/json'},
-    body: JSON.stringify(items)
-  };
-};
+  putMetrics([['ProductListViewed', 1]], { Route: event.routeKey || 'GET /products', Role: callerRole(event) });
+
+  return json(200, {
+    products: items,
+    count: items.length,
+    nextCursor: encodeCursor(out.LastEvaluatedKey, 'products')
+  });
+});
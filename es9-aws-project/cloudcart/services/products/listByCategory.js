@@ -1,27 +1,53 @@
 import {DynamoDBClient, QueryCommand} from '@aws-sdk/client-dynamodb';
 import {unmarshall} from '@aws-sdk/util-dynamodb';
+import {withStockFlag} from '../lib/products.js';
+import {withImageUrls} from '../lib/productImages.js';
+import {readPage, encodeCursor, pageQuery} from '../lib/cursor.js';
+import {route, json, badRequest} from '../lib/http.js';
+import {putMetrics} from '../lib/metrics.js';
+import {callerRole} from '../lib/identity.js';
 
 const ddb = new DynamoDBClient({});
 const TABLE = process.env.PRODUCTS_TABLE;
 const GSI = 'gsi_category';
 
-export const handler = async (event) => {
-  const name = event?.pathParameters?.name;
-  if (!name) {
-    return {statusCode: 400, body: 'Missing category name'};
-  }
+export const handler = route({
+  params: {
+    type: 'object',
+    required: ['name'],
+    properties: {name: {type: 'string', minLength: 1}}
+  },
+  query: {type: 'object', properties: pageQuery()},
+  failure: 'Failed to list products'
+}, async ({params, query}, event) => {
+  const {name} = params;
+  const scope = `category#${name}`;
+  const page = readPage(query, scope, {defaultLimit: 50});
+  if (page.error) throw badRequest(page.error, undefined, 'INVALID_CURSOR');
+
   const res = await ddb.send(new QueryCommand({
     TableName: TABLE,
     IndexName: GSI,
     KeyConditionExpression: '#c = :v',
     ExpressionAttributeNames: {'#c': 'category'},
     ExpressionAttributeValues: {':v': {S: name}},
-    Limit: 100
+    // Soft-deleted products are skipped, so a page can hold fewer than `limit` products
+    FilterExpression: 'attribute_not_exists(deletedAt)',
+    Limit: page.limit,
+    ExclusiveStartKey: page.startKey
   }));
-  const items = (res.Items || []).map(unmarshall);
-  return {
-    statusCode: 200,
-    headers: {'content-type': 'application/json'},
-    body: JSON.stringify(items)
-  };
-};
+  const items = await Promise.all((res.Items || []).map(unmarshall).map(withStockFlag).map(withImageUrls));
+
+  // Only categories that exist become a dimension value, so made-up names can't add metrics
+  putMetrics([['ProductListViewed', 1]], {
+    Route: event.routeKey || 'GET /categories/{name}',
+    Role: callerRole(event),
+    Category: items.length > 0 ? name : undefined
+  });
+
+  return json(200, {
+    products: items,
+    count: items.length,
+    nextCursor: encodeCursor(res.LastEvaluatedKey, scope)
+  });
+});
@@ -0,0 +1,130 @@
+import { S3Client, GetObjectCommand, PutObjectCommand, DeleteObjectCommand, DeleteObjectsCommand } from '@aws-sdk/client-s3';
+import sharp from 'sharp';
+import { updateProductFields } from '../lib/products.js';
+import { IMAGE_VARIANTS, MAX_IMAGE_BYTES, parseUploadKey, variantKey } from '../lib/productImages.js';
+import { logger } from '../lib/logger.js';
+
+const s3 = new S3Client({});
+const BUCKET = process.env.IMAGES_BUCKET;
+const ACCEPTED_FORMATS = ['jpeg', 'png', 'webp'];
+// Large enough for any camera photo, small enough that decoding fits in the function's memory
+const MAX_INPUT_PIXELS = 50_000_000;
+
+// Thrown when the upload itself is unusable, as opposed to S3 or DynamoDB failing
+class ImageRejectedError extends Error {}
+
+// Checks the file is really one of the accepted image formats, whatever Content-Type it was sent with
+const inspect = async (buffer) => {
+  let metadata;
+  try {
+    metadata = await sharp(buffer, { limitInputPixels: MAX_INPUT_PIXELS }).metadata();
+  } catch (error) {
+    throw new ImageRejectedError(`File is not a readable image: ${error.message}`);
+  }
+  if (!ACCEPTED_FORMATS.includes(metadata.format)) {
+    throw new ImageRejectedError(`Unsupported image format: ${metadata.format}`);
+  }
+  if (metadata.width * metadata.height > MAX_INPUT_PIXELS) {
+    throw new ImageRejectedError(`Image is larger than ${MAX_INPUT_PIXELS} pixels`);
+  }
+  return metadata;
+};
+
+// One WebP per variant. rotate() applies the EXIF orientation to the pixels first; sharp writes
+// no EXIF, ICC or XMP metadata to the output unless asked to, so location and camera data are dropped.
+const renderVariants = (buffer) => Promise.all(
+  Object.entries(IMAGE_VARIANTS).map(async ([variant, size]) => {
+    const { data, info } = await sharp(buffer, { limitInputPixels: MAX_INPUT_PIXELS })
+      .rotate()
+      .resize(size, size, { fit: 'inside', withoutEnlargement: true })
+      .webp({ quality: 80 })
+      .toBuffer({ resolveWithObject: true });
+    return { variant, data, width: info.width, height: info.height };
+  })
+);
+
+const deleteUpload = (key) => s3.send(new DeleteObjectCommand({ Bucket: BUCKET, Key: key }));
+
+const deleteObjects = (keys) => s3.send(new DeleteObjectsCommand({
+  Bucket: BUCKET,
+  Delete: { Objects: keys.map(key => ({ Key: key })) }
+}));
+
+// Triggered by S3 when an image is uploaded to uploads/<productId>/<imageId>
+export const handler = async (event) => {
+  for (const record of event.Records) {
+    const key = decodeURIComponent(record.s3.object.key.replace(/\+/g, ' '));
+    const upload = parseUploadKey(key);
+    if (!upload) {
+      logger.warn('Ignoring object outside the upload layout', { key });
+      continue;
+    }
+    const { productId, imageId } = upload;
+    const log = logger.child({ productId, imageId });
+
+    let object;
+    try {
+      object = await s3.send(new GetObjectCommand({ Bucket: BUCKET, Key: key }));
+    } catch (error) {
+      // S3 can deliver an event twice; the first delivery already processed and removed the upload
+      if (error.name === 'NoSuchKey') {
+        log.info('Upload already processed', { key });
+        continue;
+      }
+      throw error;
+    }
+
+    try {
+      if (object.ContentLength > MAX_IMAGE_BYTES) {
+        throw new ImageRejectedError(`Images are limited to ${MAX_IMAGE_BYTES / 1024 / 1024} MB`);
+      }
+      const buffer = Buffer.from(await object.Body.transformToByteArray());
+      const metadata = await inspect(buffer);
+      const variants = await renderVariants(buffer);
+
+      const images = {};
+      for (const { variant, data, width, height } of variants) {
+        const objectKey = variantKey(productId, imageId, variant);
+        await s3.send(new PutObjectCommand({
+          Bucket: BUCKET,
+          Key: objectKey,
+          Body: data,
+          ContentType: 'image/webp',
+          CacheControl: 'public, max-age=31536000, immutable'
+        }));
+        images[variant] = { key: objectKey, width, height };
+      }
+
+      // Reads sign these keys; imageUrl is cleared so an older external URL doesn't linger
+      const result = await updateProductFields(
+        productId,
+        { images, imageKey: images.medium.key, imageUrl: null },
+        { actor: 'image-processor' }
+      );
+      if (result.error) {
+        // The product was removed or soft-deleted while the image was being processed
+        await deleteObjects(variants.map(({ variant }) => variantKey(productId, imageId, variant)));
+        log.warn('Discarding image for a missing or deleted product', { reason: result.error });
+      } else {
+        log.info('Product image processed', { format: metadata.format, width: metadata.width, height: metadata.height });
+        // Nothing refers to the replaced image's variants any more. A retry of this upload finds its
+        // own keys as the previous ones, so those are kept.
+        const kept = new Set(Object.values(images).map(image => image.key));
+        const replaced = Object.values(result.previous.images || {})
+          .map(image => image.key)
+          .filter(objectKey => !kept.has(objectKey));
+        if (replaced.length > 0) {
+          // The new image is already saved, so a failure here only leaves unused objects behind
+          await deleteObjects(replaced).catch(error => log.warn('Could not delete the replaced image', {
+            keys: replaced, reason: error.message
+          }));
+        }
+      }
+      await deleteUpload(key);
+    } catch (error) {
+      if (!(error instanceof ImageRejectedError)) throw error;
+      log.warn('Rejected image upload', { key, reason: error.message });
+      await deleteUpload(key);
+    }
+  }
+};
@@ -0,0 +1,20 @@
+import { marshall } from '@aws-sdk/util-dynamodb';
+import { auditEntryFor } from '../lib/productAudit.js';
+import { batchWriteAll } from '../lib/batchWrite.js';
+import { logger } from '../lib/logger.js';
+
+const AUDIT_TABLE = process.env.AUDIT_TABLE;
+
+// Reads the products stream and records every versioned change in the audit table.
+// Entry keys come from the change itself, so a retried batch rewrites the same entries.
+export const handler = async (event) => {
+  const entries = event.Records.map(auditEntryFor).filter(Boolean);
+  if (entries.length === 0) return;
+
+  await batchWriteAll(AUDIT_TABLE, entries.map(entry => ({
+    PutRequest: { Item: marshall(entry, { removeUndefinedValues: true }) }
+  })));
+  for (const { productId, action, actor, version } of entries) {
+    logger.info('Product change recorded', { productId, action, actor, version });
+  }
+};
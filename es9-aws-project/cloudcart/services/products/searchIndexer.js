@@ -0,0 +1,78 @@
+import { DynamoDBClient, TransactWriteItemsCommand } from '@aws-sdk/client-dynamodb';
+import { marshall, unmarshall } from '@aws-sdk/util-dynamodb';
+import { entriesFor, termsFor, indexChanged } from '../lib/searchIndex.js';
+import { TOTALS, PRODUCT_TOTALS, MARKER_TTL_SECONDS, counterUpdate, countedMarker, alreadyCounted } from '../lib/analytics.js';
+import { batchWriteAll } from '../lib/batchWrite.js';
+import { logger } from '../lib/logger.js';
+
+const ddb = new DynamoDBClient({});
+const SEARCH_TABLE = process.env.SEARCH_TABLE;
+const ANALYTICS_TABLE = process.env.ANALYTICS_TABLE;
+
+// Brings a product's index entries in line with its new image: entries under partitions the
+// product no longer belongs to are deleted, and every current entry is (re)written
+export const reindexProduct = async (oldProduct, newProduct) => {
+  const current = newProduct ? entriesFor(newProduct) : [];
+  const currentTerms = new Set(current.map(entry => entry.term));
+  const stale = oldProduct ? termsFor(oldProduct).filter(term => !currentTerms.has(term)) : [];
+  const productId = String((newProduct || oldProduct).id);
+
+  await batchWriteAll(SEARCH_TABLE, [
+    ...stale.map(term => ({ DeleteRequest: { Key: marshall({ term, productId }) } })),
+    ...current.map(entry => ({ PutRequest: { Item: marshall(entry) } }))
+  ]);
+  return { written: current.length, deleted: stale.length };
+};
+
+// Soft-deleted products are indexed as if they didn't exist, so deleting one removes its entries
+// and restoring it writes them again
+const liveProduct = (image) => {
+  const product = image && unmarshall(image);
+  return product && !product.deletedAt ? product : undefined;
+};
+
+const processRecord = async (record) => {
+  const newProduct = liveProduct(record.dynamodb.NewImage);
+  const oldProduct = liveProduct(record.dynamodb.OldImage);
+
+  if (!oldProduct && !newProduct) return;
+
+  if (indexChanged(oldProduct, newProduct)) {
+    const { written, deleted } = await reindexProduct(oldProduct, newProduct);
+    logger.info('Product reindexed', { event: record.eventName, productId: (newProduct || oldProduct).id, written, deleted });
+  }
+
+  // The live product count goes up or down with the #all partition. Lambda retries from a failed
+  // record, so the count is written with a marker for the record and skipped if that is already there.
+  const delta = Number(Boolean(newProduct)) - Number(Boolean(oldProduct));
+  if (delta !== 0) {
+    const expiresAt = Math.floor(Date.now() / 1000) + MARKER_TTL_SECONDS;
+    try {
+      await ddb.send(new TransactWriteItemsCommand({
+        TransactItems: [
+          { Update: counterUpdate(ANALYTICS_TABLE, TOTALS, PRODUCT_TOTALS, { productCount: delta }) },
+          { Update: countedMarker(ANALYTICS_TABLE, `${record.eventID}#products`, expiresAt) }
+        ]
+      }));
+    } catch (error) {
+      if (!alreadyCounted(error)) throw error;
+      logger.info('Skipping product count already applied', { eventID: record.eventID });
+    }
+  }
+};
+
+export const handler = async (event) => {
+  logger.info('Indexing product stream events', { records: event.Records.length });
+
+  for (const record of event.Records) {
+    try {
+      await processRecord(record);
+    } catch (error) {
+      logger.error('Error indexing product', { sequenceNumber: record.dynamodb.SequenceNumber, error });
+      // Later records may touch the same product, so retry from this record onwards
+      return { batchItemFailures: [{ itemIdentifier: record.dynamodb.SequenceNumber }] };
+    }
+  }
+
+  return { batchItemFailures: [] };
+};
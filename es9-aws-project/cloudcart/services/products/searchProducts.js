@@ -0,0 +1,135 @@
+import { DynamoDBClient, QueryCommand } from '@aws-sdk/client-dynamodb';
+import { marshall, unmarshall } from '@aws-sdk/util-dynamodb';
+import { getProductsByIds, withStockFlag } from '../lib/products.js';
+import { withImageUrls } from '../lib/productImages.js';
+import { readPage, encodeCursor, pageQuery } from '../lib/cursor.js';
+import { route, json, badRequest, invalidField } from '../lib/http.js';
+import {
+  ALL, BY_PRICE, BY_CREATED, tokenize, normalize, categoryTerm, wordTerm, isSearchableWord
+} from '../lib/searchIndex.js';
+
+const ddb = new DynamoDBClient({});
+const SEARCH_TABLE = process.env.SEARCH_TABLE;
+const SORTS = ['price_asc', 'price_desc', 'newest'];
+const MAX_QUERY_LENGTH = 100;
+// Upper bound on index queries per request when filters discard most entries
+const MAX_ROUNDS = 5;
+
+// GET /products/search?q=&category=&minPrice=&maxPrice=&sort=price_asc|price_desc|newest&limit=&cursor=
+export const handler = route({
+  query: {
+    type: 'object',
+    properties: {
+      q: { type: 'string', maxLength: MAX_QUERY_LENGTH },
+      category: { type: 'string' },
+      minPrice: { type: 'number', minimum: 0 },
+      maxPrice: { type: 'number', minimum: 0 },
+      sort: { enum: SORTS },
+      ...pageQuery(100)
+    }
+  },
+  failure: 'Failed to search products'
+}, async ({ query: params }) => {
+  const q = params.q || '';
+  const category = params.category ? normalize(params.category) : undefined;
+  const { minPrice, maxPrice, sort } = params;
+
+  if (minPrice !== undefined && maxPrice !== undefined && minPrice > maxPrice) {
+    throw invalidField('minPrice', 'minPrice cannot be greater than maxPrice');
+  }
+
+  const words = tokenize(q).filter(isSearchableWord);
+  if (q.trim() && words.length === 0) {
+    throw invalidField('q', 'q must contain a word of at least 2 letters or digits');
+  }
+
+  // Read the most selective partition: the longest query word, else the category, else everything.
+  // Remaining words and the category are checked per entry.
+  const [partitionWord, ...otherWords] = [...words].sort((a, b) => b.length - a.length);
+  const term = partitionWord ? wordTerm(partitionWord) : category ? categoryTerm(category) : ALL;
+
+  const scope = `search#${JSON.stringify([words, category, minPrice, maxPrice, sort])}`;
+  const page = readPage(params, scope, { defaultLimit: 20 });
+  if (page.error) throw badRequest(page.error, undefined, 'INVALID_CURSOR');
+
+  const names = { '#term': 'term' };
+  const values = { ':term': term };
+  const keyConditions = ['#term = :term'];
+  const filters = [];
+
+  // Price sorts read the price index, so the range becomes part of the key condition
+  const byPrice = sort === 'price_asc' || sort === 'price_desc';
+  if (minPrice !== undefined || maxPrice !== undefined) {
+    names['#price'] = 'price';
+    const conditions = byPrice ? keyConditions : filters;
+    if (minPrice !== undefined && maxPrice !== undefined) {
+      conditions.push('#price BETWEEN :minPrice AND :maxPrice');
+    } else if (minPrice !== undefined) {
+      conditions.push('#price >= :minPrice');
+    } else {
+      conditions.push('#price <= :maxPrice');
+    }
+    if (minPrice !== undefined) values[':minPrice'] = minPrice;
+    if (maxPrice !== undefined) values[':maxPrice'] = maxPrice;
+  }
+
+  if (category && partitionWord) {
+    names['#category'] = 'category';
+    values[':category'] = category;
+    filters.push('#category = :category');
+  }
+
+  otherWords.forEach((word, i) => {
+    names['#text'] = 'searchText';
+    values[`:w${i}`] = word;
+    filters.push(`contains(#text, :w${i})`);
+  });
+
+  const indexName = byPrice ? BY_PRICE : sort === 'newest' ? BY_CREATED : undefined;
+  const query = {
+    TableName: SEARCH_TABLE,
+    IndexName: indexName,
+    KeyConditionExpression: keyConditions.join(' AND '),
+    FilterExpression: filters.length ? filters.join(' AND ') : undefined,
+    ExpressionAttributeNames: names,
+    ExpressionAttributeValues: marshall(values),
+    ScanIndexForward: !(sort === 'price_desc' || sort === 'newest'),
+    Limit: page.limit
+  };
+
+  // Filters are applied after Limit, so keep reading until the page is full
+  const entries = [];
+  let lastKey = page.startKey;
+  for (let round = 0; round < MAX_ROUNDS && entries.length < page.limit; round++) {
+    const res = await ddb.send(new QueryCommand({ ...query, ExclusiveStartKey: lastKey }));
+    entries.push(...(res.Items || []).map(unmarshall));
+    lastKey = res.LastEvaluatedKey;
+    if (!lastKey) break;
+  }
+
+  // A full page may have overshot; continue after the last entry returned
+  if (entries.length > page.limit) {
+    entries.length = page.limit;
+    const last = entries[entries.length - 1];
+    lastKey = marshall({
+      term: last.term,
+      productId: last.productId,
+      ...(indexName === BY_PRICE && { price: last.price }),
+      ...(indexName === BY_CREATED && { createdAt: last.createdAt })
+    });
+  }
+
+  // Stock changes aren't indexed, so return the live products in index order
+  const found = await getProductsByIds(entries.map(entry => entry.productId));
+  const products = await Promise.all(entries
+    .map(entry => found[entry.productId])
+    .filter(Boolean)
+    .map(withStockFlag)
+    .map(withImageUrls));
+
+  return json(200, {
+    products,
+    count: products.length,
+    nextCursor: encodeCursor(lastKey, scope)
+  });
+});
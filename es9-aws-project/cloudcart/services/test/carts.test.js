@@ -0,0 +1,107 @@
+import { test, beforeEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { DynamoDBClient, PutItemCommand } from '@aws-sdk/client-dynamodb';
+import { SecretsManagerClient } from '@aws-sdk/client-secrets-manager';
+import { marshall, unmarshall } from '@aws-sdk/util-dynamodb';
+import { TABLES } from '../local/tables.js';
+import { createMemoryDynamoDB } from '../local/memoryDynamoDB.js';
+
+process.env.AWS_REGION = 'eu-west-1';
+process.env.AWS_ACCESS_KEY_ID = 'test';
+process.env.AWS_SECRET_ACCESS_KEY = 'test';
+for (const table of TABLES) process.env[table.env] = table.tableName;
+process.env.CART_TOKEN_SECRET = 'cart-secret';
+
+const { handler: cart } = await import('../cart/handler.js');
+const { loadOwnedCart } = await import('../lib/carts.js');
+const { issueCartToken } = await import('../lib/cartToken.js');
+
+let ddb;
+
+const put = (table, item) => ddb.send(new PutItemCommand({ TableName: process.env[table], Item: marshall(item) }));
+const carts = () => Object.fromEntries(ddb.items(process.env.CARTS_TABLE).map(unmarshall).map(c => [c.cartId, c.items]));
+
+beforeEach(() => {
+  ddb = createMemoryDynamoDB(TABLES);
+  mock.method(DynamoDBClient.prototype, 'send', (command) => ddb.send(command));
+  mock.method(console, 'log', () => {});
+});
+
+const request = (method, { token, userId, body } = {}) => cart({
+  headers: token ? { 'x-cart-token': token } : {},
+  requestContext: {
+    http: { method },
+    ...(userId && { authorizer: { lambda: { userId, roles: 'customer', role: 'customer' } } })
+  },
+  ...(body && { body: JSON.stringify(body) })
+});
+const parse = (res) => ({ statusCode: res.statusCode, headers: res.headers, body: JSON.parse(res.body) });
+
+test('an anonymous caller gets a signed cart token that brings back the same cart', async () => {
+  const first = parse(await request('POST', { body: { id: '1', qty: 2 } }));
+  const token = first.body.cartToken;
+  assert.match(token, /^[\w-]+\.[\w-]+$/);
+  assert.equal(first.headers['x-cart-token'], token);
+
+  const again = parse(await request('GET', { token }));
+  assert.equal(again.body.cartToken, token);
+  assert.deepEqual(again.body.items, [{ id: '1', qty: 2 }]);
+});
+
+test('a forged or tampered cart token gets a new, empty cart', async () => {
+  const { cartId, token } = issueCartToken('cart-secret');
+  await put('CARTS_TABLE', { cartId: `anon#${cartId}`, items: [{ id: '1', qty: 2 }] });
+
+  for (const forged of [`${cartId}.not-the-signature`, issueCartToken('another-secret').token.replace(/^[^.]+/, cartId)]) {
+    const res = parse(await request('GET', { token: forged }));
+    assert.deepEqual(res.body.items, []);
+    assert.notEqual(res.body.cartToken, forged);
+  }
+});
+
+test('signing in folds the anonymous cart into the user\'s and deletes it', async () => {
+  const { cartId, token } = issueCartToken('cart-secret');
+  await put('CARTS_TABLE', { cartId: `anon#${cartId}`, items: [{ id: '1', qty: 1 }, { id: '3', qty: 1 }], updatedAt: '2026-01-05T10:00:00.000Z' });
+  await put('CARTS_TABLE', { cartId: 'user#alice', items: [{ id: '1', qty: 2 }, { id: '2', qty: 1 }], updatedAt: '2026-01-04T10:00:00.000Z' });
+
+  const res = parse(await request('GET', { token, userId: 'alice' }));
+
+  const merged = [{ id: '1', qty: 3 }, { id: '2', qty: 1 }, { id: '3', qty: 1 }];
+  assert.deepEqual(res.body.items, merged);
+  assert.equal(res.body.cartToken, undefined);
+  assert.deepEqual(carts(), { 'user#alice': merged });
+});
+
+test('requests racing right after sign-in merge the anonymous cart once', async () => {
+  const { cartId } = issueCartToken('cart-secret');
+  await put('CARTS_TABLE', { cartId: `anon#${cartId}`, items: [{ id: '1', qty: 1 }], updatedAt: '2026-01-05T10:00:00.000Z' });
+  // A cart saved before carts carried updatedAt
+  await put('CARTS_TABLE', { cartId: 'user#alice', items: [{ id: '1', qty: 2 }] });
+
+  const owner = { userId: 'alice', cartId: 'user#alice', mergeFromCartId: `anon#${cartId}` };
+  const results = await Promise.all([loadOwnedCart(owner), loadOwnedCart(owner), loadOwnedCart(owner)]);
+
+  for (const items of results) assert.deepEqual(items, [{ id: '1', qty: 3 }]);
+  assert.deepEqual(carts(), { 'user#alice': [{ id: '1', qty: 3 }] });
+});
+
+test('without the secret itself, a function reads it from Secrets Manager by ARN', async () => {
+  const requested = [];
+  mock.method(SecretsManagerClient.prototype, 'send', async (command) => {
+    requested.push(command.input.SecretId);
+    return { SecretString: 'from-secrets-manager' };
+  });
+  const { loadSecret } = await import('../lib/secrets.js');
+
+  process.env.SIGNING_SECRET_ARN = 'arn:aws:secretsmanager:eu-west-1:000000000000:secret:signing';
+  assert.equal(await loadSecret('SIGNING_SECRET'), 'from-secrets-manager');
+  assert.deepEqual(requested, [process.env.SIGNING_SECRET_ARN]);
+
+  // A plain variable wins, and a function with neither has no secret
+  process.env.SIGNING_SECRET = 'plain';
+  assert.equal(await loadSecret('SIGNING_SECRET'), 'plain');
+  delete process.env.SIGNING_SECRET;
+  delete process.env.SIGNING_SECRET_ARN;
+  assert.equal(await loadSecret('SIGNING_SECRET'), undefined);
+  assert.equal(requested.length, 1);
+});
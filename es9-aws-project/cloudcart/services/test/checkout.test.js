@@ -0,0 +1,182 @@
+import { test, beforeEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { DynamoDBClient, PutItemCommand } from '@aws-sdk/client-dynamodb';
+import { SQSClient } from '@aws-sdk/client-sqs';
+import { marshall } from '@aws-sdk/util-dynamodb';
+import { TABLES } from '../local/tables.js';
+import { createMemoryDynamoDB } from '../local/memoryDynamoDB.js';
+
+process.env.AWS_REGION = 'eu-west-1';
+process.env.AWS_ACCESS_KEY_ID = 'test';
+process.env.AWS_SECRET_ACCESS_KEY = 'test';
+for (const table of TABLES) process.env[table.env] = table.tableName;
+process.env.CHECKOUT_QUEUE_URL = 'https://sqs.eu-west-1.amazonaws.com/000000000000/checkout';
+process.env.CART_TOKEN_SECRET = 'cart-secret';
+
+const { handler: checkout } = await import('../orders/checkout.js');
+const { handler: cart } = await import('../cart/handler.js');
+const { newOrderId } = await import('../lib/orders.js');
+
+let ddb;
+let sentMessages;
+// Lets a test fail one kind of DynamoDB command
+let failCommand;
+
+const put = (table, item) => ddb.send(new PutItemCommand({ TableName: process.env[table], Item: marshall(item) }));
+const idempotencyRecord = (key) => ddb.items(process.env.IDEMPOTENCY_TABLE).find(item => item.idempotencyKey.S === `user#alice#${key}`);
+const now = () => Math.floor(Date.now() / 1000);
+
+beforeEach(async () => {
+  ddb = createMemoryDynamoDB(TABLES);
+  sentMessages = [];
+  failCommand = undefined;
+
+  mock.method(DynamoDBClient.prototype, 'send', async (command) => {
+    if (command.constructor.name === failCommand) throw Object.assign(new Error('Service unavailable'), { name: 'InternalServerError' });
+    return ddb.send(command);
+  });
+  mock.method(SQSClient.prototype, 'send', async (command) => {
+    sentMessages.push(command.input);
+    return { MessageId: `message-${sentMessages.length}` };
+  });
+  mock.method(console, 'log', () => {});
+  mock.method(console, 'warn', () => {});
+  mock.method(console, 'error', () => {});
+
+  await put('PRODUCTS_TABLE', { id: '1', name: 'Mug', price: 5, category: 'kitchen', stock: 10, version: 1 });
+  await put('CARTS_TABLE', { cartId: 'user#alice', items: [{ id: '1', qty: 2 }] });
+});
+
+const asAlice = (idempotencyKey) => ({
+  headers: idempotencyKey ? { 'idempotency-key': idempotencyKey } : {},
+  requestContext: { requestId: 'req-1', authorizer: { lambda: { userId: 'alice', roles: 'customer', role: 'customer' } } }
+});
+const parse = (res) => ({ statusCode: res.statusCode, body: JSON.parse(res.body) });
+
+test('order ids sort in the order the orders were placed, after the older Date.now() ids', () => {
+  const ids = [newOrderId(1767600000000), newOrderId(1767600000001), newOrderId(1767700000000)];
+  assert.deepEqual([...ids].sort(), ids);
+  assert.ok(String(1767500000000) < ids[0]);
+});
+
+test('a repeated Idempotency-Key replays the first response without placing another order', async () => {
+  const first = parse(await checkout(asAlice('key-1')));
+  assert.equal(first.statusCode, 202);
+
+  const again = await checkout(asAlice('key-1'));
+  assert.equal(again.headers['idempotent-replayed'], 'true');
+  assert.deepEqual(parse(again), first);
+  assert.equal(sentMessages.length, 1);
+});
+
+test('a key whose checkout is still running is answered with a 409', async () => {
+  await put('IDEMPOTENCY_TABLE', {
+    idempotencyKey: 'user#alice#key-1', status: 'IN_PROGRESS', leaseUntil: now() + 30, expiresAt: now() + 3600
+  });
+
+  const res = parse(await checkout(asAlice('key-1')));
+  assert.equal(res.statusCode, 409);
+  assert.equal(res.body.code, 'IDEMPOTENCY_KEY_IN_USE');
+  assert.equal(sentMessages.length, 0);
+});
+
+test('a claim left behind by a checkout that died is taken over once its lease runs out', async () => {
+  await put('IDEMPOTENCY_TABLE', {
+    idempotencyKey: 'user#alice#key-1', status: 'IN_PROGRESS', leaseUntil: now() - 1, expiresAt: now() + 3600
+  });
+
+  const res = parse(await checkout(asAlice('key-1')));
+  assert.equal(res.statusCode, 202);
+  assert.equal(idempotencyRecord('key-1').status.S, 'COMPLETED');
+  assert.equal(idempotencyRecord('key-1').leaseUntil, undefined);
+});
+
+test('an expired key that TTL has not deleted yet starts a new checkout', async () => {
+  await put('IDEMPOTENCY_TABLE', {
+    idempotencyKey: 'user#alice#key-1',
+    status: 'COMPLETED',
+    response: JSON.stringify({ statusCode: 202, body: { queued: true, id: 'old-order', total: 1 } }),
+    expiresAt: now() - 1
+  });
+
+  const res = parse(await checkout(asAlice('key-1')));
+  assert.equal(res.statusCode, 202);
+  assert.notEqual(res.body.id, 'old-order');
+  assert.equal(sentMessages.length, 1);
+});
+
+test('a failed checkout releases its key so the fixed request can be retried', async () => {
+  await put('CARTS_TABLE', { cartId: 'user#alice', items: [] });
+  const empty = parse(await checkout(asAlice('key-1')));
+  assert.equal(empty.body.code, 'CART_EMPTY');
+  assert.equal(idempotencyRecord('key-1'), undefined);
+
+  await put('CARTS_TABLE', { cartId: 'user#alice', items: [{ id: '1', qty: 1 }] });
+  assert.equal((await checkout(asAlice('key-1'))).statusCode, 202);
+});
+
+test('a key that cannot be released does not hide why the checkout failed', async () => {
+  await put('CARTS_TABLE', { cartId: 'user#alice', items: [] });
+  failCommand = 'DeleteItemCommand';
+
+  const res = parse(await checkout(asAlice('key-1')));
+  assert.equal(res.statusCode, 400);
+  assert.equal(res.body.code, 'CART_EMPTY');
+  // Left for its lease to run out
+  assert.equal(idempotencyRecord('key-1').status.S, 'IN_PROGRESS');
+});
+
+test('a cart that cannot be emptied after the order is queued does not let a retry order it again', async () => {
+  failCommand = 'DeleteItemCommand';
+  const first = parse(await checkout(asAlice('key-1')));
+  assert.equal(first.statusCode, 202);
+  assert.equal(idempotencyRecord('key-1').status.S, 'COMPLETED');
+
+  failCommand = undefined;
+  const again = await checkout(asAlice('key-1'));
+  assert.equal(again.headers['idempotent-replayed'], 'true');
+  assert.deepEqual(parse(again), first);
+  assert.equal(sentMessages.length, 1);
+  const [product] = ddb.items(process.env.PRODUCTS_TABLE);
+  assert.equal(product.stock.N, '8');
+});
+
+test('a guest is asked to sign in before checking out, and their cart is kept', async () => {
+  const { issueCartToken } = await import('../lib/cartToken.js');
+  const { cartId, token } = issueCartToken('cart-secret');
+  await put('CARTS_TABLE', { cartId: `anon#${cartId}`, items: [{ id: '1', qty: 1 }], updatedAt: '2026-01-05T10:00:00.000Z' });
+
+  const guest = parse(await checkout({ headers: { 'x-cart-token': token }, requestContext: { requestId: 'req-1' } }));
+  assert.equal(guest.statusCode, 401);
+  assert.equal(sentMessages.length, 0);
+
+  // Signed in, the guest cart joins Alice's and is ordered under her id
+  const res = parse(await checkout({ ...asAlice(), headers: { 'x-cart-token': token } }));
+  assert.equal(res.statusCode, 202);
+  const [message] = sentMessages.map(input => JSON.parse(input.MessageBody));
+  assert.equal(message.userId, 'alice');
+  assert.deepEqual(message.items.map(item => [item.id, item.qty]), [['1', 3]]);
+});
+
+test('numeric and string ids for the same product are one cart line', async () => {
+  const post = (id, qty) => cart({
+    ...asAlice(),
+    requestContext: { ...asAlice().requestContext, http: { method: 'POST' } },
+    body: JSON.stringify({ id, qty })
+  });
+  await post(1, 1);
+  const added = parse(await post('1', 2));
+  assert.deepEqual(added.body.items, [{ id: '1', qty: 5 }]);
+});
+
+test('a cart saved with the same product under a numeric and a string id checks out as one line', async () => {
+  await put('CARTS_TABLE', { cartId: 'user#alice', items: [{ id: 1, qty: 1 }, { id: '1', qty: 2 }] });
+
+  const res = parse(await checkout(asAlice()));
+  assert.equal(res.statusCode, 202);
+  assert.equal(res.body.total, 15);
+  const [message] = sentMessages.map(input => JSON.parse(input.MessageBody));
+  assert.deepEqual(message.items.map(item => [item.id, item.qty]), [['1', 3]]);
+  const [product] = ddb.items(process.env.PRODUCTS_TABLE);
+  assert.equal(product.stock.N, '7');
+});
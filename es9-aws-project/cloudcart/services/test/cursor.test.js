@@ -0,0 +1,35 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.CURSOR_SECRET = 'cursor-secret';
+
+const { encodeCursor, decodeCursor, readPage } = await import('../lib/cursor.js');
+
+const lastKey = { userId: { S: 'alice' }, orderId: { S: 'order-a' } };
+
+test('a cursor round-trips to the key it was built from', () => {
+  const cursor = encodeCursor(lastKey, 'orders#alice');
+  assert.deepEqual(decodeCursor(cursor, 'orders#alice'), lastKey);
+});
+
+test('the last page has no cursor', () => {
+  assert.equal(encodeCursor(undefined, 'products'), null);
+});
+
+test('an edited cursor is rejected', () => {
+  const [, signature] = encodeCursor(lastKey, 'orders#alice').split('.');
+  const forged = Buffer.from(JSON.stringify({ s: 'orders#alice', k: { userId: { S: 'bob' } } })).toString('base64url');
+  assert.equal(decodeCursor(`${forged}.${signature}`, 'orders#alice'), null);
+});
+
+test('a cursor cannot be replayed against another listing', () => {
+  const cursor = encodeCursor(lastKey, 'orders#alice');
+  assert.equal(decodeCursor(cursor, 'orders#bob'), null);
+});
+
+test('readPage applies the default limit and decodes the cursor', () => {
+  const cursor = encodeCursor(lastKey, 'products');
+  assert.deepEqual(readPage({}, 'products'), { limit: 20, startKey: undefined });
+  assert.deepEqual(readPage({ limit: 10, cursor }, 'products'), { limit: 10, startKey: lastKey });
+  assert.ok(readPage({ cursor: 'garbage' }, 'products').error);
+});
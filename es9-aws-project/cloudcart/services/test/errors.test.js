@@ -0,0 +1,173 @@
+import { test, beforeEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { DynamoDBClient } from '@aws-sdk/client-dynamodb';
+import { marshall } from '@aws-sdk/util-dynamodb';
+
+process.env.PRODUCTS_TABLE = 'products';
+process.env.ORDERS_TABLE = 'orders';
+process.env.CARTS_TABLE = 'carts';
+process.env.CURSOR_SECRET = 'cursor-secret';
+process.env.CART_TOKEN_SECRET = 'cart-secret';
+
+const { route, notFound } = await import('../lib/http.js');
+const { handler: createProduct } = await import('../admin/createProduct.js');
+const { handler: adjustStock } = await import('../admin/adjustStock.js');
+const { handler: getProductById } = await import('../products/getProductById.js');
+const { handler: getProducts } = await import('../products/getProducts.js');
+const { handler: getOrders } = await import('../orders/getOrders.js');
+const { handler: listOrders } = await import('../admin/listOrders.js');
+const { handler: updateOrderStatus } = await import('../admin/updateOrderStatus.js');
+const { handler: checkout } = await import('../orders/checkout.js');
+
+let ddbSend;
+let metrics;
+
+beforeEach(() => {
+  ddbSend = async () => ({});
+  metrics = [];
+  mock.method(DynamoDBClient.prototype, 'send', (command) => ddbSend(command));
+  // Metrics are written to the log in Embedded Metric Format
+  mock.method(console, 'log', (line) => {
+    const emf = JSON.parse(line)._aws;
+    if (emf) metrics.push(...emf.CloudWatchMetrics[0].Metrics.map(m => m.Name));
+  });
+});
+
+const customer = (userId, extra = {}) => ({
+  requestContext: { requestId: 'req-1', authorizer: { lambda: { userId, roles: 'customer' } } },
+  ...extra
+});
+
+const admin = (extra = {}) => ({
+  requestContext: { requestId: 'req-1', authorizer: { lambda: { userId: 'root', roles: 'admin' } } },
+  ...extra
+});
+
+const parse = (res) => ({ statusCode: res.statusCode, body: JSON.parse(res.body) });
+
+test('malformed JSON is a 400 INVALID_JSON', async () => {
+  const res = parse(await createProduct(admin({ body: '{"id": "1",' })));
+  assert.deepEqual(res, {
+    statusCode: 400,
+    body: { code: 'INVALID_JSON', message: 'Request body is not valid JSON', requestId: 'req-1' }
+  });
+});
+
+test('schema failures list every invalid field', async () => {
+  const res = parse(await createProduct(admin({ body: JSON.stringify({ id: '1', price: -2, category: 'kitchen', stock: 'lots' }) })));
+  assert.equal(res.statusCode, 400);
+  assert.equal(res.body.code, 'VALIDATION_FAILED');
+  assert.deepEqual(res.body.details, [
+    { field: 'name', message: 'name is required' },
+    { field: 'price', message: 'price must be > 0' },
+    { field: 'stock', message: 'stock must be integer' }
+  ]);
+});
+
+test('query strings are coerced before validation', async () => {
+  const res = parse(await getProducts({ queryStringParameters: { limit: '0' } }));
+  assert.equal(res.statusCode, 400);
+  assert.deepEqual(res.body.details, [{ field: 'limit', message: 'limit must be >= 1' }]);
+});
+
+test('an invalid cursor is a 400 INVALID_CURSOR', async () => {
+  const res = parse(await getProducts({ queryStringParameters: { cursor: 'abc.def' } }));
+  assert.equal(res.statusCode, 400);
+  assert.equal(res.body.code, 'INVALID_CURSOR');
+});
+
+test('401, 403 and 404 use the same envelope', async () => {
+  const unauthorized = parse(await getOrders({ requestContext: { requestId: 'req-2' } }));
+  assert.deepEqual(unauthorized, {
+    statusCode: 401,
+    body: { code: 'UNAUTHORIZED', message: 'Sign in to view your orders', requestId: 'req-2' }
+  });
+
+  const forbidden = parse(await listOrders(customer('alice')));
+  assert.equal(forbidden.statusCode, 403);
+  assert.equal(forbidden.body.code, 'FORBIDDEN');
+
+  const notFound = parse(await getProductById({ pathParameters: { id: 'missing' } }, { awsRequestId: 'lambda-req' }));
+  assert.deepEqual(notFound, {
+    statusCode: 404,
+    body: { code: 'NOT_FOUND', message: 'Product not found', requestId: 'lambda-req' }
+  });
+});
+
+test('admin handlers refuse callers without the admin role before reading the request', async () => {
+  ddbSend = async () => assert.fail('an admin handler read data for a non-admin caller');
+  const handlers = { createProduct, adjustStock, listOrders, updateOrderStatus };
+  for (const [name, handler] of Object.entries(handlers)) {
+    for (const event of [customer('alice', { body: '{"id": "1",' }), { body: '{"id": "1",' }]) {
+      const res = parse(await handler(event));
+      assert.equal(res.statusCode, 403, name);
+      assert.equal(res.body.code, 'FORBIDDEN', name);
+    }
+  }
+});
+
+test('conflicts carry a specific code and details', async () => {
+  ddbSend = async () => {
+    throw Object.assign(new Error('failed'), {
+      name: 'ConditionalCheckFailedException',
+      Item: marshall({ id: '1', stock: 1 })
+    });
+  };
+  const stock = parse(await adjustStock(admin({ pathParameters: { id: '1' }, body: JSON.stringify({ delta: -5 }) })));
+  assert.equal(stock.statusCode, 409);
+  assert.equal(stock.body.code, 'INSUFFICIENT_STOCK');
+  assert.deepEqual(stock.body.details, { stock: 1 });
+
+  ddbSend = async (command) => command.constructor.name === 'QueryCommand'
+    ? { Items: [marshall({ userId: 'alice', orderId: 'o-1', status: 'delivered' })] }
+    : {};
+  const transition = parse(await updateOrderStatus(admin({ pathParameters: { id: 'o-1' }, body: JSON.stringify({ status: 'pending' }) })));
+  assert.equal(transition.statusCode, 409);
+  assert.equal(transition.body.code, 'INVALID_TRANSITION');
+  assert.equal(transition.body.details.status, 'delivered');
+});
+
+test('checkout rejections have their own codes and are not counted as errors', async () => {
+  let cart = [];
+  ddbSend = async (command) => {
+    switch (command.constructor.name) {
+      case 'GetItemCommand':
+        return { Item: marshall({ cartId: 'user#alice', items: cart }) };
+      case 'BatchGetItemCommand':
+        return { Responses: { products: [marshall({ id: '1', name: 'Mug', price: 5, category: 'kitchen', stock: 1 })] } };
+      default:
+        return {};
+    }
+  };
+
+  const empty = parse(await checkout(customer('alice')));
+  assert.equal(empty.statusCode, 400);
+  assert.equal(empty.body.code, 'CART_EMPTY');
+
+  cart = [{ id: '2', qty: 1 }];
+  const unknown = parse(await checkout(customer('alice')));
+  assert.equal(unknown.statusCode, 409);
+  assert.equal(unknown.body.code, 'PRODUCT_NOT_FOUND');
+
+  cart = [{ id: '1', qty: 3 }];
+  const short = parse(await checkout(customer('alice')));
+  assert.equal(short.statusCode, 409);
+  assert.equal(short.body.code, 'OUT_OF_STOCK');
+  assert.deepEqual(short.body.details.lines, [{ id: '1', qty: 3, available: 1, reason: 'OUT_OF_STOCK' }]);
+
+  assert.deepEqual(metrics, []);
+});
+
+test('unexpected failures are a 500 that does not leak the cause', async () => {
+  mock.method(console, 'error', () => {});
+  ddbSend = async () => { throw new Error('connect ECONNREFUSED 10.0.0.1:443'); };
+
+  const res = parse(await getProductById({ pathParameters: { id: '1' }, requestContext: { requestId: 'req-3' } }));
+  assert.deepEqual(res, {
+    statusCode: 500,
+    body: { code: 'INTERNAL_ERROR', message: 'Failed to get product', requestId: 'req-3' }
+  });
+
+  const failing = route({ failure: 'Failed to do the thing' }, async () => { throw notFound('Thing not found'); });
+  assert.equal((await failing({})).statusCode, 404);
+});
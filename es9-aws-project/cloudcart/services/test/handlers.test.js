@@ -0,0 +1,394 @@
+import { test, beforeEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { DynamoDBClient, PutItemCommand } from '@aws-sdk/client-dynamodb';
+import { SQSClient } from '@aws-sdk/client-sqs';
+import { S3Client } from '@aws-sdk/client-s3';
+import { marshall, unmarshall } from '@aws-sdk/util-dynamodb';
+import { TABLES } from '../local/tables.js';
+import { createMemoryDynamoDB } from '../local/memoryDynamoDB.js';
+import { createMemoryS3 } from '../local/memoryS3.js';
+import { createActivity } from '../local/eventSources.js';
+
+// Every API handler against the same in-memory tables: the request that succeeds, and how it
+// fails for a missing id, a bad price, an unknown id and a DynamoDB outage.
+
+process.env.AWS_REGION = 'eu-west-1';
+process.env.AWS_ACCESS_KEY_ID = 'test';
+process.env.AWS_SECRET_ACCESS_KEY = 'test';
+for (const table of TABLES) process.env[table.env] = table.tableName;
+process.env.IMAGES_BUCKET = 'images-bucket';
+process.env.IMPORTS_BUCKET = 'imports-bucket';
+process.env.CHECKOUT_QUEUE_URL = 'https://sqs.eu-west-1.amazonaws.com/000000000000/checkout';
+process.env.DLQ_URL = 'https://sqs.eu-west-1.amazonaws.com/000000000000/checkout-dlq';
+process.env.CURSOR_SECRET = 'cursor-secret';
+process.env.CART_TOKEN_SECRET = 'cart-secret';
+process.env.JWT_SECRET = 'test-secret';
+
+const handlers = {};
+for (const entry of [
+  'products/getProducts', 'products/getProductById', 'products/listByCategory', 'products/searchProducts',
+  'products/generateUploadUrl', 'cart/handler', 'orders/checkout', 'orders/getOrders', 'orders/getOrderById',
+  'orders/cancelOrder', 'admin/createProduct', 'admin/updateProduct', 'admin/deleteProduct',
+  'admin/restoreProduct', 'admin/adjustStock', 'admin/startProductImport', 'admin/getImportJob',
+  'admin/exportProducts', 'admin/listProductAudit', 'admin/listOrders', 'admin/getOrder',
+  'admin/updateOrderStatus', 'admin/getAnalytics', 'orders/worker', 'orders/streamProcessor',
+  'products/recordProductAudit', 'products/processImage', 'admin/processProductImport', 'auth/authorizer'
+]) {
+  handlers[entry] = (await import(`../${entry}.js`)).handler;
+}
+const { signJwt } = await import('../lib/jwt.js');
+
+let ddb;
+let failDynamoDB;
+let sentMessages;
+
+const put = (table, item) => ddb.send(new PutItemCommand({ TableName: process.env[table], Item: marshall(item) }));
+
+beforeEach(async () => {
+  ddb = createMemoryDynamoDB(TABLES);
+  failDynamoDB = false;
+  sentMessages = [];
+  const s3 = createMemoryS3(createActivity());
+  s3.createBucket(process.env.IMAGES_BUCKET);
+  s3.createBucket(process.env.IMPORTS_BUCKET);
+
+  mock.method(DynamoDBClient.prototype, 'send', async (command) => {
+    if (failDynamoDB) throw Object.assign(new Error('Rate exceeded'), { name: 'ProvisionedThroughputExceededException' });
+    return ddb.send(command);
+  });
+  mock.method(SQSClient.prototype, 'send', async (command) => {
+    sentMessages.push(command.input);
+    return { MessageId: `message-${sentMessages.length}` };
+  });
+  mock.method(S3Client.prototype, 'send', (command) => s3.send(command));
+  mock.method(console, 'log', () => {});
+  mock.method(console, 'error', () => {});
+
+  const createdAt = '2026-01-05T10:00:00.000Z';
+  await put('PRODUCTS_TABLE', { id: '1', name: 'Mug', price: 5, category: 'kitchen', stock: 10, version: 1, createdAt });
+  await put('PRODUCTS_TABLE', { id: '2', name: 'Kettle', price: 30, category: 'kitchen', stock: 3, version: 2, createdAt, deletedAt: createdAt });
+  for (const [userId, orderId] of [['alice', 'order-1'], ['bob', 'order-2']]) {
+    await put('ORDERS_TABLE', {
+      userId,
+      orderId,
+      entity: 'order',
+      timestamp: createdAt,
+      status: 'processing',
+      total: 10,
+      items: JSON.stringify([{ id: '1', name: 'Mug', qty: 2, price: 5, lineTotal: 10, category: 'kitchen' }])
+    });
+  }
+  await put('CARTS_TABLE', { cartId: 'user#alice', items: [{ id: '1', qty: 1 }] });
+  await put('IMPORT_JOBS_TABLE', { jobId: 'job-1', status: 'completed', format: 'csv', dryRun: false, createdAt });
+});
+
+const caller = (userId, roles) => ({ requestId: 'req-1', authorizer: { lambda: { userId, roles, role: roles } } });
+const asAlice = (extra = {}) => ({ ...extra, requestContext: { ...caller('alice', 'customer'), ...extra.requestContext } });
+const asAdmin = (extra = {}) => ({ ...extra, requestContext: { ...caller('admin-1', 'admin'), ...extra.requestContext } });
+const withBody = (body) => ({ body: JSON.stringify(body) });
+
+const parse = (res) => ({ statusCode: res.statusCode, body: res.body && JSON.parse(res.body) });
+
+// [handler, a request it accepts, the status it answers with, its message when DynamoDB fails].
+// The requests run in this order against the same tables, so checkout comes before the cart is
+// emptied, stock is adjusted before the product is deleted, and the order alice cancels is not the
+// one the admin marks as paid.
+const API = [
+  ['products/getProducts', {}, 200, 'Failed to list products'],
+  ['products/getProductById', { pathParameters: { id: '1' } }, 200, 'Failed to get product'],
+  ['products/listByCategory', { pathParameters: { name: 'kitchen' } }, 200, 'Failed to list products'],
+  ['products/searchProducts', { queryStringParameters: { q: 'mug' } }, 200, 'Failed to search products'],
+  ['products/generateUploadUrl', asAdmin({ pathParameters: { id: '1' }, ...withBody({ contentType: 'image/png' }) }), 200, 'Failed to generate upload URL'],
+  ['orders/checkout', asAlice(), 202, 'Checkout failed'],
+  ['cart/handler', asAlice({ requestContext: { http: { method: 'GET' } } }), 200, 'Failed to update cart'],
+  ['cart/handler', asAlice({ requestContext: { http: { method: 'POST' } }, ...withBody({ id: '1', qty: 2 }) }), 200, 'Failed to update cart'],
+  ['cart/handler', asAlice({ requestContext: { http: { method: 'DELETE' } }, ...withBody({ id: '1' }) }), 200, 'Failed to update cart'],
+  ['orders/getOrders', asAlice(), 200, 'Failed to retrieve orders'],
+  ['orders/getOrderById', asAlice({ pathParameters: { id: 'order-1' } }), 200, 'Failed to retrieve order'],
+  ['orders/cancelOrder', asAlice({ pathParameters: { id: 'order-1' } }), 200, 'Failed to cancel order'],
+  ['admin/createProduct', asAdmin(withBody({ id: '3', name: 'Teapot', price: 20, category: 'kitchen', stock: 4 })), 201, 'Failed to create product'],
+  ['admin/updateProduct', asAdmin({ pathParameters: { id: '1' }, ...withBody({ price: 6 }) }), 200, 'Failed to update product'],
+  ['admin/adjustStock', asAdmin({ pathParameters: { id: '1' }, ...withBody({ delta: -2 }) }), 200, 'Failed to adjust stock'],
+  ['admin/deleteProduct', asAdmin({ pathParameters: { id: '1' } }), 200, 'Failed to delete product'],
+  ['admin/restoreProduct', asAdmin({ pathParameters: { id: '2' } }), 200, 'Failed to restore product'],
+  ['admin/startProductImport', asAdmin(withBody({ format: 'csv' })), 202, 'Failed to start product import'],
+  ['admin/getImportJob', asAdmin({ pathParameters: { jobId: 'job-1' } }), 200, 'Failed to get import job'],
+  ['admin/exportProducts', asAdmin(), 303, 'Failed to export products'],
+  ['admin/listProductAudit', asAdmin(), 200, 'Failed to retrieve audit log'],
+  ['admin/listOrders', asAdmin(), 200, 'Failed to retrieve orders'],
+  ['admin/getOrder', asAdmin({ pathParameters: { id: 'order-1' } }), 200, 'Failed to retrieve order'],
+  ['admin/updateOrderStatus', asAdmin({ pathParameters: { id: 'order-2' }, ...withBody({ status: 'paid' }) }), 200, 'Failed to update order status'],
+  ['admin/getAnalytics', asAdmin({ queryStringParameters: { from: '2026-01-01', to: '2026-01-31' } }), 200, 'Failed to retrieve analytics']
+];
+
+test('every API handler answers a valid request', async () => {
+  for (const [entry, event, statusCode] of API) {
+    const res = parse(await handlers[entry](event));
+    assert.equal(res.statusCode, statusCode, `${entry}: ${JSON.stringify(res.body)}`);
+  }
+});
+
+test('every API handler turns a DynamoDB failure into a 500 with its own message', async () => {
+  failDynamoDB = true;
+  for (const [entry, event, , message] of API) {
+    const { statusCode, body } = parse(await handlers[entry](event));
+    assert.deepEqual({ statusCode, code: body.code, message: body.message }, { statusCode: 500, code: 'INTERNAL_ERROR', message }, entry);
+  }
+});
+
+test('handlers for one item reject a request without its id', async () => {
+  const byId = [
+    ['products/getProductById', {}, 'id'],
+    ['products/listByCategory', {}, 'name'],
+    ['products/generateUploadUrl', asAdmin(), 'id'],
+    ['orders/getOrderById', asAlice(), 'id'],
+    ['orders/cancelOrder', asAlice(), 'id'],
+    ['admin/updateProduct', asAdmin(withBody({ price: 6 })), 'id'],
+    ['admin/deleteProduct', asAdmin(), 'id'],
+    ['admin/restoreProduct', asAdmin(), 'id'],
+    ['admin/adjustStock', asAdmin(withBody({ delta: 1 })), 'id'],
+    ['admin/getImportJob', asAdmin(), 'jobId'],
+    ['admin/getOrder', asAdmin(), 'id'],
+    ['admin/updateOrderStatus', asAdmin(withBody({ status: 'paid' })), 'id']
+  ];
+  for (const [entry, event, field] of byId) {
+    const res = parse(await handlers[entry](event));
+    assert.equal(res.statusCode, 400, entry);
+    assert.equal(res.body.code, 'VALIDATION_FAILED', entry);
+    assert.deepEqual(res.body.details.map(detail => detail.field), [field], entry);
+  }
+
+  const res = parse(await handlers['admin/createProduct'](asAdmin(withBody({ name: 'Teapot', price: 20, category: 'kitchen', stock: 4 }))));
+  assert.equal(res.statusCode, 400);
+  assert.deepEqual(res.body.details, [{ field: 'id', message: 'id is required' }]);
+});
+
+test('prices must be positive numbers', async () => {
+  for (const price of [0, -5, 'cheap', null]) {
+    const created = parse(await handlers['admin/createProduct'](asAdmin(withBody({ id: '3', name: 'Teapot', price, category: 'kitchen', stock: 4 }))));
+    assert.equal(created.statusCode, 400, `create with price ${price}`);
+    assert.deepEqual(created.body.details.map(detail => detail.field), ['price']);
+
+    const updated = parse(await handlers['admin/updateProduct'](asAdmin({ pathParameters: { id: '1' }, ...withBody({ price }) })));
+    assert.equal(updated.statusCode, 400, `update with price ${price}`);
+    assert.deepEqual(updated.body.details.map(detail => detail.field), ['price']);
+  }
+  assert.equal(ddb.items(process.env.PRODUCTS_TABLE).length, 2);
+});
+
+test('unknown ids are a 404', async () => {
+  const unknown = [
+    ['products/getProductById', { pathParameters: { id: '9' } }],
+    ['products/getProductById', { pathParameters: { id: '2' } }],
+    ['products/generateUploadUrl', asAdmin({ pathParameters: { id: '9' } })],
+    ['orders/getOrderById', asAlice({ pathParameters: { id: 'order-9' } })],
+    ['orders/cancelOrder', asAlice({ pathParameters: { id: 'order-9' } })],
+    ['admin/updateProduct', asAdmin({ pathParameters: { id: '9' }, ...withBody({ price: 6 }) })],
+    ['admin/deleteProduct', asAdmin({ pathParameters: { id: '9' } })],
+    ['admin/restoreProduct', asAdmin({ pathParameters: { id: '9' } })],
+    ['admin/adjustStock', asAdmin({ pathParameters: { id: '9' }, ...withBody({ delta: 1 }) })],
+    ['admin/getImportJob', asAdmin({ pathParameters: { jobId: 'job-9' } })],
+    ['admin/getOrder', asAdmin({ pathParameters: { id: 'order-9' } })],
+    ['admin/updateOrderStatus', asAdmin({ pathParameters: { id: 'order-9' }, ...withBody({ status: 'paid' }) })]
+  ];
+  for (const [entry, event] of unknown) {
+    const res = parse(await handlers[entry](event));
+    assert.equal(res.statusCode, 404, `${entry} ${JSON.stringify(event.pathParameters)}`);
+    assert.equal(res.body.code, 'NOT_FOUND', entry);
+  }
+});
+
+test('a category with no products is an empty page', async () => {
+  const res = parse(await handlers['products/listByCategory']({ pathParameters: { name: 'garden' } }));
+  assert.deepEqual(res, { statusCode: 200, body: { products: [], count: 0, nextCursor: null } });
+
+  const kitchen = parse(await handlers['products/listByCategory']({ pathParameters: { name: 'kitchen' } }));
+  assert.deepEqual(kitchen.body.products.map(product => product.id), ['1']);
+});
+
+test('analytics add up the days in the range', async () => {
+  await put('ANALYTICS_TABLE', { pk: 'DAILY', sk: '2026-01-05', date: '2026-01-05', orderCount: 2, revenue: 30, unitsSold: 4 });
+  await put('ANALYTICS_TABLE', { pk: 'DAILY', sk: '2026-01-06', date: '2026-01-06', orderCount: 1, revenue: 15, unitsSold: 1 });
+  await put('ANALYTICS_TABLE', { pk: 'DAILY', sk: '2026-02-01', date: '2026-02-01', orderCount: 5, revenue: 99, unitsSold: 9 });
+
+  const res = parse(await handlers['admin/getAnalytics'](asAdmin({ queryStringParameters: { from: '2026-01-01', to: '2026-01-31' } })));
+  assert.deepEqual(res.body.totals, { orderCount: 3, revenue: 45, unitsSold: 5, averageOrderValue: 15 });
+  assert.equal(res.body.daily.length, 2);
+
+  const backwards = parse(await handlers['admin/getAnalytics'](asAdmin({ queryStringParameters: { from: '2026-02-01', to: '2026-01-01' } })));
+  assert.equal(backwards.statusCode, 400);
+  const malformed = parse(await handlers['admin/getAnalytics'](asAdmin({ queryStringParameters: { from: 'last week' } })));
+  assert.deepEqual(malformed.body.details.map(detail => detail.field), ['from']);
+});
+
+test('an import job report leaves out its expiry', async () => {
+  await put('IMPORT_JOBS_TABLE', { jobId: 'job-2', status: 'running', format: 'ndjson', expiresAt: 1790000000 });
+  const res = parse(await handlers['admin/getImportJob'](asAdmin({ pathParameters: { jobId: 'job-2' } })));
+  assert.deepEqual(res, { statusCode: 200, body: { jobId: 'job-2', status: 'running', format: 'ndjson' } });
+});
+
+test('the cart requires an id and a quantity', async () => {
+  const post = (body) => handlers['cart/handler'](asAlice({ requestContext: { http: { method: 'POST' } }, ...withBody(body) }));
+  assert.deepEqual(parse(await post({ qty: 1 })).body.details, [{ field: 'id', message: 'id is required' }]);
+  assert.deepEqual(parse(await post({ id: '1' })).body.details, [{ field: 'qty', message: 'qty is required' }]);
+
+  const added = parse(await post({ id: '1', qty: 2 }));
+  assert.deepEqual(added.body.items, [{ id: '1', qty: 3 }]);
+});
+
+// Event-driven handlers
+
+const sqsRecord = (messageId, body) => ({ messageId, body: JSON.stringify(body), messageAttributes: {} });
+const order = { id: 'order-5', userId: 'carol', items: [{ id: '1', qty: 1 }], total: 5 };
+
+test('the worker asks SQS to retry only the orders it failed to store', async () => {
+  const stored = await handlers['orders/worker']({ Records: [sqsRecord('m-1', order)] });
+  assert.deepEqual(stored, { batchItemFailures: [] });
+  assert.equal(ddb.items(process.env.ORDERS_TABLE).length, 3);
+
+  failDynamoDB = true;
+  const failed = await handlers['orders/worker']({ Records: [sqsRecord('m-2', { ...order, id: 'order-6' })] });
+  assert.deepEqual(failed, { batchItemFailures: [{ itemIdentifier: 'm-2' }] });
+  assert.deepEqual(sentMessages, []);
+});
+
+test('the worker sends malformed orders to the dead-letter queue instead of retrying them', async () => {
+  const res = await handlers['orders/worker']({ Records: [sqsRecord('m-1', { id: 'order-5' })] });
+  assert.deepEqual(res, { batchItemFailures: [] });
+  assert.equal(sentMessages[0].QueueUrl, process.env.DLQ_URL);
+  assert.equal(sentMessages[0].MessageAttributes.errorType.StringValue, 'POISON');
+});
+
+const orderInsert = (sequenceNumber, orderId) => ({
+  eventID: `event-${sequenceNumber}`,
+  eventName: 'INSERT',
+  dynamodb: {
+    SequenceNumber: sequenceNumber,
+    NewImage: marshall({ userId: 'bob', orderId, entity: 'order', status: 'processing', total: 5, timestamp: '2026-01-05T10:00:00.000Z', items: '[]' })
+  }
+});
+
+test('the stream processor retries from the first order it could not count', async () => {
+  const ok = await handlers['orders/streamProcessor']({ Records: [orderInsert('100', 'order-2')] });
+  assert.deepEqual(ok, { batchItemFailures: [] });
+
+  failDynamoDB = true;
+  const failed = await handlers['orders/streamProcessor']({ Records: [orderInsert('101', 'order-3'), orderInsert('102', 'order-4')] });
+  assert.deepEqual(failed, { batchItemFailures: [{ itemIdentifier: '101' }] });
+});
+
+const analyticsItem = (pk, sk) => ddb.items(process.env.ANALYTICS_TABLE)
+  .find(item => item.pk.S === pk && item.sk.S === sk);
+
+test('the stream processor counts a record once however often it is delivered', async () => {
+  const record = orderInsert('100', 'order-2');
+  record.dynamodb.NewImage = marshall({
+    ...unmarshall(record.dynamodb.NewImage),
+    items: JSON.stringify([{ id: '1', qty: 2, lineTotal: 10, category: 'kitchen' }])
+  });
+  await handlers['orders/streamProcessor']({ Records: [record] });
+  await handlers['orders/streamProcessor']({ Records: [record] });
+
+  assert.equal(analyticsItem('DAILY', '2026-01-05').orderCount.N, '1');
+  assert.equal(analyticsItem('PRODUCT', '2026-01-05#1').unitsSold.N, '2');
+  assert.equal(analyticsItem('TOTALS', 'orders').orderCount.N, '1');
+});
+
+test('an order with more counters than one transaction holds is counted exactly once across retries', async () => {
+  const items = Array.from({ length: 120 }, (_, i) => ({ id: `p${i}`, qty: 1, lineTotal: 1, category: 'kitchen' }));
+  const record = orderInsert('100', 'order-2');
+  record.dynamodb.NewImage = marshall({ ...unmarshall(record.dynamodb.NewImage), items: JSON.stringify(items) });
+
+  // The second transaction fails the first time, after the first one was applied
+  let transactions = 0;
+  mock.method(DynamoDBClient.prototype, 'send', async (command) => {
+    if (command.constructor.name === 'TransactWriteItemsCommand' && ++transactions === 2) {
+      throw Object.assign(new Error('Rate exceeded'), { name: 'ThrottlingException' });
+    }
+    return ddb.send(command);
+  });
+  const failed = await handlers['orders/streamProcessor']({ Records: [record] });
+  assert.deepEqual(failed, { batchItemFailures: [{ itemIdentifier: '100' }] });
+  await handlers['orders/streamProcessor']({ Records: [record] });
+
+  assert.equal(analyticsItem('DAILY', '2026-01-05').orderCount.N, '1');
+  assert.equal(analyticsItem('DAILY', '2026-01-05').unitsSold.N, '120');
+  for (const { id } of items) assert.equal(analyticsItem('PRODUCT', `2026-01-05#${id}`).unitsSold.N, '1', id);
+  assert.equal(analyticsItem('TOTALS', 'orders').orderCount.N, '1');
+});
+
+test('the product audit consumer fails the batch when the audit table cannot be written', async () => {
+  failDynamoDB = true;
+  const change = {
+    eventName: 'MODIFY',
+    dynamodb: {
+      SequenceNumber: '200',
+      OldImage: marshall({ id: '1', price: 5, version: 1 }),
+      NewImage: marshall({ id: '1', price: 6, version: 2, updatedBy: 'admin-1', updatedAt: '2026-01-06T10:00:00.000Z' })
+    }
+  };
+  await assert.rejects(handlers['products/recordProductAudit']({ Records: [change] }), { name: 'ProvisionedThroughputExceededException' });
+});
+
+test('the image processor fails so S3 retries when an upload cannot be read', async () => {
+  const event = { Records: [{ s3: { bucket: { name: process.env.IMAGES_BUCKET }, object: { key: 'uploads/1/image-1' } } }] };
+  mock.method(S3Client.prototype, 'send', async () => {
+    throw Object.assign(new Error('We encountered an internal error'), { name: 'InternalError' });
+  });
+  await assert.rejects(handlers['products/processImage'](event), { name: 'InternalError' });
+});
+
+test('the import processor fails so S3 retries when the job table is unavailable', async () => {
+  failDynamoDB = true;
+  const event = { Records: [{ s3: { bucket: { name: process.env.IMPORTS_BUCKET }, object: { key: 'imports/job-1.csv', size: 10 } } }] };
+  await assert.rejects(handlers['admin/processProductImport'](event), { name: 'ProvisionedThroughputExceededException' });
+});
+
+test('the authorizer allows anonymous callers only on customer routes', async () => {
+  const request = (routeKey, authorization) => handlers['auth/authorizer']({
+    routeKey,
+    routeArn: 'arn:aws:execute-api:eu-west-1:000000000000:api/$default/GET/x',
+    headers: authorization ? { authorization } : {}
+  });
+  const effect = (policy) => policy.policyDocument.Statement[0].Effect;
+
+  assert.equal(effect(await request('GET /cart')), 'Allow');
+  assert.equal(effect(await request('GET /admin/orders')), 'Deny');
+  assert.equal(effect(await request('GET /admin/orders', 'Bearer not-a-jwt')), 'Deny');
+
+  const admin = await request('GET /admin/orders', `Bearer ${signJwt({ sub: 'admin-1', roles: ['admin'] }, 'test-secret', 60)}`);
+  assert.equal(effect(admin), 'Allow');
+  assert.deepEqual(admin.context, { role: 'admin', roles: 'admin', userId: 'admin-1' });
+});
+
+test('the authorizer refuses an Authorization header that is not a bearer token instead of treating it as anonymous', async () => {
+  const request = (routeKey, authorization) => handlers['auth/authorizer']({
+    routeKey,
+    routeArn: 'arn:aws:execute-api:eu-west-1:000000000000:api/$default/GET/x',
+    headers: { authorization }
+  });
+  const effect = (policy) => policy.policyDocument.Statement[0].Effect;
+  const token = signJwt({ sub: 'alice', roles: ['customer'] }, 'test-secret', 60);
+
+  for (const routeKey of ['GET /orders', 'POST /products/{id}/upload-url', 'GET /cart']) {
+    for (const authorization of ['Basic YWxpY2U6c2VjcmV0', token, 'Bearer']) {
+      const policy = await request(routeKey, authorization);
+      assert.equal(effect(policy), 'Deny', `${routeKey} with "${authorization.slice(0, 12)}"`);
+      assert.deepEqual(policy.context, {});
+    }
+  }
+  assert.equal(effect(await request('GET /orders', `Bearer ${token}`)), 'Allow');
+});
+
+test('the authorizer refuses tokens for the anonymous principal or without a subject', async () => {
+  const request = (claims) => handlers['auth/authorizer']({
+    routeKey: 'GET /orders',
+    routeArn: 'arn:aws:execute-api:eu-west-1:000000000000:api/$default/GET/x',
+    headers: { authorization: `Bearer ${signJwt(claims, 'test-secret', 60)}` }
+  });
+  for (const claims of [{ sub: 'anonymous', roles: ['customer'] }, { roles: ['admin'] }]) {
+    const policy = await request(claims);
+    assert.equal(policy.policyDocument.Statement[0].Effect, 'Deny', JSON.stringify(claims));
+    assert.deepEqual(policy.context, {});
+  }
+});
@@ -0,0 +1,258 @@
+import { test, beforeEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import sharp from 'sharp';
+import { DynamoDBClient } from '@aws-sdk/client-dynamodb';
+import { S3Client } from '@aws-sdk/client-s3';
+import { marshall, unmarshall } from '@aws-sdk/util-dynamodb';
+
+process.env.AWS_REGION = 'eu-west-1';
+process.env.AWS_ACCESS_KEY_ID = 'test';
+process.env.AWS_SECRET_ACCESS_KEY = 'test';
+process.env.PRODUCTS_TABLE = 'products';
+process.env.IMAGES_BUCKET = 'images-bucket';
+
+const { handler: generateUploadUrl } = await import('../products/generateUploadUrl.js');
+const { handler: processImage } = await import('../products/processImage.js');
+const { handler: updateProduct } = await import('../admin/updateProduct.js');
+const { handler: getProductById } = await import('../products/getProductById.js');
+const { handler: getProducts } = await import('../products/getProducts.js');
+const { imageKeyFromUrl } = await import('../lib/productImages.js');
+
+let products;
+let files;
+let logs;
+
+beforeEach(() => {
+  products = new Map([['p1', { id: 'p1', name: 'Mug', price: 5, category: 'kitchen', stock: 3 }]]);
+  files = new Map();
+  logs = [];
+  for (const method of ['log', 'warn', 'error']) {
+    mock.method(console, method, (line) => logs.push(JSON.parse(line)));
+  }
+
+  mock.method(DynamoDBClient.prototype, 'send', async (command) => {
+    const input = command.input;
+    switch (command.constructor.name) {
+      case 'GetItemCommand': {
+        const product = products.get(input.Key.id.S);
+        return { Item: product && marshall(product) };
+      }
+      case 'ScanCommand':
+        return { Items: [...products.values()].map(product => marshall(product)) };
+      case 'BatchGetItemCommand': {
+        const found = input.RequestItems.products.Keys.map(key => products.get(key.id.S)).filter(Boolean);
+        return { Responses: { products: found.map(product => marshall(product)) } };
+      }
+      case 'UpdateItemCommand': {
+        const product = products.get(input.Key.id.S);
+        if (!product) throw Object.assign(new Error('conditional'), { name: 'ConditionalCheckFailedException' });
+        const previous = structuredClone(product);
+        const values = input.ExpressionAttributeValues ? unmarshall(input.ExpressionAttributeValues) : {};
+        for (const [name, field] of Object.entries(input.ExpressionAttributeNames)) {
+          const value = values[name.replace('#f', ':v')];
+          if (value === undefined) delete product[field];
+          else product[field] = value;
+        }
+        return { Attributes: marshall(previous) };
+      }
+      default:
+        return {};
+    }
+  });
+
+  mock.method(S3Client.prototype, 'send', async (command) => {
+    const input = command.input;
+    switch (command.constructor.name) {
+      case 'GetObjectCommand': {
+        const data = files.get(input.Key);
+        if (!data) throw Object.assign(new Error('missing'), { name: 'NoSuchKey' });
+        return { ContentLength: data.length, Body: { transformToByteArray: async () => new Uint8Array(data) } };
+      }
+      case 'PutObjectCommand':
+        files.set(input.Key, input.Body);
+        return {};
+      case 'DeleteObjectCommand':
+        files.delete(input.Key);
+        return {};
+      case 'DeleteObjectsCommand':
+        input.Delete.Objects.forEach(({ Key }) => files.delete(Key));
+        return {};
+      default:
+        return {};
+    }
+  });
+});
+
+const admin = { authorizer: { lambda: { userId: 'root', roles: 'admin' } } };
+
+const uploadUrl = (id, body, requestContext = admin) => generateUploadUrl({
+  routeKey: 'POST /products/{id}/upload-url',
+  pathParameters: { id },
+  requestContext,
+  body: body && JSON.stringify(body)
+});
+
+const s3Event = (key) => ({
+  Records: [{ s3: { bucket: { name: 'images-bucket' }, object: { key: encodeURIComponent(key), size: files.get(key)?.length } } }]
+});
+
+// A landscape camera-style JPEG with orientation and GPS data in its EXIF block
+const photo = () => sharp({ create: { width: 1600, height: 1000, channels: 3, background: '#336699' } })
+  .jpeg()
+  .withExif({ IFD0: { Make: 'TestCam', Model: 'One' }, IFD3: { GPSLatitudeRef: 'N', GPSLatitude: '51/1 30/1 0/1' } })
+  .toBuffer();
+
+test('upload URLs are presigned POSTs limited to the chosen image type and the size cap', async () => {
+  const res = await uploadUrl('p1', { contentType: 'image/png' });
+  assert.equal(res.statusCode, 200);
+  const body = JSON.parse(res.body);
+
+  assert.match(body.key, /^uploads\/p1\/[0-9a-f-]{36}$/);
+  assert.equal(body.fields.key, body.key);
+  assert.equal(body.fields['Content-Type'], 'image/png');
+  const policy = JSON.parse(Buffer.from(body.fields.Policy, 'base64').toString('utf8'));
+  assert.deepEqual(policy.conditions.find(c => c[0] === 'content-length-range'), ['content-length-range', 1, body.maxBytes]);
+  assert.deepEqual(policy.conditions.find(c => c[0] === 'eq'), ['eq', '$Content-Type', 'image/png']);
+});
+
+test('upload URLs default to JPEG and reject other content types', async () => {
+  const res = await uploadUrl('p1');
+  assert.equal(JSON.parse(res.body).fields['Content-Type'], 'image/jpeg');
+
+  const rejected = await uploadUrl('p1', { contentType: 'image/svg+xml' });
+  assert.equal(rejected.statusCode, 400);
+  assert.equal(JSON.parse(rejected.body).code, 'VALIDATION_FAILED');
+});
+
+test('upload URLs are only issued to admins, for products that exist', async () => {
+  const customer = await uploadUrl('p1', {}, { authorizer: { lambda: { userId: 'alice', roles: 'customer' } } });
+  assert.equal(customer.statusCode, 403);
+
+  const missing = await uploadUrl('nope', {});
+  assert.equal(missing.statusCode, 404);
+});
+
+test('a valid upload becomes thumbnail, medium and large WebP variants without EXIF', async () => {
+  files.set('uploads/p1/img-1', await photo());
+  await processImage(s3Event('uploads/p1/img-1'));
+
+  const { images, imageKey } = products.get('p1');
+  assert.deepEqual(Object.keys(images), ['thumbnail', 'medium', 'large']);
+  assert.equal(imageKey, 'products/p1/img-1/medium.webp');
+  assert.equal(images.thumbnail.key, 'products/p1/img-1/thumbnail.webp');
+  assert.deepEqual([images.thumbnail.width, images.medium.width, images.large.width], [200, 600, 1200]);
+
+  for (const variant of ['thumbnail', 'medium', 'large']) {
+    const metadata = await sharp(files.get(`products/p1/img-1/${variant}.webp`)).metadata();
+    assert.equal(metadata.format, 'webp');
+    assert.equal(metadata.exif, undefined);
+  }
+  assert.equal(files.has('uploads/p1/img-1'), false, 'the original upload is removed');
+});
+
+test('a new upload deletes the variants of the image it replaces', async () => {
+  files.set('uploads/p1/img-1', await photo());
+  await processImage(s3Event('uploads/p1/img-1'));
+  files.set('uploads/p1/img-2', await photo());
+  await processImage(s3Event('uploads/p1/img-2'));
+
+  assert.equal(products.get('p1').imageKey, 'products/p1/img-2/medium.webp');
+  assert.deepEqual([...files.keys()].sort(), [
+    'products/p1/img-2/large.webp',
+    'products/p1/img-2/medium.webp',
+    'products/p1/img-2/thumbnail.webp'
+  ]);
+
+  // A retry of the same upload keeps the variants it saved the first time
+  files.set('uploads/p1/img-2', await photo());
+  await processImage(s3Event('uploads/p1/img-2'));
+  assert.equal(files.size, 3);
+});
+
+test('small images are not enlarged', async () => {
+  files.set('uploads/p1/img-2', await sharp({ create: { width: 300, height: 150, channels: 3, background: '#fff' } }).png().toBuffer());
+  await processImage(s3Event('uploads/p1/img-2'));
+
+  const { images } = products.get('p1');
+  assert.deepEqual([images.thumbnail.width, images.medium.width, images.large.width], [200, 300, 300]);
+});
+
+test('files that are not images are rejected and deleted', async () => {
+  files.set('uploads/p1/img-3', Buffer.from('<svg xmlns="http://www.w3.org/2000/svg"><script/></svg>'));
+  await processImage(s3Event('uploads/p1/img-3'));
+
+  assert.equal(products.get('p1').images, undefined);
+  assert.deepEqual([...files.keys()], []);
+  const rejection = logs.find(line => line.message === 'Rejected image upload');
+  assert.equal(rejection.level, 'warn');
+  assert.equal(rejection.productId, 'p1');
+});
+
+test('variants are discarded when the product was deleted in the meantime', async () => {
+  files.set('uploads/gone/img-4', await photo());
+  await processImage(s3Event('uploads/gone/img-4'));
+  assert.deepEqual([...files.keys()], []);
+});
+
+test('a repeated S3 event for an upload that was already processed is skipped', async () => {
+  await processImage(s3Event('uploads/p1/img-5'));
+  assert.equal(logs.at(-1).message, 'Upload already processed');
+});
+
+test('PATCH /admin/products/{id} shares the update path and still 404s for unknown products', async () => {
+  const res = await updateProduct({ requestContext: admin, pathParameters: { id: 'p1' }, body: JSON.stringify({ price: 6.5 }) });
+  assert.equal(res.statusCode, 200);
+  assert.equal(products.get('p1').price, 6.5);
+
+  const missing = await updateProduct({ requestContext: admin, pathParameters: { id: 'nope' }, body: JSON.stringify({ price: 1 }) });
+  assert.equal(missing.statusCode, 404);
+
+  const empty = await updateProduct({ requestContext: admin, pathParameters: { id: 'p1' }, body: '{}' });
+  assert.equal(empty.statusCode, 400);
+});
+
+test('product reads turn stored image keys into short-lived signed URLs', async () => {
+  Object.assign(products.get('p1'), {
+    imageKey: 'products/p1/img-1/medium.webp',
+    images: { thumbnail: { key: 'products/p1/img-1/thumbnail.webp', width: 200, height: 125 } }
+  });
+
+  const res = await getProductById({ pathParameters: { id: 'p1' } });
+  const product = JSON.parse(res.body);
+  const url = new URL(product.imageUrl);
+  assert.equal(url.hostname, 'images-bucket.s3.eu-west-1.amazonaws.com');
+  assert.equal(url.pathname, '/products/p1/img-1/medium.webp');
+  assert.equal(url.searchParams.get('X-Amz-Expires'), '3600');
+  assert.ok(url.searchParams.get('X-Amz-Signature'));
+  assert.equal(product.imageKey, undefined);
+  assert.deepEqual(Object.keys(product.images.thumbnail), ['url', 'width', 'height']);
+
+  // Reads within the same signing window get the same URL, so it can be cached
+  const again = JSON.parse((await getProductById({ pathParameters: { id: 'p1' } })).body);
+  assert.equal(again.imageUrl, product.imageUrl);
+});
+
+test('external image URLs are returned unchanged', async () => {
+  products.get('p1').imageUrl = 'https://placehold.co/400x400.png';
+  const res = await getProducts({ routeKey: 'GET /products' });
+  assert.equal(JSON.parse(res.body).products[0].imageUrl, 'https://placehold.co/400x400.png');
+});
+
+test('setting imageUrl explicitly replaces an uploaded image', async () => {
+  Object.assign(products.get('p1'), { imageKey: 'products/p1/img-1/medium.webp', images: {} });
+  await updateProduct({ requestContext: admin, pathParameters: { id: 'p1' }, body: JSON.stringify({ imageUrl: 'https://placehold.co/1.png' }) });
+  const product = products.get('p1');
+  assert.equal(product.imageUrl, 'https://placehold.co/1.png');
+  assert.equal(product.imageKey, undefined);
+  assert.equal(product.images, undefined);
+});
+
+test('public URLs of the images bucket map back to their object keys', () => {
+  const bucket = 'images-bucket';
+  assert.equal(imageKeyFromUrl(bucket, 'https://images-bucket.s3.amazonaws.com/products/1/123.jpg'), 'products/1/123.jpg');
+  assert.equal(imageKeyFromUrl(bucket, 'https://images-bucket.s3.eu-west-1.amazonaws.com/products/1/a%20b.jpg'), 'products/1/a b.jpg');
+  assert.equal(imageKeyFromUrl(bucket, 'https://s3.eu-west-1.amazonaws.com/images-bucket/products/1/123.jpg'), 'products/1/123.jpg');
+  assert.equal(imageKeyFromUrl(bucket, 'https://other-bucket.s3.amazonaws.com/products/1/123.jpg'), null);
+  assert.equal(imageKeyFromUrl(bucket, 'https://placehold.co/400x400.png'), null);
+  assert.equal(imageKeyFromUrl(bucket, 'not a url'), null);
+});
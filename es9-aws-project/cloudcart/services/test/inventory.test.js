@@ -0,0 +1,205 @@
+import { test, beforeEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { DynamoDBClient, PutItemCommand, TransactionCanceledException } from '@aws-sdk/client-dynamodb';
+import { SQSClient } from '@aws-sdk/client-sqs';
+import { marshall, unmarshall } from '@aws-sdk/util-dynamodb';
+import { TABLES } from '../local/tables.js';
+import { createMemoryDynamoDB } from '../local/memoryDynamoDB.js';
+
+process.env.AWS_REGION = 'eu-west-1';
+process.env.AWS_ACCESS_KEY_ID = 'test';
+process.env.AWS_SECRET_ACCESS_KEY = 'test';
+for (const table of TABLES) process.env[table.env] = table.tableName;
+process.env.CHECKOUT_QUEUE_URL = 'https://sqs.eu-west-1.amazonaws.com/000000000000/checkout';
+process.env.CART_TOKEN_SECRET = 'cart-secret';
+process.env.DLQ_URL = 'https://sqs.eu-west-1.amazonaws.com/000000000000/checkout-dlq';
+process.env.MAX_RECEIVE_COUNT = '3';
+
+const { reserveStock } = await import('../lib/inventory.js');
+const { handler: checkout } = await import('../orders/checkout.js');
+const { handler: adjustStock } = await import('../admin/adjustStock.js');
+const { handler: worker } = await import('../orders/worker.js');
+const { handler: updateOrderStatus } = await import('../admin/updateOrderStatus.js');
+
+let ddb;
+let sentMessages;
+
+const put = (table, item) => ddb.send(new PutItemCommand({ TableName: process.env[table], Item: marshall(item) }));
+const product = (id) => unmarshall(ddb.items(process.env.PRODUCTS_TABLE).find(item => item.id.S === id));
+
+beforeEach(async () => {
+  ddb = createMemoryDynamoDB(TABLES);
+  sentMessages = [];
+  mock.method(DynamoDBClient.prototype, 'send', (command) => ddb.send(command));
+  mock.method(SQSClient.prototype, 'send', async (command) => {
+    sentMessages.push(command.input);
+    return { MessageId: `message-${sentMessages.length}` };
+  });
+  mock.method(console, 'log', () => {});
+  mock.method(console, 'error', () => {});
+
+  await put('PRODUCTS_TABLE', { id: '1', name: 'Mug', price: 5, category: 'kitchen', stock: 1, version: 1 });
+  await put('PRODUCTS_TABLE', { id: '2', name: 'Plate', price: 4, category: 'kitchen', stock: 10, version: 1 });
+  await put('PRODUCTS_TABLE', { id: '3', name: 'Kettle', price: 30, category: 'kitchen', stock: 5, version: 2, deletedAt: '2026-01-05T10:00:00.000Z' });
+});
+
+const as = (userId, extra = {}) => ({
+  headers: {},
+  ...extra,
+  requestContext: { requestId: 'req-1', authorizer: { lambda: { userId, roles: 'admin', role: 'admin' } } }
+});
+const parse = (res) => ({ statusCode: res.statusCode, body: JSON.parse(res.body) });
+
+test('two reservations for the last unit: one gets it, the other is told which line is short', async () => {
+  const results = await Promise.all([reserveStock([{ id: '1', qty: 1 }]), reserveStock([{ id: '1', qty: 1 }])]);
+
+  assert.deepEqual(results.map(result => result.reserved).sort(), [false, true]);
+  assert.deepEqual(results.find(result => !result.reserved).failedIds, ['1']);
+  assert.equal(product('1').stock, 0);
+});
+
+test('a reservation takes stock for every line or for none', async () => {
+  const result = await reserveStock([{ id: '2', qty: 3 }, { id: '1', qty: 2 }]);
+
+  assert.deepEqual(result, { reserved: false, failedIds: ['1'] });
+  assert.equal(product('1').stock, 1);
+  assert.equal(product('2').stock, 10);
+});
+
+test('a transaction cancelled for another reason than stock is an error, not "out of stock"', async () => {
+  mock.method(DynamoDBClient.prototype, 'send', async () => {
+    throw new TransactionCanceledException({
+      message: 'Transaction cancelled [TransactionConflict]',
+      $metadata: {},
+      CancellationReasons: [{ Code: 'TransactionConflict' }]
+    });
+  });
+  await assert.rejects(reserveStock([{ id: '1', qty: 1 }]), { name: 'TransactionCanceledException' });
+});
+
+test('two customers checking out the last unit: one order is accepted, the other is out of stock', async () => {
+  await put('CARTS_TABLE', { cartId: 'user#alice', items: [{ id: '1', qty: 1 }] });
+  await put('CARTS_TABLE', { cartId: 'user#bob', items: [{ id: '1', qty: 1 }] });
+
+  const results = (await Promise.all([checkout(as('alice')), checkout(as('bob'))])).map(parse);
+
+  assert.deepEqual(results.map(result => result.statusCode).sort(), [202, 409]);
+  const rejected = results.find(result => result.statusCode === 409);
+  assert.equal(rejected.body.code, 'OUT_OF_STOCK');
+  assert.deepEqual(rejected.body.details.lines.map(line => line.id), ['1']);
+  assert.equal(sentMessages.length, 1);
+  assert.equal(product('1').stock, 0);
+});
+
+test('stock adjustments are versioned, audited and honour If-Match like any other product change', async () => {
+  const adjust = (id, delta, headers = {}) => adjustStock(as('admin-1', {
+    headers,
+    pathParameters: { id },
+    body: JSON.stringify({ delta })
+  })).then(parse);
+
+  const added = await adjust('2', 5, { 'if-match': '"1"' });
+  assert.equal(added.statusCode, 200);
+  assert.deepEqual([added.body.stock, added.body.version], [15, 2]);
+  assert.deepEqual([product('2').stock, product('2').version, product('2').updatedBy], [15, 2, 'admin-1']);
+
+  const stale = await adjust('2', 1, { 'if-match': '"1"' });
+  assert.equal(stale.statusCode, 412);
+  assert.equal(stale.body.details.version, 2);
+
+  const short = await adjust('1', -2);
+  assert.equal(short.statusCode, 409);
+  assert.equal(short.body.code, 'INSUFFICIENT_STOCK');
+  assert.deepEqual(short.body.details, { stock: 1 });
+
+  const deleted = await adjust('3', 1);
+  assert.equal(deleted.statusCode, 404);
+  assert.equal(product('3').stock, 5);
+});
+
+// A checkout message on its `receiveCount`th delivery; checkout reserved 2 plates for it
+const delivery = (receiveCount) => ({
+  messageId: 'm-1',
+  body: JSON.stringify({ id: 'order-9', userId: 'carol', items: [{ id: '2', qty: 2 }], total: 8 }),
+  attributes: { ApproximateReceiveCount: String(receiveCount) },
+  messageAttributes: {}
+});
+
+test('an order still failing on its last delivery is dead-lettered with its stock released', async () => {
+  await put('PRODUCTS_TABLE', { id: '2', name: 'Plate', price: 4, category: 'kitchen', stock: 8, version: 1 });
+  mock.method(DynamoDBClient.prototype, 'send', async (command) => {
+    if (command.constructor.name === 'PutItemCommand') throw Object.assign(new Error('Rate exceeded'), { name: 'ThrottlingException' });
+    return ddb.send(command);
+  });
+
+  // Earlier deliveries are left for SQS to retry, stock still held
+  assert.deepEqual(await worker({ Records: [delivery(2)] }), { batchItemFailures: [{ itemIdentifier: 'm-1' }] });
+  assert.equal(sentMessages.length, 0);
+  assert.equal(product('2').stock, 8);
+
+  assert.deepEqual(await worker({ Records: [delivery(3)] }), { batchItemFailures: [] });
+  assert.equal(sentMessages[0].QueueUrl, process.env.DLQ_URL);
+  assert.equal(sentMessages[0].MessageAttributes.errorType.StringValue, 'RETRIES_EXHAUSTED');
+  assert.equal(product('2').stock, 10);
+});
+
+test('refunding an order before it ships gives its stock back; refunding a shipped one does not', async () => {
+  const placed = (orderId, status) => put('ORDERS_TABLE', {
+    userId: 'carol',
+    orderId,
+    entity: 'order',
+    timestamp: '2026-01-05T10:00:00.000Z',
+    status,
+    total: 8,
+    items: JSON.stringify([{ id: '2', qty: 2 }])
+  });
+  const refund = (id) => updateOrderStatus(as('admin-1', { pathParameters: { id }, body: JSON.stringify({ status: 'refunded' }) }));
+
+  await placed('order-paid', 'paid');
+  await placed('order-shipped', 'shipped');
+
+  assert.equal((await refund('order-paid')).statusCode, 200);
+  assert.equal(product('2').stock, 12);
+  assert.equal((await refund('order-shipped')).statusCode, 200);
+  assert.equal(product('2').stock, 12);
+});
+
+test('a refund whose stock cannot be returned leaves the order as it was, so a retry returns it once', async () => {
+  await put('ORDERS_TABLE', {
+    userId: 'carol',
+    orderId: 'order-paid',
+    entity: 'order',
+    timestamp: '2026-01-05T10:00:00.000Z',
+    status: 'paid',
+    total: 8,
+    items: JSON.stringify([{ id: '2', qty: 2 }])
+  });
+  const refund = () => updateOrderStatus(as('admin-1', { pathParameters: { id: 'order-paid' }, body: JSON.stringify({ status: 'refunded' }) }));
+  const order = () => unmarshall(ddb.items(process.env.ORDERS_TABLE)[0]);
+
+  let failNext = true;
+  mock.method(DynamoDBClient.prototype, 'send', async (command) => {
+    if (command.constructor.name === 'TransactWriteItemsCommand' && failNext) {
+      failNext = false;
+      throw new TransactionCanceledException({
+        message: 'Transaction cancelled [None, TransactionConflict]',
+        $metadata: {},
+        CancellationReasons: [{ Code: 'None' }, { Code: 'TransactionConflict' }]
+      });
+    }
+    return ddb.send(command);
+  });
+
+  assert.equal((await refund()).statusCode, 500);
+  assert.equal(order().status, 'paid');
+  assert.equal(product('2').stock, 10);
+
+  const retried = parse(await refund());
+  assert.equal(retried.statusCode, 200);
+  assert.equal(retried.body.order.status, 'refunded');
+  assert.equal(order().status, 'refunded');
+  assert.equal(product('2').stock, 12);
+
+  assert.equal((await refund()).statusCode, 409);
+  assert.equal(product('2').stock, 12);
+});
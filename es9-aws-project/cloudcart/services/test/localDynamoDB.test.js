@@ -0,0 +1,124 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  PutItemCommand, GetItemCommand, UpdateItemCommand, QueryCommand, TransactWriteItemsCommand
+} from '@aws-sdk/client-dynamodb';
+import { marshall, unmarshall } from '@aws-sdk/util-dynamodb';
+import { TABLES } from '../local/tables.js';
+import { createMemoryDynamoDB } from '../local/memoryDynamoDB.js';
+
+const PRODUCTS = 'cloudcart-local-products';
+
+const setup = () => {
+  const changes = [];
+  const ddb = createMemoryDynamoDB(TABLES, { onChange: (table, record) => changes.push({ table: table.env, record }) });
+  return { ddb, changes };
+};
+
+const putProduct = (ddb, product) => ddb.send(new PutItemCommand({ TableName: PRODUCTS, Item: marshall(product) }));
+
+test('a failed condition rejects the write and returns the current item when asked', async () => {
+  const { ddb } = setup();
+  await putProduct(ddb, { id: '1', stock: 1 });
+
+  await assert.rejects(
+    ddb.send(new UpdateItemCommand({
+      TableName: PRODUCTS,
+      Key: marshall({ id: '1' }),
+      UpdateExpression: 'SET stock = stock - :qty',
+      ConditionExpression: 'stock >= :qty',
+      ExpressionAttributeValues: marshall({ ':qty': 2 }),
+      ReturnValuesOnConditionCheckFailure: 'ALL_OLD'
+    })),
+    (error) => error.name === 'ConditionalCheckFailedException' && unmarshall(error.Item).stock === 1
+  );
+});
+
+test('updates apply arithmetic, if_not_exists and REMOVE and return the new item', async () => {
+  const { ddb } = setup();
+  await putProduct(ddb, { id: '1', stock: 5, deletedAt: 'yesterday' });
+
+  const { Attributes } = await ddb.send(new UpdateItemCommand({
+    TableName: PRODUCTS,
+    Key: marshall({ id: '1' }),
+    UpdateExpression: 'SET stock = stock + :n, version = if_not_exists(version, :zero) + :one REMOVE deletedAt',
+    ExpressionAttributeValues: marshall({ ':n': 0.1, ':zero': 0, ':one': 1 }),
+    ReturnValues: 'ALL_NEW'
+  }));
+  assert.deepEqual(unmarshall(Attributes), { id: '1', stock: 5.1, version: 1 });
+});
+
+test('queries read an index in sort order, a page at a time', async () => {
+  const { ddb } = setup();
+  for (const id of ['a', 'b', 'c']) await putProduct(ddb, { id, category: 'books' });
+  await putProduct(ddb, { id: 'd', category: 'games' });
+
+  const query = (ExclusiveStartKey) => ddb.send(new QueryCommand({
+    TableName: PRODUCTS,
+    IndexName: 'gsi_category',
+    KeyConditionExpression: 'category = :c',
+    ExpressionAttributeValues: marshall({ ':c': 'books' }),
+    Limit: 2,
+    ExclusiveStartKey
+  }));
+  const first = await query();
+  const second = await query(first.LastEvaluatedKey);
+
+  assert.deepEqual(first.Items.map(item => item.id.S), ['a', 'b']);
+  assert.deepEqual(second.Items.map(item => item.id.S), ['c']);
+  assert.equal(second.LastEvaluatedKey, undefined);
+});
+
+test('a cancelled transaction writes nothing and reports which condition failed', async () => {
+  const { ddb, changes } = setup();
+  await putProduct(ddb, { id: '1', stock: 0 });
+  changes.length = 0;
+
+  await assert.rejects(
+    ddb.send(new TransactWriteItemsCommand({
+      TransactItems: [
+        { Put: { TableName: PRODUCTS, Item: marshall({ id: '2', stock: 3 }) } },
+        {
+          Update: {
+            TableName: PRODUCTS,
+            Key: marshall({ id: '1' }),
+            UpdateExpression: 'SET stock = stock - :one',
+            ConditionExpression: 'stock >= :one',
+            ExpressionAttributeValues: marshall({ ':one': 1 })
+          }
+        }
+      ]
+    })),
+    (error) => error.name === 'TransactionCanceledException' &&
+      error.CancellationReasons.map(reason => reason.Code).join() === 'None,ConditionalCheckFailed'
+  );
+  const { Item } = await ddb.send(new GetItemCommand({ TableName: PRODUCTS, Key: marshall({ id: '2' }) }));
+  assert.equal(Item, undefined);
+  assert.equal(changes.length, 0);
+});
+
+test('writes to tables with a stream produce stream records', async () => {
+  const { ddb, changes } = setup();
+  await putProduct(ddb, { id: '1', stock: 1 });
+  await putProduct(ddb, { id: '1', stock: 1 });
+  await putProduct(ddb, { id: '1', stock: 2 });
+
+  // Rewriting an identical item is not a change
+  assert.deepEqual(changes.map(change => change.record.eventName), ['INSERT', 'MODIFY']);
+  const { dynamodb } = changes[1].record;
+  assert.equal(unmarshall(dynamodb.OldImage).stock, 1);
+  assert.equal(unmarshall(dynamodb.NewImage).stock, 2);
+  assert.ok(dynamodb.SequenceNumber > changes[0].record.dynamodb.SequenceNumber);
+});
+
+test('writes are checked against the key schema', async () => {
+  const { ddb } = setup();
+  await assert.rejects(
+    ddb.send(new PutItemCommand({ TableName: PRODUCTS, Item: marshall({ name: 'no id' }) })),
+    { name: 'ValidationException' }
+  );
+  await assert.rejects(
+    ddb.send(new GetItemCommand({ TableName: 'cloudcart-local-missing', Key: marshall({ id: '1' }) })),
+    { name: 'ResourceNotFoundException' }
+  );
+});
@@ -0,0 +1,61 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.LOG_LEVEL = 'error';
+
+const { startLocal, LOCAL_JWT_SECRET } = await import('../local/runner.js');
+const { signJwt } = await import('../lib/jwt.js');
+
+const local = await startLocal({ port: 0 });
+after(() => local.close());
+
+const token = (sub, roles) => `Bearer ${signJwt({ sub, roles }, LOCAL_JWT_SECRET, 600)}`;
+
+const call = async (method, path, { body, headers = {} } = {}) => {
+  const response = await fetch(`${local.url}${path}`, {
+    method,
+    headers: { 'content-type': 'application/json', ...headers },
+    body: body && JSON.stringify(body)
+  });
+  const text = await response.text();
+  return { status: response.status, headers: response.headers, body: text ? JSON.parse(text) : undefined };
+};
+
+test('serves the seeded catalogue on the public routes', async () => {
+  const { status, body } = await call('GET', '/products/2');
+  assert.equal(status, 200);
+  assert.equal(body.name, 'Coffee Beans');
+  assert.equal((await call('GET', '/nowhere')).status, 404);
+});
+
+test('guards admin routes with the authorizer', async () => {
+  const product = { id: 'local-1', name: 'Desk Lamp', price: 30, category: 'home', stock: 4 };
+  assert.equal((await call('POST', '/admin/products', { body: product })).status, 401);
+  assert.equal((await call('POST', '/admin/products', { body: product, headers: { authorization: token('alice', ['customer']) } })).status, 403);
+  assert.equal((await call('POST', '/admin/products', { body: product, headers: { authorization: token('admin', ['admin']) } })).status, 201);
+});
+
+test('a checkout is processed by the worker through the queue', async () => {
+  const headers = { authorization: token('bob', ['customer']) };
+  assert.equal((await call('POST', '/cart', { body: { id: '1', qty: 1 }, headers })).status, 200);
+  const checkout = await call('POST', '/checkout', { body: {}, headers });
+  assert.equal(checkout.status, 202);
+
+  await local.idle();
+  const { status, body } = await call('GET', `/orders/${checkout.body.id}`, { headers });
+  assert.equal(status, 200);
+  assert.equal(body.status, 'processing');
+  assert.deepEqual(local.deadLetters(), []);
+});
+
+test('product writes reach the search index through the table stream', async () => {
+  const headers = { authorization: token('admin', ['admin']) };
+  await call('POST', '/admin/products', {
+    body: { id: 'local-2', name: 'Walnut Bookshelf', price: 120, category: 'home', stock: 2 },
+    headers
+  });
+
+  await local.idle();
+  const { body } = await call('GET', '/products/search?q=walnut');
+  assert.deepEqual(body.products.map(product => product.id), ['local-2']);
+});
@@ -0,0 +1,113 @@
+import { test, beforeEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { DynamoDBClient } from '@aws-sdk/client-dynamodb';
+import { SQSClient } from '@aws-sdk/client-sqs';
+import { marshall } from '@aws-sdk/util-dynamodb';
+
+process.env.PRODUCTS_TABLE = 'products';
+process.env.CARTS_TABLE = 'carts';
+process.env.CART_TOKEN_SECRET = 'cart-secret';
+process.env.CURSOR_SECRET = 'cursor-secret';
+
+const { createMetrics, putMetrics } = await import('../lib/metrics.js');
+const { handler: cart } = await import('../cart/handler.js');
+const { handler: getProducts } = await import('../products/getProducts.js');
+const { handler: checkout } = await import('../orders/checkout.js');
+
+let emf;
+let ddbSend;
+
+beforeEach(() => {
+  emf = [];
+  ddbSend = async () => ({});
+  mock.method(console, 'log', (line) => {
+    const entry = JSON.parse(line);
+    if (entry._aws) emf.push(entry);
+  });
+  mock.method(DynamoDBClient.prototype, 'send', (command) => ddbSend(command));
+});
+
+const metricNames = (line) => line._aws.CloudWatchMetrics[0].Metrics.map(m => m.Name);
+
+test('a batch is written as one EMF line with every dimension on its own and none', () => {
+  const metrics = createMetrics({ Route: 'POST /cart', Role: 'customer' }, { correlationId: 'c-1' });
+  metrics.add('CartItemAdded', 1);
+  metrics.add('Latency', 12, 'Milliseconds');
+  metrics.add('Latency', 30, 'Milliseconds');
+  metrics.flush();
+
+  assert.equal(emf.length, 1);
+  const [line] = emf;
+  assert.deepEqual(line._aws.CloudWatchMetrics, [{
+    Namespace: 'CloudCart',
+    Dimensions: [[], ['Route'], ['Role']],
+    Metrics: [{ Name: 'CartItemAdded', Unit: 'Count' }, { Name: 'Latency', Unit: 'Milliseconds' }]
+  }]);
+  assert.equal(typeof line._aws.Timestamp, 'number');
+  assert.equal(line.Route, 'POST /cart');
+  assert.equal(line.Role, 'customer');
+  assert.equal(line.correlationId, 'c-1');
+  assert.equal(line.CartItemAdded, 1);
+  assert.deepEqual(line.Latency, [12, 30]);
+
+  metrics.flush();
+  assert.equal(emf.length, 1, 'an empty batch writes nothing');
+});
+
+test('undefined dimensions are left out', () => {
+  putMetrics([['ProductListViewed', 1]], { Route: 'GET /categories/{name}', Category: undefined });
+  assert.deepEqual(emf[0]._aws.CloudWatchMetrics[0].Dimensions, [[], ['Route']]);
+  assert.equal('Category' in emf[0], false);
+});
+
+test('cart changes are counted by route and role', async () => {
+  ddbSend = async () => ({});
+  await cart({
+    routeKey: 'POST /cart',
+    requestContext: { http: { method: 'POST' }, authorizer: { lambda: { userId: 'alice', roles: 'customer' } } },
+    body: JSON.stringify({ id: '1', qty: 1 })
+  });
+  assert.deepEqual(metricNames(emf[0]), ['CartItemAdded']);
+  assert.equal(emf[0].Route, 'POST /cart');
+  assert.equal(emf[0].Role, 'customer');
+});
+
+test('product listings are counted for anonymous callers too', async () => {
+  ddbSend = async () => ({ Items: [] });
+  await getProducts({ routeKey: 'GET /products' });
+  assert.deepEqual(metricNames(emf[0]), ['ProductListViewed']);
+  assert.equal(emf[0].Role, 'anonymous');
+});
+
+test('checkout records the order once and the units sold per category', async () => {
+  mock.method(SQSClient.prototype, 'send', async () => ({}));
+  ddbSend = async (command) => {
+    switch (command.constructor.name) {
+      case 'GetItemCommand':
+        return { Item: marshall({ cartId: 'user#alice', items: [{ id: '1', qty: 2 }, { id: '2', qty: 1 }] }) };
+      case 'BatchGetItemCommand':
+        return {
+          Responses: {
+            products: [
+              marshall({ id: '1', name: 'Mug', price: 5, category: 'kitchen', stock: 9 }),
+              marshall({ id: '2', name: 'Cable', price: 3, category: 'electronics', stock: 9 })
+            ]
+          }
+        };
+      default:
+        return {};
+    }
+  };
+
+  const res = await checkout({ requestContext: { authorizer: { lambda: { userId: 'alice', roles: 'customer' } } } });
+  assert.equal(res.statusCode, 202);
+
+  const [order, ...categories] = emf;
+  assert.deepEqual(metricNames(order), ['OrderPlaced', 'OrderTotal', 'CheckoutLatency']);
+  assert.equal(order.OrderTotal, 13);
+  assert.equal(order.Role, 'customer');
+  assert.deepEqual(
+    categories.map(line => [line.Category, line.ItemsOrdered]),
+    [['kitchen', 2], ['electronics', 1]]
+  );
+});
@@ -0,0 +1,131 @@
+import { test, beforeEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { DynamoDBClient } from '@aws-sdk/client-dynamodb';
+import { marshall, unmarshall } from '@aws-sdk/util-dynamodb';
+
+process.env.ORDERS_TABLE = 'orders';
+process.env.PRODUCTS_TABLE = 'products';
+process.env.JWT_SECRET = 'test-secret';
+process.env.CURSOR_SECRET = 'cursor-secret';
+
+const { handler: getOrders } = await import('../orders/getOrders.js');
+const { handler: getOrderById } = await import('../orders/getOrderById.js');
+const { handler: cancelOrder } = await import('../orders/cancelOrder.js');
+const { handler: listOrders } = await import('../admin/listOrders.js');
+const { handler: authorizer } = await import('../auth/authorizer.js');
+const { signJwt } = await import('../lib/jwt.js');
+
+// In-memory orders table: enough of GetItem / Query / TransactWriteItems to exercise key scoping
+let orders;
+const key = (userId, orderId) => `${userId}|${orderId}`;
+
+beforeEach(() => {
+  orders = new Map([
+    [key('alice', 'order-a'), { userId: 'alice', orderId: 'order-a', entity: 'order', status: 'processing', total: 10, items: '[]' }],
+    [key('bob', 'order-b'), { userId: 'bob', orderId: 'order-b', entity: 'order', status: 'processing', total: 20, items: '[]' }]
+  ]);
+
+  mock.method(DynamoDBClient.prototype, 'send', async (command) => {
+    const input = command.input;
+    switch (command.constructor.name) {
+      case 'GetItemCommand': {
+        const order = orders.get(key(input.Key.userId.S, input.Key.orderId.S));
+        return { Item: order && marshall(order) };
+      }
+      case 'QueryCommand': {
+        // gsi_recent holds every order; the table itself is partitioned by userId
+        if (input.IndexName === 'gsi_recent') return { Items: [...orders.values()].map(o => marshall(o)) };
+        const uid = input.ExpressionAttributeValues[':uid'].S;
+        return { Items: [...orders.values()].filter(o => o.userId === uid).map(o => marshall(o)) };
+      }
+      case 'TransactWriteItemsCommand': {
+        // The first item is the order's status change
+        const { Key, ExpressionAttributeValues } = input.TransactItems[0].Update;
+        orders.get(key(Key.userId.S, Key.orderId.S)).status = unmarshall(ExpressionAttributeValues)[':to'];
+        return {};
+      }
+      default:
+        return {};
+    }
+  });
+});
+
+// Event as API Gateway delivers it after the authorizer has allowed the request
+const asCaller = (userId, roles = 'customer', extra = {}) => ({
+  requestContext: { authorizer: { lambda: { userId, roles, role: roles } } },
+  ...extra
+});
+
+test('customers only see their own orders', async () => {
+  const res = await getOrders(asCaller('alice'));
+  const body = JSON.parse(res.body);
+  assert.equal(res.statusCode, 200);
+  assert.deepEqual(body.orders.map(o => o.orderId), ['order-a']);
+});
+
+test('the userId query parameter cannot widen a customer listing', async () => {
+  for (const userId of ['bob', 'all']) {
+    const res = await getOrders(asCaller('alice', 'customer', { queryStringParameters: { userId } }));
+    const body = JSON.parse(res.body);
+    assert.deepEqual(body.orders.map(o => o.userId), ['alice']);
+  }
+});
+
+test('a customer cannot read another customer\'s order by id', async () => {
+  const res = await getOrderById(asCaller('alice', 'customer', {
+    pathParameters: { id: 'order-b' },
+    queryStringParameters: { userId: 'bob' }
+  }));
+  assert.equal(res.statusCode, 404);
+});
+
+test('a customer can read their own order by id', async () => {
+  const res = await getOrderById(asCaller('bob', 'customer', { pathParameters: { id: 'order-b' } }));
+  assert.equal(res.statusCode, 200);
+  assert.equal(JSON.parse(res.body).total, 20);
+});
+
+test('a customer cannot cancel another customer\'s order', async () => {
+  const res = await cancelOrder(asCaller('alice', 'customer', { pathParameters: { id: 'order-b' } }));
+  assert.equal(res.statusCode, 404);
+  assert.equal(orders.get(key('bob', 'order-b')).status, 'processing');
+});
+
+test('order reads without an authenticated caller are rejected', async () => {
+  assert.equal((await getOrders({})).statusCode, 401);
+  assert.equal((await getOrderById({ pathParameters: { id: 'order-a' } })).statusCode, 401);
+});
+
+test('the admin order listing refuses non-admin callers', async () => {
+  const res = await listOrders(asCaller('alice'));
+  assert.equal(res.statusCode, 403);
+});
+
+test('admins can list every customer\'s orders', async () => {
+  const res = await listOrders(asCaller('root', 'admin'));
+  const body = JSON.parse(res.body);
+  assert.equal(res.statusCode, 200);
+  assert.deepEqual(body.orders.map(o => o.userId).sort(), ['alice', 'bob']);
+});
+
+test('the authorizer denies customer tokens on /admin/orders', async () => {
+  const token = signJwt({ sub: 'alice', roles: ['customer'] }, 'test-secret');
+  const res = await authorizer({
+    headers: { authorization: `Bearer ${token}` },
+    routeKey: 'GET /admin/orders',
+    routeArn: 'arn:aws:execute-api:eu-west-1:123456789012:api/$default/GET/admin/orders'
+  });
+  assert.equal(res.policyDocument.Statement[0].Effect, 'Deny');
+});
+
+test('the authorizer passes the token subject, not a client-supplied id', async () => {
+  const token = signJwt({ sub: 'alice', roles: ['customer'] }, 'test-secret');
+  const res = await authorizer({
+    headers: { authorization: `Bearer ${token}`, 'x-user-id': 'bob' },
+    queryStringParameters: { userId: 'bob' },
+    routeKey: 'GET /orders',
+    routeArn: 'arn:aws:execute-api:eu-west-1:123456789012:api/$default/GET/orders'
+  });
+  assert.equal(res.policyDocument.Statement[0].Effect, 'Allow');
+  assert.equal(res.context.userId, 'alice');
+});
@@ -0,0 +1,158 @@
+import { test, beforeEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { DynamoDBClient } from '@aws-sdk/client-dynamodb';
+import { marshall, unmarshall } from '@aws-sdk/util-dynamodb';
+
+process.env.ORDERS_TABLE = 'orders';
+process.env.ANALYTICS_TABLE = 'analytics';
+process.env.CURSOR_SECRET = 'cursor-secret';
+
+const { handler: listOrders } = await import('../admin/listOrders.js');
+const { handler: getOrder } = await import('../admin/getOrder.js');
+const { handler: streamProcessor } = await import('../orders/streamProcessor.js');
+const { orderTotalsDelta } = await import('../lib/analytics.js');
+
+const order = (n, extra = {}) => ({
+  userId: `user-${n % 2}`,
+  orderId: `order-${n}`,
+  entity: 'order',
+  timestamp: `2026-01-${String(n).padStart(2, '0')}T10:00:00.000Z`,
+  status: 'processing',
+  total: n * 10,
+  items: JSON.stringify([{ id: 'p1', name: 'Mug', qty: 1, lineTotal: n * 10 }]),
+  ...extra
+});
+
+// Every DynamoDB call, answered in turn from `replies` (the last one repeats)
+let sent;
+let replies;
+beforeEach(() => {
+  sent = [];
+  replies = [{}];
+  mock.method(DynamoDBClient.prototype, 'send', async (command) => {
+    sent.push({ name: command.constructor.name, input: command.input });
+    return replies[Math.min(sent.length - 1, replies.length - 1)];
+  });
+});
+
+const asAdmin = (query) => ({
+  requestContext: { authorizer: { lambda: { userId: 'root', roles: 'admin', role: 'admin' } } },
+  queryStringParameters: query
+});
+const page = (orders, lastKey) => ({ Items: orders.map(o => marshall(o)), LastEvaluatedKey: lastKey && marshall(lastKey) });
+const recentKey = ({ entity, timestamp, userId, orderId }) => ({ entity, timestamp, userId, orderId });
+
+test('all-customer listings read gsi_recent newest first with the date range in the key condition', async () => {
+  replies = [page([order(3), order(2)])];
+  const res = await listOrders(asAdmin({ status: 'paid', from: '2026-01-01', to: '2026-01-31', minTotal: '25' }));
+  assert.equal(res.statusCode, 200);
+
+  const [{ input }] = sent;
+  assert.equal(input.IndexName, 'gsi_recent');
+  assert.equal(input.ScanIndexForward, false);
+  assert.equal(input.KeyConditionExpression, 'entity = :entity AND #timestamp BETWEEN :from AND :to');
+  assert.equal(input.FilterExpression, '#status = :status AND #total >= :minTotal');
+  const values = unmarshall(input.ExpressionAttributeValues);
+  assert.equal(values[':entity'], 'order');
+  assert.equal(values[':minTotal'], 25);
+  assert.ok(values[':to'] > '2026-01-31T23:59:59.999Z', 'the to date is inclusive');
+});
+
+test('one customer\'s listing queries their partition and filters on the dates', async () => {
+  replies = [page([order(3), order(1)])];
+  const res = await listOrders(asAdmin({ userId: 'user-1', from: '2026-01-02' }));
+
+  const [{ input }] = sent;
+  assert.equal(input.IndexName, undefined);
+  assert.equal(input.KeyConditionExpression, 'userId = :uid');
+  assert.equal(input.FilterExpression, '#timestamp >= :from');
+  // Order ids sort by time, so the partition is read newest first across pages too
+  assert.equal(input.ScanIndexForward, false);
+  assert.deepEqual(JSON.parse(res.body).orders.map(o => o.orderId), ['order-3', 'order-1']);
+});
+
+test('invalid filters are rejected', async () => {
+  for (const query of [{ status: 'lost' }, { from: '2026-13-01' }, { to: 'yesterday' }, { minTotal: '-1' },
+    { from: '2026-02-01', to: '2026-01-01' }]) {
+    const res = await listOrders(asAdmin(query));
+    assert.equal(res.statusCode, 400, JSON.stringify(query));
+  }
+  assert.equal(sent.length, 0);
+});
+
+test('filtered pages keep reading until they are full and continue after the last order kept', async () => {
+  replies = [
+    page([order(9)], recentKey(order(5))),
+    page([order(4), order(3), order(2)], recentKey(order(2)))
+  ];
+  const first = await listOrders(asAdmin({ status: 'processing', limit: '3' }));
+  const body = JSON.parse(first.body);
+  assert.deepEqual(body.orders.map(o => o.orderId), ['order-9', 'order-4', 'order-3']);
+  assert.equal(sent.length, 2);
+  assert.deepEqual(unmarshall(sent[1].input.ExclusiveStartKey), recentKey(order(5)));
+
+  replies = [page([order(2)])];
+  sent = [];
+  await listOrders(asAdmin({ status: 'processing', limit: '3', cursor: body.nextCursor }));
+  assert.deepEqual(unmarshall(sent[0].input.ExclusiveStartKey), recentKey(order(3)));
+});
+
+test('a cursor only continues the listing with the same filters', async () => {
+  replies = [page([order(2)], recentKey(order(2)))];
+  const { nextCursor } = JSON.parse((await listOrders(asAdmin({ status: 'paid', limit: '1' }))).body);
+
+  const res = await listOrders(asAdmin({ status: 'shipped', limit: '1', cursor: nextCursor }));
+  assert.equal(res.statusCode, 400);
+  assert.equal(JSON.parse(res.body).code, 'INVALID_CURSOR');
+});
+
+test('admins can read any order by id', async () => {
+  replies = [page([order(7)])];
+  const res = await getOrder({ ...asAdmin(), pathParameters: { id: 'order-7' } });
+  assert.equal(res.statusCode, 200);
+  assert.equal(JSON.parse(res.body).userId, 'user-1');
+  assert.equal(sent[0].input.IndexName, 'gsi_orderId');
+
+  replies = [{ Items: [] }];
+  assert.equal((await getOrder({ ...asAdmin(), pathParameters: { id: 'missing' } })).statusCode, 404);
+});
+
+test('order totals follow creation, status changes and deletion of tagged orders only', () => {
+  assert.deepEqual(orderTotalsDelta(undefined, order(1)), { orderCount: 1, processingCount: 1 });
+  assert.deepEqual(orderTotalsDelta(order(1), order(1, { status: 'paid' })), { processingCount: -1, paidCount: 1 });
+  assert.deepEqual(orderTotalsDelta(order(1), order(1, { total: 99 })), {});
+  assert.deepEqual(orderTotalsDelta(order(1, { status: 'paid' }), undefined), { orderCount: -1, paidCount: -1 });
+  // Untagged orders are counted when the backfill tags them
+  const untagged = order(1, { entity: undefined });
+  assert.deepEqual(orderTotalsDelta(undefined, untagged), {});
+  assert.deepEqual(orderTotalsDelta(untagged, order(1)), { orderCount: 1, processingCount: 1 });
+});
+
+test('the stream processor updates the totals in the same transaction as the sales', async () => {
+  const record = (eventName, oldOrder, newOrder) => ({
+    eventID: `${eventName}-1`,
+    eventName,
+    dynamodb: {
+      SequenceNumber: '1',
+      ...(oldOrder && { OldImage: marshall(oldOrder) }),
+      ...(newOrder && { NewImage: marshall(newOrder) })
+    }
+  });
+  const totalsUpdate = (call) => call.input.TransactItems
+    .map(item => item.Update)
+    .find(update => update.Key.pk.S === 'TOTALS');
+
+  await streamProcessor({ Records: [record('INSERT', null, order(1))] });
+  assert.equal(sent.length, 1);
+  assert.equal(sent[0].input.TransactItems.length, 5, 'daily, category, product, totals and the counted marker');
+  assert.deepEqual(unmarshall(totalsUpdate(sent[0]).Key), { pk: 'TOTALS', sk: 'orders' });
+
+  // paid -> shipped changes no sales, only the status counts
+  sent = [];
+  await streamProcessor({ Records: [record('MODIFY', order(1, { status: 'paid' }), order(1, { status: 'shipped' }))] });
+  assert.equal(sent[0].input.TransactItems.length, 2, 'totals and the counted marker');
+  const update = totalsUpdate(sent[0]);
+  const counters = Object.fromEntries(Object.entries(update.ExpressionAttributeNames)
+    .map(([name, counter]) => [counter, Number(update.ExpressionAttributeValues[name.replace('#', ':')].N)]));
+  assert.deepEqual(counters, { paidCount: -1, shippedCount: 1 });
+});
@@ -0,0 +1,218 @@
+import { test, beforeEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { DynamoDBClient } from '@aws-sdk/client-dynamodb';
+import { marshall, unmarshall } from '@aws-sdk/util-dynamodb';
+
+process.env.PRODUCTS_TABLE = 'products';
+process.env.AUDIT_TABLE = 'product-audit';
+process.env.CURSOR_SECRET = 'cursor-secret';
+
+const { handler: createProduct } = await import('../admin/createProduct.js');
+const { handler: updateProduct } = await import('../admin/updateProduct.js');
+const { handler: deleteProduct } = await import('../admin/deleteProduct.js');
+const { handler: restoreProduct } = await import('../admin/restoreProduct.js');
+const { handler: listProductAudit } = await import('../admin/listProductAudit.js');
+const { handler: getProductById } = await import('../products/getProductById.js');
+const { handler: recordProductAudit } = await import('../products/recordProductAudit.js');
+const { auditEntryFor } = await import('../lib/productAudit.js');
+
+let products;
+let audit;
+let queries;
+
+const conditionFailed = (item) =>
+  Object.assign(new Error('conditional'), { name: 'ConditionalCheckFailedException', Item: item && marshall(item) });
+
+// Just enough of UpdateItem to honour the conditions updateProductFields() writes
+const applyUpdate = (input) => {
+  const product = products.get(input.Key.id.S);
+  const names = input.ExpressionAttributeNames;
+  const values = unmarshall(input.ExpressionAttributeValues);
+  const condition = input.ConditionExpression;
+  const ok = product &&
+    (condition.includes('attribute_exists(deletedAt)') ? product.deletedAt : !product.deletedAt) &&
+    (!condition.includes('attribute_not_exists(#version)') || product.version === undefined) &&
+    (!condition.includes('#version = :expected') || product.version === values[':expected']);
+  if (!ok) throw conditionFailed(product);
+
+  const previous = structuredClone(product);
+  const [sets, removes = ''] = input.UpdateExpression.replace(/^SET /, '').split(' REMOVE ');
+  for (const assignment of sets.split(/, (?=\S+ = )/)) {
+    const [name, value] = assignment.split(' = ');
+    product[names[name] || name] = value.startsWith('if_not_exists')
+      ? (product.version || 0) + 1
+      : values[value];
+  }
+  removes.split(', ').filter(Boolean).forEach(name => delete product[names[name]]);
+  return { Attributes: marshall(previous) };
+};
+
+beforeEach(() => {
+  products = new Map([['p1', { id: 'p1', name: 'Mug', price: 5, category: 'kitchen', stock: 3, version: 2 }]]);
+  audit = [];
+  queries = [];
+  mock.method(console, 'log', () => {});
+
+  mock.method(DynamoDBClient.prototype, 'send', async (command) => {
+    const input = command.input;
+    switch (command.constructor.name) {
+      case 'GetItemCommand': {
+        const product = products.get(input.Key.id.S);
+        return { Item: product && marshall(product) };
+      }
+      case 'PutItemCommand': {
+        const item = unmarshall(input.Item);
+        if (products.has(item.id)) throw conditionFailed();
+        products.set(item.id, item);
+        return {};
+      }
+      case 'UpdateItemCommand':
+        return applyUpdate(input);
+      case 'BatchWriteItemCommand':
+        audit.push(...input.RequestItems['product-audit'].map(({ PutRequest }) => unmarshall(PutRequest.Item)));
+        return {};
+      case 'QueryCommand':
+        queries.push(input);
+        return { Items: audit.map(entry => marshall(entry)) };
+      default:
+        return {};
+    }
+  });
+});
+
+const admin = (extra = {}) => ({
+  requestContext: { requestId: 'req-1', authorizer: { lambda: { userId: 'root', roles: 'admin' } } },
+  ...extra
+});
+
+const parse = (res) => ({ statusCode: res.statusCode, headers: res.headers, body: JSON.parse(res.body) });
+
+const streamRecord = (eventName, before, after) => ({
+  eventName,
+  dynamodb: {
+    ApproximateCreationDateTime: 1760000000,
+    ...(before && { OldImage: marshall(before) }),
+    ...(after && { NewImage: marshall(after) })
+  }
+});
+
+test('new products start at version 1 and an existing id is a 409', async () => {
+  const body = JSON.stringify({ id: 'p2', name: 'Lamp', price: 20, category: 'home', stock: 1 });
+  const created = parse(await createProduct(admin({ body })));
+  assert.equal(created.statusCode, 201);
+  assert.equal(created.headers.etag, '"1"');
+  assert.deepEqual([products.get('p2').version, products.get('p2').updatedBy], [1, 'root']);
+
+  const again = parse(await createProduct(admin({ body })));
+  assert.equal(again.statusCode, 409);
+  assert.equal(again.body.code, 'PRODUCT_EXISTS');
+});
+
+test('PATCH bumps the version and returns it as the ETag', async () => {
+  const res = parse(await updateProduct(admin({ pathParameters: { id: 'p1' }, body: JSON.stringify({ price: 6 }) })));
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.version, 3);
+  assert.equal(res.headers.etag, '"3"');
+  assert.deepEqual([products.get('p1').version, products.get('p1').updatedBy], [3, 'root']);
+
+  const read = await getProductById({ pathParameters: { id: 'p1' } });
+  assert.equal(read.headers.etag, '"3"');
+});
+
+test('PATCH with a stale If-Match is a 412 carrying the current version', async () => {
+  const stale = parse(await updateProduct(admin({
+    pathParameters: { id: 'p1' },
+    headers: { 'if-match': 'W/"1"' },
+    body: JSON.stringify({ price: 6 })
+  })));
+  assert.equal(stale.statusCode, 412);
+  assert.equal(stale.body.code, 'PRECONDITION_FAILED');
+  assert.deepEqual(stale.body.details, { version: 2 });
+  assert.equal(products.get('p1').price, 5);
+
+  const current = await updateProduct(admin({
+    pathParameters: { id: 'p1' },
+    headers: { 'if-match': '"2"' },
+    body: JSON.stringify({ price: 6 })
+  }));
+  assert.equal(current.statusCode, 200);
+
+  const malformed = parse(await updateProduct(admin({
+    pathParameters: { id: 'p1' },
+    headers: { 'if-match': 'abc' },
+    body: JSON.stringify({ price: 7 })
+  })));
+  assert.equal(malformed.statusCode, 400);
+  assert.equal(malformed.body.details[0].field, 'If-Match');
+});
+
+test('deleted products disappear from reads until they are restored', async () => {
+  const deleted = parse(await deleteProduct(admin({ pathParameters: { id: 'p1' } })));
+  assert.equal(deleted.statusCode, 200);
+  assert.equal(products.get('p1').deletedBy, 'root');
+  assert.equal((await getProductById({ pathParameters: { id: 'p1' } })).statusCode, 404);
+  assert.equal((await updateProduct(admin({ pathParameters: { id: 'p1' }, body: '{"price":1}' }))).statusCode, 404);
+
+  const restored = parse(await restoreProduct(admin({ pathParameters: { id: 'p1' } })));
+  assert.equal(restored.statusCode, 200);
+  assert.equal(restored.body.version, 4);
+  assert.equal(products.get('p1').deletedAt, undefined);
+  assert.equal((await getProductById({ pathParameters: { id: 'p1' } })).statusCode, 200);
+
+  const again = parse(await restoreProduct(admin({ pathParameters: { id: 'p1' } })));
+  assert.equal(again.statusCode, 409);
+  assert.equal(again.body.code, 'PRODUCT_NOT_DELETED');
+
+  assert.equal((await restoreProduct(admin({ pathParameters: { id: 'nope' } }))).statusCode, 404);
+});
+
+test('audit entries record the actor and only the fields that changed', () => {
+  const before = { id: 'p1', name: 'Mug', price: 5, stock: 3, version: 2, updatedBy: 'alice' };
+  const after = { ...before, price: 6, description: 'Big', version: 3, updatedAt: '2026-01-01T00:00:00.000Z', updatedBy: 'root' };
+  assert.deepEqual(auditEntryFor(streamRecord('MODIFY', before, after)), {
+    productId: 'p1',
+    sk: '2026-01-01T00:00:00.000Z#v3',
+    entity: 'product',
+    action: 'update',
+    actor: 'root',
+    changedAt: '2026-01-01T00:00:00.000Z',
+    version: 3,
+    name: 'Mug',
+    changes: { price: { before: 5, after: 6 }, description: { before: null, after: 'Big' } }
+  });
+
+  const deleted = auditEntryFor(streamRecord('MODIFY', after, { ...after, version: 4, deletedAt: 'now' }));
+  assert.equal(deleted.action, 'delete');
+  assert.deepEqual(deleted.changes, {});
+
+  assert.equal(auditEntryFor(streamRecord('INSERT', undefined, after)).action, 'create');
+  const imported = { ...after, version: 1, updatedAt: '2026-02-01T00:00:00.000Z', updatedBy: 'import:job-1' };
+  assert.equal(auditEntryFor(streamRecord('MODIFY', { ...imported, updatedAt: after.updatedAt }, imported)).actor, 'import:job-1');
+  assert.equal(auditEntryFor(streamRecord('REMOVE', after, undefined)).action, 'purge');
+});
+
+test('stock reservations do not change the version and are not audited', async () => {
+  const product = { id: 'p1', name: 'Mug', stock: 3, version: 2 };
+  await recordProductAudit({ Records: [streamRecord('MODIFY', product, { ...product, stock: 2 })] });
+  assert.deepEqual(audit, []);
+
+  await recordProductAudit({ Records: [streamRecord('MODIFY', product, { ...product, stock: 9, version: 3 })] });
+  assert.deepEqual(audit.map(entry => entry.changes), [{ stock: { before: 3, after: 9 } }]);
+});
+
+test('GET /admin/audit lists one product or everything, newest first, for admins only', async () => {
+  audit.push({ productId: 'p1', sk: '2026-01-01T00:00:00.000Z#v3', entity: 'product', action: 'update' });
+
+  const all = parse(await listProductAudit(admin()));
+  assert.equal(all.statusCode, 200);
+  assert.equal(all.body.count, 1);
+  assert.equal(queries[0].IndexName, 'gsi_recent');
+  assert.equal(queries[0].ScanIndexForward, false);
+
+  await listProductAudit(admin({ queryStringParameters: { productId: 'p1' } }));
+  assert.equal(queries[1].IndexName, undefined);
+  assert.equal(queries[1].ExpressionAttributeValues[':id'].S, 'p1');
+
+  const customer = await listProductAudit({ requestContext: { authorizer: { lambda: { userId: 'alice', roles: 'customer' } } } });
+  assert.equal(customer.statusCode, 403);
+});
@@ -0,0 +1,280 @@
+import { test, beforeEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { Readable } from 'stream';
+import { DynamoDBClient } from '@aws-sdk/client-dynamodb';
+import { S3Client } from '@aws-sdk/client-s3';
+import { marshall, unmarshall } from '@aws-sdk/util-dynamodb';
+
+process.env.AWS_REGION = 'eu-west-1';
+process.env.AWS_ACCESS_KEY_ID = 'test';
+process.env.AWS_SECRET_ACCESS_KEY = 'test';
+process.env.PRODUCTS_TABLE = 'products';
+process.env.IMPORT_JOBS_TABLE = 'import-jobs';
+process.env.IMPORTS_BUCKET = 'imports-bucket';
+
+const { createCsvParser, toCsvLine } = await import('../lib/csv.js');
+const { handler: startImport } = await import('../admin/startProductImport.js');
+const { handler: processImport } = await import('../admin/processProductImport.js');
+const { handler: createProduct } = await import('../admin/createProduct.js');
+
+let jobs;
+let products;
+let written;
+let uploads;
+let files;
+
+beforeEach(() => {
+  jobs = new Map();
+  products = new Map();
+  written = [];
+  uploads = [];
+  files = new Map();
+
+  mock.method(DynamoDBClient.prototype, 'send', async (command) => {
+    const input = command.input;
+    switch (command.constructor.name) {
+      case 'PutItemCommand':
+        if (input.TableName === 'import-jobs') {
+          jobs.set(input.Item.jobId.S, unmarshall(input.Item));
+          return {};
+        }
+        if (input.ConditionExpression === 'attribute_not_exists(id)' && products.has(input.Item.id.S)) {
+          throw Object.assign(new Error('conditional'), { name: 'ConditionalCheckFailedException' });
+        }
+        products.set(input.Item.id.S, unmarshall(input.Item));
+        written.push(unmarshall(input.Item));
+        return {};
+      case 'GetItemCommand': {
+        const job = jobs.get(input.Key.jobId.S);
+        return { Item: job && marshall(job) };
+      }
+      case 'UpdateItemCommand': {
+        const job = jobs.get(input.Key.jobId.S);
+        const values = unmarshall(input.ExpressionAttributeValues);
+        if (input.ConditionExpression) {
+          if (!job || job.status !== values[':awaiting']) {
+            throw Object.assign(new Error('conditional'), { name: 'ConditionalCheckFailedException' });
+          }
+          job.status = values[':processing'];
+          return { Attributes: marshall(job) };
+        }
+        Object.assign(job, {
+          status: values[':status'],
+          counts: values[':counts'],
+          errors: values[':errors'],
+          errorsTruncated: values[':truncated'],
+          reason: values[':reason']
+        });
+        return {};
+      }
+      default:
+        return {};
+    }
+  });
+
+  mock.method(S3Client.prototype, 'send', async (command) => {
+    const input = command.input;
+    if (command.constructor.name === 'PutObjectCommand') {
+      uploads.push(input);
+      files.set(input.Key, Buffer.from(input.Body));
+      return {};
+    }
+    if (command.constructor.name === 'GetObjectCommand') {
+      // Deliver the file in small chunks to exercise the streaming parsers
+      const data = files.get(input.Key);
+      const chunks = [];
+      for (let i = 0; i < data.length; i += 7) chunks.push(data.subarray(i, i + 7));
+      return { Body: Readable.from(chunks) };
+    }
+    return {};
+  });
+});
+
+// What S3 sends the processor once a file lands under imports/
+const uploaded = (jobId) => ({
+  Records: [{
+    s3: {
+      bucket: { name: 'imports-bucket' },
+      object: { key: `imports/${jobId}`, size: files.get(`imports/${jobId}`).length }
+    }
+  }]
+});
+
+// The authorizer context of an admin caller
+const asAdmin = (event = {}) => ({ ...event, requestContext: { authorizer: { lambda: { userId: 'root', roles: 'admin' } } } });
+
+const importInline = async (contentType, file, dryRun = false) => {
+  const res = await startImport(asAdmin({
+    headers: { 'content-type': contentType },
+    queryStringParameters: dryRun ? { dryRun: 'true' } : undefined,
+    body: file
+  }));
+  assert.equal(res.statusCode, 202);
+  const { jobId } = JSON.parse(res.body);
+  await processImport(uploaded(jobId));
+  return jobs.get(jobId);
+};
+
+test('the CSV parser handles quotes, embedded commas and newlines across chunks', () => {
+  const parser = createCsvParser();
+  const input = 'id,name\r\n1,"Mug, large"\n2,"Say ""hi""\nthere"\n3,';
+  const records = [];
+  for (const char of input) records.push(...parser.push(char));
+  records.push(...parser.end());
+  assert.deepEqual(records, [['id', 'name'], ['1', 'Mug, large'], ['2', 'Say "hi"\nthere'], ['3', '']]);
+});
+
+test('exported CSV lines parse back to the same values', () => {
+  const values = ['7', 'Tea "Earl Grey", loose', '4.5', 'grocery\nfine'];
+  const parser = createCsvParser();
+  const [record] = [...parser.push(toCsvLine(values)), ...parser.end()];
+  assert.deepEqual(record, values);
+});
+
+test('a CSV import writes valid rows and reports the rest per row', async () => {
+  const csv = [
+    'id,name,price,category,stock,description',
+    '1,Mug,9.5,kitchen,3,Ceramic',
+    '2,Plate,free,kitchen,,',
+    '3,Bowl,4,kitchen,1.5,',
+    '1,Mug again,9.5,kitchen,1,',
+    '',
+    '4,Spoon,1,kitchen,,'
+  ].join('\n');
+
+  const job = await importInline('text/csv', csv);
+
+  assert.equal(job.status, 'completed');
+  assert.deepEqual(job.counts, { rows: 5, valid: 2, imported: 2, failed: 3 });
+  assert.deepEqual(job.errors, [
+    { row: 3, id: '2', error: 'price must be number' },
+    { row: 4, id: '3', error: 'stock must be integer' },
+    { row: 5, id: '1', error: 'Duplicate id 1 in file' }
+  ]);
+  assert.deepEqual(written.map(p => [p.id, p.stock]), [['1', 3], ['4', 0]]);
+  assert.equal(written[0].description, 'Ceramic');
+});
+
+test('an import leaves existing and deleted products alone and reports their rows', async () => {
+  const current = { id: '1', name: 'Mug', price: 9.5, category: 'kitchen', stock: 7, version: 4, imageKey: 'products/1.webp' };
+  const deleted = { id: '2', name: 'Plate', price: 4, category: 'kitchen', stock: 0, version: 2, deletedAt: '2025-01-01T00:00:00.000Z' };
+  products.set('1', current);
+  products.set('2', deleted);
+
+  const csv = [
+    'id,name,price,category,stock',
+    '1,Mug v2,12,kitchen,0',
+    '2,Plate v2,5,kitchen,10',
+    '3,Bowl,4,kitchen,1'
+  ].join('\n');
+  const job = await importInline('text/csv', csv);
+
+  assert.equal(job.status, 'completed');
+  assert.deepEqual(job.counts, { rows: 3, valid: 1, imported: 1, failed: 2 });
+  assert.deepEqual(job.errors, [
+    { row: 2, id: '1', error: 'A product with id 1 already exists' },
+    { row: 3, id: '2', error: 'A product with id 2 already exists' }
+  ]);
+  assert.deepEqual(written.map(p => p.id), ['3']);
+  assert.deepEqual(products.get('1'), current);
+  assert.deepEqual(products.get('2'), deleted);
+});
+
+test('a dry run validates without writing products', async () => {
+  const ndjson = '{"id":"1","name":"Mug","price":9.5,"category":"kitchen"}\nnot json\n[1]\n';
+  const job = await importInline('application/x-ndjson', ndjson, true);
+
+  assert.equal(job.status, 'completed');
+  assert.equal(job.dryRun, true);
+  assert.deepEqual(job.counts, { rows: 3, valid: 1, imported: 0, failed: 2 });
+  assert.deepEqual(job.errors.map(e => e.error), ['Invalid JSON', 'Each line must be a JSON object']);
+  assert.equal(written.length, 0);
+});
+
+test('a CSV without the required columns fails the job', async () => {
+  const job = await importInline('text/csv', 'id,title\n1,Mug\n');
+  assert.equal(job.status, 'failed');
+  assert.match(job.reason, /missing required columns: name, price, category/);
+  assert.equal(written.length, 0);
+});
+
+test('a repeated S3 notification does not import the file twice', async () => {
+  const res = await startImport(asAdmin({
+    headers: { 'content-type': 'text/csv' },
+    body: 'id,name,price,category\n1,Mug,9.5,kitchen\n'
+  }));
+  const { jobId } = JSON.parse(res.body);
+  await processImport(uploaded(jobId));
+  await processImport(uploaded(jobId));
+  assert.equal(written.length, 1);
+});
+
+test('large imports get a presigned upload URL for their format', async () => {
+  const res = await startImport(asAdmin({
+    headers: { 'content-type': 'application/json' },
+    body: JSON.stringify({ format: 'ndjson', dryRun: true })
+  }));
+  const body = JSON.parse(res.body);
+
+  assert.equal(res.statusCode, 202);
+  assert.equal(body.status, 'awaiting_upload');
+  assert.match(body.uploadUrl, new RegExp(`imports-bucket.*/imports/${body.jobId}`));
+  assert.deepEqual(body.uploadHeaders, { 'content-type': 'application/x-ndjson' });
+  assert.equal(jobs.get(body.jobId).dryRun, true);
+  assert.equal(uploads.length, 0);
+});
+
+test('import requests with an unknown format or empty file are rejected', async () => {
+  const unknown = await startImport(asAdmin({
+    headers: { 'content-type': 'application/json' },
+    body: JSON.stringify({ format: 'xlsx' })
+  }));
+  assert.equal(unknown.statusCode, 400);
+
+  const empty = await startImport(asAdmin({ headers: { 'content-type': 'text/csv' }, body: '' }));
+  assert.equal(empty.statusCode, 400);
+  assert.equal(jobs.size, 0);
+});
+
+test('createProduct applies the same validation rules', async () => {
+  const res = await createProduct(asAdmin({
+    body: JSON.stringify({ id: '9', name: 'Cup', price: 2, category: 'kitchen', stock: -1 })
+  }));
+  assert.equal(res.statusCode, 400);
+  const error = JSON.parse(res.body);
+  assert.equal(error.code, 'VALIDATION_FAILED');
+  assert.deepEqual(error.details, [{ field: 'stock', message: 'stock must be >= 0' }]);
+
+  const ok = await createProduct(asAdmin({
+    body: JSON.stringify({ id: '9', name: 'Cup', price: 2, category: 'kitchen' })
+  }));
+  assert.equal(ok.statusCode, 201);
+  assert.equal(written[0].stock, 0);
+  assert.ok(written[0].createdAt);
+});
+
+test('the export streams every page of the catalogue to S3 and redirects to it', async () => {
+  const { handler: exportProducts } = await import('../admin/exportProducts.js');
+  const pages = [
+    { Items: [marshall({ id: '1', name: 'Mug, large', price: 9.5, category: 'kitchen', stock: 3 })], LastEvaluatedKey: { id: { S: '1' } } },
+    { Items: [marshall({ id: '2', name: 'Plate', price: 4, category: 'kitchen', stock: 0, description: 'Flat' })] }
+  ];
+  mock.method(DynamoDBClient.prototype, 'send', async () => pages.shift());
+
+  const res = await exportProducts(asAdmin());
+  const body = JSON.parse(res.body);
+
+  assert.equal(res.statusCode, 303);
+  assert.equal(res.headers.location, body.url);
+  assert.equal(body.count, 2);
+  assert.match(body.url, /exports\/products-.*\.csv/);
+
+  const [upload] = uploads;
+  assert.equal(upload.ContentType, 'text/csv');
+  assert.equal(files.get(upload.Key).toString(), [
+    'id,name,price,category,stock,description,imageUrl',
+    '1,"Mug, large",9.5,kitchen,3,,',
+    '2,Plate,4,kitchen,0,Flat,',
+    ''
+  ].join('\n'));
+});
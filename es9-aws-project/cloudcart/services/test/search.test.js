@@ -0,0 +1,200 @@
+import { test, beforeEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { DynamoDBClient, TransactionCanceledException } from '@aws-sdk/client-dynamodb';
+import { marshall, unmarshall } from '@aws-sdk/util-dynamodb';
+
+process.env.SEARCH_TABLE = 'search';
+process.env.ANALYTICS_TABLE = 'analytics';
+process.env.PRODUCTS_TABLE = 'products';
+process.env.CURSOR_SECRET = 'cursor-secret';
+
+const { termsFor, indexChanged } = await import('../lib/searchIndex.js');
+const { handler: indexer } = await import('../products/searchIndexer.js');
+const { handler: search } = await import('../products/searchProducts.js');
+
+const headphones = {
+  id: '1', name: 'Wireless Headphones', price: 99.99, category: 'Electronics',
+  description: 'Noise cancelling', createdAt: '2026-01-01T00:00:00.000Z', stock: 3
+};
+
+let sent;
+beforeEach(() => {
+  sent = [];
+});
+
+const respondWith = (respond) =>
+  mock.method(DynamoDBClient.prototype, 'send', async (command) => {
+    sent.push({ name: command.constructor.name, input: command.input });
+    return respond(command) || {};
+  });
+
+test('products are indexed by name prefixes, description words and category', () => {
+  const terms = termsFor(headphones);
+  assert.ok(terms.includes('#all'));
+  assert.ok(terms.includes('c#electronics'));
+  assert.ok(terms.includes('t#wi'));
+  assert.ok(terms.includes('t#headphones'));
+  assert.ok(terms.includes('t#noise'));
+  assert.ok(!terms.includes('t#no'), 'description words are indexed whole');
+  assert.ok(!terms.includes('t#w'), 'single characters are not indexed');
+});
+
+test('stock-only changes do not touch the index', () => {
+  assert.equal(indexChanged(headphones, { ...headphones, stock: 2 }), false);
+  assert.equal(indexChanged(headphones, { ...headphones, price: 89.99 }), true);
+});
+
+test('renaming a product removes the entries it no longer matches', async () => {
+  respondWith(() => ({}));
+  const renamed = { ...headphones, name: 'Wireless Earbuds' };
+  const res = await indexer({
+    Records: [{
+      eventName: 'MODIFY',
+      dynamodb: { SequenceNumber: '1', OldImage: marshall(headphones), NewImage: marshall(renamed) }
+    }]
+  });
+
+  assert.deepEqual(res.batchItemFailures, []);
+  const requests = sent.flatMap(call => call.input.RequestItems.search);
+  const deleted = requests.filter(r => r.DeleteRequest).map(r => unmarshall(r.DeleteRequest.Key).term);
+  const written = requests.filter(r => r.PutRequest).map(r => unmarshall(r.PutRequest.Item).term);
+  assert.ok(deleted.includes('t#headphones'));
+  assert.ok(!deleted.includes('t#wireless'));
+  assert.ok(written.includes('t#earbuds'));
+});
+
+test('deleting a product removes all of its entries', async () => {
+  respondWith(() => ({}));
+  await indexer({
+    Records: [{ eventID: 'ev-1', eventName: 'REMOVE', dynamodb: { SequenceNumber: '1', OldImage: marshall(headphones) } }]
+  });
+  const requests = sent
+    .filter(call => call.name === 'BatchWriteItemCommand')
+    .flatMap(call => call.input.RequestItems.search);
+  assert.equal(requests.filter(r => r.PutRequest).length, 0);
+  assert.equal(requests.length, termsFor(headphones).length);
+
+  const [{ input }] = sent.filter(call => call.name === 'TransactWriteItemsCommand');
+  const [count, marker] = input.TransactItems.map(item => item.Update);
+  assert.deepEqual(unmarshall(count.Key), { pk: 'TOTALS', sk: 'products' });
+  assert.equal(count.ExpressionAttributeValues[':c0'].N, '-1');
+  assert.deepEqual(unmarshall(marker.Key), { pk: 'COUNTED', sk: 'ev-1#products' });
+});
+
+test('a product record delivered again is not counted twice', async () => {
+  let productCount = 0;
+  const markers = new Set();
+  respondWith((command) => {
+    if (command.constructor.name !== 'TransactWriteItemsCommand') return;
+    const [count, marker] = command.input.TransactItems.map(item => item.Update);
+    if (markers.has(marker.Key.sk.S)) {
+      throw new TransactionCanceledException({
+        message: 'Transaction cancelled [None, ConditionalCheckFailed]',
+        $metadata: {},
+        CancellationReasons: [{ Code: 'None' }, { Code: 'ConditionalCheckFailed' }]
+      });
+    }
+    markers.add(marker.Key.sk.S);
+    productCount += Number(count.ExpressionAttributeValues[':c0'].N);
+  });
+
+  const event = { Records: [{ eventID: 'ev-2', eventName: 'INSERT', dynamodb: { SequenceNumber: '1', NewImage: marshall(headphones) } }] };
+  for (let delivery = 0; delivery < 2; delivery++) {
+    assert.deepEqual((await indexer(event)).batchItemFailures, []);
+  }
+  assert.equal(productCount, 1);
+});
+
+test('edits that leave a product live do not change the product count', async () => {
+  respondWith(() => ({}));
+  await indexer({
+    Records: [{
+      eventName: 'MODIFY',
+      dynamodb: { SequenceNumber: '1', OldImage: marshall(headphones), NewImage: marshall({ ...headphones, stock: 2 }) }
+    }]
+  });
+  assert.deepEqual(sent, []);
+});
+
+test('a failed index write is reported for retry', async () => {
+  respondWith(() => { throw new Error('throttled'); });
+  const res = await indexer({
+    Records: [{ eventName: 'INSERT', dynamodb: { SequenceNumber: '7', NewImage: marshall(headphones) } }]
+  });
+  assert.deepEqual(res.batchItemFailures, [{ itemIdentifier: '7' }]);
+});
+
+test('search reads the longest word\'s partition and filters on the rest', async () => {
+  respondWith((command) => command.constructor.name === 'QueryCommand'
+    ? { Items: [marshall({ term: 't#headphones', productId: '1', price: 99.99 })] }
+    : { Responses: { products: [marshall(headphones)] } });
+
+  const res = await search({ queryStringParameters: { q: 'Wireless HEADPHONES', category: 'electronics' } });
+  const body = JSON.parse(res.body);
+
+  assert.equal(res.statusCode, 200);
+  assert.deepEqual(body.products.map(p => p.id), ['1']);
+  assert.equal(body.products[0].outOfStock, false);
+  assert.equal(body.nextCursor, null);
+
+  const query = sent[0].input;
+  assert.equal(unmarshall(query.ExpressionAttributeValues)[':term'], 't#headphones');
+  assert.match(query.FilterExpression, /contains\(#text, :w0\)/);
+  assert.match(query.FilterExpression, /#category = :category/);
+});
+
+test('price sorting uses the price index with the range in the key condition', async () => {
+  respondWith(() => ({ Items: [], Responses: { products: [] } }));
+
+  await search({ queryStringParameters: { minPrice: '10', maxPrice: '50', sort: 'price_desc' } });
+  const query = sent[0].input;
+
+  assert.equal(query.IndexName, 'lsi_price');
+  assert.equal(query.ScanIndexForward, false);
+  assert.equal(query.KeyConditionExpression, '#term = :term AND #price BETWEEN :minPrice AND :maxPrice');
+  assert.equal(unmarshall(query.ExpressionAttributeValues)[':term'], '#all');
+});
+
+test('newest first reads the creation-time index in descending order', async () => {
+  respondWith(() => ({ Items: [], Responses: { products: [] } }));
+
+  await search({ queryStringParameters: { category: 'Grocery', sort: 'newest' } });
+  const query = sent[0].input;
+
+  assert.equal(query.IndexName, 'lsi_createdAt');
+  assert.equal(query.ScanIndexForward, false);
+  assert.equal(unmarshall(query.ExpressionAttributeValues)[':term'], 'c#grocery');
+});
+
+test('a search cursor continues from where the previous page stopped', async () => {
+  const lastKey = marshall({ term: '#all', productId: '1', price: 99.99 });
+  respondWith((command) => command.constructor.name === 'QueryCommand'
+    ? { Items: [marshall({ term: '#all', productId: '1', price: 99.99 })], LastEvaluatedKey: lastKey }
+    : { Responses: { products: [marshall(headphones)] } });
+
+  const first = JSON.parse((await search({ queryStringParameters: { sort: 'price_asc', limit: '1' } })).body);
+  assert.equal(sent.filter(call => call.name === 'QueryCommand').length, 1, 'a full page needs one query');
+  assert.ok(first.nextCursor);
+
+  sent = [];
+  await search({ queryStringParameters: { sort: 'price_asc', limit: '1', cursor: first.nextCursor } });
+  assert.deepEqual(sent[0].input.ExclusiveStartKey, lastKey);
+
+  const other = await search({ queryStringParameters: { sort: 'newest', cursor: first.nextCursor } });
+  assert.equal(other.statusCode, 400, 'cursors are tied to the search that issued them');
+});
+
+test('invalid search parameters are rejected', async () => {
+  respondWith(() => ({}));
+  for (const params of [
+    { minPrice: 'cheap' },
+    { minPrice: '-1' },
+    { minPrice: '20', maxPrice: '10' },
+    { sort: 'popular' },
+    { q: '!' }
+  ]) {
+    const res = await search({ queryStringParameters: params });
+    assert.equal(res.statusCode, 400, JSON.stringify(params));
+  }
+  assert.equal(sent.length, 0);
+});
@@ -1,11 +1,12 @@
 #!/bin/bash
 
 # CloudCart API Test Script
-# Usage: ./test-api.sh <API_URL>
+# Usage: JWT_SECRET=<secret> ./test-api.sh <API_URL>
 
 set -e
 
 API_URL=${1:-$API}
+SCRIPT_DIR=$(cd "$(dirname "$0")" && pwd)
 
 if [ -z "$API_URL" ]; then
     echo "Error: API URL required"
@@ -14,6 +15,15 @@ if [ -z "$API_URL" ]; then
     exit 1
 fi
 
+if [ -z "$JWT_SECRET" ]; then
+    echo "Error: JWT_SECRET required to issue test tokens"
+    echo "export JWT_SECRET=\$(aws secretsmanager get-secret-value --secret-id <JwtSecretArn> --query SecretString --output text)"
+    exit 1
+fi
+
+ADMIN_TOKEN=$(node "$SCRIPT_DIR/scripts/generate-token.js" admin-user admin)
+CUSTOMER_TOKEN=$(node "$SCRIPT_DIR/scripts/generate-token.js" test-user customer)
+
 echo "================================"
 echo "CloudCart API Test Suite"
 echo "================================"
@@ -39,14 +49,17 @@ test_endpoint() {
     local ENDPOINT=$3
     local DATA=$4
     local EXPECTED_CODE=$5
+    local EXTRA_HEADER=${6:-X-Test-Run: 1}
 
     echo -n "Testing: $TEST_NAME... "
 
     if [ -z "$DATA" ]; then
-        RESPONSE=$(curl -s -w "\n%{http_code}" -X $METHOD "$API_URL$ENDPOINT")
+        RESPONSE=$(curl -s -w "\n%{http_code}" -X $METHOD "$API_URL$ENDPOINT" \
+            -H "$EXTRA_HEADER")
     else
         RESPONSE=$(curl -s -w "\n%{http_code}" -X $METHOD "$API_URL$ENDPOINT" \
             -H 'Content-Type: application/json' \
+            -H "$EXTRA_HEADER" \
             -d "$DATA")
     fi
 
@@ -70,6 +83,17 @@ echo "1. Products Endpoints"
 echo "================================"
 
 test_endpoint "List all products" GET "/products" "" "200"
+test_endpoint "List products (first page of 2)" GET "/products?limit=2" "" "200"
+NEXT_CURSOR=$(curl -s "$API_URL/products?limit=2" | sed -n 's/.*"nextCursor":"\([^"]*\)".*/\1/p')
+if [ -n "$NEXT_CURSOR" ]; then
+    test_endpoint "List products (next page)" GET "/products?limit=2&cursor=$NEXT_CURSOR" "" "200"
+    test_endpoint "List category with a products cursor" GET "/categories/electronics?cursor=$NEXT_CURSOR" "" "400"
+fi
+test_endpoint "List products (invalid limit)" GET "/products?limit=0" "" "400"
+test_endpoint "List products (tampered cursor)" GET "/products?cursor=not-a-cursor" "" "400"
+test_endpoint "Search products" GET "/products/search?q=wireless" "" "200"
+test_endpoint "Search products (price range, sorted)" GET "/products/search?minPrice=10&maxPrice=60&sort=price_asc" "" "200"
+test_endpoint "Search products (invalid sort)" GET "/products/search?sort=popular" "" "400"
 test_endpoint "Get product by ID (existing)" GET "/products/1" "" "200"
 test_endpoint "Get product by ID (non-existing)" GET "/products/999" "" "404"
 test_endpoint "List by category" GET "/categories/electronics" "" "200"
@@ -80,29 +104,43 @@ echo "2. Cart Endpoints"
 echo "================================"
 
 test_endpoint "View empty cart" GET "/cart" "" "200"
-test_endpoint "Add item to cart" POST "/cart" '{"id":"1","qty":2}' "200"
-test_endpoint "View cart with items" GET "/cart" "" "200"
-test_endpoint "Add another item" POST "/cart" '{"id":"2","qty":1}' "200"
-test_endpoint "Remove item from cart" DELETE "/cart" '{"id":"1"}' "200"
-test_endpoint "Add item (missing qty)" POST "/cart" '{"id":"1"}' "400"
+
+# Anonymous carts are identified by the signed token returned from the first cart call
+CART_TOKEN=$(curl -s "$API_URL/cart" | sed -n 's/.*"cartToken":"\([^"]*\)".*/\1/p')
+CART_HEADER="x-cart-token: $CART_TOKEN"
+
+test_endpoint "Add item to cart" POST "/cart" '{"id":"1","qty":2}' "200" "$CART_HEADER"
+test_endpoint "View cart with items" GET "/cart" "" "200" "$CART_HEADER"
+test_endpoint "Add another item" POST "/cart" '{"id":"2","qty":1}' "200" "$CART_HEADER"
+test_endpoint "Remove item from cart" DELETE "/cart" '{"id":"2"}' "200" "$CART_HEADER"
+test_endpoint "Add item (missing qty)" POST "/cart" '{"id":"1"}' "400" "$CART_HEADER"
+test_endpoint "Add item (invalid JSON)" POST "/cart" '{"id":' "400" "$CART_HEADER"
+test_endpoint "Add item (negative qty)" POST "/cart" '{"id":"1","qty":-1}' "400" "$CART_HEADER"
 
 echo ""
 echo "================================"
 echo "3. Checkout Endpoint"
 echo "================================"
 
-test_endpoint "Checkout with valid data" POST "/checkout" \
-    '{"userId":"test-user","items":[{"id":"1","qty":2}],"total":199.99}' "202"
+# Items and totals come from the stored cart; anything the client posts is ignored
+test_endpoint "Checkout cart" POST "/checkout" '{}' "202" "$CART_HEADER"
+test_endpoint "Checkout empty cart" POST "/checkout" '{}' "400" "$CART_HEADER"
 
-test_endpoint "Checkout with empty order" POST "/checkout" \
-    '{"userId":"test-user","items":[],"total":0}' "202"
+UNKNOWN_CART_TOKEN=$(curl -s -X POST "$API_URL/cart" \
+    -H 'Content-Type: application/json' \
+    -d '{"id":"does-not-exist","qty":1}' | sed -n 's/.*"cartToken":"\([^"]*\)".*/\1/p')
+test_endpoint "Checkout unknown product" POST "/checkout" '{}' "409" "x-cart-token: $UNKNOWN_CART_TOKEN"
 
 echo ""
 echo "================================"
 echo "4. S3 Image Upload"
 echo "================================"
 
-test_endpoint "Get presigned upload URL" POST "/products/1/upload-url" "" "200"
+test_endpoint "Get upload URL (no token)" POST "/products/1/upload-url" "" "401"
+test_endpoint "Get upload URL (customer token)" POST "/products/1/upload-url" "" "403" "Authorization: Bearer $CUSTOMER_TOKEN"
+test_endpoint "Get upload URL (admin token)" POST "/products/1/upload-url" '{"contentType":"image/png"}' "200" "Authorization: Bearer $ADMIN_TOKEN"
+test_endpoint "Get upload URL (unsupported type)" POST "/products/1/upload-url" '{"contentType":"image/gif"}' "400" "Authorization: Bearer $ADMIN_TOKEN"
+test_endpoint "Get upload URL (unknown product)" POST "/products/does-not-exist/upload-url" "" "404" "Authorization: Bearer $ADMIN_TOKEN"
 
 echo ""
 echo "================================"
@@ -113,32 +151,38 @@ echo "================================"
 echo "Waiting 5 seconds for order processing..."
 sleep 5
 
-test_endpoint "List orders" GET "/orders?userId=test-user" "" "200"
-test_endpoint "List all orders (admin)" GET "/orders?userId=all" "" "200"
+test_endpoint "List orders (no token)" GET "/orders" "" "401"
+test_endpoint "List orders (customer token)" GET "/orders" "" "200" "Authorization: Bearer $CUSTOMER_TOKEN"
+test_endpoint "List orders ignores userId (customer)" GET "/orders?userId=all" "" "200" "Authorization: Bearer $CUSTOMER_TOKEN"
+test_endpoint "List all orders (customer token)" GET "/admin/orders" "" "403" "Authorization: Bearer $CUSTOMER_TOKEN"
+test_endpoint "List all orders (admin)" GET "/admin/orders" "" "200" "Authorization: Bearer $ADMIN_TOKEN"
+test_endpoint "Filter orders (admin)" GET "/admin/orders?status=processing&from=2020-01-01&minTotal=1" "" "200" "Authorization: Bearer $ADMIN_TOKEN"
+test_endpoint "Filter orders (bad status)" GET "/admin/orders?status=lost" "" "400" "Authorization: Bearer $ADMIN_TOKEN"
+test_endpoint "Filter orders (bad date)" GET "/admin/orders?from=2020-13-01" "" "400" "Authorization: Bearer $ADMIN_TOKEN"
+test_endpoint "Get any order (unknown id)" GET "/admin/orders/does-not-exist" "" "404" "Authorization: Bearer $ADMIN_TOKEN"
+test_endpoint "Get any order (customer token)" GET "/admin/orders/does-not-exist" "" "403" "Authorization: Bearer $CUSTOMER_TOKEN"
 
 echo ""
 echo "================================"
-echo "6. Admin Endpoints (No Auth)"
+echo "6. Admin Endpoints (No Token)"
 echo "================================"
 
-test_endpoint "Create product (no API key)" POST "/admin/products" \
+test_endpoint "Create product (no token)" POST "/admin/products" \
     '{"id":"10","name":"Test","price":99.99,"category":"test"}' "401"
 
-test_endpoint "Update product (no API key)" PATCH "/admin/products/1" \
+test_endpoint "Update product (no token)" PATCH "/admin/products/1" \
     '{"price":79.99}' "401"
 
-test_endpoint "Delete product (no API key)" DELETE "/admin/products/1" "" "401"
+test_endpoint "Delete product (no token)" DELETE "/admin/products/1" "" "401"
 
 echo ""
 echo "================================"
-echo "7. Admin Endpoints (Customer Key)"
+echo "7. Admin Endpoints (Customer Token)"
 echo "================================"
 
-CUSTOMER_KEY="customer-key-cloudcart-2024"
-
-echo -n "Testing: Create product (customer key)... "
+echo -n "Testing: Create product (customer token)... "
 RESPONSE=$(curl -s -w "\n%{http_code}" -X POST "$API_URL/admin/products" \
-    -H "x-api-key: $CUSTOMER_KEY" \
+    -H "Authorization: Bearer $CUSTOMER_TOKEN" \
     -H 'Content-Type: application/json' \
     -d '{"id":"11","name":"Test","price":99.99,"category":"test"}')
 HTTP_CODE=$(echo "$RESPONSE" | tail -n1)
@@ -154,16 +198,18 @@ TESTS_RUN=$((TESTS_RUN + 1))
 
 echo ""
 echo "================================"
-echo "8. Admin Endpoints (Admin Key)"
+echo "8. Admin Endpoints (Admin Token)"
 echo "================================"
 
-ADMIN_KEY="admin-key-cloudcart-2024"
+# Deleted products keep their id, so every run creates a new one
+TEST_PRODUCT_ID="test-$(date +%s)"
+TEST_PRODUCT="{\"id\":\"$TEST_PRODUCT_ID\",\"name\":\"Test Product\",\"price\":99.99,\"category\":\"test\"}"
 
-echo -n "Testing: Create product (admin key)... "
+echo -n "Testing: Create product (admin token)... "
 RESPONSE=$(curl -s -w "\n%{http_code}" -X POST "$API_URL/admin/products" \
-    -H "x-api-key: $ADMIN_KEY" \
+    -H "Authorization: Bearer $ADMIN_TOKEN" \
     -H 'Content-Type: application/json' \
-    -d '{"id":"100","name":"Test Product","price":99.99,"category":"test"}')
+    -d "$TEST_PRODUCT")
 HTTP_CODE=$(echo "$RESPONSE" | tail -n1)
 
 if [ "$HTTP_CODE" == "201" ]; then
@@ -175,9 +221,11 @@ else
 fi
 TESTS_RUN=$((TESTS_RUN + 1))
 
-echo -n "Testing: Update product (admin key)... "
-RESPONSE=$(curl -s -w "\n%{http_code}" -X PATCH "$API_URL/admin/products/100" \
-    -H "x-api-key: $ADMIN_KEY" \
+test_endpoint "Create product (existing id)" POST "/admin/products" "$TEST_PRODUCT" "409" "Authorization: Bearer $ADMIN_TOKEN"
+
+echo -n "Testing: Update product (admin token)... "
+RESPONSE=$(curl -s -w "\n%{http_code}" -X PATCH "$API_URL/admin/products/$TEST_PRODUCT_ID" \
+    -H "Authorization: Bearer $ADMIN_TOKEN" \
     -H 'Content-Type: application/json' \
     -d '{"price":89.99}')
 HTTP_CODE=$(echo "$RESPONSE" | tail -n1)
@@ -191,9 +239,26 @@ else
 fi
 TESTS_RUN=$((TESTS_RUN + 1))
 
-echo -n "Testing: Delete product (admin key)... "
-RESPONSE=$(curl -s -w "\n%{http_code}" -X DELETE "$API_URL/admin/products/100" \
-    -H "x-api-key: $ADMIN_KEY")
+echo -n "Testing: Update product (stale If-Match)... "
+RESPONSE=$(curl -s -w "\n%{http_code}" -X PATCH "$API_URL/admin/products/$TEST_PRODUCT_ID" \
+    -H "Authorization: Bearer $ADMIN_TOKEN" \
+    -H 'Content-Type: application/json' \
+    -H 'If-Match: "1"' \
+    -d '{"price":79.99}')
+HTTP_CODE=$(echo "$RESPONSE" | tail -n1)
+
+if [ "$HTTP_CODE" == "412" ]; then
+    echo -e "${GREEN}✓ PASS${NC} (HTTP $HTTP_CODE)"
+    TESTS_PASSED=$((TESTS_PASSED + 1))
+else
+    echo -e "${RED}✗ FAIL${NC} (Expected 412, got $HTTP_CODE)"
+    TESTS_FAILED=$((TESTS_FAILED + 1))
+fi
+TESTS_RUN=$((TESTS_RUN + 1))
+
+echo -n "Testing: Delete product (admin token)... "
+RESPONSE=$(curl -s -w "\n%{http_code}" -X DELETE "$API_URL/admin/products/$TEST_PRODUCT_ID" \
+    -H "Authorization: Bearer $ADMIN_TOKEN")
 HTTP_CODE=$(echo "$RESPONSE" | tail -n1)
 
 if [ "$HTTP_CODE" == "200" ]; then
@@ -204,6 +269,36 @@ else
     TESTS_FAILED=$((TESTS_FAILED + 1))
 fi
 TESTS_RUN=$((TESTS_RUN + 1))
+test_endpoint "Get deleted product" GET "/products/$TEST_PRODUCT_ID" "" "404"
+test_endpoint "Restore product (admin token)" POST "/admin/products/$TEST_PRODUCT_ID/restore" "" "200" "Authorization: Bearer $ADMIN_TOKEN"
+test_endpoint "Restore product (not deleted)" POST "/admin/products/$TEST_PRODUCT_ID/restore" "" "409" "Authorization: Bearer $ADMIN_TOKEN"
+test_endpoint "Delete product again (admin token)" DELETE "/admin/products/$TEST_PRODUCT_ID" "" "200" "Authorization: Bearer $ADMIN_TOKEN"
+test_endpoint "Product audit log (admin token)" GET "/admin/audit?productId=$TEST_PRODUCT_ID" "" "200" "Authorization: Bearer $ADMIN_TOKEN"
+test_endpoint "Product audit log (customer token)" GET "/admin/audit" "" "403" "Authorization: Bearer $CUSTOMER_TOKEN"
+
+echo -n "Testing: Bulk import dry run (admin token)... "
+RESPONSE=$(curl -s -w "\n%{http_code}" -X POST "$API_URL/admin/products/import?dryRun=true" \
+    -H "Authorization: Bearer $ADMIN_TOKEN" \
+    -H 'Content-Type: text/csv' \
+    --data-binary $'id,name,price,category\n200,Import Test,9.99,test\n201,Bad Price,free,test\n')
+HTTP_CODE=$(echo "$RESPONSE" | tail -n1)
+IMPORT_JOB_ID=$(echo "$RESPONSE" | head -n-1 | sed -n 's/.*"jobId":"\([^"]*\)".*/\1/p')
+
+if [ "$HTTP_CODE" == "202" ]; then
+    echo -e "${GREEN}✓ PASS${NC} (HTTP $HTTP_CODE)"
+    TESTS_PASSED=$((TESTS_PASSED + 1))
+else
+    echo -e "${RED}✗ FAIL${NC} (Expected 202, got $HTTP_CODE)"
+    TESTS_FAILED=$((TESTS_FAILED + 1))
+fi
+TESTS_RUN=$((TESTS_RUN + 1))
+
+# Give the import processor time to pick up the file
+sleep 5
+test_endpoint "Bulk import report (admin token)" GET "/admin/products/import/$IMPORT_JOB_ID" "" "200" "Authorization: Bearer $ADMIN_TOKEN"
+test_endpoint "Bulk import report (unknown job)" GET "/admin/products/import/does-not-exist" "" "404" "Authorization: Bearer $ADMIN_TOKEN"
+test_endpoint "Export products (customer token)" GET "/admin/products/export" "" "403" "Authorization: Bearer $CUSTOMER_TOKEN"
+test_endpoint "Export products (admin token)" GET "/admin/products/export" "" "303" "Authorization: Bearer $ADMIN_TOKEN"
 
 echo ""
 echo "================================"